@@ -1,8 +1,14 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import ReactDOM from 'react-dom';
 import './ApsaraWidget.css';
 import './themes.css';
 import GeneratedImageViewer from './GeneratedImageViewer'; // Import theme system
+import ChatPanel from './ChatPanel';
+import VoiceSettingsPanel from './VoiceSettingsPanel';
+import PairingPanel from './PairingPanel';
+import ToolApprovalDialog from './ToolApprovalDialog';
+import AuditPanel from './AuditPanel';
+import { createHello, ERROR_CODES, encodeFrame, decodeFrame, STREAM_TYPES, FRAME_FORMATS } from '../protocol';
 
 // Debug logging toggle
 const DEBUG_LOG = true; // Set to false to disable debug logging
@@ -12,10 +18,79 @@ const debugLog = (...args) => {
   if (DEBUG_LOG) console.log(...args);
 };
 
-// Configuration - automatically switch between local and production
-const BACKEND_WS_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+// Configuration - REACT_APP_BACKEND_URL at build time, otherwise switch between local and production.
+// Everything else comes from the backend's apsara.config.json via /api/config; the backend URL can't,
+// because the widget needs it to reach /api/config in the first place.
+const BACKEND_WS_URL = process.env.REACT_APP_BACKEND_URL || (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
     ? 'ws://localhost:3000'  // Local backend for testing
-    : 'wss://apsara-devshubh.devshubh.me';  // Production backend
+    : 'wss://apsara-devshubh.devshubh.me');  // Production backend
+const BACKEND_HTTP_URL = BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://');
+
+// Device token from pairing (sent as Bearer header, and as ?token= on the WebSocket)
+const AUTH_TOKEN_KEY = 'apsara-auth-token';
+
+// fetch() a backend route with the stored device token
+const backendFetch = (path, options = {}) => {
+  const token = localStorage.getItem(AUTH_TOKEN_KEY);
+  return fetch(`${BACKEND_HTTP_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  });
+};
+
+// Used until /api/config answers (mirrors backend/apsara.config.json)
+const DEFAULT_WIDGET_CONFIG = {
+  themes: ['light', 'dark', 'nightly', 'dracula', 'monokai', 'nord', 'solarized-light', 'solarized-dark'],
+  media: {
+    screenResolutions: [{ value: '3072x1920', label: 'Default' }],
+    defaultScreenResolution: '3072x1920',
+    cameraResolutions: [{ value: '1280x720', label: 'HD - Default' }],
+    defaultCameraResolution: '1280x720'
+  }
+};
+
+// Resolution entry from the config ({ value: '1920x1080', label }) with its size
+const toResolution = ({ value, label }) => {
+  const [width, height] = value.split('x').map(Number);
+  return { label: label ? `${value} (${label})` : value, value, width, height };
+};
+
+// Status text for a RATE_LIMITED error, by limit name (backend/rate-limit.js)
+const RATE_LIMIT_STATUS = {
+  frames: 'Too many video frames - slowing down',
+  audioBytes: 'Microphone rate limit reached',
+  textTurns: 'Too many messages - wait a minute',
+  imageGenerations: 'Daily image limit reached'
+};
+
+// Tool approval policies, in the order the badge cycles through them (backend/approvals.js)
+const APPROVAL_POLICIES = ['allow', 'ask', 'deny'];
+const APPROVAL_TITLES = {
+  allow: 'Runs without asking (click to ask first)',
+  ask: 'Asks before running (click to never run)',
+  deny: 'Never runs (click to allow)'
+};
+
+// Compact token count for the usage counter (e.g. 950, 12.4k, 1.2M)
+const formatTokenCount = (count) => {
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+  return String(count);
+};
+
+// Usage breakdown shown as the counter's tooltip
+const formatUsageDetails = (usage) => {
+  const lines = [
+    `Session usage (${usage.turns} turns)`,
+    `Prompt: ${usage.promptTokens} · Response: ${usage.responseTokens}`,
+    `Audio: ${usage.audioTokens} · Thinking: ${usage.thinkingTokens}`
+  ];
+  Object.entries(usage.byModality).forEach(([modality, count]) => lines.push(`${modality}: ${count}`));
+  if (usage.imageGenerations > 0) {
+    lines.push(`Images: ${Object.entries(usage.imagesByModel).map(([model, count]) => `${count}× ${model}`).join(', ')}`);
+  }
+  return lines.join('\n');
+};
 
 const ApsaraWidget = () => {
   const [isConnected, setIsConnected] = useState(false);
@@ -26,10 +101,10 @@ const ApsaraWidget = () => {
   const [isScreenSharing, setIsScreenSharing] = useState(false);
   const [isCameraActive, setIsCameraActive] = useState(false);
   const [selectedResolution, setSelectedResolution] = useState(() => {
-    return localStorage.getItem('apsara-screen-resolution') || '3072x1920';
+    return localStorage.getItem('apsara-screen-resolution') || DEFAULT_WIDGET_CONFIG.media.defaultScreenResolution;
   }); // Default screen resolution
   const [selectedCameraResolution, setSelectedCameraResolution] = useState(() => {
-    return localStorage.getItem('apsara-camera-resolution') || '1280x720';
+    return localStorage.getItem('apsara-camera-resolution') || DEFAULT_WIDGET_CONFIG.media.defaultCameraResolution;
   }); // Default camera resolution
   const [showResolutionMenu, setShowResolutionMenu] = useState(false); // Screen resolution dropdown
   const [showCameraResolutionMenu, setShowCameraResolutionMenu] = useState(false); // Camera resolution dropdown
@@ -51,6 +126,22 @@ const ApsaraWidget = () => {
   const [availableTools, setAvailableTools] = useState([]); // Available tools from backend
   const [showToolsSelector, setShowToolsSelector] = useState(false); // Tools selector visibility
   const [generatedImage, setGeneratedImage] = useState(null); // Generated image data for viewer
+  const [caption, setCaption] = useState(null); // Live transcript caption { speaker, text }
+  const [usage, setUsage] = useState(null); // Token usage of the backend session
+  const [modality, setModality] = useState(() => {
+    return localStorage.getItem('apsara-modality') || 'AUDIO';
+  }); // Response modality: 'AUDIO' (voice) or 'TEXT' (chat)
+  const [showChatPanel, setShowChatPanel] = useState(false); // Chat panel visibility
+  const [chatMessages, setChatMessages] = useState([]); // Chat log [{ id, role, text, pending }]
+  const [speechSettings, setSpeechSettings] = useState({ voiceName: 'Aoede', languageCode: '' }); // Voice and reply language
+  const [availableVoices, setAvailableVoices] = useState([]); // Prebuilt voices from backend
+  const [availableLanguages, setAvailableLanguages] = useState([]); // Supported reply languages from backend
+  const [showVoiceSettings, setShowVoiceSettings] = useState(false); // Voice settings visibility
+  const [showPairing, setShowPairing] = useState(false); // Device pairing panel visibility
+  const [showAuditPanel, setShowAuditPanel] = useState(false); // Tool audit log visibility
+  const [exportSessionId, setExportSessionId] = useState(null); // Latest session, still exportable after disconnecting
+  const [widgetConfig, setWidgetConfig] = useState(DEFAULT_WIDGET_CONFIG); // Themes and resolutions from the backend config
+  const [approvalRequests, setApprovalRequests] = useState([]); // Tool calls waiting for the user's approval, oldest first
 
   // Refs
   const wsRef = useRef(null);
@@ -73,41 +164,36 @@ const ApsaraWidget = () => {
   const screenCaptureIntervalRef = useRef(null); // Interval for capturing frames
   const cameraStreamRef = useRef(null); // Camera stream
   const cameraCaptureIntervalRef = useRef(null); // Interval for camera frames
+  const captionRef = useRef({ speaker: null, text: '' }); // Accumulates partial transcript chunks
+  const captionTimeoutRef = useRef(null); // Timer that hides the caption after an utterance ends
+  const modalityRef = useRef(modality); // Current modality for WebSocket callbacks
+  const chatIdRef = useRef(0); // Counter for chat message ids
+  const awaitingVoiceReplyRef = useRef(false); // Typed message in AUDIO mode - log the spoken reply in chat
+  const sessionIdRef = useRef(null); // Backend session owned by this widget (addresses REST endpoints)
+  const pairingIdRef = useRef(null); // Pending device pairing (see PairingPanel)
+  const serverCapabilitiesRef = useRef([]); // Features the backend announced in its hello
+  const binaryFramesRef = useRef(false); // Send media as binary frames (both sides support it)
   const resolutionSelectorRef = useRef(null); // Ref for screen resolution selector button
   const cameraResolutionSelectorRef = useRef(null); // Ref for camera resolution selector button
   
-  // Available screen resolutions
-  const availableResolutions = [
-    { label: '3072x1920 (Default)', value: '3072x1920', width: 3072, height: 1920 },
-    { label: '1920x1080 (Full HD)', value: '1920x1080', width: 1920, height: 1080 },
-    { label: '2560x1440 (2K)', value: '2560x1440', width: 2560, height: 1440 },
-    { label: '3840x2160 (4K)', value: '3840x2160', width: 3840, height: 2160 },
-    { label: '1366x768 (HD)', value: '1366x768', width: 1366, height: 768 },
-    { label: '1280x720 (HD)', value: '1280x720', width: 1280, height: 720 },
-  ];
-  
-  // Available camera resolutions (lower resolutions for better performance)
-  const availableCameraResolutions = [
-    { label: '1280x720 (HD - Default)', value: '1280x720', width: 1280, height: 720 },
-    { label: '1920x1080 (Full HD)', value: '1920x1080', width: 1920, height: 1080 },
-    { label: '640x480 (VGA)', value: '640x480', width: 640, height: 480 },
-    { label: '960x540 (qHD)', value: '960x540', width: 960, height: 540 },
-  ];
+  // Available screen and camera resolutions (media section of apsara.config.json)
+  const availableResolutions = widgetConfig.media.screenResolutions.map(toResolution);
+  const availableCameraResolutions = widgetConfig.media.cameraResolutions.map(toResolution);
 
   // Detect mobile
   const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 
-  // Theme definitions
-  const themes = [
-    { name: 'light', class: 'light' },
-    { name: 'dark', class: 'dark' },
-    { name: 'nightly', class: 'nightly' },
-    { name: 'dracula', class: 'dracula' },
-    { name: 'monokai', class: 'monokai' },
-    { name: 'nord', class: 'nord' },
-    { name: 'solarized-light', class: 'solarized-light' },
-    { name: 'solarized-dark', class: 'solarized-dark' },
-  ];
+  // Theme definitions (themes in apsara.config.json - each needs a block in themes.css)
+  const themes = widgetConfig.themes.map(name => ({ name, class: name }));
+
+  // Use a new backend config, falling back to its defaults where the current choice was removed
+  const applyWidgetConfig = (config) => {
+    setWidgetConfig(config);
+    const { media } = config;
+    setSelectedResolution(current => (media.screenResolutions.some(r => r.value === current) ? current : media.defaultScreenResolution));
+    setSelectedCameraResolution(current => (media.cameraResolutions.some(r => r.value === current) ? current : media.defaultCameraResolution));
+    debugLog('⚙️ Widget config loaded:', config);
+  };
 
   // Theme change handler
   const handleThemeChange = (themeName) => {
@@ -134,6 +220,23 @@ const ApsaraWidget = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Only run once on mount to log initial values
 
+  // Load themes and resolutions from the backend config
+  useEffect(() => {
+    const fetchConfig = async () => {
+      try {
+        const response = await backendFetch('/api/config');
+        const data = await response.json();
+        if (data.success) {
+          applyWidgetConfig(data.config);
+        }
+      } catch (error) {
+        console.error('❌ Error fetching config:', error);
+      }
+    };
+    fetchConfig();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // Save theme to localStorage when changed
   useEffect(() => {
     try {
@@ -159,6 +262,13 @@ const ApsaraWidget = () => {
     debugLog('💾 Saved camera resolution:', selectedCameraResolution);
   }, [selectedCameraResolution]);
 
+  // Save modality to localStorage when changed
+  useEffect(() => {
+    modalityRef.current = modality;
+    localStorage.setItem('apsara-modality', modality);
+    debugLog('💾 Saved modality:', modality);
+  }, [modality]);
+
   // Fetch available tools from backend on mount
   useEffect(() => {
     const fetchTools = async () => {
@@ -172,7 +282,7 @@ const ApsaraWidget = () => {
             const toolsState = JSON.parse(savedToolsState);
             debugLog('📦 Restoring saved tools state:', toolsState);
             
-            await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools/update`, {
+            await backendFetch('/api/tools/update', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify({ enabled: toolsState })
@@ -183,7 +293,7 @@ const ApsaraWidget = () => {
         }
         
         // Fetch current tools from backend
-        const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools`);
+        const response = await backendFetch('/api/tools');
         const data = await response.json();
         if (data.success) {
           setAvailableTools(data.tools);
@@ -203,6 +313,29 @@ const ApsaraWidget = () => {
     fetchTools();
   }, []);
 
+  // Fetch speech settings (voice, language) from backend on mount
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await backendFetch('/api/settings');
+        const data = await response.json();
+        if (data.success) {
+          setSpeechSettings(data.speech);
+          setAvailableVoices(data.voices);
+          setAvailableLanguages(data.languages);
+          debugLog('🗣️ Loaded speech settings:', data.speech);
+        } else {
+          console.error('❌ Backend returned error:', data.error);
+        }
+      } catch (error) {
+        // Backend is not running or not reachable
+        console.error('❌ Error fetching speech settings:', error);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
   // Close resolution menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -284,6 +417,7 @@ const ApsaraWidget = () => {
   }, [showToolsSelector]);
 
   // Resize Electron window when dropdown opens/closes
+  const hasApprovalRequest = approvalRequests.length > 0;
   useEffect(() => {
     const isElectron = typeof window !== 'undefined' && window.process && window.process.type === 'renderer';
     
@@ -292,7 +426,7 @@ const ApsaraWidget = () => {
         const { ipcRenderer } = window.require('electron');
         
         // Check if ANY dropdown is open
-        const anyDropdownOpen = showResolutionMenu || showCameraResolutionMenu || showThemeSelector || showToolsSelector;
+        const anyDropdownOpen = showResolutionMenu || showCameraResolutionMenu || showThemeSelector || showToolsSelector || showChatPanel || showVoiceSettings || showPairing || showAuditPanel || hasApprovalRequest;
         
         if (anyDropdownOpen) {
           // Opening: resize immediately, but keep window at bottom
@@ -309,24 +443,31 @@ const ApsaraWidget = () => {
         debugLog('Error resizing window:', err);
       }
     }
-  }, [showResolutionMenu, showCameraResolutionMenu, showThemeSelector, showToolsSelector]);
+  }, [showResolutionMenu, showCameraResolutionMenu, showThemeSelector, showToolsSelector, showChatPanel, showVoiceSettings, showPairing, showAuditPanel, hasApprovalRequest]);
 
   // Connect to backend
   const connectToBackend = async () => {
     return new Promise((resolve, reject) => {
       try {
         debugLog('🔌 Connecting to backend:', BACKEND_WS_URL);
-        const ws = new WebSocket(BACKEND_WS_URL);
+        const token = localStorage.getItem(AUTH_TOKEN_KEY);
+        const ws = new WebSocket(token ? `${BACKEND_WS_URL}?token=${encodeURIComponent(token)}` : BACKEND_WS_URL);
+        ws.binaryType = 'arraybuffer'; // Binary frames carry reply audio
 
         ws.onopen = () => {
           debugLog('✅ Connected to backend');
           setStatusText('Connected');
           setIsConnected(true);
           wsRef.current = ws;
+          ws.send(JSON.stringify(createHello())); // Negotiate the protocol version
           resolve();
         };
 
         ws.onmessage = async (event) => {
+          if (event.data instanceof ArrayBuffer) {
+            handleBinaryFrame(event.data);
+            return;
+          }
           const message = JSON.parse(event.data);
           handleBackendMessage(message);
         };
@@ -337,7 +478,7 @@ const ApsaraWidget = () => {
           reject(error);
         };
 
-        ws.onclose = () => {
+        ws.onclose = (event) => {
           debugLog('Disconnected from backend');
           setIsConnected(false);
           setIsListening(false);
@@ -346,7 +487,22 @@ const ApsaraWidget = () => {
           isListeningRef.current = false; // Reset listening ref
           setIsMicMuted(false); // Reset mute state
           isMutedRef.current = false; // Reset mute ref
-          setStatusText('Talk to Apsara'); // Reset status immediately
+          if (event.code === 4401) {
+            // Our device token was revoked on the backend
+            localStorage.removeItem(AUTH_TOKEN_KEY);
+            setStatusText('Device revoked - pair again');
+          } else if (event.code === 4001) {
+            setStatusText('Disconnected by admin');
+          } else {
+            setStatusText('Talk to Apsara'); // Reset status immediately
+          }
+          setCaption(null); // Clear live transcript
+          setApprovalRequests([]); // The backend denied whatever was still waiting
+          sessionIdRef.current = null;
+          serverCapabilitiesRef.current = [];
+          binaryFramesRef.current = false;
+          finishChatReply();
+          awaitingVoiceReplyRef.current = false;
           stopMicrophone();
           stopAudioPlayback(); // Stop any audio playback
           
@@ -370,12 +526,72 @@ const ApsaraWidget = () => {
     switch (message.type) {
       case 'status':
         if (message.status === 'connected') {
-          setStatusText('Ready');
+          // After a transparent reconnect the mic may still be streaming
+          setStatusText(message.resumed && isListeningRef.current ? 'Listening...' : 'Ready');
+        } else if (message.status === 'reconnecting') {
+          // Backend is rolling over the Gemini session - keep mic/screen streams running
+          debugLog('🔁 Backend reconnecting to Gemini:', message.reason);
+          setStatusText('Reconnecting...');
+        } else if (message.status === 'disconnected') {
+          setStatusText('Gemini disconnected');
         }
         break;
 
+      case 'hello':
+        serverCapabilitiesRef.current = message.capabilities || [];
+        binaryFramesRef.current = serverCapabilitiesRef.current.includes('binary_frames');
+        debugLog(`🤝 Backend protocol v${message.protocolVersion}:`, serverCapabilitiesRef.current.join(', '));
+        break;
+
+      case 'session':
+        sessionIdRef.current = message.sessionId;
+        setExportSessionId(message.sessionId);
+        setUsage(null);
+        debugLog('🆔 Backend session:', message.sessionId);
+        break;
+
       case 'gemini_message':
-        handleGeminiMessage(message.data);
+        handleGeminiMessage(message.data, message.turnId);
+        break;
+
+      case 'usage':
+        setUsage(message.usage);
+        break;
+
+      case 'config':
+        // apsara.config.json was edited on the backend
+        applyWidgetConfig(message.config);
+        break;
+
+      case 'tools_changed':
+        // An MCP server on the backend started, stopped or changed its tools
+        backendFetch('/api/tools')
+          .then(response => response.json())
+          .then(data => {
+            if (data.success) setAvailableTools(data.tools);
+          })
+          .catch(error => console.error('❌ Error reloading tools:', error));
+        break;
+
+      case 'tool_approval_request':
+        // A tool whose policy is "ask" waits for the user (see ToolApprovalDialog)
+        debugLog('🙋 Tool approval requested:', message.summary);
+        setApprovalRequests(requests => [...requests, message]);
+        break;
+
+      case 'tool_approval_resolved':
+        // Timed out or cancelled before the user answered
+        debugLog(`🙋 Tool approval ${message.decision}:`, message.requestId);
+        setApprovalRequests(requests => requests.filter(request => request.requestId !== message.requestId));
+        break;
+
+      case 'thought':
+        // Thought summary - shown in the reasoning drawer of the turn it belongs to
+        updateTurnMessage(message.turnId, msg => ({ ...msg, thoughts: [...msg.thoughts, message.text] }));
+        break;
+
+      case 'transcript':
+        handleTranscript(message);
         break;
 
       case 'generated_image':
@@ -424,8 +640,20 @@ const ApsaraWidget = () => {
         break;
 
       case 'error':
-        console.error('Backend error:', message.error);
-        setStatusText('Error: ' + message.error);
+        console.error(`Backend error (${message.code}):`, message.error);
+        if (message.code === ERROR_CODES.UNSUPPORTED_VERSION) {
+          setStatusText('Backend needs a newer widget');
+        } else if (message.code === ERROR_CODES.RATE_LIMITED) {
+          const limit = message.details?.limit;
+          setStatusText(RATE_LIMIT_STATUS[limit] || 'Rate limit reached');
+          if (limit === 'textTurns') {
+            // The typed message was dropped - say so in the chat instead of waiting for a reply
+            awaitingVoiceReplyRef.current = false;
+            addChatMessage('assistant', `⚠️ ${message.error}. Try again in ${Math.ceil((message.details.retryAfterMs || 0) / 1000)}s.`);
+          }
+        } else {
+          setStatusText('Error: ' + message.error);
+        }
         break;
 
       default:
@@ -433,20 +661,102 @@ const ApsaraWidget = () => {
     }
   };
 
+  // Handle a binary media frame from the backend (reply audio as raw PCM16)
+  const handleBinaryFrame = (buffer) => {
+    const frame = decodeFrame(buffer);
+    if (!frame) {
+      console.error('Malformed binary frame from backend');
+      return;
+    }
+    if (frame.streamType === STREAM_TYPES.AUDIO_OUTPUT) {
+      addAudioToQueue(frame.payload);
+    }
+  };
+
+  // Handle live transcript chunks - partial chunks accumulate, final carries the full utterance
+  const handleTranscript = ({ speaker, text, final, turnId }) => {
+    if (captionTimeoutRef.current) {
+      clearTimeout(captionTimeoutRef.current);
+      captionTimeoutRef.current = null;
+    }
+
+    if (final) {
+      // Spoken reply - fills the turn's chat message (created only when replying to a typed message)
+      if (speaker === 'assistant') {
+        updateTurnMessage(turnId, msg => ({ ...msg, text }), { create: awaitingVoiceReplyRef.current });
+        awaitingVoiceReplyRef.current = false;
+      }
+
+      captionRef.current = { speaker: null, text: '' };
+      setCaption({ speaker, text });
+      // Keep the finished utterance visible for a moment, then clear it
+      captionTimeoutRef.current = setTimeout(() => setCaption(null), 4000);
+      return;
+    }
+
+    if (captionRef.current.speaker !== speaker) {
+      captionRef.current = { speaker, text: '' };
+    }
+    captionRef.current.text += text;
+    setCaption({ speaker, text: captionRef.current.text });
+  };
+
+  // Add a message to the chat log, returns its id
+  const addChatMessage = (role, text, pending = false) => {
+    chatIdRef.current += 1;
+    const id = chatIdRef.current;
+    setChatMessages(prev => [...prev, { id, role, text, pending }]);
+    return id;
+  };
+
+  // Update the assistant chat message of a model turn (creating it if needed)
+  const updateTurnMessage = (turnId, update, { create = true } = {}) => {
+    setChatMessages(prev => {
+      const existing = prev.find(msg => msg.role === 'assistant' && msg.turnId === turnId);
+      if (existing) {
+        return prev.map(msg => (msg === existing ? update(msg) : msg));
+      }
+      if (!create) return prev;
+      chatIdRef.current += 1;
+      const message = { id: chatIdRef.current, role: 'assistant', turnId, text: '', thoughts: [], pending: true };
+      return [...prev, update(message)];
+    });
+  };
+
+  // Append a streamed TEXT-mode chunk to the assistant reply of the turn
+  const appendChatReply = (text, turnId) => {
+    updateTurnMessage(turnId, msg => ({ ...msg, text: msg.text + text }));
+  };
+
+  // Mark streamed replies as complete
+  const finishChatReply = () => {
+    setChatMessages(prev => (
+      prev.some(msg => msg.pending) ? prev.map(msg => (msg.pending ? { ...msg, pending: false } : msg)) : prev
+    ));
+  };
+
   // Handle Gemini message
-  const handleGeminiMessage = (data) => {
+  const handleGeminiMessage = (data, turnId) => {
     if (data.data) {
       addAudioToQueue(data.data);
     }
 
+    if (data.text) {
+      appendChatReply(data.text, turnId);
+    }
+
     if (data.serverContent) {
       if (data.serverContent.interrupted) {
         stopAudioPlayback();
-        setStatusText('Listening...');
+        finishChatReply();
+        if (modalityRef.current === 'AUDIO') {
+          setStatusText('Listening...');
+        }
       }
 
       if (data.serverContent.turnComplete) {
         setIsPlaying(false);
+        finishChatReply();
       }
     }
   };
@@ -509,16 +819,23 @@ const ApsaraWidget = () => {
 
         const inputData = e.inputBuffer.getChannelData(0);
         const pcmData = convertToPCM16(inputData);
-        const base64Audio = btoa(String.fromCharCode(...new Uint8Array(pcmData)));
-
-        // 🔍 DEBUG: Log audio being sent
-        debugLog('🎤 Sending audio chunk:', base64Audio.length, 'bytes');
 
         try {
-          ws.send(JSON.stringify({
-            type: 'audio',
-            data: base64Audio
-          }));
+          if (binaryFramesRef.current) {
+            // Raw PCM16 behind a small header - no base64 encoding
+            debugLog('🎤 Sending audio frame:', pcmData.byteLength, 'bytes');
+            ws.send(encodeFrame(STREAM_TYPES.AUDIO_INPUT, pcmData, FRAME_FORMATS.PCM16));
+          } else {
+            const base64Audio = btoa(String.fromCharCode(...new Uint8Array(pcmData)));
+
+            // 🔍 DEBUG: Log audio being sent
+            debugLog('🎤 Sending audio chunk:', base64Audio.length, 'bytes');
+
+            ws.send(JSON.stringify({
+              type: 'audio',
+              data: base64Audio
+            }));
+          }
         } catch (error) {
           console.error('Error sending audio:', error);
         }
@@ -574,6 +891,30 @@ const ApsaraWidget = () => {
     }
   };
 
+  // Send a canvas snapshot as a JPEG frame ('video' = screen share, 'camera')
+  const sendCanvasFrame = (canvas, type) => {
+    if (binaryFramesRef.current) {
+      // Raw JPEG bytes behind a small header - no base64 data URL
+      canvas.toBlob(async (blob) => {
+        const ws = wsRef.current;
+        if (!blob || !ws || ws.readyState !== WebSocket.OPEN) return;
+        const streamType = type === 'video' ? STREAM_TYPES.SCREEN : STREAM_TYPES.CAMERA;
+        ws.send(encodeFrame(streamType, await blob.arrayBuffer(), FRAME_FORMATS.JPEG));
+        debugLog(type === 'video' ? '📹 Sent screen frame' : '📷 Sent camera frame', blob.size, 'bytes');
+      }, 'image/jpeg', 0.8);
+      return;
+    }
+
+    // Fallback: base64 JPEG in JSON
+    const dataURL = canvas.toDataURL('image/jpeg', 0.8);
+    wsRef.current.send(JSON.stringify({
+      type,
+      data: dataURL.split(',')[1],
+      mimeType: 'image/jpeg'
+    }));
+    debugLog(type === 'video' ? '📹 Sent screen frame' : '📷 Sent camera frame');
+  };
+
   // Convert to PCM16
   const convertToPCM16 = (float32Array) => {
     const buffer = new ArrayBuffer(float32Array.length * 2);
@@ -613,8 +954,9 @@ const ApsaraWidget = () => {
     return playbackContextRef.current;
   };
 
-  const addAudioToQueue = (base64Audio) => {
-    audioQueueRef.current.push(base64Audio);
+  // Queue reply audio: base64 string (JSON) or ArrayBuffer (binary frame), PCM16 24kHz
+  const addAudioToQueue = (audioChunk) => {
+    audioQueueRef.current.push(audioChunk);
     if (!isPlaying) {
       processAudioQueue();
     }
@@ -642,13 +984,18 @@ const ApsaraWidget = () => {
 
     await initPlaybackContext();
 
-    const base64Audio = audioQueueRef.current.shift();
+    const audioChunk = audioQueueRef.current.shift();
 
     try {
-      const binaryString = atob(base64Audio);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+      let bytes;
+      if (typeof audioChunk === 'string') {
+        const binaryString = atob(audioChunk);
+        bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+          bytes[i] = binaryString.charCodeAt(i);
+        }
+      } else {
+        bytes = new Uint8Array(audioChunk);
       }
 
       const audioBuffer = playbackContextRef.current.createBuffer(1, bytes.length / 2, 24000);
@@ -845,12 +1192,66 @@ const ApsaraWidget = () => {
     }
   };
 
+  // Check our credentials before connecting - open the pairing panel if the backend wants a token
+  const ensureAuthenticated = async () => {
+    try {
+      const response = await backendFetch('/api/auth/status');
+      const status = await response.json();
+      if (status.authenticated) return true;
+
+      localStorage.removeItem(AUTH_TOKEN_KEY); // Stale or revoked token
+      setShowPairing(true);
+      setStatusText('Pair this device');
+      return false;
+    } catch (error) {
+      // Backend unreachable - let the connection attempt report it
+      return true;
+    }
+  };
+
+  const handlePairingRequest = async (deviceName) => {
+    const response = await backendFetch('/api/auth/pair/request', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ deviceName })
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error);
+    pairingIdRef.current = result.pairingId;
+  };
+
+  const handlePairingConfirm = async (code) => {
+    const response = await backendFetch('/api/auth/pair/confirm', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pairingId: pairingIdRef.current, code })
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error);
+
+    localStorage.setItem(AUTH_TOKEN_KEY, result.token);
+    debugLog(`🔐 Paired as ${result.device.name}`);
+    pairingIdRef.current = null;
+    setShowPairing(false);
+    handleStartClick();
+  };
+
   const handleStartClick = async () => {
     try {
+      if (!(await ensureAuthenticated())) return;
+
       setStatusText('Connecting...');
 
       await initPlaybackContext();
       await connectToBackend();
+
+      // TEXT mode is a typed conversation - no microphone needed
+      if (modalityRef.current === 'TEXT') {
+        wsRef.current.send(JSON.stringify({ type: 'set_modality', modality: 'TEXT' }));
+        setStatusText('Ready');
+        return;
+      }
+
       await startMicrophone();
       setStatusText('Listening...');
     } catch (error) {
@@ -859,6 +1260,72 @@ const ApsaraWidget = () => {
     }
   };
 
+  // Switch between voice and text replies (also applied to a running session)
+  const handleModalityChange = async (newModality) => {
+    if (newModality === modalityRef.current) return;
+
+    setModality(newModality);
+    modalityRef.current = newModality;
+    debugLog(`🔄 Modality changed to: ${newModality}`);
+
+    const ws = wsRef.current;
+    if (!isConnected || !ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify({ type: 'set_modality', modality: newModality }));
+
+    if (newModality === 'TEXT') {
+      stopMicrophone();
+      stopAudioPlayback();
+      setStatusText('Ready');
+    } else {
+      await startMicrophone();
+    }
+  };
+
+  // Send a typed chat message, starting a session first if needed
+  const handleChatSend = async (text) => {
+    addChatMessage('user', text);
+
+    if (!isConnected || !wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+      await handleStartClick();
+    }
+
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      addChatMessage('assistant', '⚠️ Could not reach the backend. Is it running?');
+      return;
+    }
+
+    finishChatReply();
+    awaitingVoiceReplyRef.current = modalityRef.current === 'AUDIO';
+    ws.send(JSON.stringify({ type: 'text', text }));
+  };
+
+  // Download the latest conversation from the history store (/api/sessions/:id/export)
+  const handleExport = async (format) => {
+    try {
+      const response = await backendFetch(`/api/sessions/${exportSessionId}/export?format=${format}`);
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `apsara-${exportSessionId.slice(0, 8)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000); // After the download has started
+      debugLog(`📤 Exported session ${exportSessionId} as ${format}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      setStatusText('Export failed');
+      addChatMessage('assistant', `⚠️ Export failed: ${error.message}`);
+    }
+  };
+
   const handleMuteToggle = async (e) => {
     e.stopPropagation();
     
@@ -1056,18 +1523,8 @@ const ApsaraWidget = () => {
           // Draw current frame to canvas
           ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
           
-          // Convert to base64 JPEG
-          const dataURL = canvas.toDataURL('image/jpeg', 0.8);
-          const base64data = dataURL.split(',')[1];
-          
-          // Send frame to backend
-          wsRef.current.send(JSON.stringify({
-            type: 'video',
-            data: base64data,
-            mimeType: 'image/jpeg'
-          }));
-          
-          debugLog('📹 Sent screen frame');
+          // Send JPEG frame to backend
+          sendCanvasFrame(canvas, 'video');
         } catch (err) {
           console.error('Error capturing frame:', err);
         }
@@ -1229,18 +1686,8 @@ const ApsaraWidget = () => {
           // Draw current frame to canvas
           ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
           
-          // Convert to base64 JPEG
-          const dataURL = canvas.toDataURL('image/jpeg', 0.8);
-          const base64data = dataURL.split(',')[1];
-          
-          // Send frame to backend
-          wsRef.current.send(JSON.stringify({
-            type: 'camera',
-            data: base64data,
-            mimeType: 'image/jpeg'
-          }));
-          
-          debugLog('📷 Sent camera frame');
+          // Send JPEG frame to backend
+          sendCanvasFrame(canvas, 'camera');
         } catch (err) {
           console.error('Error capturing camera frame:', err);
         }
@@ -1333,6 +1780,17 @@ const ApsaraWidget = () => {
       return;
     }
 
+    // Tools whose dependencies are missing on the backend can be turned off but not on
+    const toggledTool = availableTools.find(tool => tool.id === toolId);
+    if (toggledTool && toggledTool.available === false && !toggledTool.enabled) {
+      setStatusText(`${toggledTool.name} unavailable`);
+      setTimeout(() => {
+        setStatusText('Talk to Apsara');
+      }, 2000);
+      debugLog(`🚫 ${toggledTool.name} unavailable: ${toggledTool.unavailableReason}`);
+      return;
+    }
+
     try {
       // Update local state optimistically
       const updatedTools = availableTools.map(tool => 
@@ -1347,7 +1805,7 @@ const ApsaraWidget = () => {
       });
 
       // Send update to backend
-      const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools/update`, {
+      const response = await backendFetch('/api/tools/update', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1369,7 +1827,7 @@ const ApsaraWidget = () => {
       } else {
         console.error('❌ Failed to update tools:', data.error);
         // Revert on error - refetch tools
-        const fetchResponse = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools`);
+        const fetchResponse = await backendFetch('/api/tools');
         const fetchData = await fetchResponse.json();
         if (fetchData.success) {
           setAvailableTools(fetchData.tools);
@@ -1407,7 +1865,7 @@ const ApsaraWidget = () => {
       });
 
       // Send update to backend
-      const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools/update`, {
+      const response = await backendFetch('/api/tools/update', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1427,6 +1885,46 @@ const ApsaraWidget = () => {
     }
   };
 
+  // Handle approval policy toggle (allow → ask → deny)
+  const handleApprovalToggle = async (toolId, e) => {
+    e.stopPropagation(); // Prevent tool toggle
+
+    if (isConnected) {
+      setStatusText('Stop session first!');
+      setTimeout(() => {
+        setStatusText('Talk to Apsara');
+      }, 2000);
+      debugLog('🚫 Cannot change approval policies while connected');
+      return;
+    }
+
+    const tool = availableTools.find(candidate => candidate.id === toolId);
+    const approval = APPROVAL_POLICIES[(APPROVAL_POLICIES.indexOf(tool.approval) + 1) % APPROVAL_POLICIES.length];
+    setAvailableTools(availableTools.map(candidate =>
+      candidate.id === toolId ? { ...candidate, approval } : candidate
+    ));
+
+    try {
+      const response = await backendFetch('/api/tools/update', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ approvals: { [toolId]: approval } })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        debugLog(`✅ ${toolId} approval policy: ${approval}`);
+      } else {
+        console.error('❌ Failed to update approval policy:', data.error);
+      }
+    } catch (error) {
+      console.error('❌ Error toggling approval policy:', error);
+    }
+  };
+
   // Handle image model toggle
   const handleImageModelToggle = async (e) => {
     e.stopPropagation();
@@ -1450,7 +1948,7 @@ const ApsaraWidget = () => {
       setAvailableTools(updatedTools);
 
       // Send update to backend
-      const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools/update`, {
+      const response = await backendFetch('/api/tools/update', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1483,16 +1981,16 @@ const ApsaraWidget = () => {
 
     try {
       console.log('🔄 Enabling all tools...');
-      // Enable all tools
+      // Enable all tools whose dependencies are installed
       const enabled = {};
       availableTools.forEach(tool => {
-        enabled[tool.id] = true;
+        enabled[tool.id] = tool.available !== false;
       });
 
       console.log('📤 Sending to backend:', enabled);
 
       // Send update to backend (backend expects 'tools' not 'enabled')
-      const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools/update`, {
+      const response = await backendFetch('/api/tools/update', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1506,7 +2004,7 @@ const ApsaraWidget = () => {
       if (data.success) {
         // Refresh tools from backend
         console.log('🔄 Refreshing tools list...');
-        const fetchResponse = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools`);
+        const fetchResponse = await backendFetch('/api/tools');
         const fetchData = await fetchResponse.json();
         console.log('📥 Fetched tools:', fetchData);
         
@@ -1517,7 +2015,11 @@ const ApsaraWidget = () => {
             name: tool.name,
             description: tool.description,
             enabled: tool.enabled,
-            async: tool.async
+            async: tool.async,
+            available: tool.available,
+            unavailableReason: tool.unavailableReason,
+            approval: tool.approval,
+            mcpServer: tool.mcpServer
           }));
           setAvailableTools(freshTools);
           console.log('✅ All tools enabled', freshTools);
@@ -1559,7 +2061,7 @@ const ApsaraWidget = () => {
       console.log('📤 Sending to backend:', enabled);
 
       // Send update to backend (backend expects 'tools' not 'enabled')
-      const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools/update`, {
+      const response = await backendFetch('/api/tools/update', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1573,7 +2075,7 @@ const ApsaraWidget = () => {
       if (data.success) {
         // Refresh tools from backend
         console.log('🔄 Refreshing tools list...');
-        const fetchResponse = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/tools`);
+        const fetchResponse = await backendFetch('/api/tools');
         const fetchData = await fetchResponse.json();
         console.log('📥 Fetched tools:', fetchData);
         
@@ -1584,7 +2086,11 @@ const ApsaraWidget = () => {
             name: tool.name,
             description: tool.description,
             enabled: tool.enabled,
-            async: tool.async
+            async: tool.async,
+            available: tool.available,
+            unavailableReason: tool.unavailableReason,
+            approval: tool.approval,
+            mcpServer: tool.mcpServer
           }));
           setAvailableTools(freshTools);
           console.log('✅ All tools disabled', freshTools);
@@ -1608,7 +2114,7 @@ const ApsaraWidget = () => {
   const handleEmailImage = async (imageData) => {
     try {
       debugLog('📧 Emailing generated image...');
-      const response = await fetch(`${BACKEND_WS_URL.replace('ws://', 'http://').replace('wss://', 'https://')}/api/email-image`, {
+      const response = await backendFetch('/api/email-image', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1677,6 +2183,85 @@ const ApsaraWidget = () => {
     }
   };
 
+  // Update voice / reply language (saved as the default for new sessions)
+  const handleSpeechSettingsChange = async (update) => {
+    const previous = speechSettings;
+    setSpeechSettings({ ...speechSettings, ...update });
+
+    try {
+      const response = await backendFetch('/api/settings/update', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(update)
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+      setSpeechSettings(data.speech);
+      debugLog('🗣️ Speech settings updated:', data.speech);
+    } catch (error) {
+      console.error('❌ Error updating speech settings:', error);
+      setSpeechSettings(previous); // Revert on error
+    }
+  };
+
+  // Play a short sample of a voice (PCM16 24kHz from backend)
+  const handleVoicePreview = async (voiceName) => {
+    const response = await backendFetch('/api/settings/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ voiceName, languageCode: speechSettings.languageCode })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+
+    const binaryString = atob(data.audio);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+
+    // Separate context so previews never mix into the live conversation queue
+    const previewContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 24000 });
+    const audioBuffer = previewContext.createBuffer(1, bytes.length / 2, 24000);
+    const channelData = audioBuffer.getChannelData(0);
+    const dataView = new DataView(bytes.buffer);
+    for (let i = 0; i < channelData.length; i++) {
+      channelData[i] = dataView.getInt16(i * 2, true) / 32768.0;
+    }
+
+    const source = previewContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(previewContext.destination);
+    await new Promise(resolve => {
+      source.onended = resolve;
+      source.start();
+    });
+    previewContext.close();
+  };
+
+  // Answer the oldest tool approval request
+  const handleApprovalAnswer = (requestId, approved, remember) => {
+    setApprovalRequests(requests => requests.filter(request => request.requestId !== requestId));
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: 'tool_approval_response', requestId, approved, remember }));
+    debugLog(`🙋 Tool call ${approved ? 'approved' : 'denied'}${remember ? ' for this session' : ''}`);
+  };
+
+  // Query the tool audit log (used by AuditPanel)
+  const fetchAudit = useCallback(async (params) => {
+    const response = await backendFetch(`/api/audit?${new URLSearchParams(params)}`);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Could not load the audit log');
+    }
+    return data;
+  }, []);
+
   const handleCloseImageViewer = () => {
     setGeneratedImage(null);
   };
@@ -1688,6 +2273,9 @@ const ApsaraWidget = () => {
       stopAudioPlayback();
       stopScreenShare();
       stopCamera();
+      if (captionTimeoutRef.current) {
+        clearTimeout(captionTimeoutRef.current);
+      }
       if (wsRef.current) {
         wsRef.current.close();
       }
@@ -1718,6 +2306,16 @@ const ApsaraWidget = () => {
 
         <div className="widget-content">
           <span className="widget-text">{statusText}</span>
+          {usage && (
+            <span className="widget-usage" title={formatUsageDetails(usage)}>
+              {formatTokenCount(usage.totalTokens)} tok
+            </span>
+          )}
+          {caption && (
+            <span className={`widget-caption ${caption.speaker}`} title={caption.text}>
+              {caption.speaker === 'user' ? 'You' : 'Apsara'}: {caption.text}
+            </span>
+          )}
         </div>
 
         {/* Control buttons */}
@@ -1894,6 +2492,99 @@ const ApsaraWidget = () => {
           </svg>
         </button>
 
+        {/* Chat button - type instead of talking */}
+        <button
+          className={`tools-button chat-button ${showChatPanel ? 'active' : ''}`}
+          onClick={(e) => { e.stopPropagation(); setShowChatPanel(!showChatPanel); }}
+          title="Chat"
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+          </svg>
+        </button>
+
+        {/* Chat panel - Opens upward */}
+        {showChatPanel && ReactDOM.createPortal(
+          <div className={`apsara-widget theme-${currentTheme}`}>
+            <ChatPanel
+              messages={chatMessages}
+              modality={modality}
+              isConnected={isConnected}
+              canExport={!!exportSessionId}
+              onSend={handleChatSend}
+              onModalityChange={handleModalityChange}
+              onExport={handleExport}
+              onClose={() => setShowChatPanel(false)}
+            />
+          </div>,
+          document.body
+        )}
+
+        {/* Voice settings button */}
+        <button
+          className={`tools-button voice-button ${showVoiceSettings ? 'active' : ''}`}
+          onClick={(e) => { e.stopPropagation(); setShowVoiceSettings(!showVoiceSettings); }}
+          title="Voice & language"
+        >
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+            <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+            <path d="M19.07 4.93a10 10 0 0 1 0 14.14"></path>
+          </svg>
+        </button>
+
+        {/* Voice settings panel - Opens upward */}
+        {showVoiceSettings && ReactDOM.createPortal(
+          <div className={`apsara-widget theme-${currentTheme}`}>
+            <VoiceSettingsPanel
+              speech={speechSettings}
+              voices={availableVoices}
+              languages={availableLanguages}
+              isLocked={isConnected}
+              onSelectVoice={(voiceName) => handleSpeechSettingsChange({ voiceName })}
+              onSelectLanguage={(languageCode) => handleSpeechSettingsChange({ languageCode })}
+              onPreview={handleVoicePreview}
+            />
+          </div>,
+          document.body
+        )}
+
+        {/* Device pairing panel - shown when the backend requires a token */}
+        {showPairing && ReactDOM.createPortal(
+          <div className={`apsara-widget theme-${currentTheme}`}>
+            <PairingPanel
+              onRequest={handlePairingRequest}
+              onConfirm={handlePairingConfirm}
+              onClose={() => { setShowPairing(false); setStatusText('Talk to Apsara'); }}
+            />
+          </div>,
+          document.body
+        )}
+
+        {/* Tool audit log panel - opened from the tools selector */}
+        {showAuditPanel && ReactDOM.createPortal(
+          <div className={`apsara-widget theme-${currentTheme}`}>
+            <AuditPanel
+              tools={availableTools}
+              onFetch={fetchAudit}
+              onClose={() => setShowAuditPanel(false)}
+            />
+          </div>,
+          document.body
+        )}
+
+        {/* Tool approval dialog - a tool call is waiting for the user */}
+        {approvalRequests.length > 0 && ReactDOM.createPortal(
+          <div className={`apsara-widget theme-${currentTheme}`}>
+            <ToolApprovalDialog
+              request={approvalRequests[0]}
+              queuedCount={approvalRequests.length - 1}
+              onAnswer={handleApprovalAnswer}
+            />
+          </div>,
+          document.body
+        )}
+
         {/* Settings/Theme button */}
         <button
           className="settings-button"
@@ -1961,6 +2652,13 @@ const ApsaraWidget = () => {
                     >
                       ✗ Clear
                     </button>
+                    <button
+                      className="action-button audit-log"
+                      onClick={() => { setShowToolsSelector(false); setShowAuditPanel(true); }}
+                      title="What tools did (audit log)"
+                    >
+                      🧾 Log
+                    </button>
                   </div>
                 )}
               </div>
@@ -1979,9 +2677,10 @@ const ApsaraWidget = () => {
                   <div className="tools-list">
                     {availableTools.map((tool) => (
                       <div
-                        key={`${tool.id}-${tool.enabled}-${tool.async}-${tool.model || ''}`}
-                        className={`tool-item ${tool.enabled ? 'enabled' : 'disabled'} ${isConnected ? 'locked' : ''}`}
+                        key={`${tool.id}-${tool.enabled}-${tool.async}-${tool.approval}-${tool.model || ''}`}
+                        className={`tool-item ${tool.enabled ? 'enabled' : 'disabled'} ${isConnected ? 'locked' : ''} ${tool.available === false ? 'unavailable' : ''}`}
                         onClick={() => handleToolToggle(tool.id)}
+                        title={tool.available === false ? tool.unavailableReason : undefined}
                       >
                         <div className="tool-checkbox">
                           {tool.enabled ? '✓' : ''}
@@ -1996,6 +2695,20 @@ const ApsaraWidget = () => {
                             >
                               {tool.async ? 'ASYNC' : 'SYNC'}
                             </span>
+                            {tool.approval && (
+                              <span
+                                className={`approval-badge ${tool.approval} ${isConnected ? 'locked' : ''}`}
+                                onClick={(e) => handleApprovalToggle(tool.id, e)}
+                                title={APPROVAL_TITLES[tool.approval]}
+                              >
+                                {tool.approval.toUpperCase()}
+                              </span>
+                            )}
+                            {tool.mcpServer && (
+                              <span className="mcp-badge" title={`From the ${tool.mcpServer} MCP server`}>
+                                MCP · {tool.mcpServer}
+                              </span>
+                            )}
                             {tool.id === 'generate_image' && tool.enabled && (
                               <span 
                                 className={`model-badge ${tool.model === 'pro' ? 'pro' : 'flash'} ${isConnected ? 'locked' : ''}`}
@@ -2007,6 +2720,9 @@ const ApsaraWidget = () => {
                             )}
                           </div>
                           <div className="tool-description">{tool.description}</div>
+                          {tool.available === false && (
+                            <div className="tool-unavailable">⚠️ {tool.unavailableReason}</div>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -0,0 +1,132 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import './AuditPanel.css';
+
+const PAGE_SIZE = 50;
+
+// Statuses of audit entries (backend/audit.js)
+const STATUSES = ['success', 'error', 'invalid', 'denied', 'timeout', 'cancelled', 'rate_limited'];
+
+// Time of an entry - with the date unless it is from today
+const formatTime = (at) => {
+  const date = new Date(at);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+};
+
+// Tool audit log viewer: every tool call with its status, what it touched and its (redacted) args
+const AuditPanel = ({ tools, onFetch, onClose }) => {
+  const [filters, setFilters] = useState({ tool: '', status: '', day: '', q: '' });
+  const [query, setQuery] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const load = useCallback(async (offset = 0) => {
+    setIsLoading(true);
+    setErrorMessage('');
+    try {
+      const params = { limit: PAGE_SIZE, offset };
+      if (filters.tool) params.tool = filters.tool;
+      if (filters.status) params.status = filters.status;
+      if (filters.day) {
+        params.since = filters.day;
+        params.until = filters.day;
+      }
+      if (filters.q) params.q = filters.q;
+      const data = await onFetch(params);
+      setEntries(current => (offset === 0 ? data.entries : [...current, ...data.entries]));
+      setTotal(data.total);
+    } catch (error) {
+      setErrorMessage(`❌ ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, onFetch]);
+
+  useEffect(() => {
+    load(0);
+  }, [load]);
+
+  const setFilter = (name, value) => setFilters(current => ({ ...current, [name]: value }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilter('q', query.trim());
+  };
+
+  return (
+    <div className="audit-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="audit-panel-header">
+        <div className="panel-title">🧾 Tool Audit Log</div>
+        <button className="audit-icon-button" onClick={() => load(0)} title="Refresh" disabled={isLoading}>⟳</button>
+        <button className="audit-icon-button" onClick={onClose} title="Close">✕</button>
+      </div>
+
+      <div className="audit-filters">
+        <select value={filters.tool} onChange={(e) => setFilter('tool', e.target.value)}>
+          <option value="">All tools</option>
+          {tools.map(tool => (
+            <option key={tool.id} value={tool.id}>{tool.name}</option>
+          ))}
+        </select>
+        <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+          <option value="">Any status</option>
+          {STATUSES.map(status => (
+            <option key={status} value={status}>{status.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <input type="date" value={filters.day} onChange={(e) => setFilter('day', e.target.value)} title="Only this day" />
+        <form onSubmit={handleSearch}>
+          <input
+            value={query}
+            placeholder="Path, URL or text…"
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </form>
+      </div>
+
+      <div className="audit-entries">
+        {entries.length === 0 && !isLoading && (
+          <div className="audit-empty">{errorMessage || 'No tool calls recorded'}</div>
+        )}
+        {entries.map(entry => (
+          <div
+            key={entry.id}
+            className={`audit-entry ${expandedId === entry.id ? 'expanded' : ''}`}
+            onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+          >
+            <div className="audit-entry-line">
+              <span className="audit-time">{formatTime(entry.at)}</span>
+              <span className="audit-tool">{entry.toolName}</span>
+              <span className={`audit-status ${entry.status}`}>{entry.status.replace('_', ' ')}</span>
+              <span className="audit-duration">{entry.durationMs}ms</span>
+            </div>
+            {(entry.files.length > 0 || entry.urls.length > 0) && (
+              <div className="audit-touched">{[...entry.files, ...entry.urls].join(' · ')}</div>
+            )}
+            {expandedId === entry.id && (
+              <div className="audit-details">
+                {entry.error && <div className="audit-error">{entry.error}</div>}
+                {entry.approval && <div>Approval: {entry.approval}</div>}
+                <div>Session: {entry.sessionId.slice(0, 8)}{entry.client ? ` · ${entry.client}` : ''}</div>
+                {entry.mcpServer && <div>MCP server: {entry.mcpServer}</div>}
+                <pre>{JSON.stringify(entry.args, null, 2)}</pre>
+              </div>
+            )}
+          </div>
+        ))}
+        {entries.length < total && (
+          <button className="audit-more" onClick={() => load(entries.length)} disabled={isLoading}>
+            {isLoading ? 'Loading…' : `Show more (${total - entries.length})`}
+          </button>
+        )}
+      </div>
+
+      {errorMessage && entries.length > 0 && <div className="audit-empty">{errorMessage}</div>}
+    </div>
+  );
+};
+
+export default AuditPanel;
@@ -0,0 +1,239 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './ChatPanel.css';
+
+// Inline Markdown: `code`, **bold**, *italic* / _italic_, [label](url)
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*)|(_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/g;
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  // matchAll scans a copy of the pattern, so the nested bold/italic calls can't reset this loop
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+    const token = match[0];
+    const key = `${keyPrefix}-${match.index}`;
+
+    if (match[1]) {
+      nodes.push(<code key={key} className="chat-inline-code">{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{renderInline(token.slice(2, -2), key)}</strong>);
+    } else if (match[3] || match[4]) {
+      nodes.push(<em key={key}>{renderInline(token.slice(1, -1), key)}</em>);
+    } else {
+      const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(token);
+      const safeHref = /^(https?:|mailto:)/i.test(href) ? href : '#';
+      nodes.push(<a key={key} href={safeHref} target="_blank" rel="noopener noreferrer">{label}</a>);
+    }
+    lastIndex = match.index + token.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+};
+
+// Block Markdown: fenced code, headings, bullet/numbered lists and paragraphs
+const MarkdownText = ({ text }) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `block-${i}`;
+
+    // Fenced code block (an unterminated fence renders as code while the reply streams in)
+    const fence = /^```\s*([\w+-]*)\s*$/.exec(line.trim());
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && lines[i].trim() !== '```') {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      blocks.push(
+        <pre key={key} className="chat-code-block">
+          {fence[1] && <span className="chat-code-lang">{fence[1]}</span>}
+          <code>{codeLines.join('\n')}</code>
+        </pre>
+      );
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      const Tag = `h${Math.min(heading[1].length + 3, 6)}`;
+      blocks.push(<Tag key={key} className="chat-heading">{renderInline(heading[2], key)}</Tag>);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*+]|\d+\.)\s+/.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      while (i < lines.length && /^\s*([-*+]|\d+\.)\s+/.test(lines[i])) {
+        items.push(<li key={`item-${i}`}>{renderInline(lines[i].replace(/^\s*([-*+]|\d+\.)\s+/, ''), `item-${i}`)}</li>);
+        i++;
+      }
+      blocks.push(ordered ? <ol key={key}>{items}</ol> : <ul key={key}>{items}</ul>);
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^```/.test(lines[i].trim()) &&
+      !/^#{1,6}\s+/.test(lines[i]) &&
+      !/^\s*([-*+]|\d+\.)\s+/.test(lines[i])
+    ) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push(<p key={key}>{renderInline(paragraph.join('\n'), key)}</p>);
+  }
+
+  return <div className="chat-markdown">{blocks}</div>;
+};
+
+// Download formats of /api/sessions/:id/export
+const EXPORT_FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON' },
+  { format: 'html', label: 'HTML page' }
+];
+
+const ChatPanel = ({ messages, modality, isConnected, canExport, onSend, onModalityChange, onExport, onClose }) => {
+  const [draft, setDraft] = useState('');
+  const [showExport, setShowExport] = useState(false);
+  const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Keep the newest message in view while replies stream in
+  useEffect(() => {
+    if (messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ block: 'end' });
+    }
+  }, [messages]);
+
+  useEffect(() => {
+    if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    onSend(text);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter sends, Shift+Enter adds a new line
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  };
+
+  return (
+    <div className="chat-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="chat-panel-header">
+        <div className="panel-title">Chat with Apsara</div>
+        <div className="chat-modality-switch" title="How Apsara replies">
+          <button
+            className={modality === 'TEXT' ? 'active' : ''}
+            onClick={() => onModalityChange('TEXT')}
+          >
+            ⌨️ Text
+          </button>
+          <button
+            className={modality === 'AUDIO' ? 'active' : ''}
+            onClick={() => onModalityChange('AUDIO')}
+          >
+            🔊 Voice
+          </button>
+        </div>
+        <button
+          className="chat-export-button"
+          onClick={() => setShowExport(!showExport)}
+          disabled={!canExport}
+          title={canExport ? 'Export conversation' : 'Nothing to export yet'}
+        >
+          ⤓
+        </button>
+        <button className="chat-close-button" onClick={onClose} title="Close chat">
+          ✕
+        </button>
+      </div>
+
+      {showExport && canExport && (
+        <div className="chat-export-row">
+          <span>Export as</span>
+          {EXPORT_FORMATS.map(({ format, label }) => (
+            <button key={format} onClick={() => { setShowExport(false); onExport(format); }}>
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="chat-messages">
+        {messages.length === 0 ? (
+          <div className="chat-empty">
+            {modality === 'TEXT'
+              ? 'Type a message - Apsara will reply in text, no microphone needed.'
+              : 'Type a message - Apsara will reply by voice.'}
+          </div>
+        ) : (
+          messages.map((msg) => (
+            <div key={msg.id} className={`chat-message ${msg.role} ${msg.pending ? 'pending' : ''}`}>
+              {msg.role === 'assistant' && msg.thoughts?.length > 0 && (
+                <details className="chat-reasoning">
+                  <summary>{msg.pending && !msg.text ? 'Thinking…' : `Reasoning (${msg.thoughts.length})`}</summary>
+                  {msg.thoughts.map((thought, i) => (
+                    <MarkdownText key={i} text={thought} />
+                  ))}
+                </details>
+              )}
+              {msg.role === 'assistant' ? <MarkdownText text={msg.text} /> : msg.text}
+            </div>
+          ))
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      <form className="chat-input-row" onSubmit={handleSubmit}>
+        <textarea
+          ref={inputRef}
+          className="chat-input"
+          rows={1}
+          value={draft}
+          placeholder={isConnected ? 'Message Apsara...' : 'Message Apsara (starts a session)...'}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        <button type="submit" className="chat-send-button" disabled={!draft.trim()} title="Send">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="22" y1="2" x2="11" y2="13"></line>
+            <polygon points="22 2 15 22 11 13 2 9 22 2"></polygon>
+          </svg>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,67 @@
+import { render, screen } from '@testing-library/react';
+import ChatPanel from './ChatPanel';
+
+beforeAll(() => {
+  // jsdom has no layout, so it doesn't implement scrolling
+  Element.prototype.scrollIntoView = jest.fn();
+});
+
+const renderReply = (text, extra = {}) => render(
+  <ChatPanel
+    messages={[{ id: 'm1', role: 'assistant', text, ...extra }]}
+    modality="TEXT"
+    isConnected
+    canExport={false}
+    onSend={() => {}}
+    onModalityChange={() => {}}
+    onExport={() => {}}
+    onClose={() => {}}
+  />
+);
+
+test('renders bold and italic text in a sentence', () => {
+  const { container } = renderReply('this is **bold** text and *it* and more');
+  const paragraph = container.querySelector('.chat-markdown p');
+  expect(paragraph).toHaveTextContent('this is bold text and it and more');
+  expect(paragraph.querySelector('strong')).toHaveTextContent('bold');
+  expect(paragraph.querySelector('em')).toHaveTextContent('it');
+});
+
+test('renders nested and adjacent inline markup', () => {
+  const { container } = renderReply('**bold _and italic_**`code`*one**two*_three_ see [docs](https://example.com/docs) or [this](javascript:alert(1))');
+  const paragraph = container.querySelector('.chat-markdown p');
+
+  const strong = paragraph.querySelector('strong');
+  expect(strong).toHaveTextContent('bold and italic');
+  expect(strong.querySelector('em')).toHaveTextContent('and italic');
+  expect(paragraph.querySelector('code')).toHaveTextContent('code');
+  expect([...paragraph.querySelectorAll(':scope > em')].map(node => node.textContent)).toEqual(['one', 'two', 'three']);
+
+  expect(screen.getByText('docs')).toHaveAttribute('href', 'https://example.com/docs');
+  expect(screen.getByText('this')).toHaveAttribute('href', '#');
+});
+
+test('renders markup inside headings and list items', () => {
+  const { container } = renderReply('## A **big** title\n- first *item*\n- `second`');
+  expect(container.querySelector('h5 strong')).toHaveTextContent('big');
+  const items = container.querySelectorAll('li');
+  expect(items[0].querySelector('em')).toHaveTextContent('item');
+  expect(items[1].querySelector('code')).toHaveTextContent('second');
+});
+
+test('renders thought summaries with bold headers in the reasoning drawer', () => {
+  const { container } = renderReply('Done.', {
+    thoughts: ['**Planning the reply**\n\nI should keep it *short*.', '**Checking** the `config`']
+  });
+  const drawer = container.querySelector('.chat-reasoning');
+  expect(drawer.querySelector('summary')).toHaveTextContent('Reasoning (2)');
+  expect([...drawer.querySelectorAll('strong')].map(node => node.textContent)).toEqual(['Planning the reply', 'Checking']);
+  expect(drawer.querySelector('em')).toHaveTextContent('short');
+  expect(drawer.querySelector('code')).toHaveTextContent('config');
+});
+
+test('shows Thinking… while only thoughts have arrived', () => {
+  const { container } = renderReply('', { pending: true, thoughts: ['**Header** only'] });
+  expect(container.querySelector('.chat-reasoning summary')).toHaveTextContent('Thinking…');
+  expect(container.querySelector('.chat-reasoning strong')).toHaveTextContent('Header');
+});
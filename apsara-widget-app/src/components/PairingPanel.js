@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import './PairingPanel.css';
+
+// Pair this widget with a backend that requires authentication:
+// request a pairing code (printed on the backend console), then enter it to get a device token
+const PairingPanel = ({ onRequest, onConfirm, onClose }) => {
+  const [step, setStep] = useState('name'); // 'name' -> 'code'
+  const [deviceName, setDeviceName] = useState(() => `Apsara widget (${navigator.platform || 'unknown'})`);
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setErrorMessage('');
+    try {
+      await action();
+    } catch (error) {
+      setErrorMessage(`❌ ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRequest = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await onRequest(deviceName.trim());
+      setStep('code');
+    });
+  };
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    run(() => onConfirm(code.trim()));
+  };
+
+  return (
+    <div className="pairing-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="panel-title">
+        🔐 Pair this device
+        <button className="pairing-close-button" onClick={onClose} title="Close">✕</button>
+      </div>
+
+      {step === 'name' ? (
+        <form onSubmit={handleRequest}>
+          <p className="pairing-hint">The backend requires authentication. Name this device to request a pairing code.</p>
+          <input
+            className="pairing-input"
+            value={deviceName}
+            maxLength={60}
+            onChange={(e) => setDeviceName(e.target.value)}
+            autoFocus
+          />
+          <button className="pairing-submit" type="submit" disabled={isBusy || !deviceName.trim()}>
+            {isBusy ? 'Requesting…' : 'Request code'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleConfirm}>
+          <p className="pairing-hint">Enter the 6-digit code printed in the backend console.</p>
+          <input
+            className="pairing-input pairing-code"
+            value={code}
+            inputMode="numeric"
+            maxLength={6}
+            placeholder="000000"
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            autoFocus
+          />
+          <button className="pairing-submit" type="submit" disabled={isBusy || code.length !== 6}>
+            {isBusy ? 'Pairing…' : 'Pair'}
+          </button>
+          <button className="pairing-link" type="button" onClick={() => setStep('name')} disabled={isBusy}>
+            Request a new code
+          </button>
+        </form>
+      )}
+
+      {errorMessage && <div className="pairing-error">{errorMessage}</div>}
+    </div>
+  );
+};
+
+export default PairingPanel;
@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from 'react';
+import './ToolApprovalDialog.css';
+
+// Ask the user to approve a tool call the backend holds back (tools whose policy is "ask").
+// Shows the oldest pending request; the backend denies it on its own once expiresAt passes.
+const ToolApprovalDialog = ({ request, queuedCount, onAnswer }) => {
+  const [remember, setRemember] = useState(false);
+  const [showArgs, setShowArgs] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    setRemember(false);
+    setShowArgs(false);
+    const update = () => setSecondsLeft(Math.max(0, Math.ceil((new Date(request.expiresAt) - Date.now()) / 1000)));
+    update();
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [request]);
+
+  return (
+    <div className="tool-approval-dialog" onClick={(e) => e.stopPropagation()}>
+      <div className="panel-title">
+        🙋 Allow {request.toolName}?
+        {secondsLeft !== null && <span className="tool-approval-countdown">{secondsLeft}s</span>}
+      </div>
+      <div className="tool-approval-summary">{request.summary}</div>
+
+      <button className="tool-approval-link" onClick={() => setShowArgs(!showArgs)}>
+        {showArgs ? 'Hide details' : 'Show details'}
+      </button>
+      {showArgs && (
+        <pre className="tool-approval-args">{JSON.stringify(request.args, null, 2)}</pre>
+      )}
+
+      <label className="tool-approval-remember">
+        <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+        Don&apos;t ask again for {request.toolName} this session
+      </label>
+
+      <div className="tool-approval-actions">
+        <button className="tool-approval-deny" onClick={() => onAnswer(request.requestId, false, false)}>
+          Deny
+        </button>
+        <button className="tool-approval-approve" onClick={() => onAnswer(request.requestId, true, remember)} autoFocus>
+          Approve
+        </button>
+      </div>
+
+      {queuedCount > 0 && (
+        <div className="tool-approval-queue">{queuedCount} more waiting</div>
+      )}
+    </div>
+  );
+};
+
+export default ToolApprovalDialog;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import './VoiceSettingsPanel.css';
+
+const VoiceSettingsPanel = ({ speech, voices, languages, isLocked, onSelectVoice, onSelectLanguage, onPreview }) => {
+  const [previewingVoice, setPreviewingVoice] = useState(null);
+  const [statusMessage, setStatusMessage] = useState('');
+
+  const handlePreview = async (voiceName, e) => {
+    e.stopPropagation();
+    setPreviewingVoice(voiceName);
+    setStatusMessage('');
+    try {
+      await onPreview(voiceName);
+    } catch (error) {
+      setStatusMessage(`❌ Preview failed: ${error.message}`);
+      setTimeout(() => setStatusMessage(''), 5000);
+    } finally {
+      setPreviewingVoice(null);
+    }
+  };
+
+  return (
+    <div className="voice-settings-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="panel-title">
+        Voice &amp; Language {isLocked && <span className="warning-text">(Stop session first)</span>}
+      </div>
+
+      {voices.length === 0 ? (
+        <div className="voice-settings-error">Backend not running</div>
+      ) : (
+        <>
+          <label className="voice-language-row">
+            <span>Reply language</span>
+            <select
+              value={speech.languageCode}
+              disabled={isLocked}
+              onChange={(e) => onSelectLanguage(e.target.value)}
+            >
+              {languages.map((language) => (
+                <option key={language.code || 'auto'} value={language.code}>
+                  {language.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="voice-list">
+            {voices.map((voice) => (
+              <div
+                key={voice.name}
+                className={`voice-item ${speech.voiceName === voice.name ? 'selected' : ''} ${isLocked ? 'locked' : ''}`}
+                onClick={() => !isLocked && onSelectVoice(voice.name)}
+              >
+                <div className="voice-info">
+                  <div className="voice-name">
+                    {speech.voiceName === voice.name && '✓ '}{voice.name}
+                  </div>
+                  <div className="voice-style">{voice.style}</div>
+                </div>
+                <button
+                  className="voice-preview-button"
+                  onClick={(e) => handlePreview(voice.name, e)}
+                  disabled={previewingVoice !== null}
+                  title={`Preview ${voice.name}`}
+                >
+                  {previewingVoice === voice.name ? '…' : '▶'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {statusMessage && (
+        <div className="voice-settings-status">
+          {statusMessage}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceSettingsPanel;
@@ -0,0 +1,36 @@
+// Generated from backend/protocol.js by `npm run generate:protocol` in backend/ - do not edit.
+
+export const PROTOCOL_VERSION = 1;
+
+export const FRAME_VERSION = 1;
+
+export const FRAME_HEADER_BYTES = 12;
+
+export const STREAM_TYPES = {
+  AUDIO_INPUT: 1,
+  SCREEN: 2,
+  CAMERA: 3,
+  AUDIO_OUTPUT: 4
+};
+
+export const FRAME_FORMATS = {
+  PCM16: 0,
+  JPEG: 1,
+  PNG: 2,
+  WEBP: 3
+};
+
+export const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  INVALID_FRAME: 'INVALID_FRAME',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  NOT_READY: 'NOT_READY',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export const CLIENT_MESSAGE_TYPES = ['hello', 'audio', 'video', 'camera', 'text', 'interrupt', 'set_modality', 'set_session_config', 'tool_approval_response'];
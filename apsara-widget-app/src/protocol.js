@@ -0,0 +1,54 @@
+// Apsara Live WebSocket protocol - widget side.
+// The constants come from protocol.generated.js (generated from backend/protocol.js, the reference
+// with the full message schemas); this file adds what only the widget needs.
+import { PROTOCOL_VERSION, FRAME_VERSION, FRAME_HEADER_BYTES, FRAME_FORMATS } from './protocol.generated';
+
+export * from './protocol.generated';
+
+// Features the widget understands (sent in the hello handshake)
+export const CLIENT_CAPABILITIES = [
+  'audio',
+  'video',
+  'camera',
+  'text',
+  'modality',
+  'transcripts',
+  'thoughts',
+  'usage',
+  'resumption',
+  'binary_frames',
+  'tool_approval'
+];
+
+// First message after the socket opens
+export const createHello = () => ({
+  type: 'hello',
+  protocolVersion: PROTOCOL_VERSION,
+  client: { name: 'apsara-widget' },
+  capabilities: CLIENT_CAPABILITIES
+});
+
+// Build a binary frame from an ArrayBuffer payload (header layout documented in backend/protocol.js)
+export const encodeFrame = (streamType, payload, format = FRAME_FORMATS.PCM16) => {
+  const frame = new Uint8Array(FRAME_HEADER_BYTES + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, streamType);
+  view.setUint8(2, format);
+  view.setFloat64(4, Date.now()); // big-endian
+  frame.set(new Uint8Array(payload), FRAME_HEADER_BYTES);
+  return frame.buffer;
+};
+
+// Split a binary frame (ArrayBuffer) into header fields and payload, or null if malformed
+export const decodeFrame = (buffer) => {
+  if (buffer.byteLength < FRAME_HEADER_BYTES) return null;
+  const view = new DataView(buffer);
+  if (view.getUint8(0) !== FRAME_VERSION) return null;
+  return {
+    streamType: view.getUint8(1),
+    format: view.getUint8(2),
+    timestamp: view.getFloat64(4),
+    payload: buffer.slice(FRAME_HEADER_BYTES)
+  };
+};
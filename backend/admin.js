@@ -0,0 +1,44 @@
+/**
+ * Apsara Live - Admin view of live sessions
+ * Stats behind GET /api/admin/sessions and the /admin page (backend/admin.html): who is
+ * connected, in which modality, what they stream and which tools they use.
+ */
+
+const path = require('path');
+
+const ADMIN_PAGE_FILE = path.join(__dirname, 'admin.html');
+
+/**
+ * Admin summary of a live session
+ * @param {Object} session - Session from sessions.js
+ * @returns {Object} Session stats
+ */
+function describeSession(session) {
+  const { media } = session;
+  return {
+    sessionId: session.id,
+    client: session.auth?.deviceName || session.auth?.via || null,
+    auth: session.auth?.via || null,
+    clientApp: session.protocol?.client?.name || null,
+    protocolVersion: session.protocol?.version || null,
+    connectedAt: session.createdAt,
+    connectedForMs: Date.now() - new Date(session.createdAt).getTime(),
+    modality: session.modality,
+    model: session.modelConfig.model,
+    media: {
+      screenFrames: media.screen.frames,
+      cameraFrames: media.camera.frames,
+      audioBytes: media.audio.bytes,
+      lastFrameAt: [media.screen.lastFrameAt, media.camera.lastFrameAt].filter(Boolean).sort().pop() || null,
+      lastAudioAt: media.audio.lastChunkAt
+    },
+    enabledTools: Object.keys(session.toolConfig.enabled).filter(name => session.toolConfig.enabled[name]),
+    lastToolCall: session.lastToolCall,
+    totalTokens: session.usage.totals.totalTokens
+  };
+}
+
+module.exports = {
+  describeSession,
+  ADMIN_PAGE_FILE
+};
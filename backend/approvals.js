@@ -0,0 +1,167 @@
+/**
+ * Apsara Live - Tool call approvals
+ * Every tool has an approval policy in the session's tool configuration:
+ *
+ *   allow  the call runs right away
+ *   ask    the widget is sent a tool_approval_request with a summary of the call and the
+ *          tool runs only once the user approves it. Denying it, or no answer within
+ *          TOOL_APPROVAL_TIMEOUT_MS, answers the model with an error instead
+ *   deny   the call never runs
+ *
+ * An approval can be remembered for the rest of the session (per tool), so the user is
+ * not asked again. Clients that do not announce the 'tool_approval' capability in their
+ * hello cannot answer, so "ask" calls from their sessions are refused.
+ */
+
+const crypto = require('crypto');
+const { getToolApproval, checkToolCall, describeToolCall, redactToolArgs, getTools } = require('./tool-registry');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('approvals');
+
+// How long the user has to answer an approval request (override with TOOL_APPROVAL_TIMEOUT_MS)
+const APPROVAL_TIMEOUT_MS = parseInt(process.env.TOOL_APPROVAL_TIMEOUT_MS, 10) || 60000;
+
+/**
+ * Fresh approval state for a session
+ * @returns {Object} { pending: Map<requestId, finish>, remembered: Set<toolId> }
+ */
+function createApprovalState() {
+  return { pending: new Map(), remembered: new Set() };
+}
+
+/**
+ * Decide whether a tool call may run, asking the user when its policy is "ask"
+ * @param {Object} session - Session making the call
+ * @param {Object} call - { id, name, args } from the model
+ * @param {Object} options
+ * @param {Function} options.send - Sends a message object to the session's client
+ * @param {AbortSignal} options.signal - Aborts the wait (cancelled tool call, disconnect)
+ * @returns {Promise<Object>} { approved: true, decision } or { approved: false, decision, result }
+ *   where decision is 'allowed', 'approved', 'remembered', 'denied', 'blocked', 'invalid',
+ *   'timeout', 'cancelled' or 'unavailable', and result is the error for the model
+ */
+async function approveToolCall(session, call, { send, signal } = {}) {
+  const { name, args } = call;
+  const policy = getToolApproval(session.toolConfig, name);
+  if (policy === 'allow') return { approved: true, decision: 'allowed' };
+
+  // Disabled tools and invalid arguments fail the same way without bothering the user
+  const problem = checkToolCall(name, args, session.toolConfig);
+  if (problem) return { approved: false, decision: 'invalid', result: problem };
+
+  if (policy === 'deny') {
+    logger.info(`⛔ ${name} blocked by its approval policy`);
+    return {
+      approved: false,
+      decision: 'blocked',
+      result: { success: false, error: `The user does not allow ${name}. Do not retry it; tell the user it is blocked in the tools settings.`, code: 'TOOL_DENIED' }
+    };
+  }
+
+  if (session.toolApprovals.remembered.has(name)) {
+    return { approved: true, decision: 'remembered' };
+  }
+
+  if (!session.protocol?.capabilities?.includes('tool_approval')) {
+    logger.warn(`⛔ ${name} needs approval, but the client cannot ask for it`);
+    return {
+      approved: false,
+      decision: 'unavailable',
+      result: { success: false, error: `${name} needs the user's approval, but this client cannot ask for it.`, code: 'APPROVAL_UNAVAILABLE' }
+    };
+  }
+
+  return askUser(session, call, { send, signal });
+}
+
+/**
+ * Send an approval request to the client and wait for its answer
+ * @param {Object} session - Session making the call
+ * @param {Object} call - { id, name, args }
+ * @param {Object} options - { send, signal }
+ * @returns {Promise<Object>} Decision (see approveToolCall)
+ */
+function askUser(session, { id: callId, name, args }, { send, signal }) {
+  const requestId = crypto.randomUUID();
+  const summary = describeToolCall(name, args);
+  const tool = getTools().find(candidate => candidate.id === name);
+
+  return new Promise((resolve) => {
+    const finish = (decision, reason) => {
+      if (!session.toolApprovals.pending.has(requestId)) return;
+      session.toolApprovals.pending.delete(requestId);
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+
+      // Close the dialog when the user did not answer (timeout, cancelled call)
+      if (decision.decision !== 'approved' && decision.decision !== 'denied') {
+        send({ type: 'tool_approval_resolved', requestId, decision: decision.decision });
+      }
+      logger.info(`${decision.approved ? '✅' : '⛔'} ${name}: ${decision.decision}${reason ? ` (${reason})` : ''}`);
+      resolve(decision);
+    };
+
+    const onAbort = () => finish({
+      approved: false,
+      decision: 'cancelled',
+      result: { success: false, error: `${name} was cancelled`, code: 'TOOL_CANCELLED' }
+    });
+
+    const timer = setTimeout(() => finish({
+      approved: false,
+      decision: 'timeout',
+      result: { success: false, error: `The user did not approve ${name} within ${APPROVAL_TIMEOUT_MS / 1000}s. Ask them whether to try again.`, code: 'APPROVAL_TIMEOUT' }
+    }), APPROVAL_TIMEOUT_MS);
+
+    session.toolApprovals.pending.set(requestId, (approved, remember) => {
+      if (approved && remember) session.toolApprovals.remembered.add(name);
+      finish(approved
+        ? { approved: true, decision: 'approved' }
+        : {
+          approved: false,
+          decision: 'denied',
+          result: { success: false, error: `The user denied ${name}. Do not retry it unless they ask again.`, code: 'TOOL_DENIED' }
+        }, remember && approved ? 'remembered for this session' : null);
+    });
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    logger.info(`🙋 Asking the user to approve ${name}: ${describeToolCall(name, redactToolArgs(name, args))}`);
+    send({
+      type: 'tool_approval_request',
+      requestId,
+      callId,
+      toolId: name,
+      toolName: tool?.name || name,
+      summary,
+      args,
+      timeoutMs: APPROVAL_TIMEOUT_MS,
+      expiresAt: new Date(Date.now() + APPROVAL_TIMEOUT_MS).toISOString()
+    });
+  });
+}
+
+/**
+ * Apply the user's answer to a pending approval request
+ * @param {Object} session - Session that received the answer
+ * @param {Object} message - { requestId, approved, remember? }
+ * @returns {boolean} Whether a pending request matched
+ */
+function answerApproval(session, { requestId, approved, remember }) {
+  const answer = session.toolApprovals.pending.get(requestId);
+  if (!answer) return false;
+  answer(approved === true, remember === true);
+  return true;
+}
+
+module.exports = {
+  createApprovalState,
+  approveToolCall,
+  answerApproval,
+  APPROVAL_TIMEOUT_MS
+};
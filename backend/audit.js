@@ -0,0 +1,233 @@
+/**
+ * Apsara Live - Tool audit log
+ * Every tool call is appended to backend/audit/<YYYY-MM-DD>.jsonl (UTC day), one entry per line,
+ * so what the assistant did to files, the desktop and the web can be reconstructed later:
+ *
+ *   { id, at, sessionId, client, tool, toolName, mcpServer?, args, status, code?, error?,
+ *     approval?, durationMs, files, urls }
+ *
+ * args are redacted like log output (secrets, tokens, base64 payloads and the arguments the
+ * tool declares in sensitiveArgs, such as email bodies) and long strings are cut. status is success, error, invalid, denied, timeout, cancelled or rate_limited.
+ * files and urls list the paths and addresses the call read, wrote or opened, taken from its
+ * arguments and result. Days older than AUDIT_RETENTION_DAYS are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { redact, createLogger } = require('./logger');
+const { DATA_DIR } = require('./config');
+const { parseDateFilter } = require('./history');
+const { getTools, redactToolArgs } = require('./tool-registry');
+
+const logger = createLogger('audit');
+
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const retentionValue = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+const RETENTION_DAYS = Number.isFinite(retentionValue) && retentionValue >= 0 ? retentionValue : 90; // 0 = keep forever
+
+const MAX_ARG_STRING = 500;
+
+// Result codes (see tool-registry.js, tool-validation.js, approvals.js) → audit status
+const STATUS_BY_CODE = {
+  INVALID_ARGUMENTS: 'invalid',
+  TOOL_DENIED: 'denied',
+  APPROVAL_TIMEOUT: 'denied',
+  APPROVAL_UNAVAILABLE: 'denied',
+  TOOL_TIMEOUT: 'timeout',
+  TOOL_CANCELLED: 'cancelled',
+  RATE_LIMITED: 'rate_limited'
+};
+const STATUSES = ['success', 'error', ...new Set(Object.values(STATUS_BY_CODE))];
+
+// Arguments and result fields that name files or directories
+const PATH_ARG_PATTERN = /(path|dir)$/i;
+const PATH_RESULT_FIELDS = ['filepath', 'oldPath', 'newPath', 'sourcePath', 'destinationPath', 'dirPath'];
+const URL_ARG_PATTERN = /^(url|uri)$|(Url|Uri)$/;
+const URL_PATTERN = /^https?:\/\//i;
+
+/**
+ * Redacted copy of tool arguments with long strings cut
+ * @param {string} name - Tool id
+ * @param {Object} args - Arguments from the model
+ * @returns {Object}
+ */
+function redactArgs(name, args) {
+  const shorten = (value) => {
+    if (typeof value === 'string') {
+      return value.length > MAX_ARG_STRING ? `${value.slice(0, MAX_ARG_STRING)}… (${value.length} chars)` : value;
+    }
+    if (Array.isArray(value)) return value.map(shorten);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, shorten(field)]));
+    }
+    return value;
+  };
+  return shorten(redactToolArgs(name, args));
+}
+
+/**
+ * Files and URLs a tool call touched, from its arguments and result
+ * @param {Object} args - Arguments from the model
+ * @param {Object} result - Tool result
+ * @returns {Object} { files, urls }
+ */
+function findTouched(args = {}, result = {}) {
+  const files = new Set();
+  const urls = new Set();
+
+  for (const [key, value] of Object.entries(args || {})) {
+    if (typeof value !== 'string' || !value) continue;
+    if (URL_ARG_PATTERN.test(key) || URL_PATTERN.test(value)) {
+      urls.add(value);
+    } else if (PATH_ARG_PATTERN.test(key)) {
+      files.add(path.resolve(value));
+    }
+  }
+  for (const field of PATH_RESULT_FIELDS) {
+    if (typeof result?.[field] === 'string') files.add(result[field]);
+  }
+  if (typeof result?.url === 'string') urls.add(result.url);
+
+  return { files: [...files], urls: [...urls] };
+}
+
+/**
+ * Audit status of a tool result
+ * @param {Object} result - Tool result
+ * @returns {string} One of STATUSES
+ */
+function statusOf(result) {
+  if (result?.success) return 'success';
+  return STATUS_BY_CODE[result?.code] || 'error';
+}
+
+/**
+ * Append a tool call to the audit log (never throws - a failed write is logged)
+ * @param {Object} session - Session that made the call
+ * @param {Object} call - { name, args, result, durationMs, approval? }
+ * @returns {Object|null} The stored entry
+ */
+function recordToolCall(session, { name, args, result, durationMs, approval }) {
+  const tool = getTools().find(candidate => candidate.id === name);
+  const at = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    at,
+    sessionId: session.id,
+    client: session.auth?.deviceName || session.auth?.via || null,
+    tool: name,
+    toolName: tool?.name || name,
+    ...(tool?.mcpServer && { mcpServer: tool.mcpServer }),
+    args: redactArgs(name, args),
+    status: statusOf(result),
+    ...(result?.code && { code: result.code }),
+    ...(!result?.success && result?.error && { error: redact(String(result.error)) }),
+    ...(approval && approval !== 'allowed' && { approval }),
+    durationMs,
+    ...findTouched(args, result)
+  };
+
+  try {
+    fs.mkdirSync(AUDIT_DIR, { recursive: true });
+    fs.appendFileSync(path.join(AUDIT_DIR, `${at.slice(0, 10)}.jsonl`), `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  } catch (error) {
+    logger.error('❌ Error writing audit log:', error);
+    return null;
+  }
+}
+
+/**
+ * Days that have an audit file, oldest first
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function auditDays() {
+  if (!fs.existsSync(AUDIT_DIR)) return [];
+  return fs.readdirSync(AUDIT_DIR)
+    .map(name => DAY_FILE_PATTERN.exec(name)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Read the entries of one day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Array<Object>}
+ */
+function readDay(day) {
+  const entries = [];
+  for (const line of fs.readFileSync(path.join(AUDIT_DIR, `${day}.jsonl`), 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A crash can leave a half-written last line - skip it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { since?, until? (ISO timestamps or YYYY-MM-DD days), sessionId?, tool?,
+ *   status?, q? (text in the tool, args, files, urls or error), limit?, offset? }
+ * @returns {Object} { entries, total }
+ */
+function queryAudit({ since, until, sessionId, tool, status, q, limit = 100, offset = 0 } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+  }
+  since = parseDateFilter(since);
+  until = parseDateFilter(until, true);
+  const needle = q ? q.toLowerCase() : null;
+
+  // Files are per UTC day, so the ISO date of since/until bounds the files to read
+  const days = auditDays().filter(day => (!since || day >= since.slice(0, 10)) && (!until || day <= until.slice(0, 10)));
+  const entries = days.flatMap(readDay).filter(entry => {
+    if (since && entry.at < since) return false;
+    if (until && entry.at > until) return false;
+    if (sessionId && entry.sessionId !== sessionId) return false;
+    if (tool && entry.tool !== tool) return false;
+    if (status && entry.status !== status) return false;
+    if (needle) {
+      const text = `${entry.tool} ${entry.toolName} ${JSON.stringify(entry.args)} ${entry.files.join(' ')} ${entry.urls.join(' ')} ${entry.error || ''}`;
+      if (!text.toLowerCase().includes(needle)) return false;
+    }
+    return true;
+  });
+
+  entries.sort((a, b) => b.at.localeCompare(a.at));
+  return { entries: entries.slice(offset, offset + limit), total: entries.length };
+}
+
+/**
+ * Delete audit days older than AUDIT_RETENTION_DAYS
+ * @returns {number} Number of deleted days
+ */
+function pruneAudit() {
+  if (RETENTION_DAYS === 0) return 0;
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const expired = auditDays().filter(day => day < cutoff);
+    expired.forEach(day => fs.unlinkSync(path.join(AUDIT_DIR, `${day}.jsonl`)));
+    if (expired.length > 0) {
+      logger.info(`🧹 Pruned ${expired.length} day(s) from the audit log`);
+    }
+    return expired.length;
+  } catch (error) {
+    logger.error('❌ Error pruning audit log:', error);
+    return 0;
+  }
+}
+
+module.exports = {
+  recordToolCall,
+  queryAudit,
+  pruneAudit,
+  AUDIT_STATUSES: STATUSES,
+  AUDIT_RETENTION_DAYS: RETENTION_DAYS,
+  AUDIT_DIR
+};
@@ -0,0 +1,360 @@
+/**
+ * Apsara Live - Authentication
+ * Every WebSocket upgrade and REST request must carry a token, either the shared secret
+ * (AUTH_SECRET) or a per-device token issued by the pairing flow:
+ *
+ *   1. The device calls POST /api/auth/pair/request { deviceName } and gets a pairingId.
+ *   2. The backend prints a 6-digit pairing code to its console (also listed by
+ *      GET /api/auth/pairings for admins).
+ *   3. The device calls POST /api/auth/pair/confirm { pairingId, code } and receives its token.
+ *
+ * Device tokens are stored hashed in backend/apsara-devices.json and can be revoked.
+ * Tokens travel as "Authorization: Bearer <token>" (REST) or "?token=<token>" (WebSocket
+ * upgrades only, browsers cannot set headers there). Requests from this machine (loopback,
+ * not forwarded by a proxy) are trusted unless AUTH_TRUST_LOCALHOST=false.
+ *
+ * Pairing is throttled so the code cannot be guessed: each address may start a few pairings
+ * per window and hold one pending pairing at a time, and wrong codes across all pairings
+ * share one budget - when it runs out, every pending pairing is dropped until the window ends.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { DATA_DIR } = require('./config');
+
+const logger = createLogger('auth');
+
+const AUTH_SECRET = process.env.AUTH_SECRET || '';
+const TRUST_LOCALHOST = process.env.AUTH_TRUST_LOCALHOST !== 'false';
+const DEVICES_FILE = path.join(DATA_DIR, 'apsara-devices.json');
+
+const PAIRING_TTL_MS = 2 * 60 * 1000;
+const MAX_PAIRING_ATTEMPTS = 5;
+const MAX_PENDING_PAIRINGS = 5;
+// Throttling window: pairing requests per address, and wrong codes across all pairings
+const PAIRING_WINDOW_MS = 10 * 60 * 1000;
+const MAX_PAIRING_REQUESTS_PER_ADDRESS = 5;
+const MAX_WRONG_CODES_PER_WINDOW = 10;
+
+// Headers set by reverse proxies - a forwarded request is never "local"
+const PROXY_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip', 'cf-connecting-ip'];
+
+// Pending pairings by id: { id, deviceName, address, code, expiresAt, attempts }
+const pairings = new Map();
+// Pairing requests per address in the current window: address -> { windowStart, count }
+const pairingRequests = new Map();
+// Wrong codes in the current window, across all pairings
+const wrongCodes = { windowStart: 0, count: 0 };
+
+/**
+ * SHA-256 hex digest of a token (device tokens are only stored hashed)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Load paired devices from disk
+ * @returns {Array} Devices { id, name, tokenHash, createdAt, lastUsedAt }
+ */
+function loadDevices() {
+  try {
+    if (fs.existsSync(DEVICES_FILE)) {
+      return JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('❌ Error loading paired devices:', error);
+  }
+  return [];
+}
+
+let devices = loadDevices();
+
+/**
+ * Persist paired devices to disk
+ */
+function saveDevices() {
+  try {
+    fs.writeFileSync(DEVICES_FILE, JSON.stringify(devices, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (error) {
+    logger.error('❌ Error saving paired devices:', error);
+  }
+}
+
+/**
+ * Whether a request comes straight from this machine
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isLocalRequest(req) {
+  const address = req.socket?.remoteAddress || '';
+  const loopback = address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+  return loopback && !PROXY_HEADERS.some(header => req.headers[header]);
+}
+
+/**
+ * Token carried by a request (Bearer header, or ?token= on WebSocket upgrades - a query
+ * string token on REST routes would end up in proxy logs and browser history, so it is ignored)
+ * @param {http.IncomingMessage} req
+ * @param {boolean} upgrade - Whether the request is a WebSocket upgrade
+ * @returns {string|null}
+ */
+function getRequestToken(req, upgrade) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (!upgrade) return null;
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+/**
+ * Check a request's credentials
+ * @param {http.IncomingMessage} req - REST request or WebSocket upgrade request
+ * @param {Object} options - { upgrade: true } for WebSocket upgrades (accepts ?token=)
+ * @returns {Object} { ok: true, via: 'local'|'secret'|'device', deviceId?, deviceName? } or { ok: false, error }
+ */
+function authenticate(req, { upgrade = false } = {}) {
+  const token = getRequestToken(req, upgrade);
+
+  if (token) {
+    if (AUTH_SECRET && crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hashToken(AUTH_SECRET)))) {
+      return { ok: true, via: 'secret' };
+    }
+    const tokenHash = hashToken(token);
+    const device = devices.find(d => d.tokenHash === tokenHash);
+    if (device) {
+      device.lastUsedAt = new Date().toISOString();
+      return { ok: true, via: 'device', deviceId: device.id, deviceName: device.name };
+    }
+  }
+
+  if (TRUST_LOCALHOST && isLocalRequest(req)) {
+    return { ok: true, via: 'local' };
+  }
+  return { ok: false, error: token ? 'Invalid or revoked token' : 'Authentication required' };
+}
+
+/**
+ * Express middleware requiring authentication on every route except the public ones
+ * @param {Array<string>} publicPaths - Paths reachable without a token
+ * @returns {Function} Middleware
+ */
+function createAuthMiddleware(publicPaths = []) {
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+      return next();
+    }
+    const auth = authenticate(req);
+    if (!auth.ok) {
+      logger.warn(`🔒 Rejected ${req.method} ${req.path}: ${auth.error}`);
+      return res.status(401).json({ success: false, error: auth.error });
+    }
+    req.auth = auth;
+    next();
+  };
+}
+
+/**
+ * Whether a request may use the admin routes - the shared secret or this machine, never a paired device
+ * @param {Object} auth - Result of authenticate()
+ * @returns {boolean}
+ */
+function isAdmin(auth) {
+  return !!auth?.ok && (auth.via === 'secret' || auth.via === 'local');
+}
+
+/**
+ * Express middleware limiting a route to admins (runs after the auth middleware)
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.auth)) {
+    logger.warn(`🔒 Rejected admin request ${req.method} ${req.path} (${req.auth?.deviceName || req.auth?.via})`);
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Drop expired pairings and throttling windows that have ended
+ */
+function prunePairings() {
+  const now = Date.now();
+  for (const [id, pairing] of pairings) {
+    if (pairing.expiresAt <= now) pairings.delete(id);
+  }
+  for (const [address, requests] of pairingRequests) {
+    if (requests.windowStart + PAIRING_WINDOW_MS <= now) pairingRequests.delete(address);
+  }
+  if (wrongCodes.windowStart + PAIRING_WINDOW_MS <= now) {
+    wrongCodes.windowStart = now;
+    wrongCodes.count = 0;
+  }
+}
+
+/**
+ * Start pairing a device - the code is printed to the backend console
+ * @param {string} deviceName - Name shown in the device list
+ * @param {string} address - Remote address of the caller (one pending pairing per address)
+ * @returns {Object} { pairingId, expiresAt }
+ */
+function requestPairing(deviceName, address = 'unknown') {
+  prunePairings();
+  const requests = pairingRequests.get(address) || { windowStart: Date.now(), count: 0 };
+  if (requests.count >= MAX_PAIRING_REQUESTS_PER_ADDRESS) {
+    throw new Error('Too many pairing requests from this address, try again in a few minutes');
+  }
+  if (wrongCodes.count >= MAX_WRONG_CODES_PER_WINDOW) {
+    throw new Error('Pairing is paused after too many wrong codes, try again in a few minutes');
+  }
+  // A new request replaces the caller's pending one, so one address cannot fill every slot
+  const own = [...pairings.values()].filter(pending => pending.address === address);
+  if (pairings.size - own.length >= MAX_PENDING_PAIRINGS) {
+    throw new Error('Too many pending pairing requests, try again in a few minutes');
+  }
+  own.forEach(pending => pairings.delete(pending.id));
+  requests.count += 1;
+  pairingRequests.set(address, requests);
+
+  const name = String(deviceName || 'Unnamed device').slice(0, 60);
+  const pairing = {
+    id: crypto.randomUUID(),
+    deviceName: name,
+    address,
+    code: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+    expiresAt: Date.now() + PAIRING_TTL_MS,
+    attempts: 0
+  };
+  pairings.set(pairing.id, pairing);
+
+  logger.info(`🔐 Pairing request from "${name}" - code: ${pairing.code} (valid for ${PAIRING_TTL_MS / 60000} minutes)`);
+  return { pairingId: pairing.id, expiresAt: new Date(pairing.expiresAt).toISOString() };
+}
+
+/**
+ * Finish pairing - issue a device token if the code matches
+ * @param {string} pairingId - Id from requestPairing
+ * @param {string} code - Code shown on the backend console
+ * @returns {Object} { device, token } (the token is only returned once)
+ */
+function confirmPairing(pairingId, code) {
+  prunePairings();
+  const pairing = pairings.get(pairingId);
+  if (!pairing) {
+    throw new Error('Pairing request not found or expired');
+  }
+
+  pairing.attempts += 1;
+  if (String(code).trim() !== pairing.code) {
+    wrongCodes.count += 1;
+    if (wrongCodes.count >= MAX_WRONG_CODES_PER_WINDOW) {
+      // The budget is shared, so guessing across many pairings ends all of them
+      pairings.clear();
+      logger.warn(`🔒 ${wrongCodes.count} wrong pairing codes - pending pairings dropped and pairing paused`);
+      throw new Error('Too many wrong codes - pairing is paused for a few minutes');
+    }
+    if (pairing.attempts >= MAX_PAIRING_ATTEMPTS) {
+      pairings.delete(pairingId);
+      throw new Error('Too many wrong codes - start pairing again');
+    }
+    throw new Error('Wrong pairing code');
+  }
+  pairings.delete(pairingId);
+
+  const token = `apd_${crypto.randomBytes(32).toString('base64url')}`;
+  const device = {
+    id: crypto.randomUUID(),
+    name: pairing.deviceName,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  devices.push(device);
+  saveDevices();
+
+  logger.info(`✅ Device paired: ${device.name} (${device.id})`);
+  return { device: toPublicDevice(device), token };
+}
+
+/**
+ * Device without its token hash
+ * @param {Object} device
+ * @returns {Object}
+ */
+function toPublicDevice({ tokenHash, ...device }) {
+  return device;
+}
+
+/**
+ * List paired devices
+ * @returns {Array} Devices { id, name, createdAt, lastUsedAt }
+ */
+function listDevices() {
+  return devices.map(toPublicDevice);
+}
+
+/**
+ * List pending pairings with their codes (for admins approving a device)
+ * @returns {Array} Pairings { pairingId, deviceName, code, expiresAt }
+ */
+function listPairings() {
+  prunePairings();
+  return [...pairings.values()].map(p => ({
+    pairingId: p.id,
+    deviceName: p.deviceName,
+    code: p.code,
+    expiresAt: new Date(p.expiresAt).toISOString()
+  }));
+}
+
+/**
+ * Revoke a device token
+ * @param {string} deviceId - Device id
+ * @returns {boolean} True if the device existed
+ */
+function revokeDevice(deviceId) {
+  const before = devices.length;
+  devices = devices.filter(d => d.id !== deviceId);
+  if (devices.length === before) return false;
+  saveDevices();
+  logger.info(`🚫 Device token revoked: ${deviceId}`);
+  return true;
+}
+
+/**
+ * Summary of the auth setup (for GET /api/auth/status)
+ * @param {http.IncomingMessage} req
+ * @returns {Object} { authenticated, via, secretConfigured, localTrusted, pairedDevices }
+ */
+function getAuthStatus(req) {
+  const auth = authenticate(req);
+  return {
+    authenticated: auth.ok,
+    via: auth.ok ? auth.via : null,
+    secretConfigured: !!AUTH_SECRET,
+    localTrusted: TRUST_LOCALHOST,
+    pairedDevices: devices.length
+  };
+}
+
+module.exports = {
+  authenticate,
+  createAuthMiddleware,
+  isAdmin,
+  requireAdmin,
+  requestPairing,
+  confirmPairing,
+  listDevices,
+  listPairings,
+  revokeDevice,
+  getAuthStatus,
+  DEVICES_FILE
+};
@@ -0,0 +1,315 @@
+/**
+ * Apsara Live - Central configuration
+ * Settings that used to be literals across the backend and widget live in
+ * backend/apsara.config.json (APSARA_CONFIG points elsewhere). Environment variables
+ * override the file, the result is validated, and the file is watched: changes apply
+ * to the running backend (and are pushed to connected widgets) without a restart,
+ * except server.port.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger, setLogConfig, parseScopes } = require('./logger');
+
+const logger = createLogger('config');
+
+const CONFIG_FILE = path.resolve(__dirname, process.env.APSARA_CONFIG || 'apsara.config.json');
+
+// Where the backend keeps its state (history, transcripts, audit log, usage, profile, paired
+// devices, memories) - backend/ unless APSARA_DATA_DIR points elsewhere (the tests use a temp dir)
+const DATA_DIR = path.resolve(__dirname, process.env.APSARA_DATA_DIR || '.');
+const WATCH_INTERVAL_MS = 1000;
+
+// Settings that are only read at startup
+const RESTART_REQUIRED = ['server.port'];
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['pretty', 'json'];
+const MEDIA_RESOLUTIONS = ['MEDIA_RESOLUTION_LOW', 'MEDIA_RESOLUTION_MEDIUM', 'MEDIA_RESOLUTION_HIGH'];
+
+// Environment variable → config path (and how to parse it)
+const ENV_OVERRIDES = [
+  { env: 'PORT', path: 'server.port', parse: Number },
+  { env: 'ALLOWED_ORIGINS', path: 'server.allowedOrigins', parse: value => value.split(',').map(origin => origin.trim()).filter(Boolean) },
+  { env: 'LOG_LEVEL', path: 'logging.level' },
+  { env: 'LOG_SCOPES', path: 'logging.scopes', parse: parseScopes },
+  { env: 'LOG_FORMAT', path: 'logging.format' },
+  { env: 'SAVE_DEBUG_FRAMES', path: 'debug.saveFrames', parse: value => value === 'true' },
+  { env: 'LIVE_MODEL', path: 'model.default' },
+  { env: 'EMAIL_RECIPIENT', path: 'email.defaultRecipient' }
+];
+
+let current = null;
+const listeners = [];
+
+/**
+ * Read a dotted path
+ * @param {Object} object
+ * @param {string} key - e.g. 'server.port'
+ * @returns {*}
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+/**
+ * Write a dotted path, creating objects on the way
+ * @param {Object} object
+ * @param {string} key
+ * @param {*} value
+ */
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => {
+    if (typeof node[part] !== 'object' || node[part] === null) node[part] = {};
+    return node[part];
+  }, object);
+  target[last] = value;
+}
+
+/**
+ * Resolution list entries: { value: 'WIDTHxHEIGHT', label }
+ * @param {*} list
+ * @param {string} key - Path for error messages
+ * @param {Array} errors - Collects problems
+ */
+function validateResolutions(list, key, errors) {
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${key} must be a non-empty array`);
+    return;
+  }
+  list.forEach((entry, index) => {
+    if (!entry || typeof entry.value !== 'string' || !/^\d+x\d+$/.test(entry.value)) {
+      errors.push(`${key}[${index}].value must look like "1920x1080"`);
+    }
+    if (entry && entry.label !== undefined && typeof entry.label !== 'string') {
+      errors.push(`${key}[${index}].label must be a string`);
+    }
+  });
+}
+
+/**
+ * MCP servers: { name: { command, args?, env?, cwd?, enabled?, timeoutMs? } }
+ * @param {*} servers
+ * @param {Array} errors - Collects problems
+ */
+function validateMcpServers(servers, errors) {
+  if (typeof servers !== 'object' || servers === null || Array.isArray(servers)) {
+    errors.push('mcp.servers must be an object like { "git": { "command": "uvx", "args": ["mcp-server-git"] } }');
+    return;
+  }
+  for (const [name, options] of Object.entries(servers)) {
+    const key = `mcp.servers.${name}`;
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      errors.push(`${key}: server names may only contain letters, digits, - and _`);
+    }
+    if (typeof options !== 'object' || options === null) {
+      errors.push(`${key} must be an object`);
+      continue;
+    }
+    if (typeof options.command !== 'string' || !options.command) {
+      errors.push(`${key}.command must be the executable to start`);
+    }
+    if (options.args !== undefined && (!Array.isArray(options.args) || options.args.some(arg => typeof arg !== 'string'))) {
+      errors.push(`${key}.args must be an array of strings`);
+    }
+    if (options.env !== undefined && (typeof options.env !== 'object' || options.env === null || Object.values(options.env).some(value => typeof value !== 'string'))) {
+      errors.push(`${key}.env must map variable names to strings`);
+    }
+    if (options.cwd !== undefined && typeof options.cwd !== 'string') {
+      errors.push(`${key}.cwd must be a path`);
+    }
+    if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+      errors.push(`${key}.enabled must be true or false`);
+    }
+    if (options.timeoutMs !== undefined && (!Number.isInteger(options.timeoutMs) || options.timeoutMs <= 0)) {
+      errors.push(`${key}.timeoutMs must be a positive integer`);
+    }
+  }
+}
+
+/**
+ * Check a merged configuration
+ * @param {Object} config
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+  const { server, logging, debug, model, email, themes, media, mcp } = config;
+
+  if (!Number.isInteger(server?.port) || server.port < 1 || server.port > 65535) {
+    errors.push('server.port must be an integer between 1 and 65535');
+  }
+  if (!Array.isArray(server?.allowedOrigins) || server.allowedOrigins.some(origin => typeof origin !== 'string')) {
+    errors.push('server.allowedOrigins must be an array of origin strings');
+  }
+
+  if (!LOG_LEVELS.includes(logging?.level)) {
+    errors.push(`logging.level must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (typeof logging?.scopes !== 'object' || logging.scopes === null || Array.isArray(logging.scopes)) {
+    errors.push('logging.scopes must be an object like { "tools": "debug" }');
+  } else {
+    for (const [scope, level] of Object.entries(logging.scopes)) {
+      if (!LOG_LEVELS.includes(level)) errors.push(`logging.scopes.${scope} must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+  }
+  if (!LOG_FORMATS.includes(logging?.format)) {
+    errors.push(`logging.format must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+
+  if (typeof debug?.saveFrames !== 'boolean') {
+    errors.push('debug.saveFrames must be true or false');
+  }
+
+  if (typeof model?.default !== 'string' || !model.default) {
+    errors.push('model.default must be a model id');
+  }
+  if (!Number.isInteger(model?.thinkingBudget) || model.thinkingBudget < -1) {
+    errors.push('model.thinkingBudget must be an integer (0 = off, -1 = dynamic)');
+  }
+  if (!MEDIA_RESOLUTIONS.includes(model?.mediaResolution)) {
+    errors.push(`model.mediaResolution must be one of ${MEDIA_RESOLUTIONS.join(', ')}`);
+  }
+
+  if (typeof email?.defaultRecipient !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(email.defaultRecipient)) {
+    errors.push('email.defaultRecipient must be an email address');
+  }
+
+  if (!Array.isArray(themes) || themes.length === 0 || themes.some(theme => typeof theme !== 'string' || !/^[a-z0-9-]+$/.test(theme))) {
+    errors.push('themes must be a non-empty array of theme names (lowercase, dashes)');
+  }
+
+  validateResolutions(media?.screenResolutions, 'media.screenResolutions', errors);
+  validateResolutions(media?.cameraResolutions, 'media.cameraResolutions', errors);
+  if (Array.isArray(media?.screenResolutions) && !media.screenResolutions.some(r => r?.value === media.defaultScreenResolution)) {
+    errors.push('media.defaultScreenResolution must be one of media.screenResolutions');
+  }
+  if (Array.isArray(media?.cameraResolutions) && !media.cameraResolutions.some(r => r?.value === media.defaultCameraResolution)) {
+    errors.push('media.defaultCameraResolution must be one of media.cameraResolutions');
+  }
+
+  validateMcpServers(mcp?.servers, errors);
+
+  return errors;
+}
+
+/**
+ * Read the file, apply environment overrides and validate
+ * @returns {Object} Configuration
+ * @throws {Error} If the file cannot be parsed or the result is invalid
+ */
+function readConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(CONFIG_FILE)}: ${error.message}`);
+  }
+
+  for (const { env, path: key, parse } of ENV_OVERRIDES) {
+    if (process.env[env] !== undefined && process.env[env] !== '') {
+      setPath(config, key, parse ? parse(process.env[env]) : process.env[env]);
+    }
+  }
+  // Legacy per-scope debug flags (DEBUG_TOOLS=true, ...)
+  for (const scope of ['tools', 'email', 'clipboard', 'memory']) {
+    if (process.env[`DEBUG_${scope.toUpperCase()}`] === 'true') {
+      setPath(config, `logging.scopes.${scope}`, 'debug');
+    }
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (${path.basename(CONFIG_FILE)} and environment overrides): ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Make a configuration current and tell the listeners
+ * @param {Object} config
+ * @param {Object|null} previous
+ */
+function applyConfig(config, previous) {
+  current = config;
+  setLogConfig(config.logging);
+  if (!previous) return;
+
+  for (const key of RESTART_REQUIRED) {
+    if (JSON.stringify(getPath(previous, key)) !== JSON.stringify(getPath(config, key))) {
+      logger.warn(`⚠️ ${key} changed - restart the backend to apply it`);
+    }
+  }
+  for (const listener of listeners) {
+    try {
+      listener(config, previous);
+    } catch (error) {
+      logger.error('❌ Error in config change listener:', error);
+    }
+  }
+}
+
+/**
+ * Re-read the file (keeps the previous configuration if the new one is invalid)
+ * @returns {boolean} Whether the new configuration was applied
+ */
+function reloadConfig() {
+  try {
+    const config = readConfig();
+    if (JSON.stringify(config) === JSON.stringify(current)) return false;
+    applyConfig(config, current);
+    logger.info(`🔄 Reloaded ${path.basename(CONFIG_FILE)}`);
+    return true;
+  } catch (error) {
+    logger.error(`❌ ${error.message} - keeping the previous configuration`);
+    return false;
+  }
+}
+
+/**
+ * Current configuration (treat as read-only)
+ * @returns {Object}
+ */
+function getConfig() {
+  return current;
+}
+
+/**
+ * The part of the configuration the widget uses (served at GET /api/config)
+ * @returns {Object} { themes, media }
+ */
+function getWidgetConfig() {
+  return { themes: current.themes, media: current.media };
+}
+
+/**
+ * Call a function whenever the configuration changes
+ * @param {Function} listener - (config, previous) => void
+ */
+function onConfigChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Start watching the configuration file
+ */
+function watchConfig() {
+  fs.watchFile(CONFIG_FILE, { interval: WATCH_INTERVAL_MS }, (stat, previousStat) => {
+    if (stat.mtimeMs !== previousStat.mtimeMs) reloadConfig();
+  }).unref();
+}
+
+// Load once at startup - an invalid file stops the backend
+applyConfig(readConfig(), null);
+
+module.exports = {
+  getConfig,
+  getWidgetConfig,
+  onConfigChange,
+  reloadConfig,
+  watchConfig,
+  CONFIG_FILE,
+  DATA_DIR
+};
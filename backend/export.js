@@ -0,0 +1,239 @@
+/**
+ * Apsara Live - Conversation export
+ * Turns a stored session (history.js) into a Markdown, JSON or HTML document with the
+ * transcript, thought summaries, tool calls and images embedded as base64, so the file can
+ * be attached to a ticket or shared with people who do not run Apsara.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MEDIA_DIR } = require('./history');
+const { GENERATED_IMAGES_DIR } = require('./tools');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('export');
+
+// Only images from these folders are embedded (history entries are not trusted blindly)
+const IMAGE_DIRS = [GENERATED_IMAGES_DIR, MEDIA_DIR];
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+/**
+ * Read an image referenced by the history as base64
+ * @param {Object} image - Image entry { filepath, filename }
+ * @returns {Object|null} { mimeType, data } or null if missing or outside the image folders
+ */
+function loadImage(image) {
+  try {
+    const filepath = path.resolve(image.filepath || '');
+    const allowed = IMAGE_DIRS.some(dir => filepath.startsWith(dir + path.sep));
+    const mimeType = IMAGE_MIME_TYPES[path.extname(filepath).toLowerCase()];
+    if (!allowed || !mimeType || !fs.existsSync(filepath)) return null;
+    return { mimeType, data: fs.readFileSync(filepath).toString('base64') };
+  } catch (error) {
+    logger.error(`❌ Error reading image for export: ${image.filepath}`, error);
+    return null;
+  }
+}
+
+/**
+ * Copy of the turns with every image's data attached (null when the file is gone)
+ * @param {Array} turns - Turns from history.getStoredSession
+ * @returns {Array}
+ */
+function withImageData(turns) {
+  return turns.map(turn => ({
+    ...turn,
+    images: turn.images.map(image => ({ ...image, embedded: loadImage(image) }))
+  }));
+}
+
+/**
+ * Local date and time for headings
+ * @param {string} iso - ISO timestamp
+ * @returns {string}
+ */
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+/**
+ * Pretty JSON for tool arguments and results
+ * @param {*} value
+ * @returns {string}
+ */
+function toJson(value) {
+  return JSON.stringify(value ?? {}, null, 2);
+}
+
+/**
+ * Markdown export
+ * @param {Object} session - Stored session
+ * @param {Array} turns - Turns with image data
+ * @returns {string}
+ */
+function toMarkdown(session, turns) {
+  const lines = [
+    `# Apsara conversation${session.title ? `: ${session.title}` : ''}`,
+    '',
+    `- Session: \`${session.sessionId}\``,
+    `- Started: ${formatTime(session.startedAt)}`,
+    `- Ended: ${formatTime(session.endedAt)}`,
+    `- Client: ${session.client || '-'}`,
+    `- Model: ${session.model || '-'}`,
+    ''
+  ];
+
+  turns.forEach((turn, index) => {
+    lines.push(`## Turn ${index + 1} (${formatTime(turn.startedAt)})`, '');
+    for (const message of turn.user) {
+      lines.push(`**You:** ${message.text}`, '');
+    }
+    for (const thought of turn.thoughts) {
+      lines.push(...thought.text.split('\n').map(line => `> 💭 ${line}`), '');
+    }
+    for (const call of turn.toolCalls) {
+      lines.push(
+        `**Tool call:** \`${call.name}\` (${call.durationMs} ms)`,
+        '',
+        '```json',
+        toJson({ args: call.args, result: call.result }),
+        '```',
+        ''
+      );
+    }
+    for (const image of turn.images) {
+      const label = `${image.kind === 'screenshot' ? 'Screenshot' : 'Generated image'}: ${image.filename}`;
+      lines.push(image.embedded ? `![${label}](data:${image.embedded.mimeType};base64,${image.embedded.data})` : `*${label} (file no longer available)*`, '');
+    }
+    for (const message of turn.assistant) {
+      lines.push(`**Apsara:** ${message.text}`, '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 820px; margin: 32px auto; padding: 0 16px; color: #222; background: #fafafa; }
+  h1 { font-size: 22px; }
+  .meta { color: #666; font-size: 13px; margin-bottom: 24px; }
+  .turn { background: #fff; border: 1px solid #e3e3e3; border-radius: 10px; padding: 14px 18px; margin-bottom: 16px; }
+  .turn h2 { font-size: 13px; color: #888; font-weight: 500; margin: 0 0 10px; }
+  .message { white-space: pre-wrap; margin: 8px 0; line-height: 1.5; }
+  .message.user::before { content: "You: "; font-weight: 600; }
+  .message.assistant::before { content: "Apsara: "; font-weight: 600; color: #8e44ad; }
+  .thought { white-space: pre-wrap; color: #666; font-style: italic; border-left: 3px solid #d5b8e3; padding-left: 10px; margin: 8px 0; }
+  details.tool { margin: 8px 0; font-size: 13px; }
+  details.tool pre { background: #f4f4f4; padding: 10px; border-radius: 6px; overflow-x: auto; }
+  figure { margin: 10px 0; }
+  figure img { max-width: 100%; border-radius: 8px; border: 1px solid #e3e3e3; }
+  figcaption { font-size: 12px; color: #888; }
+`;
+
+/**
+ * Self-contained HTML export (inline CSS, images as data URIs)
+ * @param {Object} session - Stored session
+ * @param {Array} turns - Turns with image data
+ * @returns {string}
+ */
+function toHtml(session, turns) {
+  const turnHtml = turns.map((turn, index) => {
+    const parts = [`<h2>Turn ${index + 1} · ${escapeHtml(formatTime(turn.startedAt))}</h2>`];
+    for (const message of turn.user) {
+      parts.push(`<div class="message user">${escapeHtml(message.text)}</div>`);
+    }
+    for (const thought of turn.thoughts) {
+      parts.push(`<div class="thought">💭 ${escapeHtml(thought.text)}</div>`);
+    }
+    for (const call of turn.toolCalls) {
+      parts.push(`<details class="tool"><summary>🔧 ${escapeHtml(call.name)} (${call.durationMs} ms)</summary><pre>${escapeHtml(toJson({ args: call.args, result: call.result }))}</pre></details>`);
+    }
+    for (const image of turn.images) {
+      const label = `${image.kind === 'screenshot' ? 'Screenshot' : 'Generated image'}: ${image.filename}`;
+      parts.push(image.embedded
+        ? `<figure><img src="data:${image.embedded.mimeType};base64,${image.embedded.data}" alt="${escapeHtml(label)}"><figcaption>${escapeHtml(label)}</figcaption></figure>`
+        : `<figure><figcaption>${escapeHtml(label)} (file no longer available)</figcaption></figure>`);
+    }
+    for (const message of turn.assistant) {
+      parts.push(`<div class="message assistant">${escapeHtml(message.text)}</div>`);
+    }
+    return `<section class="turn">${parts.join('\n')}</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Apsara conversation${session.title ? ` - ${escapeHtml(session.title)}` : ''}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Apsara conversation${session.title ? `: ${escapeHtml(session.title)}` : ''}</h1>
+<div class="meta">
+  Session ${escapeHtml(session.sessionId)} · ${escapeHtml(formatTime(session.startedAt))} – ${escapeHtml(formatTime(session.endedAt))}<br>
+  Client: ${escapeHtml(session.client || '-')} · Model: ${escapeHtml(session.model || '-')}
+</div>
+${turnHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a stored session
+ * @param {Object} session - Stored session from history.getStoredSession
+ * @param {string} format - 'md', 'json' or 'html'
+ * @returns {Object} { filename, contentType, body }
+ */
+function exportSession(session, format) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unknown export format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const { entries, turns, ...summary } = session;
+  const embeddedTurns = withImageData(turns);
+  const day = (session.startedAt || new Date().toISOString()).slice(0, 10);
+  const filename = `apsara-${day}-${session.sessionId.slice(0, 8)}.${target.extension}`;
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify({ exportedAt: new Date().toISOString(), session: summary, turns: embeddedTurns }, null, 2);
+  } else if (format === 'md') {
+    body = toMarkdown(summary, embeddedTurns);
+  } else {
+    body = toHtml(summary, embeddedTurns);
+  }
+
+  return { filename, contentType: target.contentType, body };
+}
+
+module.exports = {
+  exportSession,
+  EXPORT_FORMATS
+};
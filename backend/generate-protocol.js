@@ -0,0 +1,70 @@
+/**
+ * Apsara Live - Widget protocol constants
+ * Writes apsara-widget-app/src/protocol.generated.js from backend/protocol.js, so the
+ * widget's version, frame layout, error codes and message types can't drift from the
+ * backend's. The widget can't import from outside its src/ folder, hence a generated copy.
+ *
+ * USAGE: npm run generate:protocol (after changing protocol.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PROTOCOL_VERSION,
+  FRAME_VERSION,
+  FRAME_HEADER_BYTES,
+  STREAM_TYPES,
+  FRAME_FORMATS,
+  ERROR_CODES,
+  CLIENT_MESSAGES
+} = require('./protocol');
+
+const WIDGET_PROTOCOL_FILE = path.join(__dirname, '..', 'apsara-widget-app', 'src', 'protocol.generated.js');
+
+/**
+ * Format a constant as a JavaScript literal in the widget's style
+ * @param {*} value - Number, string, array of strings or flat object
+ * @returns {string} Source text
+ */
+function literal(value) {
+  if (typeof value === 'string') return `'${value}'`;
+  if (Array.isArray(value)) return `[${value.map(literal).join(', ')}]`;
+  if (typeof value === 'object') {
+    const lines = Object.entries(value).map(([key, item]) => `  ${key}: ${literal(item)}`);
+    return `{\n${lines.join(',\n')}\n}`;
+  }
+  return String(value);
+}
+
+/**
+ * Source of the widget's generated protocol module
+ * @returns {string} Module source
+ */
+function renderWidgetProtocol() {
+  const constants = {
+    PROTOCOL_VERSION,
+    FRAME_VERSION,
+    FRAME_HEADER_BYTES,
+    STREAM_TYPES,
+    FRAME_FORMATS,
+    ERROR_CODES,
+    CLIENT_MESSAGE_TYPES: Object.keys(CLIENT_MESSAGES)
+  };
+  const exports = Object.entries(constants).map(([name, value]) => `export const ${name} = ${literal(value)};`);
+  return [
+    '// Generated from backend/protocol.js by `npm run generate:protocol` in backend/ - do not edit.',
+    '',
+    exports.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+if (require.main === module) {
+  fs.writeFileSync(WIDGET_PROTOCOL_FILE, renderWidgetProtocol(), 'utf8');
+  console.log(`✅ Wrote ${path.relative(process.cwd(), WIDGET_PROTOCOL_FILE)}`);
+}
+
+module.exports = {
+  WIDGET_PROTOCOL_FILE,
+  renderWidgetProtocol
+};
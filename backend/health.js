@@ -0,0 +1,301 @@
+/**
+ * Apsara Live - Readiness checks
+ * Backs GET /health/ready: whether the API keys are set, the SMTP login works, the OS
+ * binaries the desktop tools shell out to are installed, the memory file and
+ * generated_images folder are writable and the configured MCP servers are running.
+ * The same checks mark tools as unavailable in GET /api/tools, so the widget can grey
+ * them out before the model ever calls them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initEmailTransporter, MEMORY_FILE, GENERATED_IMAGES_DIR } = require('./tools');
+const { getTools } = require('./tool-registry');
+const { getMcpStatus } = require('./mcp');
+
+// SMTP verification is a network round trip - reuse the result for a while
+const SMTP_CHECK_TTL_MS = 5 * 60 * 1000;
+const SMTP_TIMEOUT_MS = 10000;
+
+// Binaries each desktop capability needs, per platform (any one of a list is enough)
+const PLATFORM_BINARIES = {
+  linux: {
+    screenshot: ['gnome-screenshot', 'scrot'],
+    clipboard: ['xclip', 'xsel'],
+    keyboard: ['xdotool'],
+    mouse: ['xdotool'],
+    open_url: ['xdg-open']
+  },
+  darwin: {
+    screenshot: ['screencapture'],
+    clipboard: ['pbcopy'],
+    keyboard: ['osascript'],
+    mouse: ['cliclick'],
+    open_url: ['open']
+  },
+  win32: {
+    screenshot: ['powershell'],
+    clipboard: ['powershell'],
+    keyboard: ['powershell'],
+    mouse: ['powershell'],
+    open_url: ['cmd']
+  }
+};
+
+const CAPABILITY_LABELS = {
+  gemini_key: 'Gemini API key',
+  image_key: 'Image generation API key',
+  smtp: 'Email (SMTP login)',
+  screenshot: 'Screenshots',
+  clipboard: 'Clipboard',
+  keyboard: 'Keyboard automation',
+  mouse: 'Mouse and keyboard control',
+  open_url: 'Opening URLs',
+  memory_file: 'Memory file writable',
+  generated_images: 'generated_images writable'
+};
+
+let smtpCheck = null; // { result, checkedAt }
+let smtpCheckInFlight = null;
+
+/**
+ * Whether an executable is on the PATH
+ * @param {string} name - Binary name
+ * @returns {boolean}
+ */
+function hasBinary(name) {
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+  return (process.env.PATH || '').split(path.delimiter).filter(Boolean).some(dir => (
+    extensions.some(ext => {
+      try {
+        fs.accessSync(path.join(dir, name + ext), fs.constants.X_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    })
+  ));
+}
+
+/**
+ * Whether a file (or the folder it would be created in) is writable
+ * @param {string} target - File or directory path
+ * @returns {boolean}
+ */
+function isWritable(target) {
+  let candidate = target;
+  while (!fs.existsSync(candidate) && path.dirname(candidate) !== candidate) {
+    candidate = path.dirname(candidate);
+  }
+  try {
+    fs.accessSync(candidate, fs.constants.W_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check result
+ * @param {string} status - 'ok', 'missing', 'error' or 'disabled'
+ * @param {string} detail - Human readable explanation
+ * @param {Object} extra - Additional fields
+ * @returns {Object} { ok, status, detail }
+ */
+function result(status, detail, extra = {}) {
+  return { ok: status === 'ok', status, detail, ...extra };
+}
+
+/**
+ * API key checks
+ * @returns {Object} { gemini_key, image_key }
+ */
+function checkKeys() {
+  const localProvider = (process.env.LIVE_PROVIDER || 'gemini') === 'local';
+  return {
+    gemini_key: process.env.GEMINI_API_KEY
+      ? result('ok', 'GEMINI_API_KEY is set')
+      : localProvider
+        ? result('ok', 'Not needed with LIVE_PROVIDER=local')
+        : result('missing', 'GEMINI_API_KEY is not set'),
+    image_key: process.env.IMAGE_API_KEY || process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY
+      ? result('ok', 'IMAGE_API_KEY, GEMINI_API_KEY or GOOGLE_API_KEY is set')
+      : result('missing', 'Set IMAGE_API_KEY, GEMINI_API_KEY or GOOGLE_API_KEY')
+  };
+}
+
+/**
+ * OS binary checks for this platform
+ * @returns {Object} Capability checks with the binaries found { name: boolean }
+ */
+function checkBinaries() {
+  const groups = PLATFORM_BINARIES[process.platform];
+  const checks = {};
+  for (const capability of ['screenshot', 'clipboard', 'keyboard', 'mouse', 'open_url']) {
+    if (!groups) {
+      checks[capability] = result('missing', `Unsupported platform: ${process.platform}`);
+      continue;
+    }
+    const binaries = {};
+    for (const name of groups[capability]) {
+      binaries[name] = hasBinary(name);
+    }
+    const found = Object.keys(binaries).filter(name => binaries[name]);
+    checks[capability] = found.length > 0
+      ? result('ok', `Using ${found[0]}`, { binaries })
+      : result('missing', `Install ${groups[capability].join(' or ')}`, { binaries });
+  }
+  return checks;
+}
+
+/**
+ * File system checks
+ * @returns {Object} { memory_file, generated_images }
+ */
+function checkFiles() {
+  return {
+    memory_file: isWritable(MEMORY_FILE)
+      ? result('ok', 'Writable')
+      : result('error', `No write access to ${path.basename(MEMORY_FILE)}`),
+    generated_images: isWritable(GENERATED_IMAGES_DIR)
+      ? result('ok', 'Writable')
+      : result('error', `No write access to ${path.basename(GENERATED_IMAGES_DIR)}/`)
+  };
+}
+
+/**
+ * SMTP configuration problems, known without a network call
+ * @returns {Object|null} Check result, or null when email is configured
+ */
+function checkSmtpConfig() {
+  if (process.env.EMAIL_ENABLED !== 'true') {
+    return result('disabled', 'Email is disabled (set EMAIL_ENABLED=true)');
+  }
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_APP_PASSWORD) {
+    return result('missing', 'EMAIL_USER and EMAIL_APP_PASSWORD must be set');
+  }
+  return null;
+}
+
+/**
+ * Verify the SMTP login (cached for SMTP_CHECK_TTL_MS)
+ * @param {boolean} refresh - Ignore the cached result
+ * @returns {Promise<Object>} Check result
+ */
+async function checkSmtp(refresh = false) {
+  const configProblem = checkSmtpConfig();
+  if (configProblem) return configProblem;
+  if (!refresh && smtpCheck && Date.now() - smtpCheck.checkedAt < SMTP_CHECK_TTL_MS) {
+    return smtpCheck.result;
+  }
+
+  if (!smtpCheckInFlight) {
+    smtpCheckInFlight = (async () => {
+      let timer;
+      try {
+        const timeout = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`No answer within ${SMTP_TIMEOUT_MS / 1000}s`)), SMTP_TIMEOUT_MS);
+        });
+        await Promise.race([initEmailTransporter().verify(), timeout]);
+        return result('ok', 'SMTP login verified');
+      } catch (error) {
+        return result('error', `SMTP verify failed: ${error.message}`);
+      } finally {
+        clearTimeout(timer);
+      }
+    })().then((checked) => {
+      smtpCheck = { result: checked, checkedAt: Date.now() };
+      smtpCheckInFlight = null;
+      return checked;
+    });
+  }
+  return smtpCheckInFlight;
+}
+
+/**
+ * Last known SMTP result without waiting (starts a check in the background when stale)
+ * @returns {Object} Check result ('unknown' until the first verification finished)
+ */
+function peekSmtp() {
+  const configProblem = checkSmtpConfig();
+  if (configProblem) return configProblem;
+  if (!smtpCheck || Date.now() - smtpCheck.checkedAt >= SMTP_CHECK_TTL_MS) {
+    checkSmtp();
+  }
+  return smtpCheck ? smtpCheck.result : result('unknown', 'SMTP login not verified yet');
+}
+
+/**
+ * One check per configured MCP server (id mcp:<name>)
+ * @returns {Object} { 'mcp:<name>': check }
+ */
+function checkMcpServers() {
+  const checks = {};
+  for (const server of getMcpStatus()) {
+    if (server.status === 'stopped') continue;
+    const label = `MCP server ${server.name}`;
+    if (server.status === 'ready') {
+      checks[`mcp:${server.name}`] = result('ok', `${server.tools.length} tools`, { label });
+    } else if (server.status === 'starting') {
+      checks[`mcp:${server.name}`] = result('unknown', 'Starting', { label });
+    } else {
+      checks[`mcp:${server.name}`] = result('error', server.error || 'Not running', { label });
+    }
+  }
+  return checks;
+}
+
+/**
+ * Which tools can run, given the capability checks and what each plugin requires
+ * @param {Object} checks - Capability checks by id
+ * @returns {Object} { [toolId]: { available, unavailableReason? } }
+ */
+function getToolAvailability(checks) {
+  const availability = {};
+  for (const { id: toolId, requires = [] } of getTools()) {
+    // An SMTP login that was not verified yet does not block the tool
+    const failed = requires.filter(id => !checks[id] || (!checks[id].ok && checks[id].status !== 'unknown'));
+    availability[toolId] = failed.length === 0
+      ? { available: true }
+      : { available: false, unavailableReason: failed.map(id => (checks[id] ? `${checks[id].label || CAPABILITY_LABELS[id]}: ${checks[id].detail}` : `Unknown requirement: ${id}`)).join('; ') };
+  }
+  return availability;
+}
+
+/**
+ * Tool availability from local checks and the cached SMTP result (fast, for GET /api/tools)
+ * @returns {Object} { [toolId]: { available, unavailableReason? } }
+ */
+function getCachedToolAvailability() {
+  return getToolAvailability({ ...checkKeys(), smtp: peekSmtp(), ...checkBinaries(), ...checkFiles(), ...checkMcpServers() });
+}
+
+/**
+ * Run every readiness check
+ * @param {Object} options - { refresh: re-verify SMTP even if cached }
+ * @returns {Promise<Object>} { status: 'ready' | 'degraded' | 'not_ready', checkedAt, checks, tools }
+ */
+async function getReadiness({ refresh = false } = {}) {
+  const checks = { ...checkKeys(), smtp: await checkSmtp(refresh), ...checkBinaries(), ...checkFiles(), ...checkMcpServers() };
+  for (const id of Object.keys(checks)) {
+    checks[id].label = checks[id].label || CAPABILITY_LABELS[id];
+  }
+
+  // Without a model key nothing works; anything else only disables some tools
+  const optionalFailures = Object.entries(checks).filter(([id, check]) => id !== 'gemini_key' && check.status !== 'ok' && check.status !== 'disabled');
+  let status = 'ready';
+  if (!checks.gemini_key.ok) {
+    status = 'not_ready';
+  } else if (optionalFailures.length > 0) {
+    status = 'degraded';
+  }
+
+  return { status, checkedAt: new Date().toISOString(), platform: process.platform, checks, tools: getToolAvailability(checks) };
+}
+
+module.exports = {
+  getReadiness,
+  getCachedToolAvailability
+};
@@ -0,0 +1,415 @@
+/**
+ * Apsara Live - Conversation history
+ * Every session is stored as JSON Lines in backend/history/<sessionId>.jsonl so conversations
+ * survive the WebSocket closing. One entry per line:
+ *
+ *   { type: 'session', sessionId, startedAt, client, deviceId, model }   first line (deviceId: paired device, else null)
+ *   { type: 'message', at, speaker, text, turnId? }               finished utterance or typed message
+ *   { type: 'thought', at, turnId, text }                         thought summary
+ *   { type: 'tool_call', at, turnId, id, name, args, result, durationMs }
+ *   { type: 'image', at, turnId, kind: 'generated' | 'screenshot', filename, filepath, model? }
+ *   { type: 'end', at }                                           the client disconnected
+ *
+ * Screenshots are copied to backend/history/media/<sessionId>/ (generated images already live in
+ * backend/generated_images/). Old sessions are pruned by HISTORY_RETENTION_DAYS and
+ * HISTORY_MAX_SESSIONS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { DATA_DIR } = require('./config');
+
+const logger = createLogger('history');
+
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const MEDIA_DIR = path.join(HISTORY_DIR, 'media');
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const RETENTION_DAYS = envNumber('HISTORY_RETENTION_DAYS', 30); // 0 = keep forever
+const MAX_SESSIONS = envNumber('HISTORY_MAX_SESSIONS', 500); // 0 = no limit
+
+// Tool results are stored without binary payloads and with long strings cut
+const MAX_STORED_STRING = 2000;
+const BINARY_RESULT_FIELDS = ['base64Image', 'image', 'base64Content'];
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Path of a session's history file (null for malformed ids)
+ * @param {string} sessionId - Session id
+ * @returns {string|null}
+ */
+function historyFile(sessionId) {
+  return SESSION_ID_PATTERN.test(sessionId) ? path.join(HISTORY_DIR, `${sessionId}.jsonl`) : null;
+}
+
+/**
+ * ISO timestamp from a since/until filter - a full date-time, or a local day (YYYY-MM-DD)
+ * @param {string} value - Filter value
+ * @param {boolean} endOfDay - For a day, use its last moment instead of midnight
+ * @returns {string|undefined} ISO timestamp (undefined when no filter was given)
+ */
+function parseDateFilter(value, endOfDay = false) {
+  if (!value) return undefined;
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = day
+    ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]) + (endOfDay ? 1 : 0), 0, 0, 0, endOfDay ? -1 : 0)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Copy of a tool result that is safe to store (binary fields dropped, long strings cut)
+ * @param {*} value - Tool result or part of it
+ * @returns {*}
+ */
+function compactResult(value) {
+  if (typeof value === 'string') {
+    return value.length > MAX_STORED_STRING ? `${value.slice(0, MAX_STORED_STRING)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(compactResult);
+  }
+  if (value && typeof value === 'object') {
+    const compact = {};
+    for (const [key, field] of Object.entries(value)) {
+      compact[key] = BINARY_RESULT_FIELDS.includes(key) ? '[omitted]' : compactResult(field);
+    }
+    return compact;
+  }
+  return value;
+}
+
+/**
+ * Create the history recorder of a live session
+ * @param {Object} session - Session (id, auth, modelConfig)
+ * @returns {Object} Recorder with record(), saveScreenshot() and close()
+ */
+function createHistoryRecorder(session) {
+  const filepath = historyFile(session.id);
+  const startedAt = session.createdAt || new Date().toISOString();
+  let headerWritten = false;
+
+  const writeEntry = (entry) => {
+    try {
+      if (!headerWritten) {
+        if (!fs.existsSync(HISTORY_DIR)) {
+          fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        }
+        const header = {
+          type: 'session',
+          sessionId: session.id,
+          startedAt,
+          client: session.auth?.deviceName || session.auth?.via || null,
+          deviceId: session.auth?.deviceId || null,
+          model: session.modelConfig?.model || null
+        };
+        fs.appendFileSync(filepath, `${JSON.stringify(header)}\n`, 'utf8');
+        headerWritten = true;
+      }
+      fs.appendFileSync(filepath, `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (error) {
+      logger.error('❌ Error writing history:', error);
+    }
+  };
+
+  return {
+    filepath,
+
+    /**
+     * Append an entry to the session's history
+     * @param {string} type - 'message', 'thought', 'tool_call' or 'image'
+     * @param {Object} data - Entry fields
+     */
+    record(type, data) {
+      const entry = { type, at: new Date().toISOString(), ...data };
+      if (type === 'tool_call') {
+        entry.result = compactResult(data.result);
+      }
+      writeEntry(entry);
+    },
+
+    /**
+     * Keep a copy of a screenshot and reference it in the history
+     * @param {Object} screenshot - { image (base64), filename, mimeType }
+     * @param {string} turnId - Model turn that took it
+     */
+    saveScreenshot(screenshot, turnId) {
+      if (!screenshot?.image) return;
+      try {
+        const dir = path.join(MEDIA_DIR, session.id);
+        fs.mkdirSync(dir, { recursive: true });
+        const mediaPath = path.join(dir, path.basename(screenshot.filename));
+        fs.writeFileSync(mediaPath, Buffer.from(screenshot.image, 'base64'));
+        this.record('image', { turnId, kind: 'screenshot', filename: screenshot.filename, filepath: mediaPath });
+      } catch (error) {
+        logger.error('❌ Error saving screenshot to history:', error);
+      }
+    },
+
+    /**
+     * Mark the session as ended (only if anything was recorded)
+     */
+    close() {
+      if (headerWritten) {
+        writeEntry({ type: 'end', at: new Date().toISOString() });
+      }
+    }
+  };
+}
+
+/**
+ * Read all entries of a stored session
+ * @param {string} sessionId - Session id
+ * @returns {Array|null} Entries, or null if the session is not stored
+ */
+function readEntries(sessionId) {
+  const filepath = historyFile(sessionId);
+  if (!filepath || !fs.existsSync(filepath)) return null;
+
+  const entries = [];
+  for (const line of fs.readFileSync(filepath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A crash can leave a half-written last line - skip it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Summary of a stored session
+ * @param {string} sessionId - Session id
+ * @param {Array} entries - Entries from readEntries
+ * @returns {Object} { sessionId, startedAt, endedAt, lastActivityAt, client, deviceId, model, title, messages, toolCalls, images }
+ */
+function summarize(sessionId, entries) {
+  const header = entries.find(e => e.type === 'session') || {};
+  const end = entries.find(e => e.type === 'end');
+  const messages = entries.filter(e => e.type === 'message');
+  const firstUserMessage = messages.find(e => e.speaker === 'user');
+  const last = entries[entries.length - 1];
+
+  return {
+    sessionId,
+    startedAt: header.startedAt || null,
+    endedAt: end?.at || null,
+    lastActivityAt: last?.at || header.startedAt || null,
+    client: header.client || null,
+    deviceId: header.deviceId || null,
+    model: header.model || null,
+    title: firstUserMessage ? firstUserMessage.text.slice(0, 80) : null,
+    messages: messages.length,
+    toolCalls: entries.filter(e => e.type === 'tool_call').length,
+    images: entries.filter(e => e.type === 'image').length
+  };
+}
+
+/**
+ * Group entries into turns - a turn is the user's messages plus the model's answer
+ * @param {Array} entries - Entries from readEntries
+ * @returns {Array} Turns { turnId, startedAt, user, thoughts, assistant, toolCalls, images }
+ */
+function groupTurns(entries) {
+  const turns = [];
+  let current = null;
+  let pendingUser = [];
+
+  for (const entry of entries) {
+    if (entry.type === 'message' && entry.speaker === 'user') {
+      pendingUser.push(entry);
+      continue;
+    }
+    if (!entry.turnId) continue;
+
+    // User messages belong to the first turn that starts after them
+    if (!current || current.turnId !== entry.turnId) {
+      current = { turnId: entry.turnId, startedAt: pendingUser[0]?.at || entry.at, user: pendingUser, thoughts: [], assistant: [], toolCalls: [], images: [] };
+      turns.push(current);
+      pendingUser = [];
+    }
+
+    if (entry.type === 'thought') current.thoughts.push(entry);
+    if (entry.type === 'message') current.assistant.push(entry);
+    if (entry.type === 'tool_call') current.toolCalls.push(entry);
+    if (entry.type === 'image') current.images.push(entry);
+  }
+
+  // Messages the model never answered
+  if (pendingUser.length > 0) {
+    turns.push({ turnId: null, startedAt: pendingUser[0].at, user: pendingUser, thoughts: [], assistant: [], toolCalls: [], images: [] });
+  }
+  return turns;
+}
+
+/**
+ * Ids of all stored sessions
+ * @returns {Array<string>}
+ */
+function storedSessionIds() {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs.readdirSync(HISTORY_DIR)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => name.slice(0, -'.jsonl'.length))
+    .filter(id => SESSION_ID_PATTERN.test(id));
+}
+
+/**
+ * List stored sessions, newest first
+ * @param {Object} options - { since?, until? (ISO timestamps or YYYY-MM-DD days), deviceId? (only that device's sessions), limit?, offset? }
+ * @returns {Object} { sessions, total }
+ */
+function listStoredSessions({ since, until, deviceId, limit = 50, offset = 0 } = {}) {
+  since = parseDateFilter(since);
+  until = parseDateFilter(until, true);
+  const sessions = storedSessionIds()
+    .map(id => summarize(id, readEntries(id) || []))
+    .filter(s => deviceId === undefined || s.deviceId === deviceId)
+    .filter(s => (!since || s.lastActivityAt >= since) && (!until || s.startedAt <= until))
+    .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+
+  return { sessions: sessions.slice(offset, offset + limit), total: sessions.length };
+}
+
+/**
+ * Fetch a stored session with its entries and turns
+ * @param {string} sessionId - Session id
+ * @returns {Object|null} { ...summary, entries, turns }, or null if not stored
+ */
+function getStoredSession(sessionId) {
+  const entries = readEntries(sessionId);
+  if (!entries) return null;
+  return { ...summarize(sessionId, entries), entries, turns: groupTurns(entries) };
+}
+
+/**
+ * Search messages (and tool calls) of all stored sessions
+ * @param {string} query - Case-insensitive text to find
+ * @param {Object} options - { since?, until? (ISO timestamps or YYYY-MM-DD days), speaker?, deviceId? (only that device's sessions), limit? }
+ * @returns {Array} Matches { sessionId, sessionStartedAt, at, type, speaker?, name?, turnId, snippet }, newest first
+ */
+function searchHistory(query, { since, until, speaker, deviceId, limit = 50 } = {}) {
+  since = parseDateFilter(since);
+  until = parseDateFilter(until, true);
+  const needle = query.toLowerCase();
+  const matches = [];
+
+  for (const id of storedSessionIds()) {
+    const entries = readEntries(id) || [];
+    const header = entries.find(e => e.type === 'session') || {};
+    if (deviceId !== undefined && (header.deviceId || null) !== deviceId) continue;
+
+    for (const entry of entries) {
+      if (since && entry.at < since) continue;
+      if (until && entry.at > until) continue;
+
+      let text = null;
+      if (entry.type === 'message' && (!speaker || entry.speaker === speaker)) {
+        text = entry.text;
+      } else if (entry.type === 'tool_call' && !speaker) {
+        text = `${entry.name} ${JSON.stringify(entry.args || {})} ${JSON.stringify(entry.result || {})}`;
+      }
+
+      const index = text ? text.toLowerCase().indexOf(needle) : -1;
+      if (index === -1) continue;
+
+      const start = Math.max(0, index - 60);
+      matches.push({
+        sessionId: id,
+        sessionStartedAt: header.startedAt || null,
+        at: entry.at,
+        type: entry.type,
+        speaker: entry.speaker,
+        name: entry.name,
+        turnId: entry.turnId || null,
+        snippet: `${start > 0 ? '…' : ''}${text.slice(start, index + needle.length + 100)}`
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+}
+
+/**
+ * Delete a stored session and its media
+ * @param {string} sessionId - Session id
+ * @returns {boolean} True if it existed
+ */
+function deleteStoredSession(sessionId) {
+  const filepath = historyFile(sessionId);
+  if (!filepath || !fs.existsSync(filepath)) return false;
+
+  fs.unlinkSync(filepath);
+  fs.rmSync(path.join(MEDIA_DIR, sessionId), { recursive: true, force: true });
+  return true;
+}
+
+/**
+ * Apply the retention settings (sessions in use are kept)
+ * @param {Function} isActive - (sessionId) => true while the session is connected
+ * @returns {number} Number of deleted sessions
+ */
+function pruneHistory(isActive = () => false) {
+  try {
+    const cutoff = RETENTION_DAYS > 0 ? Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000 : null;
+    const files = storedSessionIds()
+      .filter(id => !isActive(id))
+      .map(id => ({ id, modifiedAt: fs.statSync(historyFile(id)).mtimeMs }))
+      .sort((a, b) => b.modifiedAt - a.modifiedAt);
+
+    let deleted = 0;
+    files.forEach(({ id, modifiedAt }, index) => {
+      const expired = cutoff !== null && modifiedAt < cutoff;
+      const overLimit = MAX_SESSIONS > 0 && index >= MAX_SESSIONS;
+      if (expired || overLimit) {
+        deleteStoredSession(id);
+        deleted++;
+      }
+    });
+
+    if (deleted > 0) {
+      logger.info(`🧹 Pruned ${deleted} stored session(s) from history`);
+    }
+    return deleted;
+  } catch (error) {
+    logger.error('❌ Error pruning history:', error);
+    return 0;
+  }
+}
+
+/**
+ * Retention settings (for GET /api/sessions)
+ * @returns {Object} { retentionDays, maxSessions }
+ */
+function getRetention() {
+  return { retentionDays: RETENTION_DAYS, maxSessions: MAX_SESSIONS };
+}
+
+module.exports = {
+  createHistoryRecorder,
+  listStoredSessions,
+  getStoredSession,
+  searchHistory,
+  deleteStoredSession,
+  pruneHistory,
+  getRetention,
+  parseDateFilter,
+  HISTORY_DIR,
+  MEDIA_DIR
+};
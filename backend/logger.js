@@ -0,0 +1,236 @@
+/**
+ * Apsara Live - Structured logging
+ * One logger for the whole backend: levels (error, warn, info, debug), per-scope overrides,
+ * pretty or JSON lines, the session id on every line logged for a connection, and redaction
+ * of base64 blobs, email bodies and secrets before anything is written.
+ *
+ * The configuration comes from the logging section of apsara.config.json (LOG_LEVEL,
+ * LOG_SCOPES and LOG_FORMAT override it, see config.js) and can be changed at runtime
+ * with setLogConfig (POST /api/admin/logging).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_FORMATS = ['pretty', 'json'];
+
+// Keys whose values are never logged
+const SECRET_KEY_PATTERN = /(api[-_]?key|token|secret|password|authorization|cookie)$/i;
+// Keys holding email bodies in nodemailer options (tool arguments are masked per plugin, see sensitiveArgs)
+const EMAIL_BODY_KEYS = new Set(['body', 'html', 'emailBody']);
+// Long base64 runs and data URIs (audio chunks, frames, screenshots, images)
+const BASE64_PATTERN = /(data:[\w/+.-]+;base64,)?[A-Za-z0-9+/]{200,}={0,2}/g;
+const BEARER_PATTERN = /Bearer\s+[\w.~+/-]+=*/gi;
+// Environment variables whose values are masked wherever they appear
+const SECRET_ENV_VARS = ['GEMINI_API_KEY', 'IMAGE_API_KEY', 'GOOGLE_API_KEY', 'AUTH_SECRET', 'EMAIL_APP_PASSWORD'];
+
+const logContext = new AsyncLocalStorage();
+
+let config = {
+  level: 'info',
+  scopes: {},
+  format: 'pretty'
+};
+
+/**
+ * Parse LOG_SCOPES ("tools=debug,auth=warn"; a bare scope name means debug)
+ * @param {string|Object} value - Env string or { scope: level } map
+ * @returns {Object} { scope: level }
+ */
+function parseScopes(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return { ...value };
+  const scopes = {};
+  for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [scope, level = 'debug'] = item.split('=').map(part => part.trim());
+    scopes[scope] = level;
+  }
+  return scopes;
+}
+
+/**
+ * Validate and apply logging configuration
+ * @param {Object} updates - { level?, scopes?, format? }
+ * @returns {Object} The active configuration
+ */
+function setLogConfig(updates = {}) {
+  const next = { ...config };
+  if (updates.level !== undefined) {
+    if (!(updates.level in LEVELS)) {
+      throw new Error(`Invalid log level: ${updates.level} (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    next.level = updates.level;
+  }
+  if (updates.scopes !== undefined) {
+    const scopes = parseScopes(updates.scopes);
+    for (const [scope, level] of Object.entries(scopes)) {
+      if (!(level in LEVELS)) {
+        throw new Error(`Invalid log level for scope ${scope}: ${level}`);
+      }
+    }
+    next.scopes = scopes;
+  }
+  if (updates.format !== undefined) {
+    if (!LOG_FORMATS.includes(updates.format)) {
+      throw new Error(`Invalid log format: ${updates.format} (use ${LOG_FORMATS.join(', ')})`);
+    }
+    next.format = updates.format;
+  }
+  config = next;
+  return getLogConfig();
+}
+
+/**
+ * Active logging configuration
+ * @returns {Object} { level, scopes, format, levels, formats }
+ */
+function getLogConfig() {
+  return { ...config, scopes: { ...config.scopes }, levels: Object.keys(LEVELS), formats: LOG_FORMATS };
+}
+
+/**
+ * Whether a line at this level is written for the scope
+ * @param {string} scope - Logger scope
+ * @param {string} level - Line level
+ * @returns {boolean}
+ */
+function isEnabled(scope, level) {
+  const threshold = config.scopes[scope] || config.scopes['*'] || config.level;
+  return LEVELS[level] <= LEVELS[threshold];
+}
+
+/**
+ * Mask secrets and blobs inside a string
+ * @param {string} text
+ * @returns {string}
+ */
+function redactString(text) {
+  let redacted = text
+    .replace(BASE64_PATTERN, (match, dataUri) => `[${dataUri ? dataUri.slice(5, -8) : 'base64'} ${match.length - (dataUri || '').length} chars]`)
+    .replace(BEARER_PATTERN, 'Bearer [redacted]');
+  for (const name of SECRET_ENV_VARS) {
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) {
+      redacted = redacted.split(secret).join('[redacted]');
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Copy of a value that is safe to log
+ * @param {*} value - Anything passed to the logger
+ * @param {string} key - Property name the value sits under
+ * @param {number} depth - Current nesting depth
+ * @returns {*}
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_KEY_PATTERN.test(key) && typeof value !== 'object') return '[redacted]';
+  if (EMAIL_BODY_KEYS.has(key) && typeof value === 'string') return `[email body ${value.length} chars]`;
+  if (typeof value === 'string') return redactString(value);
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[binary ${value.byteLength} bytes]`;
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), ...(value.code && { code: value.code }), stack: value.stack && redactString(value.stack) };
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= 6) return '[...]';
+  if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+  const copy = {};
+  for (const [name, item] of Object.entries(value)) {
+    copy[name] = redact(item, name, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Split console-style arguments into a message and structured data
+ * @param {Array} args - ('message', value, ...) as passed to console.log
+ * @returns {Object} { msg, data? }
+ */
+function formatArgs(args) {
+  const words = [];
+  const values = [];
+  for (const arg of args) {
+    if (typeof arg === 'string' || typeof arg === 'number' || typeof arg === 'boolean') {
+      words.push(String(arg));
+    } else if (arg !== undefined) {
+      values.push(redact(arg));
+    }
+  }
+  const msg = redactString(words.join(' ').trim());
+  if (values.length === 0) return { msg };
+  return { msg, data: values.length === 1 ? values[0] : values };
+}
+
+/**
+ * Write one line
+ * @param {string} scope - Logger scope
+ * @param {Object} fields - Bound fields (sessionId, ...)
+ * @param {string} level - Line level
+ * @param {Array} args - Console-style arguments
+ */
+function write(scope, fields, level, args) {
+  if (!isEnabled(scope, level)) return;
+  const context = { ...logContext.getStore(), ...fields };
+  const { msg, data } = formatArgs(args);
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+  if (config.format === 'json') {
+    const line = { time: new Date().toISOString(), level, scope, ...context, msg };
+    if (data !== undefined) line.data = data;
+    stream.write(JSON.stringify(line) + '\n');
+    return;
+  }
+
+  const prefix = [
+    new Date().toISOString(),
+    level.toUpperCase().padEnd(5),
+    `[${scope}]`,
+    context.sessionId ? `[${String(context.sessionId).slice(0, 8)}]` : null
+  ].filter(Boolean).join(' ');
+  let rest = '';
+  if (data instanceof Object && data.stack) {
+    rest = `\n${data.stack}`;
+  } else if (data !== undefined) {
+    rest = ` ${JSON.stringify(data)}`;
+  }
+  stream.write(`${prefix} ${msg}${rest}\n`);
+}
+
+/**
+ * Create a logger for a part of the backend
+ * @param {string} scope - Scope name (server, tools, email, auth, ...)
+ * @param {Object} fields - Fields added to every line, e.g. { sessionId }
+ * @returns {Object} { error, warn, info, debug, isEnabled, child }
+ */
+function createLogger(scope, fields = {}) {
+  return {
+    error: (...args) => write(scope, fields, 'error', args),
+    warn: (...args) => write(scope, fields, 'warn', args),
+    info: (...args) => write(scope, fields, 'info', args),
+    debug: (...args) => write(scope, fields, 'debug', args),
+    isEnabled: (level) => isEnabled(scope, level),
+    child: ({ scope: childScope, ...extra }) => createLogger(childScope || scope, { ...fields, ...extra })
+  };
+}
+
+/**
+ * Run a function with fields (e.g. the session id) added to every line logged inside it,
+ * including lines from modules that do not know the session, such as tools.js
+ * @param {Object} fields - { sessionId, ... }
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  createLogger,
+  withLogContext,
+  setLogConfig,
+  getLogConfig,
+  parseScopes,
+  redact
+};
@@ -0,0 +1,595 @@
+/**
+ * Apsara Live - MCP client
+ * Spawns the stdio Model Context Protocol servers listed under mcp.servers in
+ * apsara.config.json, lists their tools and exposes each one next to the plugins as
+ * mcp__<server>__<tool>: the input schema becomes a Gemini function declaration and calls
+ * are forwarded with tools/call. Servers that exit are restarted a few times, and the
+ * list follows configuration edits and the servers' tools/list_changed notifications.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { getConfig, onConfigChange } = require('./config');
+const { createLogger } = require('./logger');
+const { version } = require('./package.json');
+
+const logger = createLogger('mcp');
+
+const PROTOCOL_VERSION = '2025-06-18';
+const REQUEST_TIMEOUT_MS = 30000;
+// Wait before each restart of a server that exited; after the last one it stays down
+const RESTART_DELAYS_MS = [1000, 5000, 30000];
+const TOOL_ID_PREFIX = 'mcp__';
+const MAX_TOOL_ID_LENGTH = 64;
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+const MAX_SCHEMA_DEPTH = 10;
+
+// Running servers by name
+const servers = new Map();
+const changeListeners = [];
+
+/**
+ * Tool id for an MCP tool (Gemini function names allow letters, digits and _)
+ * @param {string} serverName
+ * @param {string} toolName
+ * @returns {string}
+ */
+function toToolId(serverName, toolName) {
+  return `${TOOL_ID_PREFIX}${serverName}__${toolName}`.replace(/[^A-Za-z0-9_]/g, '_').slice(0, MAX_TOOL_ID_LENGTH);
+}
+
+/**
+ * Whether an id belongs to a configured MCP server, even before its tools are listed
+ * (saved profiles and widgets refer to MCP tools while the servers are still starting)
+ * @param {string} id - Tool id
+ * @returns {boolean}
+ */
+function isMcpToolId(id) {
+  return Object.entries(getConfig().mcp.servers)
+    .some(([name, options]) => options.enabled !== false && id.startsWith(toToolId(name, '')));
+}
+
+/**
+ * Resolve a local JSON Schema reference (#/$defs/... or #/definitions/...)
+ * @param {Object} root - Top-level schema
+ * @param {string} ref
+ * @returns {Object|null}
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) return null;
+  return ref.slice(2).split('/').reduce((node, part) => (node && typeof node === 'object' ? node[part] : null), root);
+}
+
+/**
+ * Convert a JSON Schema (MCP inputSchema) to the OpenAPI subset Gemini accepts.
+ * Free-form nested objects (no properties) become JSON strings, whose paths are
+ * collected so the arguments can be decoded again before the call.
+ * @param {Object} schema - JSON Schema
+ * @param {Object} context - { root, jsonPaths, path }
+ * @param {number} depth
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema, context, depth = 0) {
+  const { root, jsonPaths, path: schemaPath } = context;
+  if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+    jsonPaths.push(schemaPath);
+    return { type: 'string', description: 'JSON value' };
+  }
+
+  if (typeof schema.$ref === 'string') {
+    const target = resolveRef(root, schema.$ref);
+    return toGeminiSchema(target ? { ...target, ...(schema.description && { description: schema.description }) } : null, context, depth + 1);
+  }
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const merged = allOf
+      .map(part => (part && typeof part.$ref === 'string' ? resolveRef(root, part.$ref) : part) || {})
+      .reduce((acc, part) => ({
+        ...acc,
+        ...part,
+        properties: { ...acc.properties, ...part.properties },
+        required: [...(acc.required || []), ...(part.required || [])]
+      }), rest);
+    return toGeminiSchema(merged, context, depth + 1);
+  }
+
+  const result = {};
+  const description = schema.description || schema.title;
+  if (description) result.description = description;
+
+  const variants = (schema.anyOf || schema.oneOf || []).filter(variant => variant?.type !== 'null');
+  let types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  if (types.includes('null') || (schema.anyOf || schema.oneOf || []).some(variant => variant?.type === 'null')) {
+    result.nullable = true;
+  }
+  types = types.filter(type => type !== 'null');
+
+  if (types.length === 0 && variants.length > 0) {
+    if (variants.length === 1) return { ...toGeminiSchema(variants[0], context, depth + 1), ...result };
+    return { ...result, anyOf: variants.map(variant => toGeminiSchema(variant, context, depth + 1)) };
+  }
+  if (types.length > 1) {
+    return { ...result, anyOf: types.map(type => toGeminiSchema({ ...schema, type, description: undefined }, context, depth + 1)) };
+  }
+
+  let type = types[0] || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+  if (!SCHEMA_TYPES.includes(type)) type = 'string';
+  result.type = type;
+
+  const values = schema.const !== undefined ? [schema.const] : schema.enum;
+  if (Array.isArray(values)) {
+    if (type === 'string' && values.every(value => typeof value === 'string')) {
+      result.enum = values;
+    } else {
+      result.description = `${description ? `${description} ` : ''}(one of ${values.map(value => JSON.stringify(value)).join(', ')})`;
+    }
+  }
+  if (type === 'string' && schema.format === 'date-time') result.format = 'date-time';
+  for (const key of ['minimum', 'maximum', 'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern']) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+
+  if (type === 'array') {
+    const items = Array.isArray(schema.items) ? schema.items[0] : schema.items;
+    result.items = toGeminiSchema(items, { ...context, path: [...schemaPath, '*'] }, depth + 1);
+  }
+  if (type === 'object') {
+    const properties = Object.entries(schema.properties || {});
+    // Gemini rejects nested objects without properties - pass them as JSON text
+    if (properties.length === 0 && schemaPath.length > 0) {
+      jsonPaths.push(schemaPath);
+      return { ...result, type: 'string', description: `${description ? `${description} ` : ''}(JSON object)` };
+    }
+    result.properties = {};
+    for (const [name, property] of properties) {
+      result.properties[name] = toGeminiSchema(property, { ...context, path: [...schemaPath, name] }, depth + 1);
+    }
+    const required = (schema.required || []).filter(name => name in result.properties);
+    if (required.length > 0) result.required = required;
+  }
+  return result;
+}
+
+/**
+ * Parse the arguments that were declared as JSON strings back into values
+ * @param {*} value - Arguments (or a part of them)
+ * @param {Array<string>} jsonPath - Property names, '*' for array items
+ * @returns {*}
+ */
+function decodeJsonArg(value, jsonPath) {
+  if (jsonPath.length === 0) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  const [head, ...rest] = jsonPath;
+  if (head === '*') {
+    return Array.isArray(value) ? value.map(item => decodeJsonArg(item, rest)) : value;
+  }
+  if (value && typeof value === 'object' && head in value) {
+    return { ...value, [head]: decodeJsonArg(value[head], rest) };
+  }
+  return value;
+}
+
+/**
+ * Convert a tools/call result for the model
+ * @param {Object} result - MCP CallToolResult { content, structuredContent, isError }
+ * @returns {Object} { success, output, data?, omitted? } or { success: false, error }
+ */
+function toToolResult(result) {
+  const text = [];
+  const omitted = [];
+  for (const item of result?.content || []) {
+    if (item.type === 'text') {
+      text.push(item.text);
+    } else if (item.type === 'resource' && typeof item.resource?.text === 'string') {
+      text.push(item.resource.text);
+    } else if (item.type === 'resource_link') {
+      text.push(`${item.name || item.uri}: ${item.uri}`);
+    } else {
+      // Images, audio and binary resources are not forwarded to the model
+      omitted.push(item.mimeType ? `${item.type} (${item.mimeType})` : item.type);
+    }
+  }
+  const output = text.join('\n');
+  if (result?.isError) {
+    return { success: false, error: output || 'The MCP tool reported an error' };
+  }
+  return {
+    success: true,
+    output,
+    ...(result?.structuredContent && { data: result.structuredContent }),
+    ...(omitted.length > 0 && { omitted })
+  };
+}
+
+/**
+ * Tell the listeners that the MCP tool list changed
+ */
+function notifyChange() {
+  for (const listener of changeListeners) {
+    try {
+      listener();
+    } catch (error) {
+      logger.error('❌ Error in MCP change listener:', error);
+    }
+  }
+}
+
+/**
+ * Write a JSON-RPC message to a server
+ * @param {Object} server
+ * @param {Object} message
+ */
+function send(server, message) {
+  if (server.child && server.child.stdin.writable) {
+    server.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+}
+
+/**
+ * Send a JSON-RPC notification
+ * @param {Object} server
+ * @param {string} method
+ * @param {Object} params
+ */
+function notify(server, method, params) {
+  send(server, { jsonrpc: '2.0', method, ...(params && { params }) });
+}
+
+/**
+ * Send a JSON-RPC request
+ * @param {Object} server
+ * @param {string} method
+ * @param {Object} params
+ * @param {Object} options - { timeoutMs, signal }
+ * @returns {Promise<Object>} Result
+ */
+function request(server, method, params, { timeoutMs = REQUEST_TIMEOUT_MS, signal } = {}) {
+  if (!server.child) {
+    return Promise.reject(new Error(`MCP server ${server.name} is not running`));
+  }
+  const id = server.nextId++;
+
+  return new Promise((resolve, reject) => {
+    const finish = (error, result) => {
+      clearTimeout(timer);
+      server.pending.delete(id);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(result);
+    };
+    const onAbort = () => {
+      notify(server, 'notifications/cancelled', { requestId: id, reason: 'Cancelled by Apsara' });
+      finish(new Error(`${method} was cancelled`));
+    };
+    const timer = setTimeout(() => {
+      notify(server, 'notifications/cancelled', { requestId: id, reason: 'Timed out' });
+      finish(new Error(`${method} on ${server.name} timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    server.pending.set(id, finish);
+    send(server, { jsonrpc: '2.0', id, method, ...(params && { params }) });
+  });
+}
+
+/**
+ * Turn a server's MCP tools into registry tools (same shape as plugins)
+ * @param {Object} server
+ * @param {Array<Object>} tools - MCP Tool objects from tools/list
+ * @returns {Array<Object>}
+ */
+function toRegistryTools(server, tools) {
+  const registryTools = [];
+  const ids = new Set();
+  for (const tool of tools) {
+    const id = toToolId(server.name, tool.name);
+    if (ids.has(id)) {
+      logger.warn(`⚠️ Skipping MCP tool ${tool.name} of ${server.name}: its id ${id} is already used`);
+      continue;
+    }
+    ids.add(id);
+
+    const jsonPaths = [];
+    const parameters = toGeminiSchema(tool.inputSchema || { type: 'object' }, { root: tool.inputSchema, jsonPaths, path: [] });
+    const summary = (tool.description || '').split('\n')[0].trim();
+
+    registryTools.push({
+      id,
+      name: tool.title || tool.annotations?.title || tool.name,
+      description: summary.length > 80 ? `${summary.slice(0, 77)}...` : summary,
+      enabled: false,
+      async: false,
+      timeoutMs: server.options.timeoutMs,
+      requires: [`mcp:${server.name}`],
+      approval: tool.annotations?.readOnlyHint === true ? 'allow' : 'ask', // Ask unless the server marks the tool read-only
+      mcpServer: server.name,
+      declaration: {
+        description: tool.description || tool.name,
+        parameters: parameters.type === 'object' ? parameters : { type: 'object', properties: {} }
+      },
+      handler: (args, { signal }) => callTool(server, tool.name, jsonPaths.reduce(decodeJsonArg, args), signal),
+      prompt: {
+        capability: `Using tools from the ${server.name} MCP server`,
+        usage: summary || tool.name
+      }
+    });
+  }
+  return registryTools;
+}
+
+/**
+ * Call a tool on a server
+ * @param {Object} server
+ * @param {string} name - MCP tool name
+ * @param {Object} args
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object>} Tool result
+ */
+async function callTool(server, name, args, signal) {
+  if (server.status !== 'ready') {
+    return { success: false, error: `MCP server ${server.name} is not running` };
+  }
+  const result = await request(server, 'tools/call', { name, arguments: args || {} }, {
+    timeoutMs: server.options.timeoutMs || REQUEST_TIMEOUT_MS,
+    signal
+  });
+  return toToolResult(result);
+}
+
+/**
+ * Re-read a server's tool list (follows pagination)
+ * @param {Object} server
+ */
+async function refreshTools(server) {
+  const tools = [];
+  let cursor;
+  do {
+    const page = await request(server, 'tools/list', cursor ? { cursor } : {});
+    tools.push(...(page.tools || []));
+    cursor = page.nextCursor;
+  } while (cursor);
+  server.tools = toRegistryTools(server, tools);
+}
+
+/**
+ * Handle a message from a server
+ * @param {Object} server
+ * @param {Object} message - JSON-RPC message
+ */
+function handleMessage(server, message) {
+  // Response to one of our requests
+  if (message.id !== undefined && !message.method) {
+    const finish = server.pending.get(message.id);
+    if (!finish) return;
+    if (message.error) finish(new Error(message.error.message || `MCP error ${message.error.code}`));
+    else finish(null, message.result);
+    return;
+  }
+
+  // Request from the server: we only answer pings (no sampling, roots or elicitation)
+  if (message.id !== undefined) {
+    if (message.method === 'ping') {
+      send(server, { jsonrpc: '2.0', id: message.id, result: {} });
+    } else {
+      send(server, { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } });
+    }
+    return;
+  }
+
+  if (message.method === 'notifications/tools/list_changed' && server.status === 'ready') {
+    refreshTools(server)
+      .then(() => {
+        logger.info(`🔄 MCP server ${server.name} now has ${server.tools.length} tools`);
+        notifyChange();
+      })
+      .catch(error => logger.warn(`⚠️ Could not refresh the tools of ${server.name}: ${error.message}`));
+  } else if (message.method === 'notifications/message') {
+    logger.debug(`📨 ${server.name}:`, message.params?.data);
+  }
+}
+
+/**
+ * A server process ended (or could not be started)
+ * @param {Object} server
+ * @param {Object} child - The process that ended
+ * @param {string} reason
+ */
+function handleExit(server, child, reason) {
+  if (server.child !== child) return;
+  server.child = null;
+  for (const finish of [...server.pending.values()]) {
+    finish(new Error(`MCP server ${server.name} ${reason}`));
+  }
+  if (server.stopping) {
+    server.status = 'stopped';
+    return;
+  }
+
+  server.status = 'error';
+  server.error = server.error || `Process ${reason}`;
+  notifyChange();
+
+  const delay = RESTART_DELAYS_MS[server.failures];
+  server.failures += 1;
+  if (delay === undefined) {
+    logger.error(`❌ MCP server ${server.name} ${reason} - giving up after ${RESTART_DELAYS_MS.length} restarts`);
+    return;
+  }
+  logger.warn(`⚠️ MCP server ${server.name} ${reason} - restarting in ${delay / 1000}s`);
+  server.restartTimer = setTimeout(() => startServer(server), delay);
+  server.restartTimer.unref();
+}
+
+/**
+ * Spawn a server, initialize it and list its tools
+ * @param {Object} server
+ */
+async function startServer(server) {
+  const { command, args = [], env = {}, cwd } = server.options;
+  server.status = 'starting';
+  server.error = null;
+  logger.info(`🔌 Starting MCP server ${server.name}: ${[command, ...args].join(' ')}`);
+
+  const child = spawn(command, args, {
+    cwd: cwd ? path.resolve(__dirname, cwd) : undefined,
+    env: { ...process.env, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  server.child = child;
+  server.buffer = '';
+
+  child.on('error', error => handleExit(server, child, `could not be started: ${error.message}`));
+  child.on('exit', (code, signal) => handleExit(server, child, `exited (${signal || `code ${code}`})`));
+  child.stdin.on('error', () => {}); // The exit handler reports a dead server
+
+  // Newline-delimited JSON-RPC on stdout, logs on stderr
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    server.buffer += chunk;
+    let newline;
+    while ((newline = server.buffer.indexOf('\n')) !== -1) {
+      const line = server.buffer.slice(0, newline).trim();
+      server.buffer = server.buffer.slice(newline + 1);
+      if (!line) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        logger.debug(`📨 ${server.name} (not JSON-RPC): ${line.slice(0, 200)}`);
+        continue;
+      }
+      handleMessage(server, message);
+    }
+  });
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', chunk => logger.debug(`📨 ${server.name} stderr: ${chunk.trim()}`));
+
+  try {
+    const initialized = await request(server, 'initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'apsara-live', version }
+    });
+    server.serverInfo = initialized.serverInfo || null;
+    notify(server, 'notifications/initialized');
+    await refreshTools(server);
+
+    server.status = 'ready';
+    server.failures = 0;
+    logger.info(`✅ MCP server ${server.name} ready with ${server.tools.length} tools`);
+    notifyChange();
+  } catch (error) {
+    if (server.child !== child) return; // Already reported by the exit handler
+    logger.error(`❌ MCP server ${server.name} failed to start: ${error.message}`);
+    server.error = error.message;
+    child.kill();
+  }
+}
+
+/**
+ * Stop a server for good
+ * @param {Object} server
+ */
+function stopServer(server) {
+  server.stopping = true;
+  clearTimeout(server.restartTimer);
+  if (server.child) server.child.kill();
+  server.status = 'stopped';
+  logger.info(`🔌 Stopped MCP server ${server.name}`);
+}
+
+/**
+ * Start, stop and restart servers to match mcp.servers in the configuration
+ */
+function syncServers() {
+  const configured = getConfig().mcp.servers;
+  let changed = false;
+
+  for (const [name, server] of servers) {
+    if (JSON.stringify(configured[name]) !== JSON.stringify(server.options)) {
+      stopServer(server);
+      servers.delete(name);
+      changed = true;
+    }
+  }
+  for (const [name, options] of Object.entries(configured)) {
+    if (options.enabled === false || servers.has(name)) continue;
+    const server = {
+      name,
+      options,
+      status: 'starting',
+      error: null,
+      tools: [],
+      serverInfo: null,
+      child: null,
+      pending: new Map(),
+      nextId: 1,
+      failures: 0,
+      stopping: false,
+      restartTimer: null
+    };
+    servers.set(name, server);
+    startServer(server);
+  }
+
+  if (changed) notifyChange();
+}
+
+/**
+ * Start the configured servers and follow configuration changes
+ */
+function startMcpServers() {
+  syncServers();
+  onConfigChange(syncServers);
+  process.on('exit', () => {
+    for (const server of servers.values()) {
+      if (server.child) server.child.kill();
+    }
+  });
+}
+
+/**
+ * Tools of the servers that listed them, in configuration order
+ * @returns {Array<Object>} Registry tools (see plugins/index.js for the shape)
+ */
+function getMcpTools() {
+  return [...servers.values()].flatMap(server => server.tools);
+}
+
+/**
+ * State of every running or failed server
+ * @returns {Array<Object>} { name, status, error, tools, serverInfo }
+ */
+function getMcpStatus() {
+  return [...servers.values()].map(server => ({
+    name: server.name,
+    status: server.status,
+    error: server.error,
+    tools: server.tools.map(tool => tool.id),
+    serverInfo: server.serverInfo
+  }));
+}
+
+/**
+ * Call a function whenever MCP tools appear, disappear or change availability
+ * @param {Function} listener
+ */
+function onMcpToolsChange(listener) {
+  changeListeners.push(listener);
+}
+
+module.exports = {
+  startMcpServers,
+  getMcpTools,
+  getMcpStatus,
+  isMcpToolId,
+  onMcpToolsChange,
+  toGeminiSchema,
+  TOOL_ID_PREFIX
+};
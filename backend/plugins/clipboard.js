@@ -0,0 +1,78 @@
+/**
+ * Apsara Live - Clipboard plugins
+ * copy_to_clipboard, get_clipboard_text and paste_from_clipboard
+ * (xclip or xsel plus xdotool on Linux, built in on macOS and Windows)
+ */
+
+const { copyToClipboard, getClipboardText, pasteFromClipboard } = require('../tools');
+
+module.exports = [
+  {
+    id: 'copy_to_clipboard',
+    name: 'Copy to Clipboard',
+    description: 'Copy text',
+    enabled: false,
+    priority: 40,
+    async: true,
+    approval: 'ask',
+    sensitiveArgs: ['text'],
+    requires: ['clipboard'],
+    declaration: {
+      description: 'Copy text to the system clipboard.',
+      parameters: {
+        type: 'object',
+        properties: { text: { type: 'string' } },
+        required: ['text']
+      }
+    },
+    summarize: (args) => `Replace the clipboard with ${args.text.length} characters: "${args.text.length > 80 ? `${args.text.slice(0, 77)}...` : args.text}"`,
+    handler: (args) => copyToClipboard(args.text),
+    prompt: {
+      capability: 'Copying text to the system clipboard',
+      usage: 'Copy text for easy pasting',
+      examples: [
+        { text: '"Copy this text and paste it" → Use copy_to_clipboard, then paste_from_clipboard', requires: ['paste_from_clipboard'] }
+      ]
+    }
+  },
+  {
+    id: 'get_clipboard_text',
+    name: 'Get Clipboard',
+    description: 'Read clipboard text',
+    enabled: false,
+    priority: 40,
+    async: false,
+    requires: ['clipboard'],
+    declaration: {
+      description: 'Get the current text from system clipboard.',
+      parameters: { type: 'object', properties: {} }
+    },
+    handler: () => getClipboardText(),
+    prompt: {
+      capability: 'Reading text from the system clipboard',
+      usage: 'Read what\'s currently in clipboard',
+      examples: ['"Get text from clipboard and summarize it" → Use get_clipboard_text, then explain the content naturally (don\'t just read it back)']
+    }
+  },
+  {
+    id: 'paste_from_clipboard',
+    name: 'Paste Clipboard',
+    description: 'Paste clipboard content',
+    enabled: false,
+    priority: 40,
+    async: true,
+    approval: 'ask',
+    requires: ['clipboard', 'keyboard'],
+    declaration: {
+      description: 'Simulate keyboard paste (Ctrl+V/Cmd+V).',
+      parameters: { type: 'object', properties: {} }
+    },
+    summarize: () => 'Paste the clipboard into the active window',
+    handler: () => pasteFromClipboard(),
+    prompt: {
+      capability: 'Pasting clipboard content into active applications',
+      usage: 'Simulate keyboard paste (Ctrl+V/Cmd+V) to insert clipboard content',
+      examples: ['"Paste what I copied earlier" → Use paste_from_clipboard']
+    }
+  }
+];
@@ -0,0 +1,114 @@
+/**
+ * Apsara Live - Computer use plugin
+ * computer_use: mouse and keyboard control by screen coordinates (xdotool on Linux,
+ * cliclick and osascript on macOS, PowerShell on Windows). Disabled by default.
+ */
+
+const { computerUse } = require('../tools');
+
+// Approval summaries of the pointer actions
+const POINTER_LABELS = {
+  click: 'Click',
+  double_click: 'Double-click',
+  right_click: 'Right-click',
+  move: 'Move the mouse'
+};
+
+module.exports = {
+  id: 'computer_use',
+  name: 'Computer Use',
+  description: 'Control mouse & keyboard (POWERFUL)',
+  enabled: false,
+  priority: 90,
+  async: true,
+  approval: 'ask',
+  requires: ['mouse'],
+  declaration: {
+    description: `COMPUTER USE - Control mouse and keyboard using screen coordinates. REQUIRES SCREEN SHARING TO BE ACTIVE.
+
+**CRITICAL: Coordinate System**
+- Origin (0, 0) is TOP-LEFT corner of screen
+- X increases rightward (0 = left edge, max = right edge)
+- Y increases downward (0 = top edge, max = bottom edge)
+- You MUST see the screen via screen sharing to know where to click
+- ALWAYS look at the current screen content before acting
+- Calculate coordinates based on visual position of UI elements
+
+**Available Actions:**
+- click: Left-click at (x, y)
+- double_click: Double left-click at (x, y)
+- right_click: Right-click at (x, y)
+- move: Move mouse to (x, y) without clicking
+- type: Type text (uses currently focused input)
+- key: Press special key (Return, Tab, Escape, Up, Down, Left, Right)
+- scroll: Scroll up/down by amount
+
+**Example Workflow:**
+1. User: "Go to chatgpt.com and ask what is life"
+2. You: open_url("chatgpt.com") → wait 2-3 seconds
+3. You: Look at screen via screen sharing
+4. You: Identify "New Chat" button position (e.g., x=1200, y=150)
+5. You: computer_use("click", x=1200, y=150)
+6. You: Identify text input field (e.g., x=800, y=500)
+7. You: computer_use("click", x=800, y=500)
+8. You: computer_use("type", text="what is life?")
+9. You: computer_use("key", key="Return")
+
+**SAFETY:**
+- ONLY use when screen sharing is active
+- ALWAYS look at screen before clicking
+- NEVER click blindly - calculate coordinates from visual position
+- Start with approximate coordinates, adjust if needed
+- Wait 1-2 seconds between actions for UI to update`,
+    parameters: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['click', 'double_click', 'right_click', 'move', 'type', 'key', 'scroll'],
+          description: 'Action to perform'
+        },
+        x: {
+          type: 'number',
+          description: 'X coordinate in pixels (horizontal, 0 = left edge). Required for click/double_click/right_click/move.'
+        },
+        y: {
+          type: 'number',
+          description: 'Y coordinate in pixels (vertical, 0 = top edge). Required for click/double_click/right_click/move.'
+        },
+        text: {
+          type: 'string',
+          description: 'Text to type. Required for "type" action. Will be typed in the currently focused input field.'
+        },
+        key: {
+          type: 'string',
+          enum: ['Return', 'Tab', 'Escape', 'Delete', 'Up', 'Down', 'Left', 'Right'],
+          description: 'Special key to press. Required for "key" action. Return = Enter key.'
+        },
+        direction: {
+          type: 'string',
+          enum: ['up', 'down'],
+          description: 'Scroll direction. Required for "scroll" action.'
+        },
+        amount: {
+          type: 'number',
+          description: 'Scroll amount in pixels. Optional, defaults to 100. For "scroll" action.'
+        }
+      },
+      required: ['action']
+    }
+  },
+  summarize: (args) => {
+    switch (args.action) {
+      case 'type': return `Type "${args.text}"`;
+      case 'key': return `Press ${args.key}`;
+      case 'scroll': return `Scroll ${args.direction} by ${args.amount || 100} pixels`;
+      default: return `${POINTER_LABELS[args.action]} at (${args.x}, ${args.y})`;
+    }
+  },
+  handler: (args) => computerUse(args.action, args.x, args.y, args.text, args.key, args.direction, args.amount),
+  prompt: {
+    capability: 'COMPUTER USE - Full mouse & keyboard control using screen coordinates (POWERFUL: requires screen sharing)',
+    usage: '**POWERFUL** Control mouse & keyboard using coordinates. REQUIRES screen sharing. Actions: click, double_click, right_click, type, key, scroll. Origin (0,0) = top-left. ALWAYS look at screen before clicking!'
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Apsara Live - Email plugin
+ * send_email_to_shubharthak (needs EMAIL_ENABLED=true and a Gmail app password)
+ */
+
+const { sendEmailToShubharthak } = require('../tools');
+const { getConfig } = require('../config');
+
+module.exports = {
+  id: 'send_email_to_shubharthak',
+  name: 'Send Email',
+  description: 'Send messages with file attachments',
+  enabled: false,
+  priority: 20,
+  async: true,
+  approval: 'ask',
+  sensitiveArgs: ['message', 'senderInfo', 'fileBase64'],
+  requires: ['smtp'],
+  declaration: () => ({
+    description: 'Send an email to any recipient with optional file attachment. WORKFLOWS: (1) Screenshot: call take_screenshot, then this with fileBase64="use_last_screenshot". (2) Any file: call read_file with asBase64=true, then this with fileBase64=result.base64Content, filename=result.filename, mimeType=result.mimeType.',
+    parameters: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', description: 'Email message content' },
+        recipientEmail: { type: 'string', description: `Email address to send to (defaults to ${getConfig().email.defaultRecipient})` },
+        senderInfo: { type: 'string', description: 'Optional context or sender information' },
+        fileBase64: { type: 'string', description: 'Base64 encoded file content OR "use_last_screenshot". Get this from read_file result.base64Content or take_screenshot.' },
+        filename: { type: 'string', description: 'Filename for attachment (e.g., start.sh, document.pdf). Get from read_file result.filename.' },
+        mimeType: { type: 'string', description: 'MIME type (e.g., text/plain, application/pdf). Get from read_file result.mimeType.' }
+      },
+      required: ['message']
+    }
+  }),
+  summarize: (args) => {
+    const attachment = args.fileBase64 === 'use_last_screenshot' ? 'the last screenshot' : args.filename;
+    return `Email ${args.recipientEmail || getConfig().email.defaultRecipient}${attachment ? ` with ${attachment} attached` : ''}: "${args.message}"`;
+  },
+  handler: (args) => sendEmailToShubharthak(
+    args.message,
+    args.recipientEmail,
+    args.senderInfo,
+    args.fileBase64,
+    args.filename,
+    args.mimeType
+  ),
+  prompt: {
+    capability: 'Sending messages to Shubharthak via email (with image attachments)',
+    usage: 'Send messages to Shubharthak, can include image attachments',
+    guidelines: ['If someone wants to contact Shubharthak, offer to send a message via email'],
+    examples: [
+      { text: '"Read the file /path/to/file.txt and email it to me" → Use read_file with asBase64=true, then send_email_to_shubharthak with the base64Content from read_file result', requires: ['read_file'] }
+    ]
+  }
+};
@@ -0,0 +1,199 @@
+/**
+ * Apsara Live - File system plugins
+ * read_file, browse_files, create_file, edit_file, move_file, rename_file and delete_file
+ */
+
+const { readFile, browseFiles, createFile, editFile, moveFile, renameFile, deleteFile } = require('../tools');
+
+const READ_CAPABILITY = 'Reading local files and browsing directories';
+const WRITE_CAPABILITY = 'Creating, editing, moving, renaming, and deleting files';
+
+module.exports = [
+  {
+    id: 'read_file',
+    name: 'Read File',
+    description: 'Read local files (text or base64)',
+    enabled: false,
+    priority: 60,
+    async: false,
+    declaration: {
+      description: 'Read a file from the local filesystem. Returns file content as text OR base64. TO EMAIL A FILE: Use asBase64=true, then pass result.base64Content to send_email_to_shubharthak with result.filename and result.mimeType.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Absolute or relative path to the file (e.g., /home/user/start.sh or ./backend/start.sh)' },
+          asBase64: { type: 'boolean', description: 'REQUIRED for email: true = returns base64Content (for attachments), false = returns text content (for reading). Set to true when emailing files.' }
+        },
+        required: ['filePath']
+      }
+    },
+    handler: (args) => readFile(args.filePath, args.asBase64),
+    prompt: {
+      capability: READ_CAPABILITY,
+      usage: 'Read any file from the filesystem (text or binary as base64)'
+    }
+  },
+  {
+    id: 'browse_files',
+    name: 'Browse Files',
+    description: 'List files and directories',
+    enabled: false,
+    priority: 60,
+    async: false,
+    declaration: {
+      description: 'Browse and list files and directories in a given path. Shows directories and files with details.',
+      parameters: {
+        type: 'object',
+        properties: {
+          dirPath: { type: 'string', description: 'Directory path to browse (defaults to user home directory)' },
+          includeHidden: { type: 'boolean', description: 'Include hidden files/folders (default: false)' }
+        }
+      }
+    },
+    handler: (args) => browseFiles(args.dirPath, args.includeHidden),
+    prompt: {
+      capability: READ_CAPABILITY,
+      usage: 'List files and directories with details',
+      examples: ['"Show me files in /home/user/Documents" → Use browse_files with dirPath parameter']
+    }
+  },
+  {
+    id: 'create_file',
+    name: 'Create File',
+    description: 'Create new files with content',
+    enabled: false,
+    priority: 60,
+    async: true,
+    approval: 'ask',
+    sensitiveArgs: ['content'],
+    declaration: {
+      description: 'Create a new file with content. Automatically creates parent directories if needed.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path where to create the file (e.g., /home/user/notes.txt)' },
+          content: { type: 'string', description: 'Content to write to the file' },
+          overwrite: { type: 'boolean', description: 'Overwrite if file exists (default: false)' }
+        },
+        required: ['filePath', 'content']
+      }
+    },
+    summarize: (args) => `${args.overwrite ? 'Create or overwrite' : 'Create'} ${args.filePath} with ${args.content.length} characters`,
+    handler: (args) => createFile(args.filePath, args.content, args.overwrite),
+    prompt: {
+      capability: WRITE_CAPABILITY,
+      usage: 'Create new files with content',
+      examples: ['"Create a file called notes.txt with my todo list" → Use create_file with filePath and content']
+    }
+  },
+  {
+    id: 'edit_file',
+    name: 'Edit File',
+    description: 'Edit existing files',
+    enabled: false,
+    priority: 60,
+    async: true,
+    approval: 'ask',
+    sensitiveArgs: ['content'],
+    declaration: {
+      description: 'Edit an existing file. Can replace entire content or append to the end.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path to the file to edit' },
+          content: { type: 'string', description: 'New content or content to append' },
+          mode: { type: 'string', description: 'Edit mode: "write" (replace all) or "append" (add to end). Default: "write"' }
+        },
+        required: ['filePath', 'content']
+      }
+    },
+    summarize: (args) => `${args.mode === 'append' ? 'Append' : 'Write'} ${args.content.length} characters ${args.mode === 'append' ? 'to' : 'over'} ${args.filePath}`,
+    handler: (args) => editFile(args.filePath, args.content, args.mode),
+    prompt: {
+      capability: WRITE_CAPABILITY,
+      usage: 'Edit existing files (write or append mode)',
+      examples: ['"Add this line to my notes" → Use edit_file with mode="append"']
+    }
+  },
+  {
+    id: 'move_file',
+    name: 'Move File',
+    description: 'Move files to new location',
+    enabled: false,
+    priority: 60,
+    async: true,
+    approval: 'ask',
+    declaration: {
+      description: 'Move a file to a new location. Can also be used to move files between directories.',
+      parameters: {
+        type: 'object',
+        properties: {
+          sourcePath: { type: 'string', description: 'Current file path' },
+          destinationPath: { type: 'string', description: 'New file path (full path with filename)' },
+          overwrite: { type: 'boolean', description: 'Overwrite if destination exists (default: false)' }
+        },
+        required: ['sourcePath', 'destinationPath']
+      }
+    },
+    summarize: (args) => `Move ${args.sourcePath} to ${args.destinationPath}${args.overwrite ? ' (overwriting it)' : ''}`,
+    handler: (args) => moveFile(args.sourcePath, args.destinationPath, args.overwrite),
+    prompt: {
+      capability: WRITE_CAPABILITY,
+      usage: 'Move files to new locations'
+    }
+  },
+  {
+    id: 'rename_file',
+    name: 'Rename File',
+    description: 'Rename files',
+    enabled: false,
+    priority: 60,
+    async: true,
+    approval: 'ask',
+    declaration: {
+      description: 'Rename a file (stays in same directory). For moving to different directory, use move_file.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Current file path' },
+          newName: { type: 'string', description: 'New filename (just the name, not full path)' }
+        },
+        required: ['filePath', 'newName']
+      }
+    },
+    summarize: (args) => `Rename ${args.filePath} to ${args.newName}`,
+    handler: (args) => renameFile(args.filePath, args.newName),
+    prompt: {
+      capability: WRITE_CAPABILITY,
+      usage: 'Rename files in same directory',
+      examples: ['"Rename file.txt to document.txt" → Use rename_file']
+    }
+  },
+  {
+    id: 'delete_file',
+    name: 'Delete File',
+    description: 'Delete files',
+    enabled: false,
+    priority: 60,
+    async: true,
+    approval: 'ask',
+    declaration: {
+      description: 'Delete a file (PERMANENT). Requires confirmation=true for safety. Ask user before calling.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path to file to delete' },
+          confirm: { type: 'boolean', description: 'Safety confirmation - MUST be true to delete. Always ask user first!' }
+        },
+        required: ['filePath', 'confirm']
+      }
+    },
+    summarize: (args) => `Permanently delete ${args.filePath}`,
+    handler: (args) => deleteFile(args.filePath, args.confirm),
+    prompt: {
+      capability: WRITE_CAPABILITY,
+      usage: 'Delete files (requires confirmation - ALWAYS ask user first!)',
+      examples: ['"Delete old-file.txt" → ALWAYS ask user for confirmation first, then use delete_file with confirm=true']
+    }
+  }
+];
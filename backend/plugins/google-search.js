@@ -0,0 +1,22 @@
+/**
+ * Apsara Live - Google Search plugin
+ * Gemini's built-in grounding with Google Search (run by the model, no handler here)
+ */
+
+module.exports = {
+  id: 'googleSearch',
+  name: 'Google Search',
+  description: 'Real-time web search',
+  enabled: true,
+  priority: 10,
+  async: false,
+  nativeTool: { googleSearch: {} },
+  prompt: {
+    capability: 'Searching Google for real-time information (current events, news, weather, sports, latest tech updates, etc.)',
+    usage: 'Automatic real-time information retrieval',
+    guidelines: [
+      'For questions about current events, news, weather, sports scores, latest tech updates, or anything requiring real-time information, Google Search will automatically provide accurate, up-to-date answers',
+      'Always cite sources when sharing information from Google Search'
+    ]
+  }
+};
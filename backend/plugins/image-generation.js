@@ -0,0 +1,50 @@
+/**
+ * Apsara Live - Image generation plugin
+ * generate_image with Nano Banana (the session's image model is used unless the model picks one)
+ */
+
+const { generateImage } = require('../tools');
+
+module.exports = {
+  id: 'generate_image',
+  name: 'Generate Image',
+  description: 'AI image generation (Nano Banana)',
+  enabled: false,
+  priority: 80,
+  async: true,
+  timeoutMs: 120000,
+  requires: ['image_key', 'generated_images'],
+  declaration: {
+    description: 'Generate AI images using Nano Banana (Gemini Image Generation). Creates high-quality images from text descriptions. Use "flash" model for speed, "pro" for best quality with text rendering and 4K resolution.',
+    parameters: {
+      type: 'object',
+      properties: {
+        prompt: {
+          type: 'string',
+          description: 'Detailed text description of the image to generate. Be specific about style, colors, composition, and details.'
+        },
+        model: {
+          type: 'string',
+          enum: ['flash', 'pro'],
+          description: 'Model to use: "flash" (gemini-2.5-flash-image, fast) or "pro" (gemini-3-pro-image-preview, best quality). Default: flash'
+        },
+        aspectRatio: {
+          type: 'string',
+          enum: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
+          description: 'Aspect ratio of generated image. Default: 1:1'
+        },
+        imageSize: {
+          type: 'string',
+          enum: ['1K', '2K', '4K'],
+          description: 'Image resolution (pro model only): 1K, 2K, or 4K. Default: 1K'
+        }
+      },
+      required: ['prompt']
+    }
+  },
+  handler: (args, { toolConfig }) => generateImage(args.prompt, args.model || toolConfig.imageModel, args.aspectRatio, args.imageSize),
+  prompt: {
+    capability: 'AI image generation using Nano Banana (create any image from text descriptions)',
+    usage: 'AI image generation with Nano Banana (creates images from text descriptions)'
+  }
+};
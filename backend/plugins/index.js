@@ -0,0 +1,215 @@
+/**
+ * Apsara Live - Tool plugin loader
+ *
+ * Every tool the model can call is a plugin: a module in this directory (a .js file, or a
+ * folder with an index.js) exporting one plugin object or an array of them. Files starting
+ * with "_" or "." are skipped, so plugins can keep shared helpers next to them. Plugins are
+ * loaded once at startup and sorted by priority, then file name: that order is used for the
+ * tool declarations, the system prompt and the default order in the widget.
+ *
+ *   {
+ *     id: 'open_url',                    // Function name the model calls (letters, digits, _)
+ *     name: 'Open URL',                  // Label in the tools panel
+ *     description: 'Open websites',      // Short description in the tools panel
+ *     enabled: false,                    // Enabled for new sessions
+ *     priority: 70,                      // Optional position in tool lists (lower first, default 1000)
+ *     async: true,                       // NON_BLOCKING by default (the user can change it)
+ *     timeoutMs: 30000,                  // Optional, defaults to TOOL_TIMEOUT_MS
+ *     requires: ['open_url'],            // Optional readiness capabilities (see health.js)
+ *     approval: 'allow',                 // Optional default policy: 'allow' | 'ask' | 'deny'
+ *     summarize: (args) => 'Open x.com', // Optional one-line summary shown when asking
+ *     sensitiveArgs: ['message'],        // Optional args masked in logs and the audit log
+ *     declaration: { description, parameters } or (context) => declaration,
+ *     handler: async (args, { toolConfig, signal }) => ({ success, ... }),
+ *     prompt: {
+ *       capability: 'Opening websites in browser',        // "Your Capabilities" bullet
+ *       usage: 'Open URLs in default browser',             // "Available Tools" line
+ *       guidelines: ['...'],                               // "How to interact" bullets
+ *       examples: ['"Open google.com" → Use open_url', { text, requires: ['other_tool'] }]
+ *     }
+ *   }
+ *
+ * declaration and the prompt fields can also be functions of { toolConfig } (the session's
+ * tool configuration), for text that depends on apsara.config.json or other settings.
+ * Handlers never throw at the model: errors become { success: false, error }.
+ * Arguments that carry private content (message bodies, notes) belong in sensitiveArgs:
+ * logs and the audit log then only show their length.
+ * Tools that create, change or delete files (including the memory store), write the clipboard,
+ * send messages or control the computer should default to approval: 'ask', so the user sees
+ * the call (see approvals.js) before it runs. Files the backend writes under names of its own
+ * (screenshots, generated images) do not count.
+ *
+ * Gemini's built-in tools (Google Search) use nativeTool: { googleSearch: {} } instead of
+ * a declaration and handler - the model runs them itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('plugins');
+
+const PLUGINS_DIR = __dirname;
+const TOOL_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Approval policies of a tool call: run it, ask the user first, or never run it
+const APPROVAL_POLICIES = ['allow', 'ask', 'deny'];
+
+// Plugins without a priority come after the built-in ones
+const DEFAULT_PRIORITY = 1000;
+
+let plugins = null;
+
+/**
+ * Problems with a plugin object
+ * @param {Object} plugin - Exported plugin
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+function validatePlugin(plugin) {
+  const errors = [];
+  if (!plugin || typeof plugin !== 'object') {
+    return ['must export an object (or an array of objects)'];
+  }
+  if (typeof plugin.id !== 'string' || !TOOL_ID_PATTERN.test(plugin.id)) {
+    errors.push('id must be a function name (letters, digits and _)');
+  } else if (plugin.id.startsWith('mcp__')) {
+    errors.push('ids starting with mcp__ are reserved for MCP server tools');
+  }
+  if (typeof plugin.name !== 'string' || !plugin.name) {
+    errors.push('name must be a non-empty string');
+  }
+  if (plugin.nativeTool !== undefined) {
+    if (typeof plugin.nativeTool !== 'object' || plugin.nativeTool === null) {
+      errors.push('nativeTool must be a Gemini tool object like { googleSearch: {} }');
+    }
+  } else {
+    if (typeof plugin.handler !== 'function') {
+      errors.push('handler must be a function');
+    }
+    if (typeof plugin.declaration !== 'function' && (typeof plugin.declaration !== 'object' || plugin.declaration === null)) {
+      errors.push('declaration must be an object or a function returning one');
+    }
+  }
+  if (plugin.priority !== undefined && !Number.isFinite(plugin.priority)) {
+    errors.push('priority must be a number');
+  }
+  if (plugin.timeoutMs !== undefined && (!Number.isInteger(plugin.timeoutMs) || plugin.timeoutMs <= 0)) {
+    errors.push('timeoutMs must be a positive integer');
+  }
+  if (plugin.requires !== undefined && (!Array.isArray(plugin.requires) || plugin.requires.some(id => typeof id !== 'string'))) {
+    errors.push('requires must be an array of capability ids');
+  }
+  if (plugin.approval !== undefined && !APPROVAL_POLICIES.includes(plugin.approval)) {
+    errors.push(`approval must be one of ${APPROVAL_POLICIES.join(', ')}`);
+  }
+  if (plugin.summarize !== undefined && typeof plugin.summarize !== 'function') {
+    errors.push('summarize must be a function');
+  }
+  if (plugin.sensitiveArgs !== undefined && (!Array.isArray(plugin.sensitiveArgs) || plugin.sensitiveArgs.some(name => typeof name !== 'string'))) {
+    errors.push('sensitiveArgs must be an array of argument names');
+  }
+  return errors;
+}
+
+/**
+ * Plugin with defaults filled in
+ * @param {Object} plugin - Valid exported plugin
+ * @param {string} source - Module file name
+ * @returns {Object} Plugin
+ */
+function normalizePlugin(plugin, source) {
+  return {
+    ...plugin,
+    description: plugin.description || '',
+    enabled: plugin.enabled === true,
+    async: plugin.async === true,
+    priority: plugin.priority ?? DEFAULT_PRIORITY,
+    requires: plugin.requires || [],
+    approval: plugin.approval || 'allow',
+    sensitiveArgs: plugin.sensitiveArgs || [],
+    prompt: plugin.prompt || {},
+    source
+  };
+}
+
+/**
+ * Modules in a plugins directory, in file name order
+ * @param {string} dir - Plugins directory
+ * @returns {Array<string>} Entry names
+ */
+function listPluginModules(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('_') && !entry.name.startsWith('.') && entry.name !== 'index.js')
+    .filter(entry => (entry.isFile() && entry.name.endsWith('.js'))
+      || (entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'index.js'))))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Load every plugin module of a directory (a broken module is logged and skipped)
+ * @param {string} dir - Plugins directory (this one unless testing)
+ * @returns {Array<Object>} Plugins by priority (file name order among equal priorities)
+ */
+function loadPlugins(dir = PLUGINS_DIR) {
+  const loaded = [];
+  const ids = new Set();
+
+  for (const moduleName of listPluginModules(dir)) {
+    let exported;
+    try {
+      exported = require(path.join(dir, moduleName));
+    } catch (error) {
+      logger.error(`❌ Failed to load plugin ${moduleName}:`, error);
+      continue;
+    }
+
+    for (const plugin of Array.isArray(exported) ? exported : [exported]) {
+      const errors = validatePlugin(plugin);
+      if (errors.length > 0) {
+        logger.error(`❌ Skipping invalid plugin ${plugin?.id || '(no id)'} in ${moduleName}: ${errors.join('; ')}`);
+        continue;
+      }
+      if (ids.has(plugin.id)) {
+        logger.error(`❌ Skipping plugin ${plugin.id} in ${moduleName}: a tool with this id is already loaded`);
+        continue;
+      }
+      ids.add(plugin.id);
+      loaded.push(normalizePlugin(plugin, moduleName));
+    }
+  }
+
+  // Stable sort: plugins of one module and of equal priority keep their load order
+  loaded.sort((a, b) => a.priority - b.priority);
+
+  logger.info(`🧩 Loaded ${loaded.length} tool plugins from ${path.basename(dir)}/`);
+  logger.debug('🧩 Plugins:', loaded.map(plugin => `${plugin.id} (${plugin.source})`));
+  return loaded;
+}
+
+/**
+ * All loaded plugins (loads them on first use)
+ * @returns {Array<Object>} Plugins by priority
+ */
+function getPlugins() {
+  if (!plugins) plugins = loadPlugins();
+  return plugins;
+}
+
+/**
+ * Plugin for a tool id
+ * @param {string} id - Tool id
+ * @returns {Object|undefined}
+ */
+function getPlugin(id) {
+  return getPlugins().find(plugin => plugin.id === id);
+}
+
+module.exports = {
+  getPlugins,
+  getPlugin,
+  loadPlugins,
+  validatePlugin,
+  APPROVAL_POLICIES,
+  PLUGINS_DIR
+};
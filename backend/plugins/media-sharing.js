@@ -0,0 +1,65 @@
+/**
+ * Apsara Live - Screen and camera sharing plugins
+ * share_screen and share_camera ask the widget to start sharing (handled in server.js)
+ */
+
+const { shareScreen, shareCamera } = require('../tools');
+
+const CAPABILITY = 'Sharing screen and camera with you (you can see what user is doing)';
+
+module.exports = [
+  {
+    id: 'share_screen',
+    name: 'Share Screen',
+    description: 'Share screen with Apsara',
+    enabled: true,
+    priority: 100,
+    async: true,
+    declaration: {
+      description: 'Share screen with Apsara. You can see what the user is doing on their screen. Optional resolution parameter (e.g., "1920x1080", "3072x1920"). If not specified, uses current UI selection.',
+      parameters: {
+        type: 'object',
+        properties: {
+          resolution: {
+            type: 'string',
+            enum: ['1280x720', '1920x1080', '2560x1440', '3072x1920', '3840x2160'],
+            description: 'Screen capture resolution. Default: uses current UI selection'
+          }
+        },
+        required: []
+      }
+    },
+    handler: (args) => shareScreen(args.resolution),
+    prompt: {
+      capability: CAPABILITY,
+      usage: 'Share user\'s screen with you (you can see what they\'re doing). Optional resolution parameter.'
+    }
+  },
+  {
+    id: 'share_camera',
+    name: 'Share Camera',
+    description: 'Share camera with Apsara',
+    enabled: true,
+    priority: 100,
+    async: true,
+    declaration: {
+      description: 'Share camera with Apsara. You can see the user through their camera. Optional resolution parameter (e.g., "640x480", "1280x720"). If not specified, uses current UI selection.',
+      parameters: {
+        type: 'object',
+        properties: {
+          resolution: {
+            type: 'string',
+            enum: ['640x480', '1280x720', '1920x1080'],
+            description: 'Camera capture resolution. Default: uses current UI selection'
+          }
+        },
+        required: []
+      }
+    },
+    handler: (args) => shareCamera(args.resolution),
+    prompt: {
+      capability: CAPABILITY,
+      usage: 'Share user\'s camera with you (you can see them). Optional resolution parameter.'
+    }
+  }
+];
@@ -0,0 +1,75 @@
+/**
+ * Apsara Live - Memory plugins
+ * store_memory, retrieve_memories and clear_memories (persisted in apsara-memory.json)
+ */
+
+const { storeMemory, retrieveMemories, clearMemories } = require('../tools');
+
+const CAPABILITY = 'Storing and retrieving memories/notes for later use';
+
+module.exports = [
+  {
+    id: 'store_memory',
+    name: 'Store Memory',
+    description: 'Save information',
+    enabled: false,
+    priority: 50,
+    async: true,
+    approval: 'ask',
+    sensitiveArgs: ['content'],
+    requires: ['memory_file'],
+    declaration: {
+      description: 'Store a memory/note for later retrieval.',
+      parameters: {
+        type: 'object',
+        properties: { content: { type: 'string' }, category: { type: 'string' } },
+        required: ['content']
+      }
+    },
+    summarize: (args) => `Remember${args.category ? ` (${args.category})` : ''}: "${args.content}"`,
+    handler: (args) => storeMemory(args.content, args.category),
+    prompt: {
+      capability: CAPABILITY,
+      usage: 'Save important information, notes, or user preferences',
+      examples: ['"Remember this for later" → Use store_memory with the content']
+    }
+  },
+  {
+    id: 'retrieve_memories',
+    name: 'Retrieve Memories',
+    description: 'Recall stored info',
+    enabled: false,
+    priority: 50,
+    async: false,
+    requires: ['memory_file'],
+    declaration: {
+      description: 'Retrieve stored memories/notes.',
+      parameters: { type: 'object', properties: { query: { type: 'string' } } }
+    },
+    handler: (args) => retrieveMemories(args.query),
+    prompt: {
+      capability: CAPABILITY,
+      usage: 'Search and recall stored memories/notes',
+      examples: ['"What did I ask you to remember?" → Use retrieve_memories']
+    }
+  },
+  {
+    id: 'clear_memories',
+    name: 'Clear Memories',
+    description: 'Delete stored info',
+    enabled: false,
+    priority: 50,
+    async: true,
+    approval: 'ask',
+    requires: ['memory_file'],
+    declaration: {
+      description: 'Clear memories (all or by category).',
+      parameters: { type: 'object', properties: { category: { type: 'string' } } }
+    },
+    summarize: (args) => (args.category ? `Delete the memories in ${args.category}` : 'Delete all stored memories'),
+    handler: (args) => clearMemories(args.category),
+    prompt: {
+      usage: 'Delete memories (use with caution)'
+    }
+  }
+];
@@ -0,0 +1,32 @@
+/**
+ * Apsara Live - Open URL plugin
+ * open_url (xdg-open on Linux, open on macOS, start on Windows)
+ */
+
+const { openUrl } = require('../tools');
+
+module.exports = {
+  id: 'open_url',
+  name: 'Open URL',
+  description: 'Open websites in browser',
+  enabled: false,
+  priority: 70,
+  async: true,
+  requires: ['open_url'],
+  declaration: {
+    description: 'Open a URL in the default web browser. Automatically adds https:// if missing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'URL to open (e.g., google.com or https://github.com)' }
+      },
+      required: ['url']
+    }
+  },
+  handler: (args) => openUrl(args.url),
+  prompt: {
+    capability: 'Opening websites in browser',
+    usage: 'Open URLs in default browser',
+    examples: ['"Open google.com" → Use open_url']
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Apsara Live - Screenshot plugin
+ * take_screenshot (gnome-screenshot or scrot on Linux, screencapture on macOS, PowerShell on Windows)
+ */
+
+const { takeScreenshot } = require('../tools');
+
+module.exports = {
+  id: 'take_screenshot',
+  name: 'Take Screenshot',
+  description: 'Capture screen',
+  enabled: false,
+  priority: 30,
+  async: true,
+  requires: ['screenshot'],
+  declaration: {
+    description: 'Take a screenshot of the current screen.',
+    parameters: { type: 'object', properties: {} }
+  },
+  handler: () => takeScreenshot(),
+  prompt: {
+    capability: 'Taking screenshots of the current screen',
+    usage: 'Capture the current screen (returns {success, image, filename})',
+    examples: ['"Take a screenshot" → Use take_screenshot (just capture, don\'t email)']
+  }
+};
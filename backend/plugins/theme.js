@@ -0,0 +1,47 @@
+/**
+ * Apsara Live - Theme plugin
+ * change_theme switches the widget theme (the theme list is in apsara.config.json)
+ */
+
+const { changeTheme } = require('../tools');
+const { getConfig } = require('../config');
+
+// How the built-in themes look, for the change_theme declaration
+const THEME_DESCRIPTIONS = {
+  light: 'white/clean',
+  dark: 'dark gray',
+  nightly: 'navy blue',
+  dracula: 'purple/pink',
+  monokai: 'yellow/green on dark',
+  nord: 'blue/teal arctic',
+  'solarized-light': 'warm beige',
+  'solarized-dark': 'dark blue'
+};
+
+module.exports = {
+  id: 'change_theme',
+  name: 'Change Theme',
+  description: 'Change UI theme',
+  enabled: true,
+  priority: 110,
+  async: true,
+  declaration: () => ({
+    description: `Change the UI theme/appearance. Use when user asks to change theme, switch themes, or make UI darker/lighter. Available themes: ${getConfig().themes.map(theme => (THEME_DESCRIPTIONS[theme] ? `${theme} (${THEME_DESCRIPTIONS[theme]})` : theme)).join(', ')}.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        theme: {
+          type: 'string',
+          enum: getConfig().themes,
+          description: 'Theme name to switch to. Examples: "dark" for dark mode, "dracula" for purple theme, "nightly" for navy blue, "nord" for arctic blue.'
+        }
+      },
+      required: ['theme']
+    }
+  }),
+  handler: (args) => changeTheme(args.theme),
+  prompt: {
+    capability: 'Changing the UI theme/appearance on user request',
+    usage: () => `Change the UI theme (${getConfig().themes.join(', ')}).`
+  }
+};
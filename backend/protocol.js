@@ -0,0 +1,344 @@
+/**
+ * Apsara Live - WebSocket protocol
+ * The contract between the widget (or any third-party client) and the backend:
+ * protocol version, capabilities, client → server message schemas and error codes.
+ * The widget's copy of the constants (apsara-widget-app/src/protocol.generated.js) is generated
+ * from this file by generate-protocol.js - run `npm run generate:protocol` after changing them.
+ *
+ * HANDSHAKE:
+ *   client → { type: 'hello', protocolVersion: 1, client: { name, version }, capabilities: [...] }
+ *   server → { type: 'hello', protocolVersion: 1, sessionId, capabilities: [...], limits: {...} }
+ * Clients that skip the handshake are served as protocol version 1.
+ *
+ * ERRORS:
+ *   server → { type: 'error', code, error, details?, requestType? }
+ *
+ * BINARY FRAMES (when both sides announce the 'binary_frames' capability):
+ *   Media travels as binary WebSocket messages instead of base64 JSON - a 12-byte header
+ *   followed by the raw payload (PCM16 audio or an encoded image):
+ *     byte 0      frame format version (1)
+ *     byte 1      stream type (STREAM_TYPES)
+ *     byte 2      payload format (FRAME_FORMATS)
+ *     byte 3      reserved (0)
+ *     bytes 4-11  timestamp, milliseconds since the epoch (float64, big-endian)
+ *   Clients send microphone audio, screen and camera frames this way; the server sends reply
+ *   audio (and leaves it out of gemini_message). Base64 JSON keeps working as the fallback.
+ */
+
+const PROTOCOL_VERSION = 1;
+
+// Protocol versions this server can speak
+const SUPPORTED_VERSIONS = [1];
+
+// Features the server offers (clients can check these after the handshake)
+const SERVER_CAPABILITIES = [
+  'audio',            // PCM16 16kHz microphone input, 24kHz audio replies
+  'video',            // Screen share frames
+  'camera',           // Camera frames
+  'text',             // Typed messages
+  'modality',         // set_modality AUDIO / TEXT
+  'session_config',   // set_session_config
+  'transcripts',      // transcript events
+  'thoughts',         // thought events
+  'usage',            // usage events
+  'resumption',       // transparent upstream reconnects (status: reconnecting)
+  'tool_cancellation', // toolCallCancellation aborts running tools
+  'rate_limits',      // Per-connection and per-token limits (listed in the hello reply)
+  'binary_frames',    // Binary media frames (see BINARY FRAMES above)
+  'tool_approval'     // tool_approval_request / tool_approval_response (see approvals.js)
+];
+
+const FRAME_VERSION = 1;
+const FRAME_HEADER_BYTES = 12;
+
+const STREAM_TYPES = {
+  AUDIO_INPUT: 1,  // Microphone, PCM16 mono 16kHz (client → server)
+  SCREEN: 2,       // Screen share frame (client → server)
+  CAMERA: 3,       // Camera frame (client → server)
+  AUDIO_OUTPUT: 4  // Reply audio, PCM16 mono 24kHz (server → client)
+};
+
+const FRAME_FORMATS = {
+  PCM16: 0,
+  JPEG: 1,
+  PNG: 2,
+  WEBP: 3
+};
+
+const IMAGE_MIME_TYPES = {
+  [FRAME_FORMATS.JPEG]: 'image/jpeg',
+  [FRAME_FORMATS.PNG]: 'image/png',
+  [FRAME_FORMATS.WEBP]: 'image/webp'
+};
+
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',                 // Message is not valid JSON
+  INVALID_MESSAGE: 'INVALID_MESSAGE',           // Missing or wrongly typed fields
+  INVALID_FRAME: 'INVALID_FRAME',               // Malformed binary frame
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',                 // Unknown message type
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',   // No common protocol version (connection is closed)
+  NOT_READY: 'NOT_READY',                       // The model session is not connected yet
+  INVALID_CONFIG: 'INVALID_CONFIG',             // set_session_config values rejected
+  RATE_LIMITED: 'RATE_LIMITED',                 // Rate limit or quota exceeded (see rate-limit.js), the message was dropped
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',             // Error reported by the model provider
+  INTERNAL_ERROR: 'INTERNAL_ERROR'              // Unexpected server error
+};
+
+// Client → server messages. Field rules: type ('string' | 'number' | 'boolean' | 'object' | 'array'),
+// required, enum, maxLength.
+const CLIENT_MESSAGES = {
+  hello: {
+    description: 'Negotiate the protocol version and announce client capabilities',
+    fields: {
+      protocolVersion: { type: 'number' },
+      protocolVersions: { type: 'array' }, // Alternative: every version the client speaks
+      client: { type: 'object' },
+      capabilities: { type: 'array' }
+    }
+  },
+  audio: {
+    description: 'Microphone chunk, base64 PCM16 mono 16kHz (AUDIO modality only)',
+    fields: {
+      data: { type: 'string', required: true }
+    }
+  },
+  video: {
+    description: 'Screen share frame, base64 image',
+    fields: {
+      data: { type: 'string', required: true },
+      mimeType: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/webp'] }
+    }
+  },
+  camera: {
+    description: 'Camera frame, base64 image',
+    fields: {
+      data: { type: 'string', required: true },
+      mimeType: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/webp'] }
+    }
+  },
+  text: {
+    description: 'Typed message',
+    fields: {
+      text: { type: 'string', required: true, maxLength: 32000 }
+    }
+  },
+  interrupt: {
+    description: 'The user interrupted playback',
+    fields: {}
+  },
+  set_modality: {
+    description: 'Switch the reply modality (reconnects the model session)',
+    fields: {
+      modality: { type: 'string', required: true, enum: ['AUDIO', 'TEXT'] }
+    }
+  },
+  set_session_config: {
+    description: 'Change model, thinking, media resolution, voice or language of this session',
+    fields: {
+      model: { type: 'string' },
+      thinkingBudget: { type: 'number' },
+      mediaResolution: { type: 'string' },
+      voiceName: { type: 'string' },
+      languageCode: { type: 'string' }
+    }
+  },
+  tool_approval_response: {
+    description: 'Approve or deny a tool_approval_request, optionally for the rest of the session',
+    fields: {
+      requestId: { type: 'string', required: true },
+      approved: { type: 'boolean', required: true },
+      remember: { type: 'boolean' }
+    }
+  }
+};
+
+// Server → client message types (see README "Backend API Endpoints" for their fields)
+const SERVER_MESSAGES = [
+  'hello', 'session', 'status', 'error', 'gemini_message', 'transcript', 'thought', 'usage',
+  'modality_changed', 'session_config', 'interrupted', 'generated_image',
+  'trigger_screen_share', 'trigger_camera_share', 'trigger_theme_change', 'config', 'tools_changed',
+  'tool_approval_request', 'tool_approval_resolved'
+];
+
+/**
+ * Build a typed error message
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} error - Human readable message
+ * @param {Object} extra - Optional { details, requestType }
+ * @returns {Object} Error message
+ */
+function createError(code, error, extra = {}) {
+  return { type: 'error', code, error, ...extra };
+}
+
+/**
+ * Type of a value as used by the field rules
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate a parsed client message against CLIENT_MESSAGES
+ * @param {*} message - Parsed message
+ * @returns {Object|null} Error message, or null if the message is valid
+ */
+function validateClientMessage(message) {
+  if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+    return createError(ERROR_CODES.INVALID_MESSAGE, 'Message must be a JSON object with a string "type"');
+  }
+
+  const schema = CLIENT_MESSAGES[message.type];
+  if (!schema) {
+    return createError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`, { requestType: message.type });
+  }
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const value = message[name];
+    if (value === undefined) {
+      if (rule.required) {
+        return createError(ERROR_CODES.INVALID_MESSAGE, `"${name}" is required`, { requestType: message.type });
+      }
+      continue;
+    }
+    if (typeOf(value) !== rule.type) {
+      return createError(ERROR_CODES.INVALID_MESSAGE, `"${name}" must be a ${rule.type}`, { requestType: message.type });
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return createError(ERROR_CODES.INVALID_MESSAGE, `"${name}" must be one of ${rule.enum.join(', ')}`, { requestType: message.type });
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return createError(ERROR_CODES.INVALID_MESSAGE, `"${name}" is longer than ${rule.maxLength} characters`, { requestType: message.type });
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse and validate raw client data
+ * @param {Buffer|string} data - Raw WebSocket message
+ * @returns {Object} { message } or { error } (a typed error message to send back)
+ */
+function parseClientMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    return { error: createError(ERROR_CODES.INVALID_JSON, `Invalid JSON: ${err.message}`) };
+  }
+
+  const error = validateClientMessage(message);
+  return error ? { error } : { message };
+}
+
+/**
+ * Pick the protocol version for a hello message
+ * @param {Object} hello - Client hello
+ * @returns {number|null} Highest version both sides speak, or null if there is none
+ */
+function negotiateVersion(hello) {
+  const offered = Array.isArray(hello.protocolVersions)
+    ? hello.protocolVersions
+    : [hello.protocolVersion ?? PROTOCOL_VERSION];
+  const common = offered.filter(version => SUPPORTED_VERSIONS.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Build a binary media frame
+ * @param {number} streamType - One of STREAM_TYPES
+ * @param {Buffer} payload - Raw PCM16 audio or encoded image
+ * @param {Object} options
+ * @param {number} options.format - One of FRAME_FORMATS
+ * @param {number} options.timestamp - Milliseconds since the epoch
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(streamType, payload, { format = FRAME_FORMATS.PCM16, timestamp = Date.now() } = {}) {
+  const header = Buffer.alloc(FRAME_HEADER_BYTES);
+  header.writeUInt8(FRAME_VERSION, 0);
+  header.writeUInt8(streamType, 1);
+  header.writeUInt8(format, 2);
+  header.writeDoubleBE(timestamp, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split a binary media frame into header fields and payload
+ * @param {Buffer} frame - Binary WebSocket message
+ * @returns {Object} { streamType, format, timestamp, payload }
+ * @throws {Error} If the frame is too short or has an unknown version
+ */
+function decodeFrame(frame) {
+  if (frame.length < FRAME_HEADER_BYTES) {
+    throw new Error(`Frame shorter than its ${FRAME_HEADER_BYTES}-byte header`);
+  }
+  const version = frame.readUInt8(0);
+  if (version !== FRAME_VERSION) {
+    throw new Error(`Unsupported frame version: ${version}`);
+  }
+  return {
+    streamType: frame.readUInt8(1),
+    format: frame.readUInt8(2),
+    timestamp: frame.readDoubleBE(4),
+    payload: frame.subarray(FRAME_HEADER_BYTES)
+  };
+}
+
+/**
+ * Turn a binary client frame into the equivalent JSON client message
+ * (audio / video / camera with base64 data), so both encodings share one code path
+ * @param {Buffer} data - Binary WebSocket message
+ * @returns {Object} { message } or { error } (a typed error message to send back)
+ */
+function parseClientFrame(data) {
+  let frame;
+  try {
+    frame = decodeFrame(data);
+  } catch (err) {
+    return { error: createError(ERROR_CODES.INVALID_FRAME, err.message) };
+  }
+
+  const { streamType, format, timestamp, payload } = frame;
+  if (payload.length === 0) {
+    return { error: createError(ERROR_CODES.INVALID_FRAME, 'Frame has no payload') };
+  }
+
+  if (streamType === STREAM_TYPES.AUDIO_INPUT && format === FRAME_FORMATS.PCM16) {
+    return { message: { type: 'audio', data: payload.toString('base64'), timestamp } };
+  }
+  if ((streamType === STREAM_TYPES.SCREEN || streamType === STREAM_TYPES.CAMERA) && IMAGE_MIME_TYPES[format]) {
+    return {
+      message: {
+        type: streamType === STREAM_TYPES.SCREEN ? 'video' : 'camera',
+        data: payload.toString('base64'),
+        mimeType: IMAGE_MIME_TYPES[format],
+        timestamp
+      }
+    };
+  }
+  return { error: createError(ERROR_CODES.INVALID_FRAME, `Unsupported stream type ${streamType} with format ${format}`) };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  SERVER_CAPABILITIES,
+  ERROR_CODES,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  createError,
+  validateClientMessage,
+  parseClientMessage,
+  negotiateVersion,
+  STREAM_TYPES,
+  FRAME_FORMATS,
+  FRAME_VERSION,
+  FRAME_HEADER_BYTES,
+  encodeFrame,
+  decodeFrame,
+  parseClientFrame
+};
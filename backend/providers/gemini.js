@@ -0,0 +1,63 @@
+/**
+ * Apsara Live - Gemini Live realtime provider
+ * Thin wrapper around `ai.live.connect` from @google/genai
+ */
+
+// Text-to-speech model used for voice previews
+const TTS_MODEL = 'gemini-2.5-flash-preview-tts';
+
+/**
+ * Create the Gemini Live provider
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key (defaults to GEMINI_API_KEY)
+ * @returns {Object} Provider with connect() and speak() methods
+ */
+function createGeminiProvider({ apiKey } = {}) {
+  return {
+    name: 'gemini',
+
+    /**
+     * Open a Gemini Live session
+     * @param {Object} params
+     * @param {string} params.model - Live model id
+     * @param {Object} params.config - Live session config
+     * @param {Object} params.callbacks - { onopen, onmessage, onerror, onclose }
+     * @returns {Promise<Object>} Live session
+     */
+    async connect({ model, config, callbacks }) {
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey: apiKey || process.env.GEMINI_API_KEY });
+
+      return ai.live.connect({ model, config, callbacks });
+    },
+
+    /**
+     * Synthesize a short phrase with a prebuilt voice (used for voice previews)
+     * @param {Object} params
+     * @param {string} params.text - Text to speak
+     * @param {Object} params.speechConfig - Speech config (voice, language)
+     * @returns {Promise<Object>} { data: base64 PCM16 audio, mimeType }
+     */
+    async speak({ text, speechConfig }) {
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey: apiKey || process.env.GEMINI_API_KEY });
+
+      const response = await ai.models.generateContent({
+        model: TTS_MODEL,
+        contents: [{ parts: [{ text }] }],
+        config: {
+          responseModalities: ['AUDIO'],
+          speechConfig
+        }
+      });
+
+      const audio = response.candidates?.[0]?.content?.parts?.find(part => part.inlineData)?.inlineData;
+      if (!audio) {
+        throw new Error('No audio returned by the speech model');
+      }
+      return { data: audio.data, mimeType: audio.mimeType };
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
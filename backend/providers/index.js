@@ -0,0 +1,43 @@
+/**
+ * Apsara Live - Realtime provider registry
+ *
+ * A provider hides the upstream realtime API behind one interface:
+ *   provider.connect({ model, config, callbacks }) -> Promise<session>
+ *   callbacks: onopen(), onmessage(message), onerror(error), onclose(event)
+ *   session: sendRealtimeInput(input), sendClientContent(content),
+ *            sendToolResponse(response), close()
+ *   provider.speak({ text, speechConfig }) -> Promise<{ data, mimeType }>
+ *            one-off speech synthesis (base64 PCM16, 24kHz), used for voice previews
+ *
+ * Messages passed to onmessage use the Gemini Live server message shape
+ * (serverContent, toolCall, ...) for every provider.
+ *
+ * Select the provider with LIVE_PROVIDER=gemini (default) or LIVE_PROVIDER=local.
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createLocalProvider } = require('./local');
+
+const PROVIDERS = {
+  gemini: () => createGeminiProvider(),
+  local: () => createLocalProvider({ script: process.env.LOCAL_PROVIDER_SCRIPT })
+};
+
+/**
+ * Create a realtime provider by name
+ * @param {string} name - Provider name ('gemini' or 'local'), defaults to LIVE_PROVIDER
+ * @returns {Object} Provider instance
+ */
+function createProvider(name = process.env.LIVE_PROVIDER || 'gemini') {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown realtime provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  createProvider,
+  createGeminiProvider,
+  createLocalProvider
+};
@@ -0,0 +1,314 @@
+/**
+ * Apsara Live - Local stand-in realtime provider
+ * Emits canned audio/text/toolCall messages shaped like Gemini Live server messages,
+ * so the backend and widget can be developed and tested without a Gemini key or network.
+ *
+ * SCRIPT FORMAT (JSON file pointed to by LOCAL_PROVIDER_SCRIPT):
+ * {
+ *   "audioTurnMs": 4000,              // respond after this much microphone audio
+ *   "rules": [
+ *     { "on": "open", "reply": [{ "text": "Hi, I am the local provider" }] },
+ *     { "on": "text", "match": "screenshot", "reply": [{ "toolCall": { "name": "take_screenshot", "args": {} } }] },
+ *     { "on": "toolResponse", "match": "take_screenshot", "reply": [{ "text": "Got the screenshot." }] },
+ *     { "on": "audio", "reply": [{ "audio": { "durationMs": 800 } }, { "text": "I heard you." }] }
+ *   ]
+ * }
+ *
+ * "match" is a case-insensitive substring, or a regular expression written as "/pattern/flags".
+ * Reply steps: { text }, { thought }, { audio: { durationMs, frequency } }, { toolCall: { name, args } }
+ * (or an array of calls for one concurrent batch),
+ * { delayMs }, { message } (raw server message), { disconnect: "reason" } (drop the session
+ * as if upstream closed it). "{{input}}" in text is replaced with the user text (or tool name
+ * for toolResponse rules).
+ *
+ * Thought steps are only emitted when the config asks for thought summaries (includeThoughts).
+ * Every completed turn reports an estimated usageMetadata.
+ * When the session config asks for sessionResumption, a sessionResumptionUpdate is emitted
+ * after every completed turn, so resume/reconnect flows can be exercised locally.
+ *
+ * Typing "/tool <name> <json args>" as a text message always emits that tool call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const INPUT_SAMPLE_RATE = 16000;
+const AUDIO_CHUNK_MS = 200;
+
+// Used when no script file is configured
+const DEFAULT_SCRIPT = {
+  audioTurnMs: 4000,
+  rules: [
+    { on: 'text', reply: [{ text: 'You said: {{input}}' }] },
+    { on: 'audio', reply: [{ text: 'I heard you. This is the local Apsara provider.' }] },
+    { on: 'toolResponse', reply: [{ text: 'The {{input}} tool finished.' }] }
+  ]
+};
+
+/**
+ * Load a provider script from disk (falls back to the default script)
+ * @param {string} scriptPath - Path to a JSON script file
+ * @returns {Object} Script object
+ */
+function loadScript(scriptPath) {
+  if (!scriptPath) return DEFAULT_SCRIPT;
+
+  const absolutePath = path.isAbsolute(scriptPath) ? scriptPath : path.resolve(__dirname, '..', scriptPath);
+  const script = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+
+  if (!Array.isArray(script.rules)) {
+    throw new Error(`Local provider script has no "rules" array: ${absolutePath}`);
+  }
+  return script;
+}
+
+/**
+ * Check whether a rule matcher accepts the given input
+ * @param {string} matcher - Substring or "/regex/flags"
+ * @param {string} input - Text to test
+ * @returns {boolean}
+ */
+function matches(matcher, input) {
+  if (!matcher) return true;
+
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(matcher);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(input);
+  }
+  return input.toLowerCase().includes(matcher.toLowerCase());
+}
+
+/**
+ * Generate a short PCM16 tone (base64) standing in for model speech
+ * @param {number} durationMs - Tone length in milliseconds
+ * @param {number} frequency - Tone frequency in Hz
+ * @returns {string} Base64 encoded PCM16 mono audio at 24kHz
+ */
+function generateTone(durationMs, frequency = 440) {
+  const samples = Math.floor((OUTPUT_SAMPLE_RATE * durationMs) / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.sin((2 * Math.PI * frequency * i) / OUTPUT_SAMPLE_RATE) * 0.1;
+    buffer.writeInt16LE(Math.round(value * 0x7FFF), i * 2);
+  }
+  return buffer.toString('base64');
+}
+
+/**
+ * Rough usageMetadata for a local turn (about 4 characters per token)
+ * @param {string} event - What triggered the turn ('text', 'audio', ...)
+ * @param {string} input - User text (or tool name)
+ * @param {Array} steps - Reply steps that were played
+ * @param {string} modality - Response modality
+ * @param {boolean} includeThoughts - Whether thought steps were emitted
+ * @returns {Object} usageMetadata shaped like Gemini Live's
+ */
+function estimateUsage(event, input, steps, modality, includeThoughts) {
+  const tokens = (text) => Math.ceil(String(text).length / 4);
+  const promptTokenCount = Math.max(1, tokens(input));
+  const responseTokenCount = steps.reduce((sum, step) => sum + (step.text !== undefined ? tokens(step.text) : 0), 0);
+  const thoughtsTokenCount = includeThoughts
+    ? steps.reduce((sum, step) => sum + (step.thought !== undefined ? tokens(step.thought) : 0), 0)
+    : 0;
+
+  return {
+    promptTokenCount,
+    responseTokenCount,
+    thoughtsTokenCount,
+    totalTokenCount: promptTokenCount + responseTokenCount + thoughtsTokenCount,
+    promptTokensDetails: [{ modality: event === 'audio' ? 'AUDIO' : 'TEXT', tokenCount: promptTokenCount }],
+    responseTokensDetails: [{ modality, tokenCount: responseTokenCount }]
+  };
+}
+
+/**
+ * Create the local stand-in provider
+ * @param {Object} options
+ * @param {string|Object} options.script - Script object or path to a JSON script
+ * @returns {Object} Provider with connect() and speak() methods
+ */
+function createLocalProvider({ script } = {}) {
+  const activeScript = typeof script === 'object' && script !== null ? script : loadScript(script);
+
+  return {
+    name: 'local',
+
+    async connect({ model, config = {}, callbacks = {} }) {
+      const modality = (config.responseModalities && config.responseModalities[0]) || 'AUDIO';
+      let closed = false;
+      let queue = Promise.resolve();
+      let callCounter = 0;
+      let bufferedAudioMs = 0;
+      let turnCounter = 0;
+
+      const emit = (message) => {
+        if (!closed && callbacks.onmessage) {
+          callbacks.onmessage(message);
+        }
+      };
+
+      const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+      const emitAudio = async (durationMs, frequency) => {
+        for (let offset = 0; offset < durationMs && !closed; offset += AUDIO_CHUNK_MS) {
+          const chunkMs = Math.min(AUDIO_CHUNK_MS, durationMs - offset);
+          emit({
+            serverContent: {
+              modelTurn: {
+                parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data: generateTone(chunkMs, frequency) } }]
+              }
+            }
+          });
+          await wait(chunkMs / 2);
+        }
+      };
+
+      // Play one reply; returns true if the turn is left open waiting for a tool response
+      const playReply = async (steps, input) => {
+        for (const step of steps) {
+          if (closed) return false;
+
+          if (step.delayMs) {
+            await wait(step.delayMs);
+          }
+          if (step.thought !== undefined && config.thinkingConfig?.includeThoughts) {
+            const thought = String(step.thought).replace(/\{\{input\}\}/g, input);
+            emit({ serverContent: { modelTurn: { parts: [{ text: thought, thought: true }] } } });
+          }
+          if (step.text !== undefined) {
+            const text = String(step.text).replace(/\{\{input\}\}/g, input);
+            if (modality === 'TEXT') {
+              emit({ serverContent: { modelTurn: { parts: [{ text }] } } });
+            } else {
+              if (config.outputAudioTranscription) {
+                emit({ serverContent: { outputTranscription: { text } } });
+              }
+              // Roughly 60ms of "speech" per character, capped to keep tests quick
+              await emitAudio(Math.min(4000, Math.max(400, text.length * 60)));
+            }
+          }
+          if (step.audio) {
+            await emitAudio(step.audio.durationMs || 1000, step.audio.frequency);
+          }
+          if (step.message) {
+            emit(step.message);
+          }
+          if (step.disconnect) {
+            closed = true;
+            if (callbacks.onclose) callbacks.onclose({ reason: String(step.disconnect) });
+            return false;
+          }
+          if (step.toolCall) {
+            // An array emits one batch of concurrent calls
+            const calls = Array.isArray(step.toolCall) ? step.toolCall : [step.toolCall];
+            emit({
+              toolCall: {
+                functionCalls: calls.map(call => {
+                  callCounter += 1;
+                  return { id: `local-call-${callCounter}`, name: call.name, args: call.args || {} };
+                })
+              }
+            });
+            return true;
+          }
+        }
+        return false;
+      };
+
+      const respond = (event, input) => {
+        queue = queue.then(async () => {
+          let steps = null;
+
+          const toolCommand = event === 'text' ? /^\/tool\s+(\S+)\s*(.*)$/s.exec(input.trim()) : null;
+          if (toolCommand) {
+            steps = [{ toolCall: { name: toolCommand[1], args: toolCommand[2] ? JSON.parse(toolCommand[2]) : {} } }];
+          } else {
+            const rule = activeScript.rules.find(r => r.on === event && matches(r.match, input));
+            steps = rule ? rule.reply : null;
+          }
+          if (!steps) return;
+
+          const waitingForTool = await playReply(steps, input);
+          if (!waitingForTool) {
+            emit({ serverContent: { generationComplete: true } });
+            emit({ serverContent: { turnComplete: true } });
+            emit({ usageMetadata: estimateUsage(event, input, steps, modality, !!config.thinkingConfig?.includeThoughts) });
+            if (config.sessionResumption) {
+              turnCounter += 1;
+              emit({ sessionResumptionUpdate: { newHandle: `local-handle-${turnCounter}`, resumable: true } });
+            }
+          }
+        }).catch(error => {
+          if (callbacks.onerror) callbacks.onerror(error);
+        });
+      };
+
+      const session = {
+        model,
+
+        sendRealtimeInput(input = {}) {
+          if (closed) throw new Error('Local session is closed');
+          if (!input.audio) return;
+
+          // PCM16 at 16kHz: 2 bytes per sample
+          const bytes = Buffer.from(input.audio.data || '', 'base64').length;
+          bufferedAudioMs += (bytes / 2 / INPUT_SAMPLE_RATE) * 1000;
+          if (bufferedAudioMs >= (activeScript.audioTurnMs || DEFAULT_SCRIPT.audioTurnMs)) {
+            const heardMs = Math.round(bufferedAudioMs);
+            bufferedAudioMs = 0;
+            if (config.inputAudioTranscription) {
+              emit({ serverContent: { inputTranscription: { text: `(${heardMs}ms of local audio input)`, finished: true } } });
+            }
+            respond('audio', '');
+          }
+        },
+
+        sendClientContent({ turns = [] } = {}) {
+          if (closed) throw new Error('Local session is closed');
+          const text = turns
+            .flatMap(turn => turn.parts || [])
+            .map(part => part.text || '')
+            .join(' ');
+          respond('text', text);
+        },
+
+        sendToolResponse({ functionResponses = [] } = {}) {
+          if (closed) throw new Error('Local session is closed');
+          for (const response of functionResponses) {
+            respond('toolResponse', response.name);
+          }
+        },
+
+        close() {
+          if (closed) return;
+          closed = true;
+          if (callbacks.onclose) {
+            setImmediate(() => callbacks.onclose({ reason: 'Session closed by client' }));
+          }
+        }
+      };
+
+      setImmediate(() => {
+        if (closed) return;
+        if (callbacks.onopen) callbacks.onopen();
+        emit({ setupComplete: {} });
+        // A resumed session continues the conversation - no greeting
+        if (!config.sessionResumption?.handle) {
+          respond('open', '');
+        }
+      });
+
+      return session;
+    },
+
+    async speak({ speechConfig = {} }) {
+      // A tone per voice name, so previews of different voices are distinguishable
+      const voiceName = speechConfig.voiceConfig?.prebuiltVoiceConfig?.voiceName || '';
+      const pitch = [...voiceName].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 400;
+      return { data: generateTone(1200, 300 + pitch), mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}` };
+    }
+  };
+}
+
+module.exports = { createLocalProvider, generateTone, DEFAULT_SCRIPT };
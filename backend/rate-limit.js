@@ -0,0 +1,216 @@
+/**
+ * Apsara Live - Rate limits and quotas
+ * Caps what one client can push through the backend, both per connection and per token
+ * (all connections of one paired device, of the shared secret, or from this machine):
+ *
+ *   frames            screen + camera frames per second
+ *   audioBytes        microphone audio (PCM16 bytes) per second
+ *   textTurns         typed messages per minute
+ *   imageGenerations  generate_image calls per day
+ *
+ * Limits come from RATE_LIMIT_* (per connection) and RATE_LIMIT_TOKEN_* (per token)
+ * environment variables; 0 disables a limit. Counters live in memory, so the daily
+ * image quota starts over when the backend restarts.
+ */
+
+/**
+ * Read a limit from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default limit
+ * @returns {number} Limit (0 = unlimited)
+ */
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const DAY = 'day';
+
+// The widget streams each of screen and camera at 2 fps and microphone audio at 32000 bytes/s
+const RATE_LIMITS = {
+  frames: {
+    window: 1000,
+    unit: 'frames per second',
+    streaming: true, // Report a flood once per window instead of once per dropped frame
+    connection: envLimit('RATE_LIMIT_FRAMES_PER_SECOND', 10),
+    token: envLimit('RATE_LIMIT_TOKEN_FRAMES_PER_SECOND', 20)
+  },
+  audioBytes: {
+    window: 1000,
+    unit: 'audio bytes per second',
+    streaming: true,
+    connection: envLimit('RATE_LIMIT_AUDIO_BYTES_PER_SECOND', 64000),
+    token: envLimit('RATE_LIMIT_TOKEN_AUDIO_BYTES_PER_SECOND', 128000)
+  },
+  textTurns: {
+    window: 60 * 1000,
+    unit: 'text messages per minute',
+    connection: envLimit('RATE_LIMIT_TEXT_PER_MINUTE', 20),
+    token: envLimit('RATE_LIMIT_TOKEN_TEXT_PER_MINUTE', 40)
+  },
+  imageGenerations: {
+    window: DAY,
+    unit: 'image generations per day',
+    connection: envLimit('RATE_LIMIT_IMAGES_PER_DAY', 25),
+    token: envLimit('RATE_LIMIT_TOKEN_IMAGES_PER_DAY', 50)
+  }
+};
+
+// Per-token counters by client key (see getClientKey)
+const tokenBuckets = new Map();
+
+/**
+ * Start of the current window - a timestamp, or the local date for daily quotas
+ * @param {number|string} window - Window length in ms, or DAY
+ * @param {number} now - Current time
+ * @returns {number|string}
+ */
+function windowStart(window, now) {
+  if (window === DAY) {
+    return new Date(now).toDateString();
+  }
+  return Math.floor(now / window) * window;
+}
+
+/**
+ * Milliseconds until the current window ends
+ * @param {number|string} window - Window length in ms, or DAY
+ * @param {number} now - Current time
+ * @returns {number}
+ */
+function msUntilReset(window, now) {
+  if (window === DAY) {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime() - now;
+  }
+  return window - (now % window);
+}
+
+/**
+ * Create empty counters (one set per connection, one per token)
+ * @returns {Object} Buckets by limit name { start, used, notified }
+ */
+function createRateLimitState() {
+  const buckets = {};
+  for (const name of Object.keys(RATE_LIMITS)) {
+    buckets[name] = { start: null, used: 0, notified: false };
+  }
+  return buckets;
+}
+
+/**
+ * Key shared by all connections using the same credentials
+ * @param {Object} auth - { via, deviceId } from auth.js
+ * @returns {string}
+ */
+function getClientKey(auth) {
+  if (auth?.via === 'device') return `device:${auth.deviceId}`;
+  return auth?.via || 'anonymous';
+}
+
+/**
+ * Counters of a token (created on first use)
+ * @param {Object} auth - { via, deviceId } from auth.js
+ * @returns {Object} Buckets
+ */
+function getTokenBuckets(auth) {
+  const key = getClientKey(auth);
+  if (!tokenBuckets.has(key)) {
+    tokenBuckets.set(key, createRateLimitState());
+  }
+  return tokenBuckets.get(key);
+}
+
+/**
+ * Bucket for the current window (resets it when a new window started)
+ * @param {Object} buckets - Buckets from createRateLimitState
+ * @param {string} name - Limit name
+ * @param {number} now - Current time
+ * @returns {Object} Bucket
+ */
+function currentBucket(buckets, name, now) {
+  const bucket = buckets[name];
+  const start = windowStart(RATE_LIMITS[name].window, now);
+  if (bucket.start !== start) {
+    bucket.start = start;
+    bucket.used = 0;
+    bucket.notified = false;
+  }
+  return bucket;
+}
+
+/**
+ * Count usage against a session's connection and token limits
+ * Nothing is counted when either limit would be exceeded.
+ * @param {Object} session - Session (rateLimits and auth)
+ * @param {string} name - Limit name (key of RATE_LIMITS)
+ * @param {number} amount - Units to count (frames, bytes, messages, images)
+ * @returns {Object|null} null if allowed, else { limit, scope, max, retryAfterMs, error, notify }
+ */
+function consumeRateLimit(session, name, amount = 1) {
+  const limit = RATE_LIMITS[name];
+  const now = Date.now();
+  const scopes = [
+    { scope: 'connection', max: limit.connection, bucket: currentBucket(session.rateLimits, name, now) },
+    { scope: 'token', max: limit.token, bucket: currentBucket(getTokenBuckets(session.auth), name, now) }
+  ];
+
+  const exceeded = scopes.find(({ max, bucket }) => max > 0 && bucket.used + amount > max);
+  if (exceeded) {
+    const notify = !limit.streaming || !exceeded.bucket.notified;
+    exceeded.bucket.notified = true;
+    return {
+      limit: name,
+      scope: exceeded.scope,
+      max: exceeded.max,
+      retryAfterMs: msUntilReset(limit.window, now),
+      error: `Rate limit exceeded: ${exceeded.max} ${limit.unit} per ${exceeded.scope}`,
+      notify
+    };
+  }
+
+  for (const { bucket } of scopes) {
+    bucket.used += amount;
+  }
+  return null;
+}
+
+/**
+ * Check a client message against the limit for its type
+ * @param {Object} session - Session
+ * @param {Object} message - Parsed client message
+ * @returns {Object|null} null if allowed, else the violation from consumeRateLimit
+ */
+function checkMessageRateLimit(session, message) {
+  switch (message.type) {
+    case 'audio':
+      return consumeRateLimit(session, 'audioBytes', Math.floor(message.data.length * 3 / 4)); // base64 → bytes
+    case 'video':
+    case 'camera':
+      return consumeRateLimit(session, 'frames');
+    case 'text':
+      return consumeRateLimit(session, 'textTurns');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Configured limits (for clients that want to pace themselves)
+ * @returns {Object} { [name]: { unit, connection, token } }
+ */
+function getRateLimits() {
+  const limits = {};
+  for (const [name, { unit, connection, token }] of Object.entries(RATE_LIMITS)) {
+    limits[name] = { unit, connection, token };
+  }
+  return limits;
+}
+
+module.exports = {
+  createRateLimitState,
+  consumeRateLimit,
+  checkMessageRateLimit,
+  getRateLimits
+};
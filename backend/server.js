@@ -9,27 +9,43 @@ const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { getConfig, getWidgetConfig, onConfigChange, watchConfig } = require('./config'); // Loaded first: applies the logging settings
 
 // Import tools module
-const { getToolDeclarations, executeTool, getEnabledTools, getAllTools, setEnabledTools, setToolOrder, setToolAsyncSettings, getImageGenerationModel, setImageGenerationModel, TOOL_METADATA } = require('./tools');
-
-// Debug logging toggle
-const DEBUG_LOG = true; // Set to false to disable debug logging
-
-// Debug frame saving toggle
-const SAVE_DEBUG_FRAMES = false; // Set to false to disable saving screen frames
-
-// Debug log helper - only logs when DEBUG_LOG is true
-const debugLog = (...args) => {
-  if (DEBUG_LOG) console.log(...args);
-};
-
-// Create debug frames directory if it doesn't exist
+const { getToolDeclarations, getPromptSnippets, runToolCall, getAllTools, setEnabledTools, setToolOrder, setToolAsyncSettings, setToolApprovals, setImageGenerationModel, redactToolArgs } = require('./tool-registry');
+const { getLastScreenshot } = require('./tools');
+const { startMcpServers, getMcpStatus, onMcpToolsChange } = require('./mcp');
+
+// Realtime provider (Gemini Live, or the local stand-in when LIVE_PROVIDER=local)
+const { createProvider } = require('./providers');
+const liveProvider = createProvider();
+
+// Per-session transcript files
+const { createTranscriptRecorder } = require('./transcripts');
+const { createSession, getSession, removeSession, listSessions, getDefaultProfile, saveDefaultProfile } = require('./sessions');
+const { authenticate, createAuthMiddleware, isAdmin, requireAdmin, requestPairing, confirmPairing, listDevices, listPairings, revokeDevice, getAuthStatus } = require('./auth');
+const { PROTOCOL_VERSION, SERVER_CAPABILITIES, SUPPORTED_VERSIONS, ERROR_CODES, createError, parseClientMessage, parseClientFrame, negotiateVersion, encodeFrame, STREAM_TYPES, FRAME_FORMATS } = require('./protocol');
+const { recordTokenUsage, recordImageGeneration, getUsageSummary } = require('./usage');
+const { consumeRateLimit, checkMessageRateLimit, getRateLimits } = require('./rate-limit');
+const { approveToolCall, answerApproval } = require('./approvals');
+const { recordToolCall, queryAudit, pruneAudit, AUDIT_RETENTION_DAYS } = require('./audit');
+const { exportSession, EXPORT_FORMATS } = require('./export');
+const { describeSession, ADMIN_PAGE_FILE } = require('./admin');
+const { getReadiness, getCachedToolAvailability } = require('./health');
+const { createLogger, withLogContext, getLogConfig, setLogConfig } = require('./logger');
+const { createHistoryRecorder, listStoredSessions, getStoredSession, searchHistory, deleteStoredSession, pruneHistory, getRetention } = require('./history');
+const { VOICES, LANGUAGES, MODELS, MEDIA_RESOLUTIONS, THINKING_BUDGET_RANGE, PREVIEW_TEXT, setSpeechSettings, setModelConfig, buildSpeechConfig, buildThinkingConfig, getLanguageInstruction } = require('./settings');
+
+// Levels, scopes and format come from LOG_LEVEL, LOG_SCOPES and LOG_FORMAT (see logger.js)
+const logger = createLogger('server');
+
+// Transparent upstream reconnects: attempts before giving up, and how long a connection must stay up
+// before a later drop starts over with a full set of attempts
+const MAX_RECONNECT_ATTEMPTS = 5;
+const STABLE_CONNECTION_MS = 60 * 1000;
+
+// Saving screen frames is toggled with debug.saveFrames in apsara.config.json
 const debugFramesDir = path.join(__dirname, 'debug_frames');
-if (SAVE_DEBUG_FRAMES && !fs.existsSync(debugFramesDir)) {
-  fs.mkdirSync(debugFramesDir, { recursive: true });
-  console.log('📁 Created debug_frames directory');
-}
 
 // Store last 2 frames for debugging
 let lastScreenFrames = [];
@@ -37,7 +53,13 @@ let lastCameraFrames = [];
 
 // Helper function to save debug frame
 const saveDebugFrame = (base64Data, type) => {
-  if (!SAVE_DEBUG_FRAMES) return;
+  if (!getConfig().debug.saveFrames) return;
+  
+  // Create debug frames directory if it doesn't exist
+  if (!fs.existsSync(debugFramesDir)) {
+    fs.mkdirSync(debugFramesDir, { recursive: true });
+    logger.info('📁 Created debug_frames directory');
+  }
   
   const timestamp = new Date().toISOString().replace(/:/g, '-');
   const filename = `${type}_${timestamp}.jpg`;
@@ -67,29 +89,27 @@ const saveDebugFrame = (base64Data, type) => {
       }
     }
     
-    debugLog(`💾 Saved ${type} frame: ${filename}`);
+    logger.debug(`💾 Saved ${type} frame: ${filename}`);
   } catch (err) {
-    console.error(`❌ Error saving ${type} frame:`, err);
+    logger.error(`❌ Error saving ${type} frame:`, err);
   }
 };
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// CORS configuration - Update this with your GitHub Pages URL
-const allowedOrigins = [
-    'http://localhost:5500',
-    'http://127.0.0.1:5500',
-    'http://localhost:3000',        // React app (if on 3000)
-    'http://127.0.0.1:3000',        // React app (if on 3000)
-    'http://localhost:3001',        // React app (new port)
-    'http://127.0.0.1:3001',        // React app (new port)
-    'https://shubharthaksangharsha.github.io', // UPDATE THIS!
-];
+const PORT = getConfig().server.port;
+
+/**
+ * Whether a browser origin may call the backend - requests without an Origin header
+ * (native apps, curl, the tests) are not browser requests and pass
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean}
+ */
+const isAllowedOrigin = (origin) => !origin || getConfig().server.allowedOrigins.includes(origin);
 
+// CORS - allowed origins come from server.allowedOrigins in apsara.config.json (read per request, so edits apply live)
 app.use(cors({
     origin: (origin, callback) => {
-        if (!origin || allowedOrigins.includes(origin)) {
+        if (isAllowedOrigin(origin)) {
             callback(null, true);
         } else {
             callback(new Error('Not allowed by CORS'));
@@ -100,143 +120,30 @@ app.use(cors({
 
 app.use(express.json());
 
+// Every route needs a token (see auth.js) except health checks, the widget config, the pairing flow
+// and the admin page itself (its data comes from the admin routes)
+app.use(createAuthMiddleware(['/health', '/health/ready', '/api/config', '/api/auth/status', '/api/auth/pair/request', '/api/auth/pair/confirm', '/admin']));
+
 /**
  * Generate dynamic system prompt based on enabled tools
+ * @param {Object} toolConfig - Tool configuration of the session
  */
-function generateSystemPrompt() {
-  const enabledTools = getEnabledTools();
-  
-  // Build capabilities list based on enabled tools
+function generateSystemPrompt(toolConfig) {
+  const snippets = getPromptSnippets(toolConfig);
+
+  // Build capabilities list: the basics plus what the enabled tool plugins add
   const capabilities = [
     'Real-time voice conversations with natural interruption handling',
     'Viewing camera and screen share - you can see what users show you',
     'Answering questions about Shubharthak\'s work, projects, and experience',
     'Providing information about his skills, education, and background',
     'Discussing his freelance work and client projects',
-    'Explaining his technical expertise in detail'
+    'Explaining his technical expertise in detail',
+    ...snippets.capabilities
   ];
-  
-  // Add tool-specific capabilities
-  if (enabledTools.googleSearch) {
-    capabilities.push('Searching Google for real-time information (current events, news, weather, sports, latest tech updates, etc.)');
-  }
-  if (enabledTools.send_email_to_shubharthak) {
-    capabilities.push('Sending messages to Shubharthak via email (with image attachments)');
-  }
-  if (enabledTools.take_screenshot) {
-    capabilities.push('Taking screenshots of the current screen');
-  }
-  if (enabledTools.screenshot_and_email) {
-    capabilities.push('Capturing and emailing screenshots to Shubharthak');
-  }
-  if (enabledTools.copy_to_clipboard) {
-    capabilities.push('Copying text to the system clipboard');
-  }
-  if (enabledTools.get_clipboard_text) {
-    capabilities.push('Reading text from the system clipboard');
-  }
-  if (enabledTools.paste_from_clipboard) {
-    capabilities.push('Pasting clipboard content into active applications');
-  }
-  if (enabledTools.store_memory || enabledTools.retrieve_memories) {
-    capabilities.push('Storing and retrieving memories/notes for later use');
-  }
-  if (enabledTools.read_file || enabledTools.browse_files) {
-    capabilities.push('Reading local files and browsing directories');
-  }
-  if (enabledTools.create_file || enabledTools.edit_file || enabledTools.move_file || enabledTools.rename_file || enabledTools.delete_file) {
-    capabilities.push('Creating, editing, moving, renaming, and deleting files');
-  }
-  if (enabledTools.open_url) {
-    capabilities.push('Opening websites in browser');
-  }
-  if (enabledTools.generate_image) {
-    capabilities.push('AI image generation using Nano Banana (create any image from text descriptions)');
-  }
-  if (enabledTools.computer_use) {
-    capabilities.push('COMPUTER USE - Full mouse & keyboard control using screen coordinates (POWERFUL: requires screen sharing)');
-  }
-  if (enabledTools.share_screen || enabledTools.share_camera) {
-    capabilities.push('Sharing screen and camera with you (you can see what user is doing)');
-  }
-  if (enabledTools.change_theme) {
-    capabilities.push('Changing the UI theme/appearance on user request');
-  }
-  
-  // Build tool usage section
-  const toolUsageLines = [];
-  if (enabledTools.send_email_to_shubharthak) {
-    toolUsageLines.push('- send_email_to_shubharthak: Send messages to Shubharthak, can include image attachments');
-  }
-  if (enabledTools.take_screenshot) {
-    toolUsageLines.push('- take_screenshot: Capture the current screen (returns {success, image, filename})');
-  }
-  if (enabledTools.screenshot_and_email) {
-    toolUsageLines.push('- screenshot_and_email: **COMBINED** operation - takes screenshot AND emails it in one step');
-  }
-  if (enabledTools.copy_to_clipboard) {
-    toolUsageLines.push('- copy_to_clipboard: Copy text for easy pasting');
-  }
-  if (enabledTools.get_clipboard_text) {
-    toolUsageLines.push('- get_clipboard_text: Read what\'s currently in clipboard');
-  }
-  if (enabledTools.paste_from_clipboard) {
-    toolUsageLines.push('- paste_from_clipboard: Simulate keyboard paste (Ctrl+V/Cmd+V) to insert clipboard content');
-  }
-  if (enabledTools.store_memory) {
-    toolUsageLines.push('- store_memory: Save important information, notes, or user preferences');
-  }
-  if (enabledTools.retrieve_memories) {
-    toolUsageLines.push('- retrieve_memories: Search and recall stored memories/notes');
-  }
-  if (enabledTools.clear_memories) {
-    toolUsageLines.push('- clear_memories: Delete memories (use with caution)');
-  }
-  if (enabledTools.read_file) {
-    toolUsageLines.push('- read_file: Read any file from the filesystem (text or binary as base64)');
-  }
-  if (enabledTools.browse_files) {
-    toolUsageLines.push('- browse_files: List files and directories with details');
-  }
-  if (enabledTools.create_file) {
-    toolUsageLines.push('- create_file: Create new files with content');
-  }
-  if (enabledTools.edit_file) {
-    toolUsageLines.push('- edit_file: Edit existing files (write or append mode)');
-  }
-  if (enabledTools.move_file) {
-    toolUsageLines.push('- move_file: Move files to new locations');
-  }
-  if (enabledTools.rename_file) {
-    toolUsageLines.push('- rename_file: Rename files in same directory');
-  }
-  if (enabledTools.delete_file) {
-    toolUsageLines.push('- delete_file: Delete files (requires confirmation - ALWAYS ask user first!)');
-  }
-  if (enabledTools.open_url) {
-    toolUsageLines.push('- open_url: Open URLs in default browser');
-  }
-  if (enabledTools.generate_image) {
-    toolUsageLines.push('- generate_image: AI image generation with Nano Banana (creates images from text descriptions)');
-  }
-  if (enabledTools.computer_use) {
-    toolUsageLines.push('- computer_use: **POWERFUL** Control mouse & keyboard using coordinates. REQUIRES screen sharing. Actions: click, double_click, right_click, type, key, scroll. Origin (0,0) = top-left. ALWAYS look at screen before clicking!');
-  }
-  if (enabledTools.share_screen) {
-    toolUsageLines.push('- share_screen: Share user\'s screen with you (you can see what they\'re doing). Optional resolution parameter.');
-  }
-  if (enabledTools.share_camera) {
-    toolUsageLines.push('- share_camera: Share user\'s camera with you (you can see them). Optional resolution parameter.');
-  }
-  if (enabledTools.change_theme) {
-    toolUsageLines.push('- change_theme: Change the UI theme (light, dark, nightly, dracula, monokai, nord, solarized-light, solarized-dark).');
-  }
-  if (enabledTools.googleSearch) {
-    toolUsageLines.push('- Google Search: Automatic real-time information retrieval');
-  }
-  
-  const toolUsageSection = toolUsageLines.length > 0 
-    ? `\n**Available Tools:**\n${toolUsageLines.join('\n')}` 
+
+  const toolUsageSection = snippets.usage.length > 0
+    ? `\n**Available Tools:**\n${snippets.usage.map(line => `- ${line}`).join('\n')}`
     : '';
   
   return `You are Apsara, an advanced AI voice assistant created by Shubharthak Sangharasha. You are friendly, helpful, and conversational. When greeting users or introducing yourself, be warm and professional.
@@ -246,13 +153,12 @@ ${capabilities.map(c => `- ${c}`).join('\n')}
 
 **How to interact with users:**
 - Be conversational and friendly
-- Respond only in English until user dont want to speak in other language
 - Answer questions naturally about Shubharthak's experience and projects
 - When users show you something via camera or screen share, you can see and analyze it
 - Provide detailed but concise information
-- Show enthusiasm about the projects and work${enabledTools.send_email_to_shubharthak ? '\n- If someone wants to contact Shubharthak, offer to send a message via email' : ''}${enabledTools.googleSearch ? '\n- For questions about current events, news, weather, sports scores, latest tech updates, or anything requiring real-time information, Google Search will automatically provide accurate, up-to-date answers\n- Always cite sources when sharing information from Google Search' : ''}${toolUsageSection}
+- Show enthusiasm about the projects and work${snippets.guidelines.map(line => `\n- ${line}`).join('')}${toolUsageSection}
 
-**Example workflows:**${enabledTools.screenshot_and_email ? '\n- "Screenshot this and email it to Shubharthak" → Use screenshot_and_email (single tool call!)' : ''}${enabledTools.take_screenshot ? '\n- "Take a screenshot" → Use take_screenshot (just capture, don\'t email)' : ''}${enabledTools.read_file && enabledTools.send_email_to_shubharthak ? '\n- "Read the file /path/to/file.txt and email it to me" → Use read_file with asBase64=true, then send_email_to_shubharthak with the base64Content from read_file result' : ''}${enabledTools.browse_files ? '\n- "Show me files in /home/user/Documents" → Use browse_files with dirPath parameter' : ''}${enabledTools.create_file ? '\n- "Create a file called notes.txt with my todo list" → Use create_file with filePath and content' : ''}${enabledTools.edit_file ? '\n- "Add this line to my notes" → Use edit_file with mode="append"' : ''}${enabledTools.rename_file ? '\n- "Rename file.txt to document.txt" → Use rename_file' : ''}${enabledTools.delete_file ? '\n- "Delete old-file.txt" → ALWAYS ask user for confirmation first, then use delete_file with confirm=true' : ''}${enabledTools.open_url ? '\n- "Open google.com" → Use open_url' : ''}${enabledTools.fill_form ? '\n- "Fill this form at example.com/contact with my email" → Use fill_form with url and formData object' : ''}${enabledTools.click_element ? '\n- "Click the login button on example.com" → Use click_element with url and selector' : ''}${enabledTools.copy_to_clipboard && enabledTools.paste_from_clipboard ? '\n- "Copy this text and paste it" → Use copy_to_clipboard, then paste_from_clipboard' : ''}${enabledTools.store_memory ? '\n- "Remember this for later" → Use store_memory with the content' : ''}${enabledTools.retrieve_memories ? '\n- "What did I ask you to remember?" → Use retrieve_memories' : ''}${enabledTools.get_clipboard_text ? '\n- "Get text from clipboard and summarize it" → Use get_clipboard_text, then explain the content naturally (don\'t just read it back)' : ''}${enabledTools.paste_from_clipboard ? '\n- "Paste what I copied earlier" → Use paste_from_clipboard' : ''}
+**Example workflows:**${snippets.examples.map(line => `\n- ${line}`).join('')}
 
 **About Shubharthak Sangharasha:**
 
@@ -411,89 +317,188 @@ Software Engineer and AI/ML Specialist with expertise in Full-Stack Development,
 - BAAZ Electrical Group (baazelectrical.github.io) - Electrical services site`;
 }
 
-// Generate initial system prompt
-let SYSTEM_PROMPT = generateSystemPrompt();
+/**
+ * Copy of a Gemini message without inline audio parts (already sent as a binary frame)
+ * @param {Object} message - Gemini server message
+ * @returns {Object} Message without audio inlineData
+ */
+function withoutInlineAudio(message) {
+    const parts = message.serverContent?.modelTurn?.parts;
+    if (!parts) return message;
+    
+    return {
+        ...message,
+        serverContent: {
+            ...message.serverContent,
+            modelTurn: {
+                ...message.serverContent.modelTurn,
+                parts: parts.filter(part => !part.inlineData?.mimeType?.includes('audio'))
+            }
+        }
+    };
+}
 
 // WebSocket server
 const wss = new WebSocket.Server({ noServer: true });
 
-wss.on('connection', (clientWs) => {
-    debugLog('Client connected');
+wss.on('connection', (clientWs, request, auth) => {
+    // Per-connection state: tool config, prompt, modality and media live on the session
+    const session = createSession();
+    const sessionId = session.id;
+    session.auth = { via: auth.via, deviceId: auth.deviceId || null, deviceName: auth.deviceName || null };
+    clientWs.auth = auth; // Lets a device revocation find its sockets
+    clientWs.sessionId = sessionId; // Lets an admin disconnect the session
+    const log = logger.child({ sessionId }); // Every line of this connection carries the session id
+    log.info(`🔗 Client connected (auth: ${auth.deviceName || auth.via})`);
     let geminiWs = null;
-    let currentModality = 'AUDIO'; // Track current modality
+    const transcript = createTranscriptRecorder(sessionId);
+    const history = createHistoryRecorder(session); // Persistent record for /api/sessions
+    let textReply = ''; // TEXT-mode reply of the current turn (not transcribed, so collected here)
+
+    // Session resumption state - lets us reconnect upstream without losing the conversation
+    let resumptionHandle = null; // Latest resumable handle from sessionResumptionUpdate
+    let connectionAttempt = 0; // Incremented per upstream connection; stale callbacks are ignored
+    let isReconnecting = false;
+    let pendingTextMessages = []; // Text typed while reconnecting, flushed once the new session is up
+    let reconnectFailures = 0; // Failed reconnects and connections that dropped right away, in a row
+    let connectedAt = 0; // When the current upstream connection opened
+    let pendingSettings = null; // Settings changed while reconnecting: { modelChanged }, applied once it is done
+
+    // Model turns - thoughts, replies and transcripts of one answer share a turnId
+    let turnCounter = 0;
+    let currentTurnId = null;
+    let lastTurnId = null; // Usage of a turn may be reported after it completed
+    const getTurnId = () => {
+        if (!currentTurnId) {
+            turnCounter++;
+            currentTurnId = `turn-${turnCounter}`;
+        }
+        return currentTurnId;
+    };
+
+    // Tool calls still executing, by function call id (aborted on toolCallCancellation or disconnect)
+    const inFlightToolCalls = new Map();
+
+    // Forward a transcript chunk (final=false) or a finished utterance (final=true) to the client
+    const sendTranscript = (speaker, text, final) => {
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        const turnId = speaker === 'assistant' ? getTurnId() : undefined;
+        clientWs.send(JSON.stringify({ type: 'transcript', speaker, text, final, turnId }));
+    };
+
+    // Forward a thought summary to the client (and keep it in the history)
+    const sendThought = (text) => {
+        if (!text) return;
+        history.record('thought', { turnId: getTurnId(), text });
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        clientWs.send(JSON.stringify({ type: 'thought', turnId: getTurnId(), text }));
+    };
+
+    // Send a typed error (see protocol.js) to the client
+    const sendError = (code, error, extra) => {
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        clientWs.send(JSON.stringify(createError(code, error, extra)));
+    };
+
+    // Tell the client a message was dropped by a rate limit (see rate-limit.js)
+    const sendRateLimitError = (violation, requestType) => {
+        const { limit, scope, max, retryAfterMs } = violation;
+        sendError(ERROR_CODES.RATE_LIMITED, violation.error, { requestType, details: { limit, scope, max, retryAfterMs } });
+    };
+
+    // Send a message object to the client (dropped once it disconnected)
+    const sendToClient = (message) => {
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        clientWs.send(JSON.stringify(message));
+    };
+
+    // Send the session's usage totals to the client (shown as the usage counter)
+    const sendUsage = () => {
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        clientWs.send(JSON.stringify({ type: 'usage', usage: session.usage.totals }));
+    };
+
+    // Persist the pending utterance of a speaker and send its full text to the client
+    const finalizeTranscript = (speaker) => {
+        const text = transcript.finalize(speaker);
+        if (text) {
+            sendTranscript(speaker, text, true);
+            history.record('message', { speaker, text, turnId: speaker === 'assistant' ? currentTurnId || lastTurnId : undefined });
+        }
+    };
 
     // Connect to Gemini Live API with specific modality
     const connectToGemini = async (modality = 'AUDIO') => {
-        debugLog(`🔄 Connecting to Gemini Live API with modality: ${modality}...`);
+        log.debug(`🔄 Connecting to Gemini Live API with modality: ${modality}...`);
+        
+        // Any callbacks from previous sessions are stale from here on
+        const attempt = ++connectionAttempt;
+        const isCurrent = () => attempt === connectionAttempt;
         
         // Close existing connection if any and WAIT for it to fully close
         if (geminiWs) {
-            debugLog('🔌 Closing existing Gemini connection...');
+            log.debug('🔌 Closing existing Gemini connection...');
             try {
                 geminiWs.close();
                 // Wait for the old session to fully close (500ms to ensure clean shutdown)
                 await new Promise(resolve => setTimeout(resolve, 500));
-                debugLog('⏱️  Old session closed');
+                log.debug('⏱️  Old session closed');
             } catch (e) {
-                console.error('Error closing old session:', e);
+                log.error('❌ Error closing old session:', e);
             }
             geminiWs = null;
         }
         
-        const { GoogleGenAI, Modality } = await import('@google/genai');
-        
-        const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-        const model = 'gemini-2.5-flash-native-audio-preview-12-2025'; // Use half-cascade for better tool support
-        debugLog('📡 Using model:', model);
+        const { model, mediaResolution } = session.modelConfig;
+        log.debug(`📡 Using model: ${model} (provider: ${liveProvider.name})`);
         
         // Set response modalities based on selected mode
         const responseModalities = modality === 'AUDIO' 
-            ? [Modality.AUDIO] 
-            : [Modality.TEXT];
+            ? ['AUDIO'] 
+            : ['TEXT'];
 
-        // Get current tool declarations (dynamically generated based on enabled tools)
-        const currentToolDeclarations = getToolDeclarations();
+        // Get current tool declarations and prompt (dynamically generated from this session's tools)
+        const currentToolDeclarations = getToolDeclarations(session.toolConfig);
+        session.systemPrompt = generateSystemPrompt(session.toolConfig) + getLanguageInstruction(session.speech);
+        log.debug(`🗣️  Voice: ${session.speech.voiceName}, language: ${session.speech.languageCode || 'automatic'}`);
         
         // Build config differently for AUDIO vs TEXT to avoid audio-related fields in TEXT mode
         const config = modality === 'AUDIO' ? {
             responseModalities: responseModalities,
-            systemInstruction: SYSTEM_PROMPT,
-            mediaResolution: 'MEDIA_RESOLUTION_HIGH',
+            systemInstruction: session.systemPrompt,
+            mediaResolution: mediaResolution,
             tools: currentToolDeclarations,  // Use dynamically generated tool declarations
-            thinkingConfig: {
-                thinkingBudget: 1024,
-                includeThoughts: true  // Enable thought summaries for logging
-            },
-            speechConfig: {
-                voiceConfig: {
-                    prebuiltVoiceConfig: {
-                        voiceName: 'Aoede' // Friendly female voice
-                    }
-                }
-            }
+            thinkingConfig: buildThinkingConfig(session.modelConfig),
+            speechConfig: buildSpeechConfig(session.speech), // Session voice and language
+            // Live transcription of what the user says and what Apsara says
+            inputAudioTranscription: {},
+            outputAudioTranscription: {}
         } : {
             // TEXT mode - no audio/speech config at all
             responseModalities: responseModalities,
-            systemInstruction: SYSTEM_PROMPT,
-            mediaResolution: 'MEDIA_RESOLUTION_HIGH',
+            systemInstruction: session.systemPrompt,
+            mediaResolution: mediaResolution,
             tools: currentToolDeclarations,  // Use dynamically generated tool declarations
-            thinkingConfig: {
-                thinkingBudget: 1024,
-                includeThoughts: true  // Enable thought summaries for logging
-            }
+            thinkingConfig: buildThinkingConfig(session.modelConfig)
         };
+        
+        // Resume the previous conversation if we have a handle, and keep long sessions
+        // alive past the context limit by sliding the context window
+        config.sessionResumption = resumptionHandle ? { handle: resumptionHandle } : {};
+        config.contextWindowCompression = { slidingWindow: {} };
+        log.debug(resumptionHandle ? '♻️  Resuming previous Gemini session' : '🆕 Starting new Gemini session');
 
         // Log thinking configuration
         if (config.thinkingConfig) {
-            console.log('🧠 Thinking enabled:', {
+            log.debug('🧠 Thinking enabled:', {
                 budget: config.thinkingConfig.thinkingBudget,
                 includeThoughts: config.thinkingConfig.includeThoughts
             });
         }
         
-        debugLog('🔧 Session config:', { 
+        log.debug('🔧 Session config:', { 
             modality, 
-            responseModalities: responseModalities.map(m => m === Modality.AUDIO ? 'AUDIO' : 'TEXT'),
+            responseModalities,
             hasSpeechConfig: !!config.speechConfig,
             hasThinkingConfig: !!config.thinkingConfig,
             thinkingBudget: config.thinkingConfig?.thinkingBudget,
@@ -503,31 +508,44 @@ wss.on('connection', (clientWs) => {
         });
         
         // Log enabled tools for debugging
-        debugLog('🔧 Enabled tools:', currentToolDeclarations.map(t => 
+        log.debug('🔧 Enabled tools:', currentToolDeclarations.map(t => 
             t.googleSearch ? 'googleSearch' : (t.functionDeclarations?.map(f => f.name).join(', ') || 'none')
         ).join(', '));
 
-        const session = await ai.live.connect({
+        const liveSession = await liveProvider.connect({
             model: model,
             callbacks: {
                 onopen: () => {
-                    debugLog('✅ Connected to Gemini');
-                    clientWs.send(JSON.stringify({ type: 'status', status: 'connected' }));
+                    if (!isCurrent()) return;
+                    log.debug('✅ Connected to Gemini');
+                    if (clientWs.readyState === WebSocket.OPEN) {
+                        clientWs.send(JSON.stringify({ type: 'status', status: 'connected', resumed: !!config.sessionResumption.handle }));
+                    }
                 },
                 onmessage: async (message) => {
-                    debugLog('📨 Received message from Gemini:', JSON.stringify(Object.keys(message)));
+                    if (!isCurrent()) return;
+                    log.debug('📨 Received message from Gemini:', Object.keys(message));
+                    
+                    // Remember the latest resumption handle so a reconnect can pick up the conversation
+                    if (message.sessionResumptionUpdate) {
+                        const { resumable, newHandle } = message.sessionResumptionUpdate;
+                        if (resumable && newHandle) {
+                            resumptionHandle = newHandle;
+                            log.debug('♻️  Session resumption handle updated');
+                        }
+                    }
+                    
+                    // Upstream is about to drop the connection - move to a fresh one before it does
+                    if (message.goAway) {
+                        log.debug(`⏳ Gemini goAway received (time left: ${message.goAway.timeLeft || 'unknown'})`);
+                        reconnectToGemini('goAway');
+                    }
                     
                     // Extract and log thoughts if present
                     if (message.serverContent?.modelTurn?.thought) {
                         const thought = message.serverContent.modelTurn.thought;
-                        console.log('\n🧠 ========== GEMINI THOUGHT ==========');
-                        if (thought.text) {
-                            console.log('💭 Thought Text:', thought.text);
-                        }
-                        if (thought.thoughtParts) {
-                            console.log('💭 Thought Parts:', JSON.stringify(thought.thoughtParts, null, 2));
-                        }
-                        console.log('🧠 ====================================\n');
+                        log.debug('💭 Gemini thought:', { text: thought.text, thoughtParts: thought.thoughtParts });
+                        sendThought(thought.text);
                     }
                     
                     // Extract audio from serverContent.inlineData - ONLY in AUDIO mode
@@ -538,51 +556,124 @@ wss.on('connection', (clientWs) => {
                         for (const part of message.serverContent.modelTurn.parts) {
                             // Log thoughts from parts if present
                             if (part.thought) {
-                                console.log('\n🧠 ========== PART THOUGHT ==========');
-                                if (part.thought.text) {
-                                    console.log('💭 Thought:', part.thought.text);
-                                }
-                                if (part.text) {
-                                    console.log('💭 Thought Context:', part.text);
-                                }
-                                console.log('🧠 ====================================\n');
+                                log.debug('💭 Part thought:', { text: part.thought.text, context: part.text });
+                                sendThought(typeof part.thought === 'object' ? part.thought.text : part.text);
                             }
                             // Extract audio in AUDIO mode
-                            if (currentModality === 'AUDIO' && part.inlineData) {
+                            if (session.modality === 'AUDIO' && part.inlineData) {
                                 if (part.inlineData.mimeType && part.inlineData.mimeType.includes('audio')) {
                                     audioData = part.inlineData.data;
-                                    debugLog('🔊 AUDIO DATA LENGTH:', audioData.length);
+                                    log.debug('🔊 AUDIO DATA LENGTH:', audioData.length);
                                 }
                             }
-                            // Extract text in TEXT mode
-                            if (currentModality === 'TEXT' && part.text) {
-                                textData = part.text;
-                                debugLog('📝 TEXT DATA:', textData.substring(0, 100));
+                            // Extract text in TEXT mode (thought summaries are not part of the reply)
+                            if (session.modality === 'TEXT' && part.text && !part.thought) {
+                                textData = (textData || '') + part.text;
+                                textReply += part.text;
+                                log.debug('📝 TEXT DATA:', textData.substring(0, 100));
                             }
                         }
                     }
                     
-                    // Handle tool calls
+                    // Forward live transcription and persist finished utterances
+                    const serverContent = message.serverContent;
+                    const inputTranscription = serverContent?.inputTranscription;
+                    const outputTranscription = serverContent?.outputTranscription;
+                    
+                    if (inputTranscription?.text) {
+                        transcript.append('user', inputTranscription.text);
+                        sendTranscript('user', inputTranscription.text, false);
+                    }
+                    // The user's utterance is over once it is marked finished or Apsara starts answering
+                    if (inputTranscription?.finished || outputTranscription?.text || serverContent?.modelTurn) {
+                        finalizeTranscript('user');
+                    }
+                    if (outputTranscription?.text) {
+                        transcript.append('assistant', outputTranscription.text);
+                        sendTranscript('assistant', outputTranscription.text, false);
+                    }
+                    if (outputTranscription?.finished || serverContent?.turnComplete || serverContent?.interrupted) {
+                        finalizeTranscript('user');
+                        finalizeTranscript('assistant');
+                    }
+                    if ((serverContent?.turnComplete || serverContent?.interrupted) && textReply.trim()) {
+                        history.record('message', { speaker: 'assistant', text: textReply.trim(), turnId: currentTurnId || lastTurnId });
+                        textReply = '';
+                    }
+                    
+                    // Gemini no longer needs these calls (e.g. the user interrupted) - abort them
+                    if (message.toolCallCancellation?.ids) {
+                        for (const id of message.toolCallCancellation.ids) {
+                            const controller = inFlightToolCalls.get(id);
+                            if (controller) {
+                                log.debug(`🛑 Cancelling tool call ${id}`);
+                                controller.abort();
+                            }
+                        }
+                    }
+                    
+                    // Handle tool calls - calls in one batch run concurrently, each with its own timeout
                     if (message.toolCall) {
-                        for (const fc of message.toolCall.functionCalls) {
-                            debugLog(`🔧 Tool call received: ${fc.name}`, fc.args);
+                        await Promise.all(message.toolCall.functionCalls.map(async (fc) => {
+                            log.debug(`🔧 Tool call received: ${fc.name}`, redactToolArgs(fc.name, fc.args));
+                            const turnId = getTurnId();
+                            const startedAt = Date.now();
                             
-                            // Execute tool using tools module
-                            const result = await executeTool(fc.name, fc.args);
+                            const controller = new AbortController();
+                            inFlightToolCalls.set(fc.id, controller);
+                            
+                            // Tools whose approval policy is "ask" wait for the user's answer in the widget
+                            const approval = await withLogContext({ sessionId }, () => approveToolCall(session, fc, { send: sendToClient, signal: controller.signal }));
                             
-                            // Send response back to Gemini
-                            session.sendToolResponse({
-                                functionResponses: [{
-                                    id: fc.id,
-                                    name: fc.name,
-                                    response: result
-                                }]
+                            // Image generation counts against the daily quota before it runs
+                            const quota = approval.approved && fc.name === 'generate_image' && session.toolConfig.enabled.generate_image
+                                ? consumeRateLimit(session, 'imageGenerations')
+                                : null;
+                            if (quota) {
+                                log.warn(`🚦 generate_image blocked: ${quota.error}`);
+                                sendRateLimitError(quota, 'generate_image');
+                            }
+                            
+                            // Execute tool using tools module
+                            let result;
+                            if (!approval.approved) {
+                                result = approval.result;
+                            } else if (quota) {
+                                result = { success: false, error: quota.error, code: 'RATE_LIMITED' };
+                            } else {
+                                result = await withLogContext({ sessionId }, () => runToolCall(fc.name, fc.args, session.toolConfig, { signal: controller.signal }));
+                            }
+                            inFlightToolCalls.delete(fc.id);
+                            const durationMs = Date.now() - startedAt;
+                            history.record('tool_call', {
+                                turnId, id: fc.id, name: fc.name, args: fc.args, result, durationMs,
+                                approval: approval.decision === 'allowed' ? undefined : approval.decision
                             });
+                            recordToolCall(session, { name: fc.name, args: fc.args, result, durationMs, approval: approval.decision });
+                            session.lastToolCall = { name: fc.name, at: new Date().toISOString(), success: !!result.success, durationMs };
+                            
+                            // Send response back to Gemini (unless the session was replaced while the tool ran)
+                            if (isCurrent()) {
+                                liveSession.sendToolResponse({
+                                    functionResponses: [{
+                                        id: fc.id,
+                                        name: fc.name,
+                                        response: result
+                                    }]
+                                });
+                            } else {
+                                log.debug(`⏭️  Dropping ${fc.name} result - Gemini session was replaced`);
+                            }
                             
                             // If image generation, broadcast to frontend for display
                             if (fc.name === 'generate_image' && result.success && result.base64Image) {
-                                debugLog('🎨 Broadcasting generated image to frontend...');
-                                ws.send(JSON.stringify({
+                                const sizeLabel = result.imageSize && result.imageSize !== 'default' ? ` (${result.imageSize})` : '';
+                                recordImageGeneration(session.usage, `${result.model}${sizeLabel}`);
+                                sendUsage();
+                                history.record('image', { turnId, kind: 'generated', filename: result.filename, filepath: result.filepath, model: result.model });
+
+                                log.debug('🎨 Broadcasting generated image to frontend...');
+                                sendToClient({
                                     type: 'generated_image',
                                     data: {
                                         base64Image: result.base64Image,
@@ -594,112 +685,337 @@ wss.on('connection', (clientWs) => {
                                         fileSize: result.fileSize,
                                         mimeType: result.mimeType
                                     }
-                                }));
+                                });
+                            }
+                            
+                            // Keep screenshots with the conversation (the tool itself only keeps the latest in memory)
+                            if (fc.name === 'take_screenshot' && result.success) {
+                                history.saveScreenshot(getLastScreenshot(), turnId);
                             }
                             
                             // If share_screen, trigger screen sharing in frontend
                             if (fc.name === 'share_screen' && result.success && result.action === 'start_screen_share') {
-                                debugLog('🖥️ Triggering screen share in frontend...');
-                                clientWs.send(JSON.stringify({
+                                log.debug('🖥️ Triggering screen share in frontend...');
+                                sendToClient({
                                     type: 'trigger_screen_share',
                                     data: {
                                         resolution: result.resolution
                                     }
-                                }));
+                                });
                             }
                             
                             // If share_camera, trigger camera sharing in frontend
                             if (fc.name === 'share_camera' && result.success && result.action === 'start_camera') {
-                                debugLog('📷 Triggering camera share in frontend...');
-                                clientWs.send(JSON.stringify({
+                                log.debug('📷 Triggering camera share in frontend...');
+                                sendToClient({
                                     type: 'trigger_camera_share',
                                     data: {
                                         resolution: result.resolution
                                     }
-                                }));
+                                });
                             }
                             
                             // If change_theme, trigger theme change in frontend
                             if (fc.name === 'change_theme' && result.success && result.action === 'change_theme') {
-                                debugLog('🎨 Triggering theme change in frontend...');
-                                clientWs.send(JSON.stringify({
+                                log.debug('🎨 Triggering theme change in frontend...');
+                                sendToClient({
                                     type: 'trigger_theme_change',
                                     data: {
                                         theme: result.theme
                                     }
-                                }));
+                                });
                             }
-                        }
+                        })).catch(error => log.error('❌ Error handling tool call:', error));
+                    }
+                    
+                    // Meter token usage (attributed to the turn in progress, or the one that just completed)
+                    if (message.usageMetadata) {
+                        recordTokenUsage(session.usage, currentTurnId || lastTurnId || getTurnId(), message.usageMetadata, session.modelConfig.model);
+                        sendUsage();
+                    }
+                    
+                    // Binary-frame clients get reply audio as raw PCM16 instead of base64 in the JSON below
+                    const sendAudioAsFrame = audioData && session.protocol?.binaryFrames;
+                    if (sendAudioAsFrame) {
+                        clientWs.send(encodeFrame(STREAM_TYPES.AUDIO_OUTPUT, Buffer.from(audioData, 'base64'), { format: FRAME_FORMATS.PCM16 }));
                     }
                     
                     // Forward message to client with extracted audio or text
+                    const hasModelOutput = serverContent?.modelTurn || message.toolCall;
                     const messageToSend = {
                         type: 'gemini_message',
+                        turnId: hasModelOutput ? getTurnId() : currentTurnId,
                         data: {
-                            ...message,
-                            data: audioData, // Add extracted audio data
+                            ...(sendAudioAsFrame ? withoutInlineAudio(message) : message),
+                            data: sendAudioAsFrame ? null : audioData, // Add extracted audio data
                             text: textData   // Add extracted text data
                         }
                     };
                     clientWs.send(JSON.stringify(messageToSend));
+                    
+                    // The next model output starts a new turn
+                    if (serverContent?.turnComplete || serverContent?.interrupted) {
+                        lastTurnId = currentTurnId || lastTurnId;
+                        currentTurnId = null;
+                    }
                 },
                 onerror: (error) => {
-                    console.error('❌ Gemini error:', error);
-                    clientWs.send(JSON.stringify({ type: 'error', error: error.message }));
+                    log.error('❌ Gemini error:', error);
+                    if (isCurrent()) {
+                        sendError(ERROR_CODES.UPSTREAM_ERROR, error.message);
+                    }
                 },
                 onclose: (event) => {
-                    debugLog('🔌 Gemini connection closed:', event?.reason || 'Unknown reason');
-                    clientWs.send(JSON.stringify({ type: 'status', status: 'disconnected' }));
+                    log.debug('🔌 Gemini connection closed:', event?.reason || 'Unknown reason');
+                    // Closed sessions we replaced on purpose are not a disconnect
+                    if (!isCurrent() || clientWs.readyState !== WebSocket.OPEN) return;
+                    
+                    // Upstream dropped us (time limit, network) - reconnect transparently
+                    reconnectToGemini(event?.reason || 'closed');
                 }
             },
             config: config
         });
 
-        geminiWs = session;
-        currentModality = modality;
-        debugLog(`✅ Connected to Gemini with ${modality} modality`);
+        // A newer connection may have started while this one was opening
+        if (!isCurrent()) {
+            liveSession.close();
+            return;
+        }
+        
+        geminiWs = liveSession;
+        connectedAt = Date.now();
+        session.modality = modality;
+        log.info(`✅ Connected to Gemini with ${modality} modality`);
     };
 
+    // Reconnect upstream without the client noticing (goAway, time limit, dropped socket).
+    // The client WebSocket stays open, so mic and screen streams keep running.
+    // A connection that drops before it has been up for STABLE_CONNECTION_MS counts as a failed
+    // attempt, so an upstream that accepts and then closes at once still ends in 'disconnected'.
+    // Planned reconnects (settings changes) start over with a full set of attempts.
+    const reconnectToGemini = async (reason, { planned = false } = {}) => {
+        if (isReconnecting || clientWs.readyState !== WebSocket.OPEN) return;
+        isReconnecting = true;
+        if (planned || (connectedAt && Date.now() - connectedAt >= STABLE_CONNECTION_MS)) {
+            reconnectFailures = 0;
+        } else if (connectedAt) {
+            reconnectFailures += 1;
+        }
+        connectedAt = 0;
+        log.info(`🔁 Reconnecting to Gemini (${reason})...`);
+        clientWs.send(JSON.stringify({ type: 'status', status: 'reconnecting', reason }));
+
+        // The turn in progress ends with the old connection - the next reply must not be appended to it
+        finalizeTranscript('user');
+        finalizeTranscript('assistant');
+        if (textReply.trim()) {
+            history.record('message', { speaker: 'assistant', text: textReply.trim(), turnId: currentTurnId || lastTurnId });
+        }
+        textReply = '';
+        lastTurnId = currentTurnId || lastTurnId;
+        currentTurnId = null;
+
+        const modality = session.modality === 'SWITCHING' ? 'AUDIO' : session.modality;
+        
+        while (reconnectFailures < MAX_RECONNECT_ATTEMPTS) {
+            // Back off after failures, including those of earlier reconnects
+            if (reconnectFailures > 0) {
+                await new Promise(resolve => setTimeout(resolve, Math.min(500 * 2 ** (reconnectFailures - 1), 8000)));
+            }
+            if (clientWs.readyState !== WebSocket.OPEN) break;
+            const attempt = reconnectFailures + 1;
+            try {
+                await connectToGemini(modality);
+                isReconnecting = false;
+                log.info(`✅ Reconnected to Gemini (attempt ${attempt})`);
+                flushPendingText();
+                applyPendingSettings();
+                return;
+            } catch (err) {
+                log.error(`❌ Reconnect attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS} failed:`, err.message);
+                reconnectFailures += 1;
+                // A stale handle can fail forever - start a fresh session on the next try
+                if (reconnectFailures >= 2) {
+                    resumptionHandle = null;
+                }
+            }
+        }
+        
+        isReconnecting = false;
+        pendingTextMessages = [];
+        pendingSettings = null; // The next connection reads the session's settings anyway
+        if (clientWs.readyState === WebSocket.OPEN) {
+            log.error(`❌ Giving up on Gemini after ${reconnectFailures} failed attempts`);
+            clientWs.send(JSON.stringify({ type: 'status', status: 'disconnected' }));
+        }
+    };
+
+    // Send a typed message to the current session
+    const sendTextToGemini = (text) => {
+        geminiWs.sendClientContent({
+            turns: [{
+                role: 'user',
+                parts: [{ text }]
+            }],
+            turnComplete: true
+        });
+    };
+
+    // Deliver text that was typed while the upstream session was reconnecting
+    const flushPendingText = () => {
+        const queued = pendingTextMessages;
+        pendingTextMessages = [];
+        for (const text of queued) {
+            try {
+                sendTextToGemini(text);
+            } catch (err) {
+                log.error('❌ Error sending queued text to Gemini:', err);
+            }
+        }
+    };
+
+    // Apply changed session settings (model, thinking, media resolution, voice) by reconnecting.
+    // A resumption handle belongs to its model, so switching models starts a fresh conversation.
+    // Changes made while a reconnect is running wait for it, so they are not lost.
+    session.applySettings = ({ modelChanged = false } = {}) => {
+        if (isReconnecting) {
+            pendingSettings = { modelChanged: modelChanged || !!pendingSettings?.modelChanged };
+            log.debug('⚙️  Settings changed while reconnecting - applying them once reconnected');
+            return;
+        }
+        if (modelChanged) {
+            resumptionHandle = null;
+        }
+        reconnectToGemini('settings changed', { planned: true });
+    };
+
+    // Apply settings that changed during a reconnect
+    const applyPendingSettings = () => {
+        if (!pendingSettings) return;
+        const settings = pendingSettings;
+        pendingSettings = null;
+        session.applySettings(settings);
+    };
+
+    // Tell the client which session it owns (used to address REST endpoints)
+    clientWs.send(JSON.stringify({ type: 'session', sessionId, protocolVersion: PROTOCOL_VERSION }));
+
     // Initial connection with AUDIO modality
     connectToGemini('AUDIO');
 
     // Handle messages from client
-    clientWs.on('message', async (data) => {
+    clientWs.on('message', async (data, isBinary) => {
         try {
-            const message = JSON.parse(data);
+            // Binary media frames become the same audio/video/camera messages as base64 JSON
+            const { message, error } = isBinary ? parseClientFrame(data) : parseClientMessage(data);
+            if (error) {
+                log.warn(`⚠️ Rejected client message (${error.code}): ${error.error}`);
+                clientWs.send(JSON.stringify(error));
+                return;
+            }
             
+            // Drop media and text beyond the connection's or token's limits
+            const violation = checkMessageRateLimit(session, message);
+            if (violation) {
+                if (violation.notify) {
+                    log.warn(`🚦 Rate limited ${message.type}: ${violation.error}`);
+                    sendRateLimitError(violation, message.type);
+                }
+                return;
+            }
+            
+            // Protocol handshake - negotiate the version and exchange capabilities
+            if (message.type === 'hello') {
+                const version = negotiateVersion(message);
+                if (version === null) {
+                    sendError(ERROR_CODES.UNSUPPORTED_VERSION, 'No supported protocol version offered', { details: { supportedVersions: SUPPORTED_VERSIONS } });
+                    clientWs.close(1002, 'Unsupported protocol version');
+                    return;
+                }
+                
+                const clientCapabilities = Array.isArray(message.capabilities) ? message.capabilities : [];
+                session.protocol = {
+                    version,
+                    client: message.client || null,
+                    capabilities: clientCapabilities,
+                    binaryFrames: clientCapabilities.includes('binary_frames') // Reply audio as binary frames
+                };
+                log.debug(`🤝 Client hello: protocol v${version}`, session.protocol.client || '');
+                clientWs.send(JSON.stringify({
+                    type: 'hello',
+                    protocolVersion: version,
+                    sessionId,
+                    capabilities: SERVER_CAPABILITIES,
+                    limits: getRateLimits()
+                }));
+            }
+            // The user answered a tool_approval_request
+            else if (message.type === 'tool_approval_response') {
+                if (!answerApproval(session, message)) {
+                    log.debug(`⏭️  Approval answer for an unknown or expired request: ${message.requestId}`);
+                }
+            }
             // Handle modality change
-            if (message.type === 'set_modality') {
+            else if (message.type === 'set_modality') {
                 const newModality = message.modality; // 'AUDIO' or 'TEXT'
-                debugLog(`🔄 Modality change requested: ${currentModality} -> ${newModality}`);
+                log.debug(`🔄 Modality change requested: ${session.modality} -> ${newModality}`);
                 
-                if (newModality !== currentModality) {
+                if (newModality !== session.modality) {
                     // CRITICAL: Mark modality as changing to reject any in-flight messages
-                    const oldModality = currentModality;
-                    currentModality = 'SWITCHING'; // Temporary state to reject all messages
+                    const oldModality = session.modality;
+                    session.modality = 'SWITCHING'; // Temporary state to reject all messages
                     
-                    debugLog('🚫 Rejecting any in-flight messages during switch...');
+                    log.debug('🚫 Rejecting any in-flight messages during switch...');
                     
                     // Add delay to ensure all in-flight audio messages are processed/rejected
                     await new Promise(resolve => setTimeout(resolve, 300));
                     
                     // Reconnect with new modality
-                    connectToGemini(newModality).then(() => {
-                        debugLog(`✅ Modality switched: ${oldModality} -> ${newModality}`);
-                    }).catch(err => {
-                        console.error('❌ Error switching modality:', err);
+                    try {
+                        await connectToGemini(newModality);
+                        log.info(`✅ Modality switched: ${oldModality} -> ${newModality}`);
+                    } catch (err) {
+                        log.error('❌ Error switching modality:', err);
                         // Fallback to old modality
-                        currentModality = oldModality;
-                    });
+                        session.modality = oldModality;
+                    }
                     
                     clientWs.send(JSON.stringify({ 
                         type: 'modality_changed', 
-                        modality: newModality 
+                        modality: session.modality 
                     }));
+                    
+                    // Text typed during the switch goes to the new session
+                    flushPendingText();
                 }
             } 
+            else if (message.type === 'set_session_config') {
+                // Per-session model / thinking / media resolution / voice, applied by reconnecting
+                try {
+                    const { model, thinkingBudget, mediaResolution, voiceName, languageCode } = message;
+                    
+                    // Validate everything before touching the session
+                    const modelConfig = setModelConfig({ ...session.modelConfig }, { model, thinkingBudget, mediaResolution });
+                    const speech = setSpeechSettings({ ...session.speech }, { voiceName, languageCode });
+                    const modelChanged = modelConfig.model !== session.modelConfig.model;
+                    session.modelConfig = modelConfig;
+                    session.speech = speech;
+                    
+                    log.debug('⚙️  Session config updated:', modelConfig, speech);
+                    clientWs.send(JSON.stringify({ type: 'session_config', modelConfig, speech }));
+                    session.applySettings({ modelChanged });
+                } catch (err) {
+                    log.warn('⚠️ Invalid session config:', err.message);
+                    sendError(ERROR_CODES.INVALID_CONFIG, err.message, { requestType: message.type });
+                }
+            }
+            else if (isReconnecting && ['audio', 'video', 'camera'].includes(message.type)) {
+                // Realtime media can't be replayed - drop it until the new session is up
+                return;
+            }
             else if (message.type === 'interrupt' && geminiWs) {
-                debugLog('⏸️  Interrupt signal received');
+                log.debug('⏸️  Interrupt signal received');
                 // Stop any ongoing audio playback on backend side if needed
                 // For now, just acknowledge
                 clientWs.send(JSON.stringify({ 
@@ -709,12 +1025,15 @@ wss.on('connection', (clientWs) => {
             }
             else if (message.type === 'audio' && geminiWs) {
                 // CRITICAL: Strictly reject audio if not in AUDIO mode OR if switching
-                if (currentModality !== 'AUDIO') {
-                    console.warn(`⚠️ REJECTED audio message (current mode: ${currentModality}) - ignoring in-flight chunk`);
+                if (session.modality !== 'AUDIO') {
+                    log.warn(`⚠️ REJECTED audio message (current mode: ${session.modality}) - ignoring in-flight chunk`);
                     return; // Hard reject - prevents "Cannot extract voices" error
                 }
                 
-                debugLog('🎤 Forwarding audio to Gemini (AUDIO mode)...');
+                log.debug('🎤 Forwarding audio to Gemini (AUDIO mode)...');
+                session.media.audio.bytes += Math.floor(message.data.length * 3 / 4); // base64 → PCM bytes
+                session.media.audio.chunks++;
+                session.media.audio.lastChunkAt = new Date().toISOString();
                 try {
                     geminiWs.sendRealtimeInput({
                         audio: {
@@ -723,20 +1042,22 @@ wss.on('connection', (clientWs) => {
                         }
                     });
                 } catch (err) {
-                    console.error('❌ Error sending audio to Gemini:', err);
+                    log.error('❌ Error sending audio to Gemini:', err);
                     // If error contains "Cannot extract voices", it means we're in TEXT mode
                     if (err.message && err.message.includes('Cannot extract voices')) {
-                        console.error('🚨 CRITICAL: Audio sent in TEXT mode - this should not happen!');
+                        log.error('🚨 CRITICAL: Audio sent in TEXT mode - this should not happen!');
                     }
                 }
             } else if (message.type === 'video' && geminiWs) {
                 // Handle video/screen sharing frames
-                if (currentModality === 'SWITCHING') {
-                    console.warn('⚠️ REJECTED video frame during modality switch');
+                if (session.modality === 'SWITCHING') {
+                    log.warn('⚠️ REJECTED video frame during modality switch');
                     return;
                 }
                 
-                debugLog('📹 Forwarding screen frame to Gemini...');
+                log.debug('📹 Forwarding screen frame to Gemini...');
+                session.media.screen.frames++;
+                session.media.screen.lastFrameAt = new Date().toISOString();
                 
                 // Save debug frame (last 2 only)
                 saveDebugFrame(message.data, 'screen');
@@ -749,16 +1070,18 @@ wss.on('connection', (clientWs) => {
                         }
                     });
                 } catch (err) {
-                    console.error('❌ Error sending video to Gemini:', err);
+                    log.error('❌ Error sending video to Gemini:', err);
                 }
             } else if (message.type === 'camera' && geminiWs) {
                 // Handle camera frames
-                if (currentModality === 'SWITCHING') {
-                    console.warn('⚠️ REJECTED camera frame during modality switch');
+                if (session.modality === 'SWITCHING') {
+                    log.warn('⚠️ REJECTED camera frame during modality switch');
                     return;
                 }
                 
-                debugLog('📷 Forwarding camera frame to Gemini...');
+                log.debug('📷 Forwarding camera frame to Gemini...');
+                session.media.camera.frames++;
+                session.media.camera.lastFrameAt = new Date().toISOString();
                 
                 // Save debug frame (last 2 only)
                 saveDebugFrame(message.data, 'camera');
@@ -772,36 +1095,47 @@ wss.on('connection', (clientWs) => {
                         
                     });
                 } catch (err) {
-                    console.error('❌ Error sending camera to Gemini:', err);
+                    log.error('❌ Error sending camera to Gemini:', err);
                 }
+            } else if (message.type === 'text' && (isReconnecting || session.modality === 'SWITCHING')) {
+                // Hold typed text until the upstream session is back
+                log.debug('📝 Queuing text until the Gemini session is ready...');
+                transcript.append('user', message.text || '');
+                finalizeTranscript('user');
+                pendingTextMessages.push(message.text);
             } else if (message.type === 'text' && geminiWs) {
                 // Existing text handling
                 // Allow text in both TEXT and AUDIO modes
-                if (currentModality === 'SWITCHING') {
-                    console.warn('⚠️ REJECTED text message during modality switch');
-                    return;
-                }
-                debugLog(`📝 Forwarding text to Gemini (${currentModality} mode)...`);
+                log.debug(`📝 Forwarding text to Gemini (${session.modality} mode)...`);
+                
+                // Typed messages are part of the conversation record too
+                transcript.append('user', message.text || '');
+                finalizeTranscript('user');
+                
                 try {
                     // Use sendClientContent method from the session object
-                    geminiWs.sendClientContent({
-                        turns: [{
-                            role: 'user',
-                            parts: [{ text: message.text }]
-                        }],
-                        turnComplete: true
-                    });
+                    sendTextToGemini(message.text);
                 } catch (err) {
-                    console.error('❌ Error sending text to Gemini:', err);
+                    log.error('❌ Error sending text to Gemini:', err);
                 }
+            } else if (!geminiWs && ['text', 'interrupt'].includes(message.type)) {
+                sendError(ERROR_CODES.NOT_READY, 'The model session is not connected yet', { requestType: message.type });
             }
         } catch (error) {
-            console.error('Error handling client message:', error);
+            log.error('❌ Error handling client message:', error);
+            sendError(ERROR_CODES.INTERNAL_ERROR, error.message);
         }
     });
 
     clientWs.on('close', () => {
-        debugLog('Client disconnected');
+        log.info('👋 Client disconnected');
+        finalizeTranscript('user');
+        finalizeTranscript('assistant');
+        history.close();
+        connectionAttempt++; // Ignore callbacks from the session we are closing
+        inFlightToolCalls.forEach(controller => controller.abort());
+        inFlightToolCalls.clear();
+        removeSession(sessionId);
         if (geminiWs) {
             geminiWs.close();
         }
@@ -810,14 +1144,68 @@ wss.on('connection', (clientWs) => {
 
 // HTTP server
 const server = app.listen(PORT, () => {
-    debugLog(`🚀 Apsara Live Backend running on port ${PORT}`);
-    debugLog(`📧 Email service configured for: shubharthaksangharsha@gmail.com`);
+    logger.info(`🚀 Apsara Live Backend running on port ${PORT}`);
+    logger.info(`📡 Realtime provider: ${liveProvider.name}`);
+    logger.info(`📧 Email service configured for: ${getConfig().email.defaultRecipient}`);
+});
+
+// Report missing dependencies once at startup (also warms the SMTP check for /api/tools)
+getReadiness().then((readiness) => {
+    for (const [id, check] of Object.entries(readiness.checks)) {
+        if (!check.ok && check.status !== 'disabled' && check.status !== 'unknown') {
+            logger.warn(`⚠️ ${check.label}: ${check.detail}`);
+        }
+    }
+    logger.info(`🩺 Readiness: ${readiness.status}`);
+});
+
+// Apply edits to apsara.config.json without a restart, and push the widget part to open widgets
+watchConfig();
+onConfigChange(() => {
+    const message = JSON.stringify({ type: 'config', config: getWidgetConfig() });
+    wss.clients.forEach((ws) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(message);
+    });
 });
 
+// Spawn the MCP servers from apsara.config.json; open widgets reload their tool list when it changes
+startMcpServers();
+onMcpToolsChange(() => {
+    const message = JSON.stringify({ type: 'tools_changed' });
+    wss.clients.forEach((ws) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(message);
+    });
+});
+
+// Apply history retention at startup and every 6 hours
+pruneHistory((id) => !!getSession(id));
+pruneAudit();
+setInterval(() => {
+    pruneHistory((id) => !!getSession(id));
+    pruneAudit();
+}, 6 * 60 * 60 * 1000).unref();
+
 // Upgrade HTTP connection to WebSocket
 server.on('upgrade', (request, socket, head) => {
+    // Browsers let any page open a WebSocket to localhost, so check where it comes from before trusting this machine
+    if (!isAllowedOrigin(request.headers.origin)) {
+        logger.warn(`🔒 Rejected WebSocket upgrade from origin ${request.headers.origin}`);
+        socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+
+    // Check the token before accepting the WebSocket
+    const auth = authenticate(request, { upgrade: true });
+    if (!auth.ok) {
+        logger.warn(`🔒 Rejected WebSocket upgrade: ${auth.error}`);
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    
     wss.handleUpgrade(request, socket, head, (ws) => {
-        wss.emit('connection', ws, request);
+        wss.emit('connection', ws, request, auth);
     });
 });
 
@@ -826,61 +1214,488 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', service: 'Apsara Live Backend' });
 });
 
+// Readiness: API keys, SMTP login, OS binaries and writable folders (?refresh=1 re-verifies SMTP)
+app.get('/health/ready', async (req, res) => {
+    try {
+        const readiness = await getReadiness({ refresh: req.query.refresh === '1' });
+        res.status(readiness.status === 'not_ready' ? 503 : 200).json(readiness);
+    } catch (error) {
+        logger.error('❌ Error checking readiness:', error);
+        res.status(500).json({ status: 'not_ready', error: error.message });
+    }
+});
+
+// Themes and screen/camera resolutions for the widget (from apsara.config.json)
+app.get('/api/config', (req, res) => {
+    res.json({ success: true, config: getWidgetConfig() });
+});
+
+// Whether the caller is authenticated, and how (the widget checks this before connecting)
+app.get('/api/auth/status', (req, res) => {
+    res.json({ success: true, ...getAuthStatus(req) });
+});
+
+// Start pairing a device - the code is printed to the backend console
+app.post('/api/auth/pair/request', (req, res) => {
+    try {
+        res.json({ success: true, ...requestPairing(req.body.deviceName, req.socket.remoteAddress) });
+    } catch (error) {
+        res.status(429).json({ success: false, error: error.message });
+    }
+});
+
+// Finish pairing with the code - returns the device token (only once)
+app.post('/api/auth/pair/confirm', (req, res) => {
+    try {
+        const { pairingId, code } = req.body;
+        if (!pairingId || !code) {
+            return res.status(400).json({ success: false, error: 'pairingId and code are required' });
+        }
+        res.json({ success: true, ...confirmPairing(pairingId, code) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Pending pairing requests with their codes (admins only - the code is what approves a device)
+app.get('/api/auth/pairings', requireAdmin, (req, res) => {
+    res.json({ success: true, pairings: listPairings() });
+});
+
+// Paired devices (admins only)
+app.get('/api/auth/devices', requireAdmin, (req, res) => {
+    res.json({ success: true, devices: listDevices() });
+});
+
+// Revoke a device token and disconnect its open sessions (admins only)
+app.delete('/api/auth/devices/:deviceId', requireAdmin, (req, res) => {
+    const { deviceId } = req.params;
+    if (!revokeDevice(deviceId)) {
+        return res.status(404).json({ success: false, error: `Device not found: ${deviceId}` });
+    }
+    
+    wss.clients.forEach((ws) => {
+        if (ws.auth?.deviceId === deviceId) {
+            ws.close(4401, 'Device token revoked');
+        }
+    });
+    res.json({ success: true, deviceId });
+});
+
+// Admin page listing live sessions (see admin.html; /admin#token=<AUTH_SECRET> from other machines)
+app.get('/admin', (req, res) => {
+    res.sendFile(ADMIN_PAGE_FILE);
+});
+
+// Live sessions with modality, streamed media, enabled tools and last tool call (admins only)
+app.get('/api/admin/sessions', requireAdmin, (req, res) => {
+    const sessions = listSessions()
+        .map(describeSession)
+        .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt));
+    res.json({ success: true, sessions });
+});
+
+// Force-disconnect a live session (admins only)
+app.post('/api/admin/sessions/:sessionId/disconnect', requireAdmin, (req, res) => {
+    const { sessionId } = req.params;
+    let disconnected = false;
+    wss.clients.forEach((ws) => {
+        if (ws.sessionId === sessionId) {
+            ws.close(4001, 'Disconnected by admin');
+            disconnected = true;
+        }
+    });
+    if (!disconnected) {
+        return res.status(404).json({ success: false, error: `Session not found: ${sessionId}` });
+    }
+    
+    logger.info(`🔌 Admin disconnected session ${sessionId}`);
+    res.json({ success: true, sessionId });
+});
+
+// Current log level, per-scope levels and format (admins only)
+app.get('/api/admin/logging', requireAdmin, (req, res) => {
+    res.json({ success: true, logging: getLogConfig() });
+});
+
+// Change logging at runtime: { level?, scopes?: 'tools=debug,...' | { tools: 'debug' }, format? } (admins only)
+app.post('/api/admin/logging', requireAdmin, (req, res) => {
+    try {
+        const { level, scopes, format } = req.body;
+        const logging = setLogConfig({ level, scopes, format });
+        logger.info('📝 Logging configuration updated:', logging);
+        res.json({ success: true, logging });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Whether a caller may read and change a live session: admins any of them, a paired device its own
+ * @param {Object} auth - req.auth
+ * @param {Object} session - Live session
+ * @returns {boolean}
+ */
+function ownsSession(auth, session) {
+    return isAdmin(auth) || (!!session.auth?.deviceId && session.auth.deviceId === auth?.deviceId);
+}
+
+/**
+ * Resolve which configuration a REST request addresses
+ * @param {string} sessionId - Active session id, or empty for the saved default profile
+ * @param {Object} auth - req.auth (another device's session is treated as unknown)
+ * @returns {Object|null} { sessionId, session, config }, where config is the session or profile
+ *   holding toolConfig, speech and modelConfig; null if the session is unknown
+ */
+function resolveConfigTarget(sessionId, auth) {
+    if (!sessionId) {
+        return { sessionId: null, session: null, config: getDefaultProfile() };
+    }
+    const session = getSession(sessionId);
+    return session && ownsSession(auth, session) ? { sessionId, session, config: session } : null;
+}
+
+/**
+ * Refuse a change of the saved default profile from a paired device - it applies to every client
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} target - From resolveConfigTarget
+ * @returns {boolean} True if the request was refused
+ */
+function refuseDefaultProfileChange(req, res, target) {
+    if (target.session || isAdmin(req.auth)) return false;
+    logger.warn(`🔒 Rejected default profile change ${req.path} (${req.auth?.deviceName || req.auth?.via})`);
+    res.status(403).json({ success: false, error: 'Admin access required to change the default profile' });
+    return true;
+}
+
 // Get all available tools with their status
 app.get('/api/tools', (req, res) => {
     try {
-        const tools = getAllTools();
-        res.json({ success: true, tools });
+        const target = resolveConfigTarget(req.query.sessionId, req.auth);
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Session not found: ${req.query.sessionId}` });
+        }
+        
+        // Tools whose dependencies are missing come back with available: false and the reason
+        const availability = getCachedToolAvailability();
+        const tools = getAllTools(target.config.toolConfig).map(tool => ({
+            ...tool,
+            ...(availability[tool.id] || { available: true })
+        }));
+        res.json({ success: true, sessionId: target.sessionId, tools });
     } catch (error) {
-        console.error('❌ Error getting tools:', error);
+        logger.error('❌ Error getting tools:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Update enabled tools configuration
+// Configured MCP servers: status, error and the ids of their tools
+app.get('/api/mcp/servers', (req, res) => {
+    res.json({ success: true, servers: getMcpStatus() });
+});
+
+// Update enabled tools configuration (of one session, or of the saved default profile)
 app.post('/api/tools/update', (req, res) => {
     try {
-        const { tools, order, asyncSettings, imageModel } = req.body;
+        const { sessionId, tools, order, asyncSettings, approvals, imageModel } = req.body;
+        
+        const target = resolveConfigTarget(sessionId, req.auth);
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Session not found: ${sessionId}` });
+        }
+        if (refuseDefaultProfileChange(req, res, target)) return;
+        const { toolConfig } = target.config;
         
         let updatedTools;
         
         // Update enabled/disabled state
         if (tools && typeof tools === 'object') {
-            setEnabledTools(tools);
+            setEnabledTools(toolConfig, tools);
         }
         
         // Update tool order
         if (order && Array.isArray(order)) {
-            setToolOrder(order);
+            setToolOrder(toolConfig, order);
         }
         
         // Update async settings
         if (asyncSettings && typeof asyncSettings === 'object') {
-            setToolAsyncSettings(asyncSettings);
+            setToolAsyncSettings(toolConfig, asyncSettings);
+        }
+        
+        // Update approval policies
+        if (approvals && typeof approvals === 'object') {
+            setToolApprovals(toolConfig, approvals);
         }
         
         // Update image generation model
         if (imageModel && typeof imageModel === 'string') {
-            setImageGenerationModel(imageModel);
-            debugLog('🎨 Image generation model updated to:', imageModel);
+            setImageGenerationModel(toolConfig, imageModel);
+            logger.debug('🎨 Image generation model updated to:', imageModel);
         }
         
         // Get updated tools list
-        updatedTools = getAllTools();
+        updatedTools = getAllTools(toolConfig);
         
-        // Regenerate system prompt with new configuration
-        SYSTEM_PROMPT = generateSystemPrompt();
-        
-        debugLog('✅ Tools configuration updated');
-        debugLog('🔄 System prompt regenerated');
+        if (target.session) {
+            // Regenerate the session's system prompt with its new configuration
+            target.session.systemPrompt = generateSystemPrompt(toolConfig) + getLanguageInstruction(target.session.speech);
+            logger.debug(`✅ Tools configuration updated for session ${target.sessionId}`);
+            logger.debug('🔄 System prompt regenerated');
+        } else {
+            saveDefaultProfile();
+            logger.debug('✅ Default tools profile updated');
+        }
         
         res.json({ 
             success: true, 
+            sessionId: target.sessionId,
             tools: updatedTools,
-            message: 'Tools configuration updated successfully. Restart your session to apply changes.' 
+            message: target.session
+                ? 'Session tools updated. Changes apply when the session reconnects.'
+                : 'Default tools profile updated. New sessions will use it.'
+        });
+    } catch (error) {
+        logger.error('❌ Error updating tools:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get speech settings (voice, language) and the available choices
+app.get('/api/settings', (req, res) => {
+    try {
+        const target = resolveConfigTarget(req.query.sessionId, req.auth);
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Session not found: ${req.query.sessionId}` });
+        }
+        
+        res.json({
+            success: true,
+            sessionId: target.sessionId,
+            speech: { ...target.config.speech },
+            modelConfig: { ...target.config.modelConfig },
+            voices: VOICES,
+            languages: LANGUAGES,
+            models: MODELS,
+            mediaResolutions: MEDIA_RESOLUTIONS,
+            thinkingBudgetRange: THINKING_BUDGET_RANGE
+        });
+    } catch (error) {
+        logger.error('❌ Error getting settings:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Update speech and model settings (of one session, or of the saved default profile)
+app.post('/api/settings/update', (req, res) => {
+    try {
+        const { sessionId, voiceName, languageCode, model, thinkingBudget, mediaResolution } = req.body;
+        
+        const target = resolveConfigTarget(sessionId, req.auth);
+        if (!target) {
+            return res.status(404).json({ success: false, error: `Session not found: ${sessionId}` });
+        }
+        if (refuseDefaultProfileChange(req, res, target)) return;
+        const { config } = target;
+        
+        // Validate everything before changing anything
+        const speech = setSpeechSettings({ ...config.speech }, { voiceName, languageCode });
+        const modelConfig = setModelConfig({ ...config.modelConfig }, { model, thinkingBudget, mediaResolution });
+        const modelChanged = modelConfig.model !== config.modelConfig.model;
+        config.speech = speech;
+        config.modelConfig = modelConfig;
+        
+        if (target.session) {
+            // Live session: reconnect so the new settings take effect now
+            logger.debug(`⚙️  Settings updated for session ${target.sessionId}:`, speech, modelConfig);
+            target.session.applySettings({ modelChanged });
+        } else {
+            saveDefaultProfile();
+            logger.debug('⚙️  Default settings updated:', speech, modelConfig);
+        }
+        
+        res.json({
+            success: true,
+            sessionId: target.sessionId,
+            speech,
+            modelConfig,
+            message: target.session
+                ? 'Session settings updated. The session is reconnecting to apply them.'
+                : 'Default settings updated. New sessions will use them.'
+        });
+    } catch (error) {
+        logger.error('❌ Error updating settings:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Speak a short sample with a voice (base64 PCM16, 24kHz)
+app.post('/api/settings/preview', async (req, res) => {
+    try {
+        const { voiceName, languageCode = '', text } = req.body;
+        
+        if (!VOICES.some(v => v.name === voiceName)) {
+            return res.status(400).json({ success: false, error: `Unknown voice: ${voiceName}` });
+        }
+        if (!LANGUAGES.some(l => l.code === languageCode)) {
+            return res.status(400).json({ success: false, error: `Unsupported language: ${languageCode}` });
+        }
+        
+        const audio = await liveProvider.speak({
+            text: (text || PREVIEW_TEXT).slice(0, 200),
+            speechConfig: buildSpeechConfig({ voiceName, languageCode })
         });
+        
+        res.json({ success: true, voiceName, audio: audio.data, mimeType: audio.mimeType });
+    } catch (error) {
+        logger.error('❌ Error generating voice preview:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Token and image generation usage: current session, today and all-time totals
+app.get('/api/usage', (req, res) => {
+    try {
+        const { sessionId } = req.query;
+        const session = sessionId ? getSession(sessionId) : null;
+        if (sessionId && !(session && ownsSession(req.auth, session))) {
+            return res.status(404).json({ success: false, error: `Session not found: ${sessionId}` });
+        }
+        
+        const summary = getUsageSummary(session ? session.usage : null);
+        if (session) {
+            summary.session.model = session.modelConfig.model;
+            summary.session.media = session.media; // Screen/camera frames and audio bytes sent
+        }
+        
+        res.json({ success: true, sessionId: session ? session.id : null, ...summary });
+    } catch (error) {
+        logger.error('❌ Error getting usage:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Tool audit log: every tool call with its redacted args, status and the files and URLs it touched (admins only)
+app.get('/api/audit', requireAdmin, (req, res) => {
+    try {
+        const { since, until, sessionId, tool, status, q } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const { entries, total } = queryAudit({ since, until, sessionId, tool, status, q, limit, offset });
+        res.json({ success: true, entries, total, retentionDays: AUDIT_RETENTION_DAYS });
+    } catch (error) {
+        logger.error('❌ Error reading audit log:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Stored conversations a caller may see: admins see all of them, a paired device only its own
+ * @param {Object} auth - req.auth
+ * @returns {string|undefined} Device id to filter by (undefined for admins)
+ */
+const storedSessionOwner = (auth) => (isAdmin(auth) ? undefined : auth.deviceId);
+
+/**
+ * Read a stored conversation for a caller - another device's conversation is reported as missing
+ * @param {Object} req - Request with req.params.sessionId
+ * @returns {Object|null} Stored session
+ */
+const getOwnStoredSession = (req) => {
+    const stored = getStoredSession(req.params.sessionId);
+    const owner = storedSessionOwner(req.auth);
+    return stored && (owner === undefined || stored.deviceId === owner) ? stored : null;
+};
+
+// Stored conversations (history.js) - newest first, ?since=&until= (ISO or YYYY-MM-DD), ?limit=&offset=
+app.get('/api/sessions', (req, res) => {
+    try {
+        const { since, until } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const { sessions, total } = listStoredSessions({ since, until, deviceId: storedSessionOwner(req.auth), limit, offset });
+        res.json({
+            success: true,
+            sessions: sessions.map(s => ({ ...s, active: !!getSession(s.sessionId) })),
+            total,
+            retention: getRetention()
+        });
+    } catch (error) {
+        logger.error('❌ Error listing stored sessions:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Search stored conversations: ?q=text, optional since/until, speaker (user | assistant), limit
+app.get('/api/sessions/search', (req, res) => {
+    try {
+        const { q, since, until, speaker } = req.query;
+        if (!q || !q.trim()) {
+            return res.status(400).json({ success: false, error: 'q is required' });
+        }
+        if (speaker && !['user', 'assistant'].includes(speaker)) {
+            return res.status(400).json({ success: false, error: 'speaker must be user or assistant' });
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({ success: true, query: q, results: searchHistory(q.trim(), { since, until, speaker, deviceId: storedSessionOwner(req.auth), limit }) });
+    } catch (error) {
+        logger.error('❌ Error searching history:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// One stored conversation with all entries and turns
+app.get('/api/sessions/:sessionId', (req, res) => {
+    try {
+        const stored = getOwnStoredSession(req);
+        if (!stored) {
+            return res.status(404).json({ success: false, error: `Stored session not found: ${req.params.sessionId}` });
+        }
+        res.json({ success: true, session: { ...stored, active: !!getSession(stored.sessionId) } });
+    } catch (error) {
+        logger.error('❌ Error reading stored session:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Download a stored conversation as Markdown, JSON or a self-contained HTML page (?format=md|json|html)
+app.get('/api/sessions/:sessionId/export', (req, res) => {
+    try {
+        const format = req.query.format || 'md';
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ success: false, error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        const stored = getOwnStoredSession(req);
+        if (!stored) {
+            return res.status(404).json({ success: false, error: `Stored session not found: ${req.params.sessionId}` });
+        }
+        
+        const { filename, contentType, body } = exportSession(stored, format);
+        logger.debug(`📤 Exporting session ${stored.sessionId} as ${format}`);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        logger.error('❌ Error exporting session:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete a stored conversation (not while it is still connected)
+app.delete('/api/sessions/:sessionId', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (getSession(sessionId)) {
+            return res.status(409).json({ success: false, error: 'Session is still connected' });
+        }
+        if (!getOwnStoredSession(req) || !deleteStoredSession(sessionId)) {
+            return res.status(404).json({ success: false, error: `Stored session not found: ${sessionId}` });
+        }
+        logger.info(`🗑️  Deleted stored session ${sessionId}`);
+        res.json({ success: true, sessionId });
     } catch (error) {
-        console.error('❌ Error updating tools:', error);
+        logger.error('❌ Error deleting stored session:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -916,7 +1731,7 @@ app.post('/api/email-image', async (req, res) => {
         
         res.json(result);
     } catch (error) {
-        console.error('❌ Error emailing image:', error);
+        logger.error('❌ Error emailing image:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
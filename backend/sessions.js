@@ -0,0 +1,133 @@
+/**
+ * Apsara Live - Client sessions
+ * Every WebSocket connection owns a session object holding its tool configuration,
+ * speech and model settings, system prompt, modality, media state and usage, so one widget changing its tools never
+ * affects another. New sessions start from the saved default profile
+ * (backend/apsara-profile.json), which REST clients can edit while no session is open.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createToolConfig } = require('./tool-registry');
+const { createSpeechSettings, createModelConfig } = require('./settings');
+const { createSessionUsage } = require('./usage');
+const { createRateLimitState } = require('./rate-limit');
+const { createApprovalState } = require('./approvals');
+const { createLogger } = require('./logger');
+const { DATA_DIR } = require('./config');
+
+const logger = createLogger('sessions');
+
+const PROFILE_FILE = path.join(DATA_DIR, 'apsara-profile.json');
+
+// Active sessions by id
+const sessions = new Map();
+
+/**
+ * Load the default profile from disk (falls back to built-in defaults)
+ * @returns {Object} Profile { toolConfig, speech, modelConfig }
+ */
+function loadDefaultProfile() {
+  try {
+    if (fs.existsSync(PROFILE_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(PROFILE_FILE, 'utf8'));
+      return {
+        toolConfig: createToolConfig(saved.toolConfig),
+        speech: createSpeechSettings(saved.speech),
+        modelConfig: createModelConfig(saved.modelConfig)
+      };
+    }
+  } catch (error) {
+    logger.error('❌ Error loading default profile:', error);
+  }
+  return { toolConfig: createToolConfig(), speech: createSpeechSettings(), modelConfig: createModelConfig() };
+}
+
+const defaultProfile = loadDefaultProfile();
+
+/**
+ * Get the saved default profile (template for new sessions)
+ * @returns {Object} Profile { toolConfig, speech, modelConfig }
+ */
+function getDefaultProfile() {
+  return defaultProfile;
+}
+
+/**
+ * Persist the default profile to disk
+ * @returns {boolean} True if saved
+ */
+function saveDefaultProfile() {
+  try {
+    fs.writeFileSync(PROFILE_FILE, JSON.stringify({ ...defaultProfile, updatedAt: new Date().toISOString() }, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    logger.error('❌ Error saving default profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Create and register a session for a new client connection
+ * @returns {Object} Session
+ */
+function createSession() {
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    toolConfig: createToolConfig(defaultProfile.toolConfig),
+    speech: createSpeechSettings(defaultProfile.speech), // Voice and response language
+    modelConfig: createModelConfig(defaultProfile.modelConfig), // Live model, thinking budget, media resolution
+    systemPrompt: null, // Generated from the session's tools when the model connects
+    modality: 'AUDIO', // 'AUDIO', 'TEXT' or 'SWITCHING' while reconnecting with a new modality
+    media: {
+      screen: { frames: 0, lastFrameAt: null },
+      camera: { frames: 0, lastFrameAt: null },
+      audio: { bytes: 0, chunks: 0, lastChunkAt: null } // Microphone audio forwarded to the model
+    },
+    lastToolCall: null, // { name, at, success, durationMs } of the latest tool call
+    usage: createSessionUsage(), // Token and image generation usage
+    rateLimits: createRateLimitState(), // Per-connection rate limit counters
+    toolApprovals: createApprovalState(), // Pending approval requests and approvals remembered for this session
+    protocol: null, // { version, client, capabilities } once the client sent hello
+    auth: null // { via, deviceId, deviceName } of the connecting client
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Look up an active session
+ * @param {string} sessionId - Session id
+ * @returns {Object|null} Session, or null if it is not connected
+ */
+function getSession(sessionId) {
+  return sessions.get(sessionId) || null;
+}
+
+/**
+ * Remove a session when its client disconnects
+ * @param {string} sessionId - Session id
+ */
+function removeSession(sessionId) {
+  sessions.delete(sessionId);
+}
+
+/**
+ * List active sessions
+ * @returns {Array} Sessions
+ */
+function listSessions() {
+  return [...sessions.values()];
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  removeSession,
+  listSessions,
+  getDefaultProfile,
+  saveDefaultProfile,
+  PROFILE_FILE
+};
@@ -0,0 +1,251 @@
+/**
+ * Apsara Live - Session settings
+ * Speech (prebuilt voice, response language) and model settings (Live model,
+ * thinking budget, media resolution) applied when a session connects to the model.
+ * Each session owns its settings (copied from the saved default profile).
+ */
+
+const { getConfig } = require('./config');
+
+// Prebuilt Gemini voices with their style
+const VOICES = [
+  { name: 'Aoede', style: 'Breezy' },
+  { name: 'Puck', style: 'Upbeat' },
+  { name: 'Charon', style: 'Informative' },
+  { name: 'Kore', style: 'Firm' },
+  { name: 'Fenrir', style: 'Excitable' },
+  { name: 'Leda', style: 'Youthful' },
+  { name: 'Orus', style: 'Firm' },
+  { name: 'Zephyr', style: 'Bright' },
+  { name: 'Callirrhoe', style: 'Easy-going' },
+  { name: 'Autonoe', style: 'Bright' },
+  { name: 'Enceladus', style: 'Breathy' },
+  { name: 'Iapetus', style: 'Clear' },
+  { name: 'Umbriel', style: 'Easy-going' },
+  { name: 'Algieba', style: 'Smooth' },
+  { name: 'Despina', style: 'Smooth' },
+  { name: 'Erinome', style: 'Clear' },
+  { name: 'Algenib', style: 'Gravelly' },
+  { name: 'Rasalgethi', style: 'Informative' },
+  { name: 'Laomedeia', style: 'Upbeat' },
+  { name: 'Achernar', style: 'Soft' },
+  { name: 'Alnilam', style: 'Firm' },
+  { name: 'Schedar', style: 'Even' },
+  { name: 'Gacrux', style: 'Mature' },
+  { name: 'Pulcherrima', style: 'Forward' },
+  { name: 'Achird', style: 'Friendly' },
+  { name: 'Zubenelgenubi', style: 'Casual' },
+  { name: 'Vindemiatrix', style: 'Gentle' },
+  { name: 'Sadachbia', style: 'Lively' },
+  { name: 'Sadaltager', style: 'Knowledgeable' },
+  { name: 'Sulafat', style: 'Warm' }
+];
+
+// Speech languages supported by the Live API (BCP-47). Empty code = detect automatically.
+const LANGUAGES = [
+  { code: '', name: 'Automatic' },
+  { code: 'en-US', name: 'English (US)' },
+  { code: 'en-GB', name: 'English (UK)' },
+  { code: 'en-AU', name: 'English (Australia)' },
+  { code: 'en-IN', name: 'English (India)' },
+  { code: 'hi-IN', name: 'Hindi' },
+  { code: 'bn-IN', name: 'Bengali' },
+  { code: 'gu-IN', name: 'Gujarati' },
+  { code: 'kn-IN', name: 'Kannada' },
+  { code: 'ml-IN', name: 'Malayalam' },
+  { code: 'mr-IN', name: 'Marathi' },
+  { code: 'ta-IN', name: 'Tamil' },
+  { code: 'te-IN', name: 'Telugu' },
+  { code: 'de-DE', name: 'German' },
+  { code: 'es-US', name: 'Spanish (US)' },
+  { code: 'es-ES', name: 'Spanish (Spain)' },
+  { code: 'fr-FR', name: 'French (France)' },
+  { code: 'fr-CA', name: 'French (Canada)' },
+  { code: 'it-IT', name: 'Italian' },
+  { code: 'pt-BR', name: 'Portuguese (Brazil)' },
+  { code: 'nl-NL', name: 'Dutch' },
+  { code: 'pl-PL', name: 'Polish' },
+  { code: 'ru-RU', name: 'Russian' },
+  { code: 'tr-TR', name: 'Turkish' },
+  { code: 'ar-XA', name: 'Arabic' },
+  { code: 'id-ID', name: 'Indonesian' },
+  { code: 'vi-VN', name: 'Vietnamese' },
+  { code: 'th-TH', name: 'Thai' },
+  { code: 'ja-JP', name: 'Japanese' },
+  { code: 'ko-KR', name: 'Korean' },
+  { code: 'cmn-CN', name: 'Chinese (Mandarin)' }
+];
+
+const DEFAULT_VOICE = 'Aoede'; // Friendly female voice
+
+// Live models a session may use
+const MODELS = [
+  { id: 'gemini-2.5-flash-native-audio-preview-12-2025', name: 'Gemini 2.5 Flash Native Audio (12-2025)', thinking: true },
+  { id: 'gemini-2.5-flash-native-audio-preview-09-2025', name: 'Gemini 2.5 Flash Native Audio (09-2025)', thinking: true },
+  { id: 'gemini-live-2.5-flash-preview', name: 'Gemini Live 2.5 Flash (half-cascade)', thinking: false },
+  { id: 'gemini-2.0-flash-live-001', name: 'Gemini 2.0 Flash Live', thinking: false }
+];
+
+// Resolution the model uses for screen share and camera frames (lower = faster, cheaper)
+const MEDIA_RESOLUTIONS = ['MEDIA_RESOLUTION_LOW', 'MEDIA_RESOLUTION_MEDIUM', 'MEDIA_RESOLUTION_HIGH'];
+
+// Thinking budget in tokens: 0 disables thinking, -1 lets the model decide
+const THINKING_BUDGET_RANGE = { min: -1, max: 24576 };
+
+/**
+ * Defaults for new model settings, from the model section of apsara.config.json
+ * @returns {Object} { model, thinkingBudget, mediaResolution }
+ */
+function getDefaultModelConfig() {
+  const { model } = getConfig();
+  return {
+    model: MODELS.some(m => m.id === model.default) ? model.default : MODELS[0].id,
+    thinkingBudget: isValidThinkingBudget(model.thinkingBudget) ? model.thinkingBudget : 1024,
+    mediaResolution: model.mediaResolution
+  };
+}
+
+// Sentence spoken by the voice preview
+const PREVIEW_TEXT = 'Hi, I am Apsara. This is how I sound.';
+
+/**
+ * Create speech settings, validated against the known voices and languages
+ * @param {Object} base - Optional settings to copy (e.g. the saved default profile)
+ * @returns {Object} Speech settings { voiceName, languageCode }
+ */
+function createSpeechSettings(base = {}) {
+  return {
+    voiceName: VOICES.some(v => v.name === base.voiceName) ? base.voiceName : DEFAULT_VOICE,
+    languageCode: LANGUAGES.some(l => l.code === base.languageCode) ? base.languageCode : ''
+  };
+}
+
+/**
+ * Update speech settings in place
+ * @param {Object} speech - Speech settings to update
+ * @param {Object} update - { voiceName?, languageCode? }
+ * @returns {Object} Updated speech settings
+ */
+function setSpeechSettings(speech, update) {
+  if (update.voiceName !== undefined && !VOICES.some(v => v.name === update.voiceName)) {
+    throw new Error(`Unknown voice: ${update.voiceName}`);
+  }
+  if (update.languageCode !== undefined && !LANGUAGES.some(l => l.code === update.languageCode)) {
+    throw new Error(`Unsupported language: ${update.languageCode}`);
+  }
+
+  if (update.voiceName !== undefined) speech.voiceName = update.voiceName;
+  if (update.languageCode !== undefined) speech.languageCode = update.languageCode;
+  return { ...speech };
+}
+
+/**
+ * Check a thinking budget value
+ * @param {*} value - Candidate budget
+ * @returns {boolean}
+ */
+function isValidThinkingBudget(value) {
+  return Number.isInteger(value) && value >= THINKING_BUDGET_RANGE.min && value <= THINKING_BUDGET_RANGE.max;
+}
+
+/**
+ * Create model settings, validated against the known models and resolutions
+ * @param {Object} base - Optional settings to copy (e.g. the saved default profile)
+ * @returns {Object} Model settings { model, thinkingBudget, mediaResolution }
+ */
+function createModelConfig(base = {}) {
+  const defaults = getDefaultModelConfig();
+  return {
+    model: MODELS.some(m => m.id === base.model) ? base.model : defaults.model,
+    thinkingBudget: isValidThinkingBudget(base.thinkingBudget) ? base.thinkingBudget : defaults.thinkingBudget,
+    mediaResolution: MEDIA_RESOLUTIONS.includes(base.mediaResolution) ? base.mediaResolution : defaults.mediaResolution
+  };
+}
+
+/**
+ * Update model settings in place
+ * @param {Object} modelConfig - Model settings to update
+ * @param {Object} update - { model?, thinkingBudget?, mediaResolution? }
+ * @returns {Object} Updated model settings
+ */
+function setModelConfig(modelConfig, update) {
+  if (update.model !== undefined && !MODELS.some(m => m.id === update.model)) {
+    throw new Error(`Unknown model: ${update.model}. Available: ${MODELS.map(m => m.id).join(', ')}`);
+  }
+  if (update.thinkingBudget !== undefined && !isValidThinkingBudget(update.thinkingBudget)) {
+    throw new Error(`Invalid thinkingBudget: ${update.thinkingBudget}. Must be an integer from ${THINKING_BUDGET_RANGE.min} to ${THINKING_BUDGET_RANGE.max}`);
+  }
+  if (update.mediaResolution !== undefined && !MEDIA_RESOLUTIONS.includes(update.mediaResolution)) {
+    throw new Error(`Invalid mediaResolution: ${update.mediaResolution}. Must be one of ${MEDIA_RESOLUTIONS.join(', ')}`);
+  }
+
+  if (update.model !== undefined) modelConfig.model = update.model;
+  if (update.thinkingBudget !== undefined) modelConfig.thinkingBudget = update.thinkingBudget;
+  if (update.mediaResolution !== undefined) modelConfig.mediaResolution = update.mediaResolution;
+  return { ...modelConfig };
+}
+
+/**
+ * Build the Live API thinkingConfig for the given model settings
+ * @param {Object} modelConfig - Model settings
+ * @returns {Object|undefined} thinkingConfig, or undefined for models without thinking
+ */
+function buildThinkingConfig(modelConfig) {
+  const model = MODELS.find(m => m.id === modelConfig.model);
+  if (!model || !model.thinking) return undefined;
+
+  return {
+    thinkingBudget: modelConfig.thinkingBudget,
+    includeThoughts: modelConfig.thinkingBudget !== 0 // Enable thought summaries for logging
+  };
+}
+
+/**
+ * Build the Live API speechConfig for the given settings
+ * @param {Object} speech - Speech settings
+ * @returns {Object} speechConfig
+ */
+function buildSpeechConfig(speech) {
+  const speechConfig = {
+    voiceConfig: {
+      prebuiltVoiceConfig: {
+        voiceName: speech.voiceName
+      }
+    }
+  };
+  if (speech.languageCode) {
+    speechConfig.languageCode = speech.languageCode;
+  }
+  return speechConfig;
+}
+
+/**
+ * System prompt instruction for the response language
+ * (native audio models choose the language from the conversation, so we also ask explicitly)
+ * @param {Object} speech - Speech settings
+ * @returns {string} Instruction (English until the user switches when the language is automatic)
+ */
+function getLanguageInstruction(speech) {
+  const language = LANGUAGES.find(l => l.code === speech.languageCode);
+  if (!language || !language.code) {
+    return '\n\n**LANGUAGE:** Respond in English unless the user speaks or writes in another language or asks you to switch.';
+  }
+  return `\n\n**LANGUAGE:** Always respond in ${language.name} (${language.code}), even if the user writes or speaks in another language, unless they explicitly ask you to switch.`;
+}
+
+module.exports = {
+  VOICES,
+  LANGUAGES,
+  MODELS,
+  MEDIA_RESOLUTIONS,
+  THINKING_BUDGET_RANGE,
+  DEFAULT_VOICE,
+  PREVIEW_TEXT,
+  createSpeechSettings,
+  setSpeechSettings,
+  createModelConfig,
+  setModelConfig,
+  buildSpeechConfig,
+  buildThinkingConfig,
+  getLanguageInstruction
+};
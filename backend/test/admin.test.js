@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connectClient } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(async () => {
+  await server?.stop();
+});
+
+test('the admin page is served', async () => {
+  const { status, headers, body } = await server.request('/admin');
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/html/);
+  assert.match(body, /\/api\/admin\/sessions/);
+});
+
+test('live sessions are listed with their stats', async () => {
+  const client = await connectClient(server, { capabilities: ['tool_approval'] });
+  client.send({ type: 'text', text: 'hello' });
+  await client.waitFor(message => message.type === 'usage');
+
+  const { status, body } = await server.request('/api/admin/sessions');
+  assert.equal(status, 200);
+  const listed = body.sessions.find(session => session.sessionId === client.sessionId);
+  assert.equal(listed.auth, 'local');
+  assert.equal(listed.clientApp, 'apsara-tests');
+  assert.equal(listed.protocolVersion, 1);
+  assert.equal(listed.modality, 'AUDIO');
+  assert.ok(listed.connectedForMs >= 0);
+  assert.ok(listed.totalTokens > 0);
+  assert.deepEqual(Object.keys(listed.media).sort(), ['audioBytes', 'cameraFrames', 'lastAudioAt', 'lastFrameAt', 'screenFrames']);
+  assert.ok(Array.isArray(listed.enabledTools));
+  await client.close();
+});
+
+test('an admin can force-disconnect a session', async () => {
+  const client = await connectClient(server);
+  const closed = new Promise(resolve => client.ws.once('close', (code, reason) => resolve({ code, reason: String(reason) })));
+
+  const { status, body } = await server.request(`/api/admin/sessions/${client.sessionId}/disconnect`, { method: 'POST' });
+  assert.equal(status, 200);
+  assert.equal(body.sessionId, client.sessionId);
+  assert.deepEqual(await closed, { code: 4001, reason: 'Disconnected by admin' });
+
+  const unknown = await server.request('/api/admin/sessions/no-such-session/disconnect', { method: 'POST' });
+  assert.equal(unknown.status, 404);
+});
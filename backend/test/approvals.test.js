@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, makeTempDir, startServer, connectClient } = require('./helpers');
+
+useTempDataDir();
+process.env.TOOL_APPROVAL_TIMEOUT_MS = '200';
+
+const { createSession } = require('../sessions');
+const { approveToolCall, answerApproval } = require('../approvals');
+const { getToolApproval, setToolApprovals } = require('../tool-registry');
+
+const createCall = { id: 'call-1', name: 'create_file', args: { filePath: '/tmp/apsara-test/a.txt', content: 'hi' } };
+
+/**
+ * Session with create_file enabled, its approval policy set and a client that records what it is sent
+ * @param {string} policy - 'allow', 'ask' or 'deny'
+ * @param {Array<string>} capabilities - Client capabilities
+ * @returns {Object} { session, sent }
+ */
+function setup(policy, capabilities = ['tool_approval']) {
+  const session = createSession();
+  session.toolConfig.enabled.create_file = true;
+  setToolApprovals(session.toolConfig, { create_file: policy });
+  session.protocol = { version: 1, capabilities };
+  const sent = [];
+  return { session, sent, send: message => sent.push(message) };
+}
+
+test('tools that write files or the clipboard ask by default', () => {
+  const { toolConfig } = createSession();
+  for (const id of ['create_file', 'edit_file', 'move_file', 'rename_file', 'delete_file', 'copy_to_clipboard', 'store_memory', 'send_email_to_shubharthak']) {
+    assert.equal(getToolApproval(toolConfig, id), 'ask', id);
+  }
+  assert.equal(getToolApproval(toolConfig, 'read_file'), 'allow');
+});
+
+test('allow runs the call without asking', async () => {
+  const { session, sent, send } = setup('allow');
+  assert.deepEqual(await approveToolCall(session, createCall, { send }), { approved: true, decision: 'allowed' });
+  assert.equal(sent.length, 0);
+});
+
+test('deny blocks the call without asking', async () => {
+  const { session, sent, send } = setup('deny');
+  const decision = await approveToolCall(session, createCall, { send });
+  assert.equal(decision.approved, false);
+  assert.equal(decision.decision, 'blocked');
+  assert.equal(decision.result.code, 'TOOL_DENIED');
+  assert.equal(sent.length, 0);
+});
+
+test('ask sends a request and runs the call once approved', async () => {
+  const { session, sent, send } = setup('ask');
+  const pending = approveToolCall(session, createCall, { send });
+
+  assert.equal(sent.length, 1);
+  const [request] = sent;
+  assert.equal(request.type, 'tool_approval_request');
+  assert.equal(request.toolId, 'create_file');
+  assert.equal(request.callId, 'call-1');
+  assert.equal(request.summary, 'Create /tmp/apsara-test/a.txt with 2 characters');
+
+  assert.equal(answerApproval(session, { requestId: request.requestId, approved: true }), true);
+  assert.deepEqual(await pending, { approved: true, decision: 'approved' });
+  assert.equal(answerApproval(session, { requestId: request.requestId, approved: true }), false);
+});
+
+test('ask answers the model with TOOL_DENIED when the user denies', async () => {
+  const { session, sent, send } = setup('ask');
+  const pending = approveToolCall(session, createCall, { send });
+  answerApproval(session, { requestId: sent[0].requestId, approved: false });
+
+  const decision = await pending;
+  assert.equal(decision.decision, 'denied');
+  assert.equal(decision.result.code, 'TOOL_DENIED');
+});
+
+test('a remembered approval is not asked again in the session', async () => {
+  const { session, sent, send } = setup('ask');
+  const pending = approveToolCall(session, createCall, { send });
+  answerApproval(session, { requestId: sent[0].requestId, approved: true, remember: true });
+  await pending;
+
+  assert.deepEqual(await approveToolCall(session, createCall, { send }), { approved: true, decision: 'remembered' });
+  assert.equal(sent.length, 1);
+});
+
+test('an unanswered request times out and closes the dialog', async () => {
+  const { session, sent, send } = setup('ask');
+  const decision = await approveToolCall(session, createCall, { send });
+
+  assert.equal(decision.decision, 'timeout');
+  assert.equal(decision.result.code, 'APPROVAL_TIMEOUT');
+  assert.deepEqual(sent[1], { type: 'tool_approval_resolved', requestId: sent[0].requestId, decision: 'timeout' });
+  assert.equal(session.toolApprovals.pending.size, 0);
+});
+
+test('an aborted call cancels its pending request', async () => {
+  const { session, sent, send } = setup('ask');
+  const controller = new AbortController();
+  const pending = approveToolCall(session, createCall, { send, signal: controller.signal });
+  controller.abort();
+
+  const decision = await pending;
+  assert.equal(decision.decision, 'cancelled');
+  assert.equal(sent[1].decision, 'cancelled');
+});
+
+test('clients without the tool_approval capability cannot be asked', async () => {
+  const { session, sent, send } = setup('ask', []);
+  const decision = await approveToolCall(session, createCall, { send });
+  assert.equal(decision.decision, 'unavailable');
+  assert.equal(decision.result.code, 'APPROVAL_UNAVAILABLE');
+  assert.equal(sent.length, 0);
+});
+
+test('invalid arguments are rejected before the user is asked', async () => {
+  const { session, sent, send } = setup('ask');
+  const decision = await approveToolCall(session, { id: 'call-2', name: 'create_file', args: { filePath: 3 } }, { send });
+  assert.equal(decision.decision, 'invalid');
+  assert.equal(decision.result.code, 'INVALID_ARGUMENTS');
+  assert.equal(sent.length, 0);
+});
+
+test('the backend asks the widget before create_file runs', async (t) => {
+  const server = await startServer();
+  const filesDir = makeTempDir();
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(filesDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Connect with create_file enabled and ask the local provider to call it
+   * @param {string} name - File name in the temp folder
+   * @param {Array<string>} capabilities - Client capabilities
+   * @returns {Promise<Object>} { client, filePath }
+   */
+  const callCreateFile = async (name, capabilities) => {
+    const client = await connectClient(server, { capabilities });
+    const updated = await server.request('/api/tools/update', { method: 'POST', body: { sessionId: client.sessionId, tools: { create_file: true } } });
+    assert.equal(updated.status, 200);
+    const filePath = path.join(filesDir, name);
+    client.send({ type: 'text', text: `/tool create_file ${JSON.stringify({ filePath, content: 'hello' })}` });
+    return { client, filePath };
+  };
+  const finished = client => client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant'
+    && message.final && message.text === 'The create_file tool finished.');
+  const auditOf = async client => (await server.request(`/api/audit?sessionId=${client.sessionId}`)).body.entries[0];
+
+  await t.test('an approved call runs', async () => {
+    const { client, filePath } = await callCreateFile('approved.txt', ['tool_approval']);
+    const request = await client.waitFor('tool_approval_request');
+    assert.equal(request.toolId, 'create_file');
+    assert.equal(request.summary, `Create ${filePath} with 5 characters`);
+    assert.equal(fs.existsSync(filePath), false);
+
+    client.send({ type: 'tool_approval_response', requestId: request.requestId, approved: true });
+    await finished(client);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'hello');
+    await client.close();
+  });
+
+  await t.test('a denied call does not run', async () => {
+    const { client, filePath } = await callCreateFile('denied.txt', ['tool_approval']);
+    const request = await client.waitFor('tool_approval_request');
+    client.send({ type: 'tool_approval_response', requestId: request.requestId, approved: false });
+    await finished(client);
+    assert.equal(fs.existsSync(filePath), false);
+
+    const entry = await auditOf(client);
+    assert.equal(entry.status, 'denied');
+    assert.equal(entry.approval, 'denied');
+    await client.close();
+  });
+
+  await t.test('clients that cannot show an approval dialog are refused', async () => {
+    const { client, filePath } = await callCreateFile('unavailable.txt', []);
+    await finished(client);
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(client.messages.some(message => message.type === 'tool_approval_request'), false);
+    assert.equal((await auditOf(client)).code, 'APPROVAL_UNAVAILABLE');
+    await client.close();
+  });
+});
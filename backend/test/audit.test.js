@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, startServer, pairDevice } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const { recordToolCall, queryAudit, AUDIT_DIR } = require('../audit');
+
+const session = { id: 'audit-test-session', auth: { via: 'local' } };
+const emailArgs = { message: 'Confidential: the launch moves to Friday', recipientEmail: 'someone@example.com', fileBase64: 'QUJD'.repeat(100) };
+
+test('the audit log lives in the data folder', () => {
+  assert.equal(AUDIT_DIR, path.join(dataDir, 'audit'));
+});
+
+test('an email tool call is stored without its body', () => {
+  const stored = recordToolCall(session, {
+    name: 'send_email_to_shubharthak', args: emailArgs, result: { success: true }, durationMs: 25, approval: 'approved'
+  });
+  assert.ok(stored);
+
+  const { entries, total } = queryAudit({ sessionId: session.id, tool: 'send_email_to_shubharthak' });
+  assert.equal(total, 1);
+  const [entry] = entries;
+  assert.equal(entry.id, stored.id);
+  assert.equal(entry.toolName, 'Send Email');
+  assert.equal(entry.client, 'local');
+  assert.equal(entry.status, 'success');
+  assert.equal(entry.approval, 'approved');
+  assert.deepEqual(entry.args, {
+    message: `[message ${emailArgs.message.length} chars]`,
+    recipientEmail: 'someone@example.com',
+    fileBase64: '[fileBase64 400 chars]'
+  });
+
+  const day = fs.readFileSync(path.join(AUDIT_DIR, `${entry.at.slice(0, 10)}.jsonl`), 'utf8');
+  assert.doesNotMatch(day, /Confidential/);
+  assert.equal(queryAudit({ q: 'confidential' }).total, 0);
+});
+
+test('memory notes, file content and clipboard text are stored as their length', () => {
+  const privateSession = { id: 'audit-private-session', auth: { via: 'local' } };
+  const note = emailArgs.message;
+  const calls = [
+    { name: 'store_memory', args: { content: note, category: 'work' } },
+    { name: 'create_file', args: { filePath: '/tmp/apsara-audit/plan.txt', content: note } },
+    { name: 'edit_file', args: { filePath: '/tmp/apsara-audit/plan.txt', content: note, mode: 'append' } },
+    { name: 'copy_to_clipboard', args: { text: note } }
+  ];
+  for (const call of calls) {
+    recordToolCall(privateSession, { ...call, result: { success: true }, durationMs: 1 });
+  }
+
+  const { entries } = queryAudit({ sessionId: privateSession.id });
+  const argsOf = name => entries.find(entry => entry.tool === name).args;
+  assert.deepEqual(argsOf('store_memory'), { content: `[content ${note.length} chars]`, category: 'work' });
+  assert.equal(argsOf('create_file').content, `[content ${note.length} chars]`);
+  assert.equal(argsOf('create_file').filePath, '/tmp/apsara-audit/plan.txt');
+  assert.equal(argsOf('edit_file').content, `[content ${note.length} chars]`);
+  assert.deepEqual(argsOf('copy_to_clipboard'), { text: `[text ${note.length} chars]` });
+
+  const day = fs.readFileSync(path.join(AUDIT_DIR, `${entries[0].at.slice(0, 10)}.jsonl`), 'utf8');
+  assert.doesNotMatch(day, /Confidential/);
+});
+
+test('failed calls are stored with a status from their code', () => {
+  recordToolCall(session, {
+    name: 'delete_file', args: { filePath: '/tmp/apsara-audit/notes.txt' },
+    result: { success: false, code: 'TOOL_DENIED', error: 'The user denied this tool call' }, durationMs: 3, approval: 'denied'
+  });
+  recordToolCall(session, {
+    name: 'open_url', args: { url: 'https://example.com' }, result: { success: false, error: 'Browser not found' }, durationMs: 1
+  });
+
+  const [denied] = queryAudit({ status: 'denied' }).entries;
+  assert.equal(denied.tool, 'delete_file');
+  assert.equal(denied.code, 'TOOL_DENIED');
+  assert.deepEqual(denied.files, [path.resolve('/tmp/apsara-audit/notes.txt')]);
+
+  const [failed] = queryAudit({ status: 'error' }).entries;
+  assert.equal(failed.error, 'Browser not found');
+  assert.deepEqual(failed.urls, ['https://example.com']);
+  assert.equal(failed.approval, undefined);
+});
+
+test('queries filter by text, date and page', () => {
+  assert.equal(queryAudit({ q: 'NOTES.TXT' }).entries[0].tool, 'delete_file');
+  assert.equal(queryAudit({ since: '2999-01-01' }).total, 0);
+
+  const { entries, total } = queryAudit({ sessionId: session.id, limit: 1, offset: 1 });
+  assert.equal(total, 3);
+  assert.equal(entries.length, 1);
+  assert.throws(() => queryAudit({ status: 'exploded' }), /status must be one of/);
+});
+
+test('only admins can read the audit log over REST', async (t) => {
+  const secret = 'audit-secret';
+  const server = await startServer({ env: { AUTH_SECRET: secret, AUTH_TRUST_LOCALHOST: 'false' } });
+  t.after(() => server.stop());
+
+  const { token } = await pairDevice(server, secret, 'Phone');
+  const asDevice = await server.request('/api/audit', { token });
+  assert.equal(asDevice.status, 403);
+  assert.equal(asDevice.body.error, 'Admin access required');
+
+  const asAdmin = await server.request('/api/audit', { token: secret });
+  assert.equal(asAdmin.status, 200);
+  assert.deepEqual(asAdmin.body.entries, []);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, startServer, connectClient } = require('./helpers');
+
+useTempDataDir();
+
+const { requestPairing, confirmPairing, listPairings } = require('../auth');
+
+// A backend that trusts nobody without a token, not even this machine
+const SECRET = 'test-secret';
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ env: { AUTH_SECRET: SECRET, AUTH_TRUST_LOCALHOST: 'false' } });
+});
+
+test.after(async () => {
+  await server?.stop();
+});
+
+/**
+ * Pair a device, reading the code from the admin-only pairing list
+ * @param {string} deviceName
+ * @returns {Promise<Object>} { device, token }
+ */
+async function pairDevice(deviceName) {
+  const requested = await server.request('/api/auth/pair/request', { method: 'POST', body: { deviceName } });
+  assert.equal(requested.status, 200);
+  const { pairingId } = requested.body;
+
+  const pairings = await server.request('/api/auth/pairings', { token: SECRET });
+  const { code } = pairings.body.pairings.find(pairing => pairing.pairingId === pairingId);
+  assert.match(code, /^\d{6}$/);
+
+  const confirmed = await server.request('/api/auth/pair/confirm', { method: 'POST', body: { pairingId, code } });
+  assert.equal(confirmed.status, 200);
+  return confirmed.body;
+}
+
+/**
+ * Code of a pending pairing (as an admin would read it)
+ * @param {string} pairingId
+ * @returns {string|undefined}
+ */
+const codeOf = pairingId => listPairings().find(pairing => pairing.pairingId === pairingId)?.code;
+
+test('a new pairing request replaces the pending one from the same address', () => {
+  const first = requestPairing('First try', '10.0.0.1');
+  const second = requestPairing('Second try', '10.0.0.1');
+  requestPairing('Someone else', '10.0.0.2');
+  assert.equal(codeOf(first.pairingId), undefined);
+  assert.match(codeOf(second.pairingId), /^\d{6}$/);
+  assert.equal(listPairings().length, 2);
+});
+
+test('each address may only start a few pairings per window', () => {
+  for (let request = 1; request <= 5; request++) {
+    requestPairing('Spammer', '10.0.0.3');
+  }
+  assert.throws(() => requestPairing('Spammer', '10.0.0.3'), /Too many pairing requests from this address/);
+  assert.doesNotThrow(() => requestPairing('Neighbour', '10.0.0.4'));
+});
+
+test('wrong codes across all pairings share one budget', () => {
+  const guess = (pairingId) => {
+    const wrong = codeOf(pairingId) === '000000' ? '000001' : '000000';
+    return () => confirmPairing(pairingId, wrong);
+  };
+
+  // Nine wrong codes spread over several pairings, as a brute force would
+  // (from the addresses above, so their new requests replace the pending ones)
+  for (const address of ['10.0.0.1', '10.0.0.2', '10.0.0.4']) {
+    const { pairingId } = requestPairing('Guesser', address);
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      assert.throws(guess(pairingId), /Wrong pairing code/);
+    }
+  }
+  const { pairingId } = requestPairing('Guesser', '10.0.1.1');
+  const code = codeOf(pairingId);
+  assert.throws(guess(pairingId), /pairing is paused/);
+
+  // Every pending pairing is gone, the right code included, and no new ones start
+  assert.deepEqual(listPairings(), []);
+  assert.throws(() => confirmPairing(pairingId, code), /not found or expired/);
+  assert.throws(() => requestPairing('Owner', '10.0.2.1'), /Pairing is paused after too many wrong codes/);
+});
+
+test('REST routes answer 401 without a token', async () => {
+  const { status, body } = await server.request('/api/tools');
+  assert.equal(status, 401);
+  assert.deepEqual(body, { success: false, error: 'Authentication required' });
+
+  assert.equal((await server.request('/api/tools', { token: 'wrong' })).status, 401);
+  assert.equal((await server.request('/api/tools', { token: SECRET })).status, 200);
+});
+
+test('REST routes ignore a token in the query string', async () => {
+  assert.equal((await server.request(`/api/tools?token=${SECRET}`)).status, 401);
+  assert.equal((await server.request(`/api/auth/pairings?token=${SECRET}`)).status, 401);
+});
+
+test('public routes work without a token', async () => {
+  assert.equal((await server.request('/health')).status, 200);
+  const { body } = await server.request('/api/auth/status');
+  assert.equal(body.authenticated, false);
+  assert.equal(body.secretConfigured, true);
+  assert.equal(body.localTrusted, false);
+});
+
+test('the WebSocket upgrade needs a token', async () => {
+  await assert.rejects(connectClient(server), /Unexpected response 401/);
+  const client = await connectClient(server, { token: SECRET });
+  assert.ok(client.sessionId);
+  await client.close();
+});
+
+test('WebSocket upgrades from an origin that is not allowed are refused', async () => {
+  await assert.rejects(connectClient(server, { token: SECRET, origin: 'https://evil.example' }), /Unexpected response 403/);
+  const client = await connectClient(server, { token: SECRET, origin: 'http://localhost:3001' });
+  await client.close();
+});
+
+test('a paired device gets a working token', async () => {
+  const { device, token } = await pairDevice('Test laptop');
+  assert.equal(device.name, 'Test laptop');
+  assert.equal(device.tokenHash, undefined);
+  assert.match(token, /^apd_/);
+
+  assert.equal((await server.request('/api/tools', { token })).status, 200);
+  const client = await connectClient(server, { token });
+  await client.close();
+});
+
+test('pairing rejects wrong codes and gives up after five attempts', async () => {
+  const { body } = await server.request('/api/auth/pair/request', { method: 'POST', body: { deviceName: 'Guesser' } });
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const wrong = await server.request('/api/auth/pair/confirm', { method: 'POST', body: { pairingId: body.pairingId, code: 'nope' } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error, 'Wrong pairing code');
+  }
+  const last = await server.request('/api/auth/pair/confirm', { method: 'POST', body: { pairingId: body.pairingId, code: 'nope' } });
+  assert.match(last.body.error, /Too many wrong codes/);
+  const pairings = await server.request('/api/auth/pairings', { token: SECRET });
+  assert.equal(pairings.body.pairings.some(pairing => pairing.pairingId === body.pairingId), false);
+});
+
+test('paired devices cannot use the admin routes', async () => {
+  const { token } = await pairDevice('Phone');
+  assert.equal((await server.request('/api/auth/pairings', { token })).status, 403);
+  assert.equal((await server.request('/api/auth/devices', { token })).status, 403);
+  assert.equal((await server.request('/api/admin/sessions', { token })).status, 403);
+});
+
+test('a revoked device token stops working and its sockets are closed', async () => {
+  const { device, token } = await pairDevice('Tablet');
+  const client = await connectClient(server, { token });
+  const closed = new Promise(resolve => client.ws.once('close', resolve));
+
+  assert.equal((await server.request(`/api/auth/devices/${device.id}`, { method: 'DELETE', token })).status, 403);
+  const revoked = await server.request(`/api/auth/devices/${device.id}`, { method: 'DELETE', token: SECRET });
+  assert.equal(revoked.status, 200);
+  assert.equal(await closed, 4401);
+  assert.equal((await server.request('/api/tools', { token })).status, 401);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, makeTempDir, startServer, connectClient, wait } = require('./helpers');
+
+useTempDataDir();
+
+// Work on a copy of the shipped configuration
+const configDir = makeTempDir();
+const configFile = path.join(configDir, 'apsara.config.json');
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'apsara.config.json'), 'utf8'));
+fs.writeFileSync(configFile, JSON.stringify(shipped), 'utf8');
+process.env.APSARA_CONFIG = configFile;
+process.env.LIVE_MODEL = 'env-model';
+process.env.ALLOWED_ORIGINS = 'http://a.test, http://b.test';
+
+const { getConfig, getWidgetConfig, onConfigChange, reloadConfig, CONFIG_FILE } = require('../config');
+
+test.after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * Write the configuration file with some changes
+ * @param {Function} change - (config) => void, edits a copy of the shipped configuration
+ */
+function writeConfig(change) {
+  const config = JSON.parse(JSON.stringify(shipped));
+  change(config);
+  fs.writeFileSync(configFile, JSON.stringify(config), 'utf8');
+}
+
+test('APSARA_CONFIG selects the file and environment variables override it', () => {
+  assert.equal(CONFIG_FILE, configFile);
+  assert.equal(getConfig().model.default, 'env-model');
+  assert.deepEqual(getConfig().server.allowedOrigins, ['http://a.test', 'http://b.test']);
+  assert.deepEqual(getWidgetConfig(), { themes: shipped.themes, media: shipped.media });
+});
+
+test('a changed file is applied and the listeners are told', () => {
+  const changes = [];
+  onConfigChange((config, previous) => changes.push({ config, previous }));
+
+  writeConfig(config => { config.themes = [...config.themes, 'solarized']; });
+  assert.equal(reloadConfig(), true);
+  assert.ok(getConfig().themes.includes('solarized'));
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].previous.themes.includes('solarized'), false);
+
+  assert.equal(reloadConfig(), false, 'an unchanged file is not applied again');
+});
+
+test('an invalid file keeps the previous configuration', () => {
+  const before = getConfig();
+  writeConfig(config => {
+    config.server.port = 0;
+    config.logging.level = 'loud';
+    config.media.defaultScreenResolution = '1x1';
+    config.mcp = { servers: { 'bad name': { command: '' } } };
+  });
+  assert.equal(reloadConfig(), false);
+  assert.equal(getConfig(), before);
+
+  fs.writeFileSync(configFile, '{ not json', 'utf8');
+  assert.equal(reloadConfig(), false);
+  assert.equal(getConfig(), before);
+});
+
+test('the backend refuses to start with an invalid file and lists every problem', async () => {
+  writeConfig(config => {
+    config.themes = ['Not A Theme'];
+    config.email.defaultRecipient = 'nobody';
+  });
+  await assert.rejects(startServer({ env: { APSARA_CONFIG: configFile, LIVE_MODEL: '' } }), (error) => {
+    assert.match(error.message, /themes must be a non-empty array of theme names/);
+    assert.match(error.message, /email.defaultRecipient must be an email address/);
+    return true;
+  });
+});
+
+test('connected widgets get the new configuration without a restart', async (t) => {
+  writeConfig(() => {});
+  const server = await startServer({ env: { APSARA_CONFIG: configFile, LIVE_MODEL: '', ALLOWED_ORIGINS: '' } });
+  t.after(() => server.stop());
+
+  assert.deepEqual((await server.request('/api/config')).body.config.themes, shipped.themes);
+  const client = await connectClient(server);
+
+  await wait(1100); // The file is polled once a second - make sure the new mtime differs
+  writeConfig(config => { config.themes = ['dark', 'paper']; });
+  const pushed = await client.waitFor('config', 5000);
+  assert.deepEqual(pushed.config.themes, ['dark', 'paper']);
+  assert.deepEqual((await server.request('/api/config')).body.config.themes, ['dark', 'paper']);
+  await client.close();
+});
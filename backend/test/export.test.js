@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTempDataDir, startServer, connectClient } = require('./helpers');
+
+useTempDataDir();
+
+const { createHistoryRecorder, getStoredSession } = require('../history');
+const { exportSession } = require('../export');
+
+/**
+ * Record a short conversation with a tool call and read it back
+ * @returns {Object} Stored session
+ */
+function storedConversation() {
+  const session = { id: crypto.randomUUID(), auth: { via: 'local' }, modelConfig: { model: 'local-model' } };
+  const recorder = createHistoryRecorder(session);
+  recorder.record('message', { speaker: 'user', text: 'Switch to the dracula theme' });
+  recorder.record('tool_call', { turnId: 'turn-1', id: 'call-1', name: 'change_theme', args: { theme: 'dracula' }, result: { success: true }, durationMs: 12 });
+  recorder.record('message', { speaker: 'assistant', text: 'Done, dracula it is.', turnId: 'turn-1' });
+  recorder.close();
+  return getStoredSession(session.id);
+}
+
+test('sessions export as Markdown, JSON and HTML', () => {
+  const stored = storedConversation();
+
+  const markdown = exportSession(stored, 'md');
+  assert.match(markdown.filename, /^apsara-\d{4}-\d{2}-\d{2}-[0-9a-f]{8}\.md$/);
+  assert.equal(markdown.contentType, 'text/markdown; charset=utf-8');
+  assert.match(markdown.body, /Switch to the dracula theme/);
+  assert.match(markdown.body, /change_theme/);
+
+  const json = JSON.parse(exportSession(stored, 'json').body);
+  assert.equal(json.session.sessionId, stored.sessionId);
+  assert.equal(json.turns.length, 1);
+
+  const html = exportSession(stored, 'html').body;
+  assert.match(html, /^<!DOCTYPE html>/i);
+  assert.match(html, /Done, dracula it is\./);
+
+  assert.throws(() => exportSession(stored, 'pdf'), /Unknown export format/);
+});
+
+test('HTML exports escape conversation text', () => {
+  const session = { id: crypto.randomUUID() };
+  const recorder = createHistoryRecorder(session);
+  recorder.record('message', { speaker: 'user', text: '<script>alert(1)</script>' });
+  const html = exportSession(getStoredSession(session.id), 'html').body;
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(html, /&lt;script&gt;/);
+});
+
+test('stored sessions are downloaded as attachments over REST', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'export me' });
+  await client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant' && message.final);
+  await client.close();
+
+  const exported = await server.request(`/api/sessions/${client.sessionId}/export?format=md`);
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-disposition'), /attachment; filename="apsara-.*\.md"/);
+  assert.match(exported.body, /You said: export me/);
+  assert.equal((await server.request(`/api/sessions/${client.sessionId}/export?format=doc`)).status, 400);
+});
@@ -0,0 +1,66 @@
+/**
+ * Apsara Live - MCP server for the tests
+ * Speaks newline-delimited JSON-RPC on stdio like a real MCP server, and splits and joins
+ * its output across writes so the client's framing is exercised.
+ */
+
+const readline = require('readline');
+
+const tools = [
+  {
+    name: 'echo',
+    title: 'Echo',
+    description: 'Echo the arguments back\nThe second line is not part of the summary',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        options: { type: 'object', description: 'Free-form options' }
+      },
+      required: ['text']
+    },
+    annotations: { readOnlyHint: true }
+  },
+  { name: 'fail', description: 'Always fails', inputSchema: { type: 'object', properties: {} } }
+];
+
+const line = message => `${JSON.stringify(message)}\n`;
+const write = text => process.stdout.write(text);
+
+const handlers = {
+  initialize: () => ({ protocolVersion: '2025-06-18', capabilities: { tools: { listChanged: true } }, serverInfo: { name: 'echo-server', version: '1.0.0' } }),
+  // One tool per page, to exercise nextCursor
+  'tools/list': ({ cursor = 0 }) => ({ tools: [tools[cursor]], ...(cursor + 1 < tools.length && { nextCursor: cursor + 1 }) }),
+  'tools/call': ({ name, arguments: args }) => (name === 'fail'
+    ? { content: [{ type: 'text', text: 'Nope' }], isError: true }
+    : { content: [{ type: 'text', text: JSON.stringify(args) }, { type: 'image', data: 'AAAA', mimeType: 'image/png' }], structuredContent: args })
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (text) => {
+  const message = JSON.parse(text);
+
+  // The client answered our ping: add a tool and say so
+  if (message.id === 'ping-1' && message.result) {
+    tools.push({ name: 'pong', description: 'Added after the ping', inputSchema: { type: 'object' } });
+    write(line({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }));
+    return;
+  }
+  if (message.id === undefined) return; // Notifications need no answer
+
+  const handler = handlers[message.method];
+  const output = line(handler
+    ? { jsonrpc: '2.0', id: message.id, result: handler(message.params || {}) }
+    : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Unknown method ${message.method}` } });
+
+  if (message.method === 'initialize') {
+    // A log line that is not JSON-RPC, then the reply in two writes
+    write('echo-server starting\n');
+    write(output.slice(0, 10));
+    setTimeout(() => write(output.slice(10)), 20);
+  } else if (message.method === 'tools/call' && message.params.arguments?.text === 'ping me') {
+    // The reply and a ping request in one write
+    write(output + line({ jsonrpc: '2.0', id: 'ping-1', method: 'ping' }));
+  } else {
+    write(output);
+  }
+});
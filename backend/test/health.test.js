@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, makeTempDir, startServer } = require('./helpers');
+
+useTempDataDir();
+process.env.LIVE_PROVIDER = 'local';
+delete process.env.GEMINI_API_KEY;
+delete process.env.EMAIL_ENABLED;
+
+const { getReadiness, getCachedToolAvailability } = require('../health');
+
+// A PATH that only holds the binaries a test puts there
+const binDir = makeTempDir();
+const originalPath = process.env.PATH;
+
+test.beforeEach(() => {
+  fs.readdirSync(binDir).forEach(name => fs.rmSync(path.join(binDir, name)));
+  process.env.PATH = binDir;
+});
+
+test.after(() => {
+  process.env.PATH = originalPath;
+  fs.rmSync(binDir, { recursive: true, force: true });
+});
+
+/**
+ * Put an executable on the test PATH
+ * @param {string} name - Binary name
+ */
+function installBinary(name) {
+  const file = path.join(binDir, name);
+  fs.writeFileSync(file, '#!/bin/sh\n', 'utf8');
+  fs.chmodSync(file, 0o755);
+}
+
+test('the local provider needs no Gemini key', async () => {
+  const { checks } = await getReadiness();
+  assert.equal(checks.gemini_key.ok, true);
+  assert.equal(checks.gemini_key.detail, 'Not needed with LIVE_PROVIDER=local');
+  assert.equal(checks.gemini_key.label, 'Gemini API key');
+});
+
+test('disabled email is reported but does not degrade readiness', async () => {
+  const { checks, tools } = await getReadiness();
+  assert.equal(checks.smtp.status, 'disabled');
+  assert.equal(tools.send_email_to_shubharthak.available, false);
+  assert.match(tools.send_email_to_shubharthak.unavailableReason, /^Email \(SMTP login\): Email is disabled/);
+});
+
+test('missing binaries degrade readiness and grey out the tools that need them', { skip: !['linux', 'darwin'].includes(process.platform) }, async () => {
+  const readiness = await getReadiness();
+  assert.equal(readiness.status, 'degraded');
+  assert.equal(readiness.checks.screenshot.status, 'missing');
+  assert.equal(readiness.tools.take_screenshot.available, false);
+  assert.equal(readiness.tools.read_file.available, true);
+});
+
+test('a binary on the PATH satisfies its capability', { skip: process.platform !== 'linux' }, async () => {
+  installBinary('xdotool');
+  const { checks } = await getReadiness();
+  assert.equal(checks.keyboard.ok, true);
+  assert.equal(checks.keyboard.detail, 'Using xdotool');
+  assert.deepEqual(checks.mouse.binaries, { xdotool: true });
+  assert.equal(getCachedToolAvailability().computer_use.available, true);
+});
+
+test('the memory file and generated images folder are checked for write access', async () => {
+  const { checks } = await getReadiness();
+  assert.equal(checks.memory_file.ok, true);
+  assert.equal(checks.generated_images.ok, true);
+});
+
+test('/health answers and /health/ready fails without a model key', async (t) => {
+  const server = await startServer({ env: { LIVE_PROVIDER: 'gemini', GEMINI_API_KEY: '' } });
+  t.after(() => server.stop());
+
+  assert.deepEqual((await server.request('/health')).body, { status: 'ok', service: 'Apsara Live Backend' });
+  const { status, body } = await server.request('/health/ready');
+  assert.equal(status, 503);
+  assert.equal(body.status, 'not_ready');
+  assert.equal(body.checks.gemini_key.status, 'missing');
+
+  const { body: tools } = await server.request('/api/tools');
+  assert.equal(tools.tools.find(tool => tool.id === 'send_email_to_shubharthak').available, false);
+});
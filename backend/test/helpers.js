@@ -0,0 +1,271 @@
+/**
+ * Apsara Live - Test helpers
+ * Temporary data folders, a backend started on a free port with the local provider
+ * (providers/local.js, so no Gemini key or network is needed) and a WebSocket client
+ * that can wait for the messages the backend sends.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const WAIT_TIMEOUT_MS = 5000;
+
+/**
+ * Fresh temporary folder (removed by the caller)
+ * @returns {string} Absolute path
+ */
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'apsara-test-'));
+}
+
+/**
+ * Point the backend modules of this test process at a temporary data folder.
+ * Call before requiring them; the folder is removed when the process exits.
+ * @returns {string} Data folder
+ */
+function useTempDataDir() {
+  const dataDir = makeTempDir();
+  process.env.APSARA_DATA_DIR = dataDir;
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+/**
+ * A TCP port nothing listens on
+ * @returns {Promise<number>}
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Resolve after a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Start the backend (server.js) in a child process with the local provider
+ * @param {Object} options
+ * @param {Object} options.script - Local provider script (see providers/local.js), default replies otherwise
+ * @param {Object} options.env - Extra environment variables
+ * @returns {Promise<Object>} { port, baseUrl, dataDir, output(), request(), stop() }
+ */
+async function startServer({ script, env = {} } = {}) {
+  const dataDir = makeTempDir();
+  const port = await getFreePort();
+  let scriptPath = '';
+  if (script) {
+    scriptPath = path.join(dataDir, 'local-provider.json');
+    fs.writeFileSync(scriptPath, JSON.stringify(script), 'utf8');
+  }
+
+  let output = '';
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LIVE_PROVIDER: 'local',
+      LOCAL_PROVIDER_SCRIPT: scriptPath,
+      APSARA_DATA_DIR: dataDir,
+      LOG_LEVEL: 'warn',
+      AUTH_SECRET: '',
+      AUTH_TRUST_LOCALHOST: 'true',
+      EMAIL_ENABLED: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const server = {
+    port,
+    baseUrl,
+    dataDir,
+    output: () => output,
+
+    /**
+     * Call a REST route
+     * @param {string} route - Path, e.g. '/api/tools'
+     * @param {Object} options - { method, token, body }
+     * @returns {Promise<Object>} { status, body } (body parsed as JSON when possible)
+     */
+    async request(route, { method = 'GET', token, body } = {}) {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // Exports and pages are not JSON
+      }
+      return { status: response.status, headers: response.headers, body: parsed };
+    },
+
+    async stop() {
+      if (child.exitCode === null) child.kill('SIGTERM');
+      await exited;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  // /health is public, so it answers as soon as the server listens
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return server;
+    } catch (error) {
+      // Not listening yet
+    }
+    await wait(100);
+  }
+  await server.stop();
+  throw new Error(`Backend did not start:\n${output}`);
+}
+
+/**
+ * Connect a WebSocket client and (by default) complete the hello handshake
+ * @param {Object} server - From startServer
+ * @param {Object} options
+ * @param {string} options.token - Token sent as ?token=
+ * @param {string} options.origin - Origin header, as a browser page would send it
+ * @param {Array<string>} options.capabilities - Capabilities announced in hello
+ * @param {boolean} options.hello - Send hello and wait for the reply (default true)
+ * @returns {Promise<Object>} { ws, sessionId, messages, send(), waitFor(), close() }
+ */
+async function connectClient(server, { token, origin, capabilities = [], hello = true } = {}) {
+  const url = `ws://127.0.0.1:${server.port}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+  const ws = new WebSocket(url, origin ? { origin } : undefined);
+  const messages = [];
+  const consumed = new Set();
+  const waiters = [];
+
+  const settle = () => {
+    for (const waiter of [...waiters]) {
+      const match = messages.find(message => !consumed.has(message) && waiter.predicate(message));
+      if (match) {
+        consumed.add(match);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(match);
+      }
+    }
+  };
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    messages.push(JSON.parse(data));
+    settle();
+  });
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+    ws.once('unexpected-response', (request, response) => reject(new Error(`Unexpected response ${response.statusCode}`)));
+  });
+
+  const client = {
+    ws,
+    sessionId: null,
+    messages,
+
+    /**
+     * Send a JSON message (or a raw string)
+     * @param {Object|string} message
+     */
+    send(message) {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    },
+
+    /**
+     * Wait for the next message matching a predicate (or of a type)
+     * @param {Function|string} predicate - (message) => boolean, or a message type
+     * @param {number} timeoutMs
+     * @returns {Promise<Object>} The message
+     */
+    waitFor(predicate, timeoutMs = WAIT_TIMEOUT_MS) {
+      const test = typeof predicate === 'string' ? message => message.type === predicate : predicate;
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate: test, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`No matching message within ${timeoutMs}ms. Received: ${messages.map(m => m.type).join(', ')}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+        settle();
+      });
+    },
+
+    async close() {
+      if (ws.readyState === WebSocket.CLOSED) return;
+      const closed = new Promise(resolve => ws.once('close', resolve));
+      ws.close();
+      await closed;
+    }
+  };
+
+  if (hello) {
+    client.send({ type: 'hello', protocolVersion: 1, client: { name: 'apsara-tests', version: '1.0.0' }, capabilities });
+    const reply = await client.waitFor('hello');
+    client.sessionId = reply.sessionId;
+    // The model session is up once the local provider reports connected
+    await client.waitFor(message => message.type === 'status' && message.status === 'connected');
+  }
+  return client;
+}
+
+/**
+ * Pair a device through the pairing flow, reading the code as an admin
+ * @param {Object} server - From startServer
+ * @param {string} adminToken - AUTH_SECRET of the server
+ * @param {string} deviceName
+ * @returns {Promise<Object>} { device, token }
+ */
+async function pairDevice(server, adminToken, deviceName) {
+  const { body: { pairingId } } = await server.request('/api/auth/pair/request', { method: 'POST', body: { deviceName } });
+  const { body: { pairings } } = await server.request('/api/auth/pairings', { token: adminToken });
+  const { code } = pairings.find(pairing => pairing.pairingId === pairingId);
+  const { body } = await server.request('/api/auth/pair/confirm', { method: 'POST', body: { pairingId, code } });
+  return body;
+}
+
+module.exports = {
+  BACKEND_DIR,
+  makeTempDir,
+  useTempDataDir,
+  getFreePort,
+  wait,
+  startServer,
+  connectClient,
+  pairDevice
+};
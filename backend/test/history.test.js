@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTempDataDir, startServer, connectClient, pairDevice, wait } = require('./helpers');
+
+useTempDataDir();
+
+const {
+  createHistoryRecorder,
+  getStoredSession,
+  listStoredSessions,
+  searchHistory,
+  deleteStoredSession,
+  parseDateFilter
+} = require('../history');
+
+/**
+ * Record a short conversation: a question, a thought, a tool call and the answer
+ * @param {Object} auth - Who held the session
+ * @returns {string} Session id
+ */
+function recordConversation(auth = { via: 'local' }) {
+  const session = { id: crypto.randomUUID(), auth, modelConfig: { model: 'local-model' } };
+  const recorder = createHistoryRecorder(session);
+  recorder.record('message', { speaker: 'user', text: 'Switch to the dracula theme' });
+  recorder.record('thought', { turnId: 'turn-1', text: 'The user wants a darker look' });
+  recorder.record('tool_call', {
+    turnId: 'turn-1', id: 'call-1', name: 'change_theme', args: { theme: 'dracula' },
+    result: { success: true, theme: 'dracula', screenshot: 'A'.repeat(5000) }, durationMs: 12
+  });
+  recorder.record('message', { speaker: 'assistant', text: 'Done, dracula it is.', turnId: 'turn-1' });
+  recorder.close();
+  return session.id;
+}
+
+test('a recorded session can be read back with its turns', () => {
+  const sessionId = recordConversation();
+  const stored = getStoredSession(sessionId);
+
+  assert.equal(stored.sessionId, sessionId);
+  assert.equal(stored.client, 'local');
+  assert.equal(stored.model, 'local-model');
+  assert.equal(stored.title, 'Switch to the dracula theme');
+  assert.equal(stored.messages, 2);
+  assert.equal(stored.toolCalls, 1);
+  assert.ok(stored.endedAt);
+
+  const [turn] = stored.turns;
+  assert.equal(turn.turnId, 'turn-1');
+  assert.deepEqual(turn.user.map(entry => entry.text), ['Switch to the dracula theme']);
+  assert.deepEqual(turn.assistant.map(entry => entry.text), ['Done, dracula it is.']);
+  assert.deepEqual(turn.thoughts.map(entry => entry.text), ['The user wants a darker look']);
+  assert.equal(turn.toolCalls[0].name, 'change_theme');
+});
+
+test('stored tool results drop long binary-like fields', () => {
+  const stored = getStoredSession(recordConversation());
+  const call = stored.entries.find(entry => entry.type === 'tool_call');
+  assert.ok(JSON.stringify(call.result).length < 5000);
+  assert.equal(call.result.theme, 'dracula');
+});
+
+test('sessions are listed, searched and deleted', () => {
+  const sessionId = recordConversation();
+  assert.ok(listStoredSessions().sessions.some(session => session.sessionId === sessionId));
+
+  const matches = searchHistory('DRACULA IT IS');
+  assert.ok(matches.some(match => match.sessionId === sessionId && match.speaker === 'assistant'));
+  assert.equal(searchHistory('dracula', { speaker: 'user' }).every(match => match.speaker === 'user'), true);
+
+  assert.equal(deleteStoredSession(sessionId), true);
+  assert.equal(getStoredSession(sessionId), null);
+  assert.equal(deleteStoredSession(sessionId), false);
+});
+
+test('listing and searching can be limited to one device', () => {
+  const own = recordConversation({ via: 'device', deviceId: 'device-a', deviceName: 'Laptop' });
+  const other = recordConversation({ via: 'device', deviceId: 'device-b', deviceName: 'Phone' });
+  assert.equal(getStoredSession(own).deviceId, 'device-a');
+
+  const listed = listStoredSessions({ deviceId: 'device-a' }).sessions.map(session => session.sessionId);
+  assert.ok(listed.includes(own));
+  assert.equal(listed.includes(other), false);
+  assert.ok(listStoredSessions().sessions.some(session => session.sessionId === other));
+
+  const found = searchHistory('dracula', { deviceId: 'device-b' }).map(match => match.sessionId);
+  assert.ok(found.includes(other));
+  assert.equal(found.includes(own), false);
+});
+
+test('malformed session ids are never read from disk', () => {
+  assert.equal(getStoredSession('../apsara.config'), null);
+});
+
+test('date filters accept ISO timestamps and days and reject anything else', () => {
+  assert.equal(parseDateFilter(undefined), undefined);
+  assert.equal(parseDateFilter('2026-01-02T03:04:05.000Z'), '2026-01-02T03:04:05.000Z');
+  assert.ok(parseDateFilter('2026-01-02') < parseDateFilter('2026-01-02', true));
+  assert.throws(() => parseDateFilter('yesterday'));
+});
+
+test('conversations over the WebSocket are stored and served over REST', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'hello apsara' });
+  const reply = await client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant' && message.final);
+  assert.match(reply.turnId, /^turn-\d+$/);
+  await client.close();
+  await wait(100); // The history is closed when the socket closes
+
+  const { status, body } = await server.request(`/api/sessions/${client.sessionId}`);
+  assert.equal(status, 200);
+  const [turn] = body.session.turns;
+  assert.deepEqual(turn.user.map(entry => entry.text), ['hello apsara']);
+  assert.deepEqual(turn.assistant.map(entry => entry.text), ['You said: hello apsara']);
+
+  const listed = await server.request('/api/sessions');
+  assert.ok(listed.body.sessions.some(session => session.sessionId === client.sessionId));
+  const found = await server.request('/api/sessions/search?q=hello%20apsara');
+  assert.ok(found.body.results.some(result => result.sessionId === client.sessionId));
+  assert.equal((await server.request('/api/sessions/not-a-session')).status, 404);
+});
+
+test('paired devices only reach their own stored conversations', async (t) => {
+  const secret = 'history-secret';
+  const server = await startServer({ env: { AUTH_SECRET: secret, AUTH_TRUST_LOCALHOST: 'false' } });
+  t.after(() => server.stop());
+
+  const laptop = await pairDevice(server, secret, 'Laptop');
+  const phone = await pairDevice(server, secret, 'Phone');
+  const client = await connectClient(server, { token: laptop.token });
+  client.send({ type: 'text', text: 'my private note' });
+  await client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant' && message.final);
+  await client.close();
+  await wait(100);
+  const { sessionId } = client;
+
+  const asLaptop = await server.request(`/api/sessions/${sessionId}`, { token: laptop.token });
+  assert.equal(asLaptop.status, 200);
+  assert.equal(asLaptop.body.session.deviceId, laptop.device.id);
+  assert.equal((await server.request(`/api/sessions/${sessionId}`, { token: secret })).status, 200);
+
+  const routes = [`/api/sessions/${sessionId}`, `/api/sessions/${sessionId}/export?format=md`];
+  for (const route of routes) {
+    assert.equal((await server.request(route, { token: phone.token })).status, 404, route);
+  }
+  const listed = await server.request('/api/sessions', { token: phone.token });
+  assert.equal(listed.body.sessions.some(session => session.sessionId === sessionId), false);
+  const found = await server.request('/api/sessions/search?q=private', { token: phone.token });
+  assert.deepEqual(found.body.results, []);
+  assert.equal((await server.request(`/api/sessions/${sessionId}`, { method: 'DELETE', token: phone.token })).status, 404);
+
+  assert.equal((await server.request(`/api/sessions/${sessionId}`, { method: 'DELETE', token: laptop.token })).status, 200);
+});
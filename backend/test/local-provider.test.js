@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider, createLocalProvider } = require('../providers');
+const { startServer, connectClient } = require('./helpers');
+
+const SCRIPT = {
+  rules: [
+    { on: 'open', reply: [{ text: 'Hi' }] },
+    { on: 'text', match: '/^weather in (\\w+)$/i', reply: [{ thought: 'Checking {{input}}' }, { text: 'Sunny: {{input}}' }] },
+    { on: 'text', match: 'search', reply: [{ toolCall: [{ name: 'google_search', args: { query: 'x' } }, { name: 'take_screenshot' }] }] },
+    { on: 'text', match: 'bye', reply: [{ disconnect: 'scripted drop' }] },
+    { on: 'toolResponse', match: 'google_search', reply: [{ text: 'Found it' }] }
+  ]
+};
+
+/**
+ * Connect to a local provider and collect what it emits
+ * @param {Object} config - Live session config
+ * @returns {Promise<Object>} { session, messages, closed(), next(predicate) }
+ */
+async function open(config = { responseModalities: ['TEXT'] }) {
+  const messages = [];
+  const waiters = [];
+  let closed = null;
+  const settle = () => {
+    for (const waiter of [...waiters]) {
+      const match = messages.find(waiter.predicate);
+      if (match) {
+        messages.splice(messages.indexOf(match), 1);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(match);
+      }
+    }
+  };
+  const session = await createLocalProvider({ script: SCRIPT }).connect({
+    model: 'local-model',
+    config,
+    callbacks: {
+      onmessage: (message) => { messages.push(message); settle(); },
+      onclose: (event) => { closed = event; }
+    }
+  });
+  return {
+    session,
+    messages,
+    closed: () => closed,
+    next: predicate => new Promise((resolve, reject) => {
+      const waiter = { predicate, resolve: (message) => { clearTimeout(timer); resolve(message); } };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error('No matching message within 2000ms'));
+      }, 2000);
+      waiters.push(waiter);
+      settle();
+    })
+  };
+}
+
+const textOf = message => message.serverContent?.modelTurn?.parts?.find(part => !part.thought)?.text;
+
+test('the provider registry knows the local provider and rejects unknown names', () => {
+  assert.equal(createProvider('local').name, 'local');
+  assert.throws(() => createProvider('carrier-pigeon'), /Unknown realtime provider: carrier-pigeon/);
+});
+
+test('a session opens with setupComplete and the open rule', async () => {
+  const { next } = await open();
+  await next(message => message.setupComplete);
+  assert.equal(textOf(await next(textOf)), 'Hi');
+  await next(message => message.serverContent?.turnComplete);
+  const { usageMetadata } = await next(message => message.usageMetadata);
+  assert.equal(usageMetadata.totalTokenCount, usageMetadata.promptTokenCount + usageMetadata.responseTokenCount);
+});
+
+test('text rules match regular expressions and fill in the input', async () => {
+  const { session, next } = await open({ responseModalities: ['TEXT'], thinkingConfig: { includeThoughts: true } });
+  await next(message => message.serverContent?.turnComplete);
+  session.sendClientContent({ turns: [{ role: 'user', parts: [{ text: 'Weather in Paris' }] }] });
+
+  const thought = await next(message => message.serverContent?.modelTurn?.parts?.[0]?.thought);
+  assert.equal(thought.serverContent.modelTurn.parts[0].text, 'Checking Weather in Paris');
+  await next(message => textOf(message) === 'Sunny: Weather in Paris');
+});
+
+test('audio sessions speak and transcribe replies', async () => {
+  const { next } = await open({ responseModalities: ['AUDIO'], outputAudioTranscription: {} });
+  assert.equal((await next(message => message.serverContent?.outputTranscription)).serverContent.outputTranscription.text, 'Hi');
+  const audio = await next(message => message.serverContent?.modelTurn?.parts?.[0]?.inlineData);
+  assert.equal(audio.serverContent.modelTurn.parts[0].inlineData.mimeType, 'audio/pcm;rate=24000');
+});
+
+test('tool calls come as one batch and the tool response continues the turn', async () => {
+  const { session, next } = await open();
+  await next(message => message.serverContent?.turnComplete);
+  session.sendClientContent({ turns: [{ parts: [{ text: 'search the web' }] }] });
+
+  const { toolCall } = await next(message => message.toolCall);
+  assert.deepEqual(toolCall.functionCalls.map(call => call.name), ['google_search', 'take_screenshot']);
+  assert.ok(toolCall.functionCalls.every(call => /^local-call-\d+$/.test(call.id)));
+
+  session.sendToolResponse({ functionResponses: [{ id: toolCall.functionCalls[0].id, name: 'google_search', response: {} }] });
+  await next(message => textOf(message) === 'Found it');
+});
+
+test('"/tool" text messages emit that tool call', async () => {
+  const { session, next } = await open();
+  session.sendClientContent({ turns: [{ parts: [{ text: '/tool change_theme {"theme":"nord"}' }] }] });
+  const { toolCall } = await next(message => message.toolCall);
+  assert.deepEqual(toolCall.functionCalls[0].args, { theme: 'nord' });
+});
+
+test('a disconnect step closes the session like an upstream drop', async () => {
+  const { session, next, closed } = await open();
+  await next(message => message.serverContent?.turnComplete);
+  session.sendClientContent({ turns: [{ parts: [{ text: 'bye' }] }] });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(closed(), { reason: 'scripted drop' });
+  assert.throws(() => session.sendClientContent({ turns: [] }), /closed/);
+});
+
+test('sessions that ask for resumption get a handle after every turn', async () => {
+  const { next } = await open({ responseModalities: ['TEXT'], sessionResumption: {} });
+  const { sessionResumptionUpdate } = await next(message => message.sessionResumptionUpdate);
+  assert.deepEqual(sessionResumptionUpdate, { newHandle: 'local-handle-1', resumable: true });
+});
+
+test('server.js runs against the local provider', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'ping' });
+  await client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant' && message.final && message.text === 'You said: ping');
+  await client.close();
+});
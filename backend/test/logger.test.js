@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const { redact, setLogConfig, getLogConfig } = require('../logger');
+const { createToolConfig, redactToolArgs, checkToolCall, executeTool } = require('../tool-registry');
+const { createSession } = require('../sessions');
+const { approveToolCall, answerApproval } = require('../approvals');
+
+const SECRET_TEXT = 'Confidential: the launch moves to Friday';
+const emailArgs = { message: SECRET_TEXT, recipientEmail: 'someone@example.com', senderInfo: 'Confidential sender notes' };
+
+/**
+ * Run a function and collect the JSON log lines it writes (other output passes through)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<string>} Captured log lines
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const streams = [process.stdout, process.stderr];
+  const originals = streams.map(stream => stream.write);
+  const { level, format } = getLogConfig();
+  streams.forEach((stream, index) => {
+    stream.write = (chunk, ...rest) => {
+      if (String(chunk).startsWith('{"time"')) {
+        lines.push(String(chunk));
+        return true;
+      }
+      return originals[index].call(stream, chunk, ...rest);
+    };
+  });
+  setLogConfig({ level: 'debug', format: 'json' });
+  try {
+    await fn();
+  } finally {
+    streams.forEach((stream, index) => { stream.write = originals[index]; });
+    setLogConfig({ level, format });
+  }
+  return lines.join('');
+}
+
+test('redact hides secrets, email bodies and base64 blobs', () => {
+  const redacted = redact({ apiKey: 'sk-123', html: '<p>hi</p>', image: 'A'.repeat(300), note: 'short' });
+  assert.equal(redacted.apiKey, '[redacted]');
+  assert.equal(redacted.html, '[email body 9 chars]');
+  assert.doesNotMatch(redacted.image, /A{200}/);
+  assert.equal(redacted.note, 'short');
+});
+
+test('the email tool masks its message and sender notes', () => {
+  const redacted = redactToolArgs('send_email_to_shubharthak', { ...emailArgs, fileBase64: 'use_last_screenshot' });
+  assert.equal(redacted.message, `[message ${SECRET_TEXT.length} chars]`);
+  assert.equal(redacted.senderInfo, '[senderInfo 25 chars]');
+  assert.equal(redacted.fileBase64, '[fileBase64 19 chars]');
+  assert.equal(redacted.recipientEmail, 'someone@example.com');
+});
+
+test('tools without sensitive arguments are only redacted like any log value', () => {
+  assert.deepEqual(redactToolArgs('change_theme', { theme: 'dracula' }), { theme: 'dracula' });
+  assert.deepEqual(redactToolArgs('no_such_tool', undefined), {});
+});
+
+test('email bodies never reach the tool logs', async () => {
+  const toolConfig = createToolConfig({ enabled: { send_email_to_shubharthak: true } });
+  const logs = await captureLogs(async () => {
+    // EMAIL_ENABLED is not set, so the call fails after being logged
+    const result = await executeTool('send_email_to_shubharthak', emailArgs, toolConfig);
+    assert.equal(result.success, false);
+    const invalid = checkToolCall('send_email_to_shubharthak', { ...emailArgs, recipientEmail: 42 }, toolConfig);
+    assert.equal(invalid.code, 'INVALID_ARGUMENTS');
+  });
+
+  assert.match(logs, /Executing tool: send_email_to_shubharthak/);
+  assert.match(logs, /Invalid arguments for send_email_to_shubharthak/);
+  assert.doesNotMatch(logs, /Confidential/);
+});
+
+// Tools whose arguments carry private content, with the argument that must not be logged
+const privateCalls = [
+  { name: 'store_memory', args: { content: SECRET_TEXT, category: 'work' }, masked: 'content', kept: 'category' },
+  { name: 'create_file', args: { filePath: path.join(dataDir, 'created.txt'), content: SECRET_TEXT }, masked: 'content', kept: 'filePath' },
+  { name: 'edit_file', args: { filePath: path.join(dataDir, 'created.txt'), content: SECRET_TEXT, mode: 'append' }, masked: 'content', kept: 'mode' },
+  { name: 'copy_to_clipboard', args: { text: SECRET_TEXT }, masked: 'text' }
+];
+
+for (const { name, args, masked, kept } of privateCalls) {
+  test(`${name} masks ${masked} in the tool logs`, async () => {
+    const redacted = redactToolArgs(name, args);
+    assert.equal(redacted[masked], `[${masked} ${SECRET_TEXT.length} chars]`);
+    if (kept) assert.equal(redacted[kept], args[kept]);
+
+    const toolConfig = createToolConfig({ enabled: { [name]: true } });
+    const logs = await captureLogs(() => executeTool(name, args, toolConfig));
+    assert.match(logs, new RegExp(`Executing tool: ${name}`));
+    assert.doesNotMatch(logs, /Confidential/);
+  });
+}
+
+test('the approval log line masks the body but the widget still sees it', async () => {
+  const session = createSession();
+  session.toolConfig.enabled.send_email_to_shubharthak = true;
+  session.protocol = { version: 1, capabilities: ['tool_approval'] };
+  const sent = [];
+  const logs = await captureLogs(async () => {
+    const pending = approveToolCall(session, { id: 'call-1', name: 'send_email_to_shubharthak', args: emailArgs }, { send: message => sent.push(message) });
+    answerApproval(session, { requestId: sent[0].requestId, approved: false });
+    await pending;
+  });
+
+  assert.match(logs, /Asking the user to approve send_email_to_shubharthak/);
+  assert.doesNotMatch(logs, /Confidential/);
+  assert.match(sent[0].summary, /Confidential: the launch moves to Friday/);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, makeTempDir } = require('./helpers');
+
+useTempDataDir();
+
+// Work on a copy of the shipped configuration that starts the test MCP server
+const configDir = makeTempDir();
+const configFile = path.join(configDir, 'apsara.config.json');
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'apsara.config.json'), 'utf8'));
+const echoServer = { command: process.execPath, args: [path.join(__dirname, 'fixtures', 'mcp-echo-server.js')], timeoutMs: 5000 };
+fs.writeFileSync(configFile, JSON.stringify({ ...shipped, mcp: { servers: { echo: echoServer } } }), 'utf8');
+process.env.APSARA_CONFIG = configFile;
+
+const { reloadConfig } = require('../config');
+const { startMcpServers, getMcpTools, getMcpStatus, isMcpToolId, onMcpToolsChange, toGeminiSchema } = require('../mcp');
+
+test.after(() => {
+  // Stopping the servers through the configuration lets the test process exit
+  fs.writeFileSync(configFile, JSON.stringify({ ...shipped, mcp: { servers: {} } }), 'utf8');
+  reloadConfig();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+/**
+ * Convert a schema and collect the paths of the arguments sent as JSON text
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} { parameters, jsonPaths }
+ */
+function convert(schema) {
+  const jsonPaths = [];
+  return { parameters: toGeminiSchema(schema, { root: schema, jsonPaths, path: [] }), jsonPaths };
+}
+
+/**
+ * Wait until the MCP tools match a condition
+ * @param {Function} predicate - (tools) => boolean
+ * @returns {Promise<Array<Object>>} The tools
+ */
+function waitForTools(predicate) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for MCP tools')), 5000);
+    const check = () => {
+      if (!predicate(getMcpTools())) return;
+      clearTimeout(timer);
+      resolve(getMcpTools());
+    };
+    onMcpToolsChange(check);
+    check();
+  });
+}
+
+test('references and allOf parts are resolved', () => {
+  const { parameters } = convert({
+    type: 'object',
+    $defs: { Point: { type: 'object', properties: { x: { type: 'number' } }, required: ['x'] } },
+    properties: {
+      at: { $ref: '#/$defs/Point', description: 'Where' },
+      both: { allOf: [{ $ref: '#/$defs/Point' }, { properties: { y: { type: 'number' } }, required: ['y'] }] }
+    },
+    required: ['at', 'missing']
+  });
+  assert.deepEqual(parameters.properties.at, { description: 'Where', type: 'object', properties: { x: { type: 'number' } }, required: ['x'] });
+  assert.deepEqual(parameters.properties.both.properties, { x: { type: 'number' }, y: { type: 'number' } });
+  assert.deepEqual(parameters.properties.both.required, ['x', 'y']);
+  assert.deepEqual(parameters.required, ['at'], 'required names without a property are dropped');
+});
+
+test('null types become nullable and other type unions become anyOf', () => {
+  const { parameters } = convert({
+    type: 'object',
+    properties: {
+      maybe: { type: ['string', 'null'] },
+      either: { anyOf: [{ type: 'integer', minimum: 1 }, { type: 'null' }] },
+      mixed: { type: ['string', 'number'] },
+      odd: { type: 'foo' }
+    }
+  });
+  assert.deepEqual(parameters.properties.maybe, { nullable: true, type: 'string' });
+  assert.deepEqual(parameters.properties.either, { type: 'integer', minimum: 1, nullable: true });
+  assert.deepEqual(parameters.properties.mixed, { anyOf: [{ type: 'string' }, { type: 'number' }] });
+  assert.deepEqual(parameters.properties.odd, { type: 'string' });
+});
+
+test('string enums are kept and other allowed values are described', () => {
+  const { parameters } = convert({
+    type: 'object',
+    properties: {
+      level: { enum: [1, 2, 3], description: 'Level' },
+      mode: { const: 'fast' },
+      when: { type: 'string', format: 'date-time' }
+    }
+  });
+  assert.deepEqual(parameters.properties.level, { description: 'Level (one of 1, 2, 3)', type: 'string' });
+  assert.deepEqual(parameters.properties.mode, { type: 'string', enum: ['fast'] });
+  assert.deepEqual(parameters.properties.when, { type: 'string', format: 'date-time' });
+});
+
+test('free-form nested objects are declared as JSON text and their paths collected', () => {
+  const { parameters, jsonPaths } = convert({
+    type: 'object',
+    properties: {
+      tags: { type: 'array', items: { type: 'object' } },
+      options: { type: 'object', description: 'Options' }
+    }
+  });
+  assert.deepEqual(parameters.properties.tags, { type: 'array', items: { type: 'string', description: '(JSON object)' } });
+  assert.deepEqual(parameters.properties.options, { type: 'string', description: 'Options (JSON object)' });
+  assert.deepEqual(jsonPaths, [['tags', '*'], ['options']]);
+
+  assert.deepEqual(convert({ type: 'object' }), { parameters: { type: 'object', properties: {} }, jsonPaths: [] }, 'the top level stays an object');
+});
+
+test('recursive schemas stop at the depth limit', () => {
+  const schema = { $defs: { Node: { type: 'object', properties: { next: { $ref: '#/$defs/Node' } } } }, $ref: '#/$defs/Node' };
+  const { parameters, jsonPaths } = convert(schema);
+  assert.equal(parameters.type, 'object');
+  assert.equal(jsonPaths.length, 1);
+  assert.ok(jsonPaths[0].every(part => part === 'next'));
+});
+
+test('a stdio server is initialized and its paginated tools are listed', async () => {
+  startMcpServers();
+  assert.equal(isMcpToolId('mcp__echo__anything'), true);
+  assert.equal(isMcpToolId('mcp__other__anything'), false);
+
+  const tools = await waitForTools(list => list.length === 2);
+  assert.deepEqual(tools.map(tool => tool.id), ['mcp__echo__echo', 'mcp__echo__fail']);
+
+  const [status] = getMcpStatus();
+  assert.equal(status.status, 'ready');
+  assert.deepEqual(status.serverInfo, { name: 'echo-server', version: '1.0.0' });
+
+  const [echo, fail] = tools;
+  assert.equal(echo.name, 'Echo');
+  assert.equal(echo.description, 'Echo the arguments back');
+  assert.equal(echo.approval, 'allow', 'read-only tools run without asking');
+  assert.equal(fail.approval, 'ask');
+  assert.deepEqual(echo.requires, ['mcp:echo']);
+  assert.equal(echo.declaration.parameters.properties.options.type, 'string');
+});
+
+test('calls decode JSON arguments and convert the result', async () => {
+  const [echo, fail] = await waitForTools(list => list.length >= 2);
+
+  const result = await echo.handler({ text: 'hi', options: '{"loud":true}' }, {});
+  assert.equal(result.success, true);
+  assert.equal(result.output, '{"text":"hi","options":{"loud":true}}');
+  assert.deepEqual(result.data, { text: 'hi', options: { loud: true } });
+  assert.deepEqual(result.omitted, ['image (image/png)']);
+
+  assert.deepEqual(await fail.handler({}, {}), { success: false, error: 'Nope' });
+});
+
+test('server pings are answered and list changes are followed', async () => {
+  const [echo] = await waitForTools(list => list.length >= 2);
+  await echo.handler({ text: 'ping me' }, {});
+
+  const tools = await waitForTools(list => list.length === 3);
+  assert.equal(tools[2].id, 'mcp__echo__pong');
+  assert.deepEqual(tools[2].declaration.parameters, { type: 'object', properties: {} });
+});
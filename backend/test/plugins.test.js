@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, makeTempDir } = require('./helpers');
+
+useTempDataDir();
+
+const { getPlugins, getPlugin, loadPlugins, validatePlugin } = require('../plugins');
+const { createToolConfig, getToolDeclarations, getPromptSnippets, getAllTools, executeTool } = require('../tool-registry');
+
+const pluginsDir = makeTempDir();
+
+test.after(() => {
+  fs.rmSync(pluginsDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a plugin module into the test plugins directory
+ * @param {string} name - File name (or folder/index.js)
+ * @param {string} source - Module source
+ */
+function writePlugin(name, source) {
+  const file = path.join(pluginsDir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, source, 'utf8');
+}
+
+const pluginSource = (id, extra = '') => `module.exports = {
+  id: '${id}', name: '${id}', declaration: { description: 'x', parameters: { type: 'object', properties: {} } },
+  handler: async () => ({ success: true })${extra}
+};\n`;
+
+test('validatePlugin explains what is wrong', () => {
+  assert.deepEqual(validatePlugin(null), ['must export an object (or an array of objects)']);
+  assert.deepEqual(validatePlugin({ id: 'mcp__x', name: 'X', nativeTool: {} }), ['ids starting with mcp__ are reserved for MCP server tools']);
+  assert.deepEqual(validatePlugin({
+    id: 'bad id', name: '', declaration: 3, priority: '1', timeoutMs: -1, requires: 'smtp', approval: 'maybe', summarize: 'x', sensitiveArgs: [1]
+  }), [
+    'id must be a function name (letters, digits and _)',
+    'name must be a non-empty string',
+    'handler must be a function',
+    'declaration must be an object or a function returning one',
+    'priority must be a number',
+    'timeoutMs must be a positive integer',
+    'requires must be an array of capability ids',
+    'approval must be one of allow, ask, deny',
+    'summarize must be a function',
+    'sensitiveArgs must be an array of argument names'
+  ]);
+});
+
+test('modules load in file name order and broken or invalid plugins are skipped', () => {
+  writePlugin('b-second.js', pluginSource('second'));
+  writePlugin('a-first.js', `module.exports = [${pluginSource('first').replace('module.exports = ', '').replace(/;\n$/, '')}, { id: 'no_name' }];\n`);
+  writePlugin('c-folder/index.js', pluginSource('folder', ", approval: 'ask', enabled: true"));
+  writePlugin('d-duplicate.js', pluginSource('second'));
+  writePlugin('e-broken.js', "throw new Error('broken plugin');\n");
+  writePlugin('_helper.js', pluginSource('helper'));
+  writePlugin('notes.txt', 'not a plugin');
+  writePlugin('z-early.js', pluginSource('early', ', priority: 5'));
+
+  const loaded = loadPlugins(pluginsDir);
+  assert.deepEqual(loaded.map(plugin => plugin.id), ['early', 'first', 'second', 'folder'], 'a priority goes before file name order');
+  assert.deepEqual(loaded.map(plugin => plugin.source), ['z-early.js', 'a-first.js', 'b-second.js', 'c-folder']);
+
+  const [, first, , folder] = loaded;
+  assert.equal(first.priority, 1000);
+  assert.equal(first.enabled, false);
+  assert.equal(first.async, false);
+  assert.equal(first.approval, 'allow');
+  assert.deepEqual(first.requires, []);
+  assert.deepEqual(first.sensitiveArgs, []);
+  assert.deepEqual(first.prompt, {});
+  assert.equal(folder.enabled, true);
+  assert.equal(folder.approval, 'ask');
+});
+
+test('every built-in plugin is valid and has a unique id', () => {
+  const plugins = getPlugins();
+  assert.ok(plugins.length >= 20);
+  assert.equal(new Set(plugins.map(plugin => plugin.id)).size, plugins.length);
+  assert.equal(getPlugin('googleSearch').nativeTool.googleSearch !== undefined, true);
+  assert.equal(getPlugin('no_such_tool'), undefined);
+});
+
+test('built-in tools keep their original order in declarations and the prompt', () => {
+  const order = [
+    'googleSearch', 'send_email_to_shubharthak', 'take_screenshot',
+    'copy_to_clipboard', 'get_clipboard_text', 'paste_from_clipboard',
+    'store_memory', 'retrieve_memories', 'clear_memories',
+    'read_file', 'browse_files', 'create_file', 'edit_file', 'move_file', 'rename_file', 'delete_file',
+    'open_url', 'generate_image', 'computer_use', 'share_screen', 'share_camera', 'change_theme'
+  ];
+  assert.deepEqual(getPlugins().map(plugin => plugin.id), order);
+
+  const toolConfig = createToolConfig();
+  toolConfig.enabled = { googleSearch: true, change_theme: true, open_url: true, copy_to_clipboard: true, send_email_to_shubharthak: true };
+  const [search, { functionDeclarations }] = getToolDeclarations(toolConfig);
+  assert.deepEqual(search, { googleSearch: {} });
+  assert.deepEqual(functionDeclarations.map(declaration => declaration.name), ['send_email_to_shubharthak', 'copy_to_clipboard', 'open_url', 'change_theme']);
+
+  const { capabilities } = getPromptSnippets(toolConfig);
+  assert.match(capabilities[0], /^Searching Google/);
+  assert.match(capabilities[1], /^Sending messages to Shubharthak/);
+  assert.match(capabilities[capabilities.length - 1], /^Changing the UI theme/);
+});
+
+test('declarations and prompt snippets come from the enabled plugins', () => {
+  const toolConfig = createToolConfig();
+  toolConfig.enabled = { googleSearch: true, change_theme: true };
+  toolConfig.asyncSettings.change_theme = true;
+
+  const declarations = getToolDeclarations(toolConfig);
+  assert.deepEqual(declarations[0], { googleSearch: {} });
+  const [theme] = declarations[1].functionDeclarations;
+  assert.equal(theme.name, 'change_theme');
+  assert.equal(theme.behavior, 'NON_BLOCKING');
+
+  const snippets = getPromptSnippets(toolConfig);
+  assert.equal(snippets.capabilities.length, 2);
+  assert.ok(snippets.usage.some(line => line.startsWith('change_theme: ')));
+  assert.ok(snippets.usage.some(line => line.startsWith('Google Search: ')));
+});
+
+test('examples that need another tool are only used when it is enabled', () => {
+  const toolConfig = createToolConfig();
+  toolConfig.enabled = { copy_to_clipboard: true };
+  const alone = getPromptSnippets(toolConfig).examples;
+  toolConfig.enabled.paste_from_clipboard = true;
+  const together = getPromptSnippets(toolConfig).examples;
+  assert.ok(together.length > alone.length);
+  assert.ok(together.some(example => example.includes('paste_from_clipboard')));
+});
+
+test('the tools panel lists every plugin with its settings', () => {
+  const tools = getAllTools(createToolConfig());
+  assert.equal(tools.length, getPlugins().length);
+  const image = tools.find(tool => tool.id === 'generate_image');
+  assert.equal(image.model, 'flash');
+  assert.deepEqual(tools.map(tool => tool.order), tools.map((tool, index) => index));
+});
+
+test('handler errors come back as results', async () => {
+  const toolConfig = createToolConfig();
+  toolConfig.enabled.read_file = true;
+  const result = await executeTool('read_file', { filePath: path.join(pluginsDir, 'missing.txt') }, toolConfig);
+  assert.equal(result.success, false);
+  assert.equal(typeof result.error, 'string');
+});
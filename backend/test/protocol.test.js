@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, connectClient } = require('./helpers');
+const {
+  ERROR_CODES,
+  STREAM_TYPES,
+  FRAME_FORMATS,
+  FRAME_HEADER_BYTES,
+  parseClientMessage,
+  parseClientFrame,
+  negotiateVersion,
+  encodeFrame,
+  decodeFrame,
+  SERVER_CAPABILITIES
+} = require('../protocol');
+const { WIDGET_PROTOCOL_FILE, renderWidgetProtocol } = require('../generate-protocol');
+
+test('parseClientMessage accepts valid messages', () => {
+  assert.deepEqual(parseClientMessage('{"type":"text","text":"hi"}'), { message: { type: 'text', text: 'hi' } });
+  assert.deepEqual(parseClientMessage(Buffer.from('{"type":"interrupt"}')), { message: { type: 'interrupt' } });
+});
+
+test('parseClientMessage reports invalid JSON', () => {
+  const { error } = parseClientMessage('{not json');
+  assert.equal(error.type, 'error');
+  assert.equal(error.code, ERROR_CODES.INVALID_JSON);
+});
+
+test('parseClientMessage rejects messages without a string type', () => {
+  assert.equal(parseClientMessage('[]').error.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(parseClientMessage('{"type":3}').error.code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('parseClientMessage rejects unknown types', () => {
+  const { error } = parseClientMessage('{"type":"launch_rockets"}');
+  assert.equal(error.code, ERROR_CODES.UNKNOWN_TYPE);
+  assert.equal(error.requestType, 'launch_rockets');
+});
+
+test('parseClientMessage checks required fields, types, enums and lengths', () => {
+  const missing = parseClientMessage('{"type":"audio"}').error;
+  assert.equal(missing.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.match(missing.error, /"data" is required/);
+  assert.equal(missing.requestType, 'audio');
+
+  assert.match(parseClientMessage('{"type":"text","text":5}').error.error, /"text" must be a string/);
+  assert.match(parseClientMessage('{"type":"set_modality","modality":"VIDEO"}').error.error, /must be one of AUDIO, TEXT/);
+  assert.match(parseClientMessage(JSON.stringify({ type: 'text', text: 'x'.repeat(32001) })).error.error, /longer than 32000/);
+  assert.match(parseClientMessage('{"type":"tool_approval_response","requestId":"r1","approved":"yes"}').error.error, /"approved" must be a boolean/);
+});
+
+test('negotiateVersion picks the highest common version', () => {
+  assert.equal(negotiateVersion({}), 1);
+  assert.equal(negotiateVersion({ protocolVersion: 1 }), 1);
+  assert.equal(negotiateVersion({ protocolVersions: [1, 7] }), 1);
+  assert.equal(negotiateVersion({ protocolVersion: 7 }), null);
+});
+
+test('binary frames round-trip through encodeFrame and decodeFrame', () => {
+  const payload = Buffer.from([1, 2, 3, 4]);
+  const frame = encodeFrame(STREAM_TYPES.SCREEN, payload, { format: FRAME_FORMATS.PNG, timestamp: 1234.5 });
+  assert.equal(frame.length, FRAME_HEADER_BYTES + payload.length);
+
+  const decoded = decodeFrame(frame);
+  assert.equal(decoded.streamType, STREAM_TYPES.SCREEN);
+  assert.equal(decoded.format, FRAME_FORMATS.PNG);
+  assert.equal(decoded.timestamp, 1234.5);
+  assert.deepEqual(decoded.payload, payload);
+});
+
+test('parseClientFrame turns frames into the equivalent JSON messages', () => {
+  const audio = parseClientFrame(encodeFrame(STREAM_TYPES.AUDIO_INPUT, Buffer.from([0, 1]), { timestamp: 5 }));
+  assert.deepEqual(audio.message, { type: 'audio', data: Buffer.from([0, 1]).toString('base64'), timestamp: 5 });
+
+  const camera = parseClientFrame(encodeFrame(STREAM_TYPES.CAMERA, Buffer.from([9]), { format: FRAME_FORMATS.JPEG }));
+  assert.equal(camera.message.type, 'camera');
+  assert.equal(camera.message.mimeType, 'image/jpeg');
+});
+
+test('parseClientFrame reports malformed frames', () => {
+  assert.equal(parseClientFrame(Buffer.alloc(4)).error.code, ERROR_CODES.INVALID_FRAME);
+
+  const badVersion = encodeFrame(STREAM_TYPES.AUDIO_INPUT, Buffer.from([1]));
+  badVersion.writeUInt8(9, 0);
+  assert.match(parseClientFrame(badVersion).error.error, /Unsupported frame version: 9/);
+
+  assert.match(parseClientFrame(encodeFrame(STREAM_TYPES.AUDIO_INPUT, Buffer.alloc(0))).error.error, /no payload/);
+  assert.match(parseClientFrame(encodeFrame(STREAM_TYPES.AUDIO_INPUT, Buffer.from([1]), { format: FRAME_FORMATS.JPEG })).error.error, /Unsupported stream type/);
+});
+
+test('the widget protocol constants match the backend (run npm run generate:protocol)', () => {
+  assert.equal(fs.readFileSync(WIDGET_PROTOCOL_FILE, 'utf8'), renderWidgetProtocol());
+});
+
+test('the widget only announces capabilities the backend offers', () => {
+  const source = fs.readFileSync(path.join(path.dirname(WIDGET_PROTOCOL_FILE), 'protocol.js'), 'utf8');
+  const list = source.match(/CLIENT_CAPABILITIES = \[([^\]]*)\]/)[1];
+  const capabilities = [...list.matchAll(/'([a-z_]+)'/g)].map(match => match[1]);
+  assert.ok(capabilities.length > 0);
+  assert.deepEqual(capabilities.filter(capability => !SERVER_CAPABILITIES.includes(capability)), []);
+});
+
+test('the backend speaks the protocol end to end', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('hello is answered with the session, capabilities and limits', async () => {
+    const client = await connectClient(server, { capabilities: ['tool_approval'] });
+    const hello = client.messages.find(message => message.type === 'hello');
+    assert.equal(hello.protocolVersion, 1);
+    assert.match(hello.sessionId, /^[0-9a-f-]{36}$/);
+    assert.ok(hello.capabilities.includes('tool_approval'));
+    assert.ok(hello.limits.textTurns);
+    await client.close();
+  });
+
+  await t.test('an unsupported protocol version closes the connection', async () => {
+    const client = await connectClient(server, { hello: false });
+    const closed = new Promise(resolve => client.ws.once('close', resolve));
+    client.send({ type: 'hello', protocolVersion: 99 });
+    const error = await client.waitFor('error');
+    assert.equal(error.code, 'UNSUPPORTED_VERSION');
+    assert.equal(await closed, 1002);
+  });
+
+  await t.test('malformed client messages get typed errors and the connection stays open', async () => {
+    const client = await connectClient(server);
+    client.send('{oops');
+    assert.equal((await client.waitFor('error')).code, 'INVALID_JSON');
+    client.send({ type: 'teleport' });
+    assert.equal((await client.waitFor('error')).code, 'UNKNOWN_TYPE');
+    client.send({ type: 'set_modality', modality: 'SMELL' });
+    assert.equal((await client.waitFor('error')).code, 'INVALID_MESSAGE');
+
+    client.send({ type: 'text', text: 'still there?' });
+    await client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant' && message.final && message.text === 'You said: still there?');
+    await client.close();
+  });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connectClient } = require('./helpers');
+
+// Limits are read when rate-limit.js loads
+process.env.RATE_LIMIT_TEXT_PER_MINUTE = '2';
+process.env.RATE_LIMIT_TOKEN_TEXT_PER_MINUTE = '3';
+process.env.RATE_LIMIT_FRAMES_PER_SECOND = '0';
+process.env.RATE_LIMIT_TOKEN_FRAMES_PER_SECOND = '0';
+process.env.RATE_LIMIT_AUDIO_BYTES_PER_SECOND = '100';
+
+const { createRateLimitState, consumeRateLimit, checkMessageRateLimit, getRateLimits } = require('../rate-limit');
+
+let deviceCounter = 0;
+const newSession = (auth = { via: 'device', deviceId: `device-${++deviceCounter}` }) => ({ rateLimits: createRateLimitState(), auth });
+
+test('text turns are limited per connection', () => {
+  const session = newSession();
+  assert.equal(checkMessageRateLimit(session, { type: 'text', text: 'a' }), null);
+  assert.equal(checkMessageRateLimit(session, { type: 'text', text: 'b' }), null);
+
+  const violation = checkMessageRateLimit(session, { type: 'text', text: 'c' });
+  assert.equal(violation.limit, 'textTurns');
+  assert.equal(violation.scope, 'connection');
+  assert.equal(violation.max, 2);
+  assert.equal(violation.notify, true);
+  assert.ok(violation.retryAfterMs > 0 && violation.retryAfterMs <= 60000);
+  assert.match(violation.error, /2 text messages per minute per connection/);
+});
+
+test('connections with the same token share the token limit', () => {
+  const auth = { via: 'device', deviceId: 'shared-device' };
+  const first = newSession(auth);
+  const second = newSession(auth);
+  assert.equal(consumeRateLimit(first, 'textTurns'), null);
+  assert.equal(consumeRateLimit(first, 'textTurns'), null);
+  assert.equal(consumeRateLimit(second, 'textTurns'), null);
+
+  const violation = consumeRateLimit(second, 'textTurns');
+  assert.equal(violation.scope, 'token');
+  assert.equal(violation.max, 3);
+});
+
+test('a limit of 0 disables it', () => {
+  const session = newSession();
+  for (let i = 0; i < 100; i++) {
+    assert.equal(checkMessageRateLimit(session, { type: 'video', data: 'AAAA' }), null);
+  }
+});
+
+test('streaming limits report a flood once per window and count nothing when exceeded', () => {
+  const session = newSession();
+  const chunk = { type: 'audio', data: 'A'.repeat(200) }; // 150 bytes, more than the limit on its own
+
+  const first = checkMessageRateLimit(session, chunk);
+  const second = checkMessageRateLimit(session, chunk);
+  assert.equal(first.limit, 'audioBytes');
+  assert.equal(first.notify, true);
+  // Both are dropped, but only the first one is reported
+  assert.equal(second.notify, false);
+  assert.equal(session.rateLimits.audioBytes.used, 0);
+});
+
+test('messages without a limit pass', () => {
+  assert.equal(checkMessageRateLimit(newSession(), { type: 'hello' }), null);
+});
+
+test('getRateLimits lists the configured limits', () => {
+  const limits = getRateLimits();
+  assert.deepEqual(limits.textTurns, { unit: 'text messages per minute', connection: 2, token: 3 });
+  assert.equal(limits.frames.connection, 0);
+});
+
+test('text beyond the per-connection limit is dropped with RATE_LIMITED', async (t) => {
+  // Only the text limit is lowered - the others set above go back to their defaults
+  const server = await startServer({
+    env: { RATE_LIMIT_TEXT_PER_MINUTE: '6', RATE_LIMIT_TOKEN_TEXT_PER_MINUTE: '', RATE_LIMIT_FRAMES_PER_SECOND: '', RATE_LIMIT_TOKEN_FRAMES_PER_SECOND: '', RATE_LIMIT_AUDIO_BYTES_PER_SECOND: '' }
+  });
+  t.after(() => server.stop());
+
+  const client = await connectClient(server);
+  assert.equal(client.messages.find(message => message.type === 'hello').limits.textTurns.connection, 6);
+  for (let i = 0; i < 7; i++) {
+    client.send({ type: 'text', text: `message ${i}` });
+  }
+  const error = await client.waitFor('error');
+  assert.equal(error.code, 'RATE_LIMITED');
+  assert.equal(error.requestType, 'text');
+  assert.equal(error.details.limit, 'textTurns');
+  assert.equal(error.details.max, 6);
+  await client.close();
+});
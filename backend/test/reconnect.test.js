@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connectClient, wait } = require('./helpers');
+
+// "goodbye" makes the local provider drop the session like an upstream close
+const SCRIPT = {
+  rules: [
+    { on: 'text', match: 'goodbye', reply: [{ text: 'bye' }, { disconnect: 'dropped by test' }] },
+    { on: 'text', reply: [{ text: 'You said: {{input}}' }] }
+  ]
+};
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ script: SCRIPT });
+});
+
+test.after(async () => {
+  await server?.stop();
+});
+
+/**
+ * Final assistant transcript of a reply
+ * @param {Object} client - From connectClient
+ * @param {string} text - Expected text
+ * @returns {Promise<Object>} Transcript message
+ */
+const assistantSaid = (client, text) => client.waitFor(message => message.type === 'transcript'
+  && message.speaker === 'assistant' && message.final && message.text === text);
+
+test('an upstream drop is followed by a transparent reconnect', async () => {
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'goodbye' });
+  await assistantSaid(client, 'bye');
+  await client.waitFor(message => message.type === 'status' && message.status === 'reconnecting');
+  await client.waitFor(message => message.type === 'status' && message.status === 'connected');
+
+  client.send({ type: 'text', text: 'still here' });
+  await assistantSaid(client, 'You said: still here');
+  await client.close();
+});
+
+test('a reply interrupted by an upstream reconnect is closed before the next one', async () => {
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'goodbye' });
+  const interrupted = await assistantSaid(client, 'bye');
+  await client.waitFor(message => message.type === 'status' && message.status === 'connected');
+
+  client.send({ type: 'text', text: 'after reconnect' });
+  const next = await assistantSaid(client, 'You said: after reconnect');
+  assert.notEqual(next.turnId, interrupted.turnId);
+  await client.close();
+});
+
+test('settings changed during a reconnect are applied once it is done', async () => {
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'goodbye' });
+  await client.waitFor(message => message.type === 'status' && message.status === 'reconnecting');
+
+  // The connection only lasted a moment, so the reconnect backs off and is still running
+  const { status } = await server.request('/api/settings/update', { method: 'POST', body: { sessionId: client.sessionId, voiceName: 'Puck' } });
+  assert.equal(status, 200);
+  await client.waitFor(message => message.type === 'status' && message.status === 'reconnecting' && message.reason === 'settings changed');
+  await client.waitFor(message => message.type === 'status' && message.status === 'connected');
+
+  client.send({ type: 'text', text: 'new voice' });
+  await assistantSaid(client, 'You said: new voice');
+  await client.close();
+});
+
+test('an upstream that keeps closing right after connecting is given up on', async (t) => {
+  const flapping = await startServer({ script: { rules: [{ on: 'open', reply: [{ disconnect: 'flapping' }] }] } });
+  t.after(() => flapping.stop());
+
+  const client = await connectClient(flapping);
+  // Backs off 0.5 + 1 + 2 + 4 seconds between the five attempts
+  await client.waitFor(message => message.type === 'status' && message.status === 'disconnected', 15000);
+  const reconnects = client.messages.filter(message => message.type === 'status' && message.status === 'reconnecting');
+  assert.equal(reconnects.length, 5);
+
+  await wait(1000);
+  assert.equal(client.messages.filter(message => message.type === 'status' && message.status === 'reconnecting').length, 5);
+  await client.close();
+});
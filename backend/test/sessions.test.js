@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connectClient, pairDevice } = require('./helpers');
+
+const SECRET = 'sessions-secret';
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ env: { AUTH_SECRET: SECRET, AUTH_TRUST_LOCALHOST: 'false' } });
+});
+
+test.after(async () => {
+  await server?.stop();
+});
+
+test('a paired device changes its own session but not another device\'s', async () => {
+  const laptop = await pairDevice(server, SECRET, 'Laptop');
+  const phone = await pairDevice(server, SECRET, 'Phone');
+  const client = await connectClient(server, { token: laptop.token });
+  const { sessionId } = client;
+  const update = { sessionId, tools: { change_theme: false } };
+
+  const own = await server.request('/api/tools/update', { method: 'POST', token: laptop.token, body: update });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.tools.find(tool => tool.id === 'change_theme').enabled, false);
+  assert.equal((await server.request(`/api/settings?sessionId=${sessionId}`, { token: laptop.token })).status, 200);
+  assert.equal((await server.request(`/api/usage?sessionId=${sessionId}`, { token: laptop.token })).status, 200);
+
+  const foreign = [
+    server.request(`/api/tools?sessionId=${sessionId}`, { token: phone.token }),
+    server.request('/api/tools/update', { method: 'POST', token: phone.token, body: update }),
+    server.request(`/api/settings?sessionId=${sessionId}`, { token: phone.token }),
+    server.request('/api/settings/update', { method: 'POST', token: phone.token, body: { sessionId, voiceName: 'Puck' } }),
+    server.request(`/api/usage?sessionId=${sessionId}`, { token: phone.token })
+  ];
+  for (const { status, body } of await Promise.all(foreign)) {
+    assert.equal(status, 404);
+    assert.equal(body.error, `Session not found: ${sessionId}`);
+  }
+
+  assert.equal((await server.request('/api/tools/update', { method: 'POST', token: SECRET, body: update })).status, 200, 'admins reach every session');
+  await client.close();
+});
+
+test('only admins change the default profile', async () => {
+  const { token } = await pairDevice(server, SECRET, 'Tablet');
+  assert.equal((await server.request('/api/tools', { token })).status, 200, 'reading the defaults is fine');
+
+  const tools = await server.request('/api/tools/update', { method: 'POST', token, body: { approvals: { delete_file: 'allow' } } });
+  assert.equal(tools.status, 403);
+  assert.equal(tools.body.error, 'Admin access required to change the default profile');
+  const settings = await server.request('/api/settings/update', { method: 'POST', token, body: { voiceName: 'Puck' } });
+  assert.equal(settings.status, 403);
+
+  const asAdmin = await server.request('/api/settings/update', { method: 'POST', token: SECRET, body: { voiceName: 'Puck' } });
+  assert.equal(asAdmin.status, 200);
+  assert.equal(asAdmin.body.speech.voiceName, 'Puck');
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSpeechSettings, getLanguageInstruction } = require('../settings');
+
+test('an automatic language defaults to English until the user switches', () => {
+  const instruction = getLanguageInstruction(createSpeechSettings());
+  assert.match(instruction, /Respond in English unless the user/);
+  assert.doesNotMatch(instruction, /Always respond/);
+});
+
+test('a configured language replaces the English default', () => {
+  const instruction = getLanguageInstruction({ ...createSpeechSettings(), languageCode: 'hi-IN' });
+  assert.match(instruction, /Always respond in .+ \(hi-IN\)/);
+  assert.doesNotMatch(instruction, /English/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, startServer, connectClient, wait } = require('./helpers');
+
+useTempDataDir();
+
+const { validateToolArgs, invalidArgsResult } = require('../tool-validation');
+const { createToolConfig, checkToolCall } = require('../tool-registry');
+
+const paths = violations => violations.map(violation => violation.path);
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 10 },
+    count: { type: 'integer', minimum: 1, maximum: 5 },
+    ratio: { type: 'number' },
+    mode: { type: 'string', enum: ['fast', 'slow'] },
+    tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, maxItems: 3 },
+    options: { type: 'object', properties: { loud: { type: 'boolean' } }, required: ['loud'] },
+    note: { type: 'string', nullable: true },
+    size: { anyOf: [{ type: 'integer' }, { type: 'string', enum: ['auto'] }] }
+  },
+  required: ['name']
+};
+
+test('valid arguments have no violations', () => {
+  assert.deepEqual(validateToolArgs({ name: 'apsara', count: 3, ratio: 1.5, mode: 'fast', tags: ['a'], options: { loud: true }, note: null, size: 'auto' }, SCHEMA), []);
+  assert.deepEqual(validateToolArgs({ name: 'apsara', ratio: 2, size: 7 }, SCHEMA), []);
+  assert.deepEqual(validateToolArgs({ anything: 1 }, undefined), []);
+});
+
+test('type mismatches name the argument and what was received', () => {
+  const violations = validateToolArgs({ name: 42, count: 2.5, mode: true, tags: 'a', options: [] }, SCHEMA);
+  assert.deepEqual(violations, [
+    { path: 'args.name', message: 'must be string (got integer 42)' },
+    { path: 'args.count', message: 'must be integer (got number 2.5)' },
+    { path: 'args.mode', message: 'must be string (got boolean true)' },
+    { path: 'args.tags', message: 'must be array (got "a")' },
+    { path: 'args.options', message: 'must be object (got an array of 0 items)' }
+  ]);
+  assert.deepEqual(validateToolArgs('not an object', SCHEMA), [{ path: 'args', message: 'must be object (got "not an object")' }]);
+});
+
+test('schema types are case-insensitive like Gemini declarations', () => {
+  assert.deepEqual(validateToolArgs({ text: 'hi' }, { type: 'OBJECT', properties: { text: { type: 'STRING' } } }), []);
+  assert.deepEqual(paths(validateToolArgs({ text: 1 }, { type: 'OBJECT', properties: { text: { type: 'STRING' } } })), ['args.text']);
+});
+
+test('missing required fields are reported, nested ones too', () => {
+  assert.deepEqual(validateToolArgs({}, SCHEMA), [{ path: 'args.name', message: 'is required' }]);
+  assert.deepEqual(validateToolArgs({ name: 'x', options: {} }, SCHEMA), [{ path: 'args.options.loud', message: 'is required' }]);
+});
+
+test('values outside an enum list the allowed values', () => {
+  assert.deepEqual(validateToolArgs({ name: 'x', mode: 'medium' }, SCHEMA), [
+    { path: 'args.mode', message: 'must be one of "fast", "slow" (got "medium")' }
+  ]);
+});
+
+test('ranges, lengths, patterns and array items are checked', () => {
+  const violations = validateToolArgs({ name: 'much too long', count: 9, tags: ['ok', 'NOT', 'b', 'c'] }, SCHEMA);
+  assert.deepEqual(paths(violations), ['args.name', 'args.count', 'args.tags', 'args.tags[1]']);
+  assert.equal(violations[1].message, 'must be at most 5 (got 9)');
+  assert.equal(violations[3].message, 'must match the pattern ^[a-z]+$');
+});
+
+test('null is only accepted for nullable arguments', () => {
+  assert.deepEqual(validateToolArgs({ name: 'x', mode: null }, SCHEMA), [{ path: 'args.mode', message: 'must not be null' }]);
+});
+
+test('anyOf accepts a value matching any variant', () => {
+  assert.deepEqual(validateToolArgs({ name: 'x', size: 'huge' }, SCHEMA), [
+    { path: 'args.size', message: 'must match one of: integer, string (got "huge")' }
+  ]);
+});
+
+test('arguments the schema does not declare are allowed', () => {
+  assert.deepEqual(validateToolArgs({ name: 'x', unexpected: { deeply: ['nested'] } }, SCHEMA), []);
+});
+
+test('invalid arguments become a result the model can correct', () => {
+  const result = invalidArgsResult('demo_tool', validateToolArgs({ count: 'two' }, SCHEMA));
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'INVALID_ARGUMENTS');
+  assert.equal(result.error, 'Invalid arguments for demo_tool: args.name is required; args.count must be integer (got "two"). Fix the arguments and call demo_tool again.');
+  assert.equal(result.violations.length, 2);
+});
+
+test('the built-in tools are checked against their declarations', () => {
+  const toolConfig = createToolConfig({ enabled: { change_theme: true, delete_file: true, generate_image: true, create_file: true } });
+
+  const theme = checkToolCall('change_theme', { theme: 42 }, toolConfig);
+  assert.equal(theme.code, 'INVALID_ARGUMENTS');
+  assert.match(theme.violations[0].message, /^must be string/);
+
+  const deletion = checkToolCall('delete_file', { filePath: '/tmp/apsara-test/x.txt' }, toolConfig);
+  assert.deepEqual(deletion.violations, [{ path: 'args.confirm', message: 'is required' }]);
+
+  const image = checkToolCall('generate_image', { prompt: 'a cat', model: 'ultra', aspectRatio: '7:5' }, toolConfig);
+  assert.deepEqual(paths(image.violations), ['args.model', 'args.aspectRatio']);
+
+  assert.equal(checkToolCall('create_file', { filePath: '/tmp/apsara-test/x.txt', content: 'hi', encoding: 'utf8' }, toolConfig), null);
+  assert.equal(checkToolCall('change_theme', { theme: 'dracula' }, toolConfig), null);
+});
+
+test('tool calls with invalid arguments are answered with INVALID_ARGUMENTS', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: '/tool change_theme {"theme": 42}' });
+  await client.waitFor(message => message.type === 'transcript' && message.speaker === 'assistant'
+    && message.final && message.text === 'The change_theme tool finished.');
+  assert.equal(client.messages.some(message => message.type === 'trigger_theme_change'), false);
+  await client.close();
+  await wait(100); // The history is written when the socket closes
+
+  const { body } = await server.request(`/api/sessions/${client.sessionId}`);
+  const call = body.session.entries.find(entry => entry.type === 'tool_call');
+  assert.equal(call.result.code, 'INVALID_ARGUMENTS');
+  assert.deepEqual(call.result.violations.map(violation => violation.path), ['args.theme']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, startServer, connectClient } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const { createSessionUsage, recordTokenUsage, recordImageGeneration, getUsageSummary, USAGE_FILE } = require('../usage');
+
+const metadata = {
+  promptTokenCount: 100,
+  responseTokenCount: 40,
+  thoughtsTokenCount: 10,
+  totalTokenCount: 150,
+  promptTokensDetails: [{ modality: 'AUDIO', tokenCount: 80 }, { modality: 'TEXT', tokenCount: 20 }],
+  responseTokensDetails: [{ modality: 'AUDIO', tokenCount: 40 }]
+};
+
+test('token reports are counted per session, per day and in total', () => {
+  const sessionUsage = createSessionUsage();
+  const before = getUsageSummary(null).totals.totalTokens;
+
+  const totals = recordTokenUsage(sessionUsage, 'turn-1', metadata, 'local-model');
+  assert.equal(totals.promptTokens, 100);
+  assert.equal(totals.thinkingTokens, 10);
+  assert.equal(totals.audioTokens, 120);
+  assert.deepEqual(totals.byModality, { AUDIO: 120, TEXT: 20 });
+  assert.equal(totals.turns, 1);
+
+  const summary = getUsageSummary(sessionUsage);
+  assert.equal(summary.session.turns[0].model, 'local-model');
+  assert.match(summary.today.date, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(summary.totals.totalTokens, before + 150);
+});
+
+test('a second report for the same turn replaces the first', () => {
+  const sessionUsage = createSessionUsage();
+  recordTokenUsage(sessionUsage, 'turn-1', metadata, 'local-model');
+  const totals = recordTokenUsage(sessionUsage, 'turn-1', { ...metadata, totalTokenCount: 200 }, 'local-model');
+  assert.equal(totals.totalTokens, 200);
+  assert.equal(totals.turns, 1);
+  assert.equal(sessionUsage.turns.length, 1);
+});
+
+test('image generations are counted per model', () => {
+  const sessionUsage = createSessionUsage();
+  recordImageGeneration(sessionUsage, 'flash-1K');
+  const totals = recordImageGeneration(sessionUsage, 'flash-1K');
+  assert.equal(totals.imageGenerations, 2);
+  assert.deepEqual(totals.imagesByModel, { 'flash-1K': 2 });
+});
+
+test('daily and all-time totals are saved in the data folder', () => {
+  assert.equal(USAGE_FILE, path.join(dataDir, 'apsara-usage.json'));
+  const saved = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+  assert.equal(saved.totals.totalTokens, getUsageSummary(null).totals.totalTokens);
+  assert.ok(Object.keys(saved.days).length >= 1);
+});
+
+test('the widget is sent its usage and /api/usage reports the session', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const client = await connectClient(server);
+  client.send({ type: 'text', text: 'count my tokens' });
+  const { usage } = await client.waitFor(message => message.type === 'usage' && message.usage.turns > 0);
+  assert.ok(usage.totalTokens > 0);
+
+  const { status, body } = await server.request(`/api/usage?sessionId=${client.sessionId}`);
+  assert.equal(status, 200);
+  assert.equal(body.sessionId, client.sessionId);
+  assert.equal(body.session.totals.totalTokens, usage.totalTokens);
+  assert.ok(body.session.turns[0].turnId);
+  assert.ok(body.totals.totalTokens >= usage.totalTokens);
+  await client.close();
+
+  assert.equal((await server.request('/api/usage?sessionId=missing')).status, 404);
+});
@@ -0,0 +1,511 @@
+/**
+ * Apsara Live - Tool registry
+ * Everything the backend knows about tools comes from the plugins in backend/plugins/
+ * (see plugins/index.js) and the tools of the configured MCP servers (see mcp.js): the
+ * per-session tool configuration, the Gemini declarations, the system prompt snippets
+ * and executing tool calls.
+ */
+
+const { toolCallContext } = require('./tools');
+const { getPlugins, APPROVAL_POLICIES } = require('./plugins');
+const { getMcpTools, isMcpToolId } = require('./mcp');
+const { validateToolArgs, invalidArgsResult } = require('./tool-validation');
+const { createLogger, redact } = require('./logger');
+
+const logger = createLogger('tools');
+
+// Tool calls that run longer than this are abandoned (override with TOOL_TIMEOUT_MS)
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * Every tool: plugins first, then MCP tools (which appear once their server is up)
+ * @returns {Array<Object>} Tools in plugin shape
+ */
+function getTools() {
+  const plugins = getPlugins();
+  const pluginIds = new Set(plugins.map(plugin => plugin.id));
+  return [...plugins, ...getMcpTools().filter(tool => !pluginIds.has(tool.id))];
+}
+
+/**
+ * Tool by id
+ * @param {string} id - Tool id
+ * @returns {Object|undefined}
+ */
+function getTool(id) {
+  return getTools().find(tool => tool.id === id);
+}
+
+/**
+ * Whether a tool id can be configured (includes MCP tools whose server is still starting)
+ * @param {string} id - Tool id
+ * @returns {boolean}
+ */
+function isKnownTool(id) {
+  return Boolean(getTool(id)) || isMcpToolId(id);
+}
+
+/**
+ * Keep only entries for known tools (saved profiles may mention removed tools)
+ * @param {Object} settings - Object keyed by tool ID
+ * @returns {Object} Settings for known tools only
+ */
+function pickKnownTools(settings) {
+  const known = {};
+  if (!settings || typeof settings !== 'object') return known;
+  for (const key in settings) {
+    if (isKnownTool(key)) {
+      known[key] = settings[key];
+    }
+  }
+  return known;
+}
+
+/**
+ * Create a tool configuration: enabled tools, order, async behavior, approval policies
+ * and image model. Every client session owns its own copy, so changing one never affects another.
+ * @param {Object} base - Optional configuration to copy (e.g. the saved default profile)
+ * @returns {Object} Tool configuration { enabled, order, asyncSettings, approvals, imageModel }
+ */
+function createToolConfig(base = {}) {
+  // Defaults from the tools' metadata
+  const enabledDefaults = {};
+  const asyncDefaults = {};
+  const approvalDefaults = {};
+  getTools().forEach(tool => {
+    enabledDefaults[tool.id] = tool.enabled;
+    asyncDefaults[tool.id] = tool.async;
+    approvalDefaults[tool.id] = tool.approval;
+  });
+  const savedApprovals = pickKnownTools(base.approvals);
+  for (const key in savedApprovals) {
+    if (!APPROVAL_POLICIES.includes(savedApprovals[key])) delete savedApprovals[key];
+  }
+
+  return {
+    enabled: { ...enabledDefaults, ...pickKnownTools(base.enabled) },
+    order: Array.isArray(base.order)
+      ? base.order.filter(isKnownTool)
+      : Object.keys(enabledDefaults),
+    asyncSettings: { ...asyncDefaults, ...pickKnownTools(base.asyncSettings) },
+    approvals: { ...approvalDefaults, ...savedApprovals },
+    imageModel: base.imageModel === 'pro' ? 'pro' : 'flash' // flash is the fast default
+  };
+}
+
+/**
+ * Get current enabled tools configuration
+ * @param {Object} toolConfig - Session tool configuration
+ * @returns {Object} Copy of the enabled tools map
+ */
+function getEnabledTools(toolConfig) {
+  return { ...toolConfig.enabled };
+}
+
+/**
+ * Get all available tools with metadata
+ * @param {Object} toolConfig - Session tool configuration
+ * @returns {Array} Array of tool objects with metadata (sorted by the configured order)
+ */
+function getAllTools(toolConfig) {
+  const { enabled, order, asyncSettings } = toolConfig;
+  const tools = getTools();
+
+  // Sort tools by custom order (tools added since, e.g. by an MCP server, go last)
+  const ids = tools.map(tool => tool.id);
+  const orderedKeys = order.filter(key => ids.includes(key));
+  const unorderedKeys = ids.filter(key => !order.includes(key));
+  const allKeys = [...orderedKeys, ...unorderedKeys];
+
+  return allKeys.map((key, index) => {
+    const metadata = tools.find(tool => tool.id === key);
+    const tool = {
+      id: key,
+      name: metadata.name,
+      description: metadata.description,
+      enabled: enabled[key] === true,
+      async: asyncSettings[key] !== undefined ? asyncSettings[key] : metadata.async,
+      approval: getToolApproval(toolConfig, key),
+      order: index
+    };
+
+    // Add model info for generate_image tool
+    if (key === 'generate_image') {
+      tool.model = toolConfig.imageModel;
+    }
+
+    // MCP tools name their server
+    if (metadata.mcpServer) {
+      tool.mcpServer = metadata.mcpServer;
+    }
+
+    return tool;
+  });
+}
+
+/**
+ * Update tool order
+ * @param {Object} toolConfig - Session tool configuration
+ * @param {Array} newOrder - New order of tool IDs
+ * @returns {Object} Updated tools
+ */
+function setToolOrder(toolConfig, newOrder) {
+  // Validate that all keys exist
+  for (const key of newOrder) {
+    if (!isKnownTool(key)) {
+      throw new Error(`Unknown tool: ${key}`);
+    }
+  }
+
+  toolConfig.order = [...newOrder];
+  logger.debug('🔧 Updated tool order:', toolConfig.order);
+
+  return getAllTools(toolConfig);
+}
+
+/**
+ * Update tool async settings
+ * @param {Object} toolConfig - Session tool configuration
+ * @param {Object} asyncSettings - Object mapping tool IDs to async boolean
+ * @returns {Object} Updated tools
+ */
+function setToolAsyncSettings(toolConfig, asyncSettings) {
+  // Validate that all keys exist
+  for (const key in asyncSettings) {
+    if (!isKnownTool(key)) {
+      throw new Error(`Unknown tool: ${key}`);
+    }
+  }
+
+  toolConfig.asyncSettings = { ...toolConfig.asyncSettings, ...asyncSettings };
+  logger.debug('🔧 Updated tool async settings:', toolConfig.asyncSettings);
+
+  return getAllTools(toolConfig);
+}
+
+/**
+ * Approval policy of a tool in a session ('allow', 'ask' or 'deny')
+ * @param {Object} toolConfig - Session tool configuration
+ * @param {string} id - Tool id
+ * @returns {string} Policy (tools added since the session started use their default)
+ */
+function getToolApproval(toolConfig, id) {
+  return toolConfig.approvals?.[id] || getTool(id)?.approval || 'allow';
+}
+
+/**
+ * Update tool approval policies
+ * @param {Object} toolConfig - Session tool configuration
+ * @param {Object} approvals - Object mapping tool IDs to 'allow', 'ask' or 'deny'
+ * @returns {Object} Updated tools
+ */
+function setToolApprovals(toolConfig, approvals) {
+  for (const key in approvals) {
+    if (!isKnownTool(key)) {
+      throw new Error(`Unknown tool: ${key}`);
+    }
+    if (!APPROVAL_POLICIES.includes(approvals[key])) {
+      throw new Error(`Invalid approval policy for ${key}. Must be one of: ${APPROVAL_POLICIES.join(', ')}`);
+    }
+  }
+
+  toolConfig.approvals = { ...toolConfig.approvals, ...approvals };
+  logger.debug('🔧 Updated tool approval policies:', toolConfig.approvals);
+
+  return getAllTools(toolConfig);
+}
+
+/**
+ * Get current image generation model
+ * @param {Object} toolConfig - Session tool configuration
+ * @returns {string} Current model ('flash' or 'pro')
+ */
+function getImageGenerationModel(toolConfig) {
+  return toolConfig.imageModel;
+}
+
+/**
+ * Set image generation model
+ * @param {Object} toolConfig - Session tool configuration
+ * @param {string} model - Model to use ('flash' or 'pro')
+ * @returns {string} Updated model
+ */
+function setImageGenerationModel(toolConfig, model) {
+  if (model !== 'flash' && model !== 'pro') {
+    throw new Error('Invalid model. Must be "flash" or "pro"');
+  }
+
+  toolConfig.imageModel = model;
+  logger.debug(`🎨 Image generation model set to: ${model}`);
+
+  return toolConfig.imageModel;
+}
+
+/**
+ * Update enabled tools configuration
+ * @param {Object} toolConfig - Session tool configuration
+ * @param {Object} newConfig - New enabled tools configuration
+ * @returns {Object} Updated configuration
+ */
+function setEnabledTools(toolConfig, newConfig) {
+  // Validate that all keys exist
+  for (const key in newConfig) {
+    if (!isKnownTool(key)) {
+      throw new Error(`Unknown tool: ${key}`);
+    }
+  }
+
+  // Update configuration
+  toolConfig.enabled = { ...toolConfig.enabled, ...newConfig };
+  logger.debug('🔧 Updated enabled tools:', toolConfig.enabled);
+
+  return { ...toolConfig.enabled };
+}
+
+/**
+ * Plugin fields may be values or functions of the session's tool configuration
+ * @param {*} value - Field value
+ * @param {Object} toolConfig - Session tool configuration
+ * @returns {*}
+ */
+function resolve(value, toolConfig) {
+  return typeof value === 'function' ? value({ toolConfig }) : value;
+}
+
+/**
+ * Generate tool function declarations for Gemini API (filtered by enabled tools)
+ * This must be called dynamically to reflect current enabled tools
+ * @param {Object} toolConfig - Session tool configuration
+ */
+function getToolDeclarations(toolConfig) {
+  const declarations = [];
+  const functionDeclarations = [];
+
+  for (const tool of getTools()) {
+    if (!toolConfig.enabled[tool.id]) continue;
+
+    // Gemini built-in tools (Google Search) are separate entries
+    if (tool.nativeTool) {
+      declarations.push(tool.nativeTool);
+      continue;
+    }
+
+    const declaration = { ...resolve(tool.declaration, toolConfig), name: tool.id };
+    if (toolConfig.asyncSettings[tool.id]) {
+      declaration.behavior = 'NON_BLOCKING';
+    }
+    functionDeclarations.push(declaration);
+  }
+
+  // Add custom function declarations if any exist
+  if (functionDeclarations.length > 0) {
+    declarations.push({ functionDeclarations });
+  }
+
+  return declarations;
+}
+
+/**
+ * System prompt snippets of the enabled tools
+ * @param {Object} toolConfig - Session tool configuration
+ * @returns {Object} { capabilities, usage, guidelines, examples } - arrays of lines
+ */
+function getPromptSnippets(toolConfig) {
+  const enabled = toolConfig.enabled;
+  const capabilities = [];
+  const usage = [];
+  const guidelines = [];
+  const examples = [];
+
+  for (const tool of getTools()) {
+    if (!enabled[tool.id]) continue;
+    const prompt = tool.prompt;
+
+    // Related tools share a capability line, list it once
+    const capability = resolve(prompt.capability, toolConfig);
+    if (capability && !capabilities.includes(capability)) capabilities.push(capability);
+
+    const toolUsage = resolve(prompt.usage, toolConfig);
+    if (toolUsage) usage.push(`${tool.nativeTool ? tool.name : tool.id}: ${toolUsage}`);
+
+    guidelines.push(...(resolve(prompt.guidelines, toolConfig) || []));
+
+    // Examples that combine tools only apply when all of them are enabled
+    for (const example of resolve(prompt.examples, toolConfig) || []) {
+      if (typeof example === 'string') {
+        examples.push(example);
+      } else if ((example.requires || []).every(id => enabled[id])) {
+        examples.push(example.text);
+      }
+    }
+  }
+
+  return { capabilities, usage, guidelines, examples };
+}
+
+/**
+ * Why a tool call cannot run as requested (disabled, unknown or invalid arguments)
+ * @param {string} functionName - Name of the function to execute
+ * @param {Object} args - Function arguments
+ * @param {Object} toolConfig - Tool configuration of the calling session
+ * @returns {Object|null} Error result for the model, or null if the call can run
+ */
+function checkToolCall(functionName, args, toolConfig) {
+  // Block execution of disabled tools as a safety net
+  if (!toolConfig.enabled[functionName]) {
+    logger.warn(`🚫 Tool blocked by config: ${functionName}`);
+    return { success: false, error: 'Tool disabled by configuration' };
+  }
+
+  const tool = getTool(functionName);
+  if (!tool || !tool.handler) {
+    return { success: false, error: `Unknown function: ${functionName}` };
+  }
+
+  // Check the arguments against the declared parameters before the handler sees them
+  const violations = validateToolArgs(args || {}, resolve(tool.declaration, toolConfig).parameters);
+  if (violations.length > 0) {
+    logger.warn(`🧾 Invalid arguments for ${functionName}:`, { args: redactToolArgs(functionName, args), violations });
+    return invalidArgsResult(functionName, violations);
+  }
+  return null;
+}
+
+/**
+ * Copy of tool call arguments that is safe to log or store: the tool's sensitiveArgs are
+ * replaced by their length, then secrets and base64 blobs are redacted like any log value
+ * @param {string} functionName - Tool id
+ * @param {Object} args - Function arguments
+ * @returns {Object} Redacted arguments
+ */
+function redactToolArgs(functionName, args) {
+  const masked = { ...(args || {}) };
+  for (const name of getTool(functionName)?.sensitiveArgs || []) {
+    if (masked[name] === undefined) continue;
+    masked[name] = typeof masked[name] === 'string' ? `[${name} ${masked[name].length} chars]` : '[redacted]';
+  }
+  return redact(masked);
+}
+
+/**
+ * One-line, human-readable description of a tool call (for approval requests)
+ * @param {string} functionName - Tool id
+ * @param {Object} args - Valid function arguments
+ * @returns {string} Summary
+ */
+function describeToolCall(functionName, args = {}) {
+  const tool = getTool(functionName);
+  if (tool?.summarize) {
+    try {
+      return tool.summarize(args);
+    } catch (error) {
+      logger.warn(`⚠️ Could not summarize ${functionName}:`, error);
+    }
+  }
+  const details = Object.entries(args)
+    .map(([key, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return `${key}: ${text.length > 80 ? `${text.slice(0, 77)}...` : text}`;
+    })
+    .join(', ');
+  return `${tool?.name || functionName}${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * Execute a tool function
+ * @param {string} functionName - Name of the function to execute
+ * @param {Object} args - Function arguments
+ * @param {Object} toolConfig - Tool configuration of the calling session
+ * @returns {Promise<Object>} Function result
+ */
+async function executeTool(functionName, args, toolConfig) {
+  const problem = checkToolCall(functionName, args, toolConfig);
+  if (problem) return problem;
+  const tool = getTool(functionName);
+
+  logger.debug(`🔧 Executing tool: ${functionName}`, redactToolArgs(functionName, args));
+
+  try {
+    return await tool.handler(args || {}, { toolConfig, signal: toolCallContext.getStore()?.signal });
+  } catch (error) {
+    logger.error(`❌ Error executing ${functionName}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Timeout for a tool call
+ * @param {string} functionName - Tool name
+ * @returns {number} Timeout in milliseconds
+ */
+function getToolTimeout(functionName) {
+  return getTool(functionName)?.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS;
+}
+
+/**
+ * Execute a tool call with a timeout, abortable through a signal.
+ * Never throws: timed-out and cancelled calls resolve to a structured error
+ * ({ success: false, error, code: 'TOOL_TIMEOUT' | 'TOOL_CANCELLED' }) for the model.
+ * @param {string} functionName - Name of the function to execute
+ * @param {Object} args - Function arguments
+ * @param {Object} toolConfig - Tool configuration of the calling session
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the call (e.g. Gemini toolCallCancellation)
+ * @param {number} options.timeoutMs - Overrides the tool's timeout
+ * @returns {Promise<Object>} Function result
+ */
+function runToolCall(functionName, args, toolConfig, { signal, timeoutMs = getToolTimeout(functionName) } = {}) {
+  const controller = new AbortController();
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onCancel);
+      resolve(result);
+    };
+
+    const onCancel = () => {
+      logger.warn(`🛑 Tool call cancelled: ${functionName}`);
+      controller.abort();
+      finish({ success: false, error: `${functionName} was cancelled`, code: 'TOOL_CANCELLED' });
+    };
+
+    const timer = setTimeout(() => {
+      logger.warn(`⏱️  Tool call timed out after ${timeoutMs}ms: ${functionName}`);
+      controller.abort();
+      finish({ success: false, error: `${functionName} timed out after ${timeoutMs / 1000}s`, code: 'TOOL_TIMEOUT' });
+    }, timeoutMs);
+
+    if (signal?.aborted) {
+      onCancel();
+      return;
+    }
+    if (signal) signal.addEventListener('abort', onCancel, { once: true });
+
+    toolCallContext.run({ signal: controller.signal }, () => executeTool(functionName, args, toolConfig))
+      .then(result => {
+        if (!controller.signal.aborted) finish(result);
+      });
+  });
+}
+
+module.exports = {
+  getToolDeclarations,
+  getPromptSnippets,
+  executeTool,
+  runToolCall,
+  createToolConfig,
+  getEnabledTools,
+  getAllTools,
+  setEnabledTools,
+  setToolOrder,
+  setToolAsyncSettings,
+  getToolApproval,
+  setToolApprovals,
+  checkToolCall,
+  describeToolCall,
+  redactToolArgs,
+  getImageGenerationModel,
+  setImageGenerationModel,
+  getTools
+};
@@ -0,0 +1,170 @@
+/**
+ * Apsara Live - Tool argument validation
+ * Checks the arguments of a tool call against the `parameters` schema of its declaration
+ * (the OpenAPI subset Gemini uses: type, enum, required, properties, items, nullable,
+ * anyOf, minimum/maximum, minLength/maxLength, minItems/maxItems, pattern) before the
+ * handler runs, so a missing or mistyped argument comes back to the model as a list of
+ * violations it can correct instead of a runtime error from inside the tool.
+ * Properties the schema does not declare are allowed.
+ */
+
+const MAX_DEPTH = 20;
+
+/**
+ * JSON type of a value, in schema terms
+ * @param {*} value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value matches a schema type (Gemini also accepts upper case types like STRING)
+ * @param {*} value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const expected = String(type).toLowerCase();
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+/**
+ * Argument path for messages ("args", "args.path", "args.items[0]")
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+function formatPath(path) {
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : `${text}.${key}`), 'args');
+}
+
+/**
+ * Short description of a received value for violation messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describeValue(value) {
+  const type = typeOf(value);
+  if (type === 'string') return value.length > 40 ? `a string of ${value.length} characters` : JSON.stringify(value);
+  if (type === 'array') return `an array of ${value.length} items`;
+  if (type === 'object') return 'an object';
+  return `${type} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Collect the violations of a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Parameter schema
+ * @param {Array<string|number>} path - Path of the value in the arguments
+ * @param {Array<Object>} violations - Collected { path, message }
+ * @param {number} depth - Nesting depth (very deep schemas are not checked further)
+ */
+function check(value, schema, path, violations, depth) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return;
+  const add = message => violations.push({ path: formatPath(path), message });
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) add('must not be null');
+    return;
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    const matches = schema.anyOf.some(variant => {
+      const variantViolations = [];
+      check(value, variant, path, variantViolations, depth + 1);
+      return variantViolations.length === 0;
+    });
+    if (!matches) {
+      add(`must match one of: ${schema.anyOf.map(variant => String(variant?.type || 'any').toLowerCase()).join(', ')} (got ${describeValue(value)})`);
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    add(`must be ${String(schema.type).toLowerCase()} (got ${describeValue(value)})`);
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    add(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')} (got ${describeValue(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) add(`must be at least ${schema.minimum} (got ${value})`);
+    if (schema.maximum !== undefined && value > schema.maximum) add(`must be at most ${schema.maximum} (got ${value})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) add(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) add(`must be at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string') {
+      let pattern = null;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        // A pattern JavaScript cannot compile is not checked
+      }
+      if (pattern && !pattern.test(value)) add(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) add(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, [...path, index], violations, depth + 1));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        violations.push({ path: formatPath([...path, name]), message: 'is required' });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        check(value[name], propertySchema, [...path, name], violations, depth + 1);
+      }
+    }
+  }
+}
+
+/**
+ * Validate tool call arguments against a declaration's parameters schema
+ * @param {Object} args - Arguments from the model
+ * @param {Object} parameters - `parameters` of the function declaration (may be missing)
+ * @returns {Array<Object>} Violations as { path, message } (empty when valid)
+ */
+function validateToolArgs(args, parameters) {
+  if (!parameters) return [];
+  const violations = [];
+  check(args, { ...parameters, type: parameters.type || 'object' }, [], violations, 0);
+  return violations;
+}
+
+/**
+ * Tool result for a call with invalid arguments, worded so the model can retry correctly
+ * @param {string} functionName - Tool id
+ * @param {Array<Object>} violations - From validateToolArgs
+ * @returns {Object} { success: false, error, code: 'INVALID_ARGUMENTS', violations }
+ */
+function invalidArgsResult(functionName, violations) {
+  return {
+    success: false,
+    error: `Invalid arguments for ${functionName}: ${violations.map(violation => `${violation.path} ${violation.message}`).join('; ')}. Fix the arguments and call ${functionName} again.`,
+    code: 'INVALID_ARGUMENTS',
+    violations
+  };
+}
+
+module.exports = {
+  validateToolArgs,
+  invalidArgsResult
+};
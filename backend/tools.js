@@ -1,6 +1,8 @@
 /**
  * Apsara AI - Tool Functions
- * This module contains all the tool/function implementations that Apsara can use
+ * This module contains the implementations of the built-in tools. The model sees them
+ * through the plugins in backend/plugins/ (declaration, prompt snippet, handler), which
+ * tool-registry.js loads - add new tools as plugins rather than here.
  * 
  * SYSTEM DEPENDENCIES (for clipboard and screenshot tools):
  * 
@@ -27,217 +29,46 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 const { GoogleGenAI } = require('@google/genai');
+const { createLogger } = require('./logger');
+const { getConfig, DATA_DIR } = require('./config');
 
 const execAsync = promisify(exec);
 
-// Structured debug configuration (per-feature)
-const DEBUG = {
-  tools: process.env.DEBUG_TOOLS === 'true',
-  email: process.env.DEBUG_EMAIL === 'true',
-  clipboard: process.env.DEBUG_CLIPBOARD === 'true',
-  memory: process.env.DEBUG_MEMORY === 'true'
-};
-
-const debugLog = (scope, ...args) => {
-  if (DEBUG[scope]) {
-    console.log(`[DEBUG:${scope.toUpperCase()}]`, ...args);
-  }
-};
-
-// Tool enable/disable allowlist. Disable everything except googleSearch by default.
-let ENABLED_TOOLS = {
-  googleSearch: true,
+// Abort signal of the tool call currently executing, so shell commands it starts are killed with it
+const toolCallContext = new AsyncLocalStorage();
 
-  // Disabled by default for Gemini stability
-  send_email_to_shubharthak: false,
-  take_screenshot: false,
-  copy_to_clipboard: false,
-  get_clipboard_text: false,
-  paste_from_clipboard: false,
-  store_memory: false,
-  retrieve_memories: false,
-  clear_memories: false,
-  read_file: false,
-  browse_files: false,
-  create_file: false,
-  edit_file: false,
-  move_file: false,
-  rename_file: false,
-  delete_file: false,
-  open_url: false,
-  generate_image: false,
-  computer_use: false,  // POWERFUL: Mouse & keyboard control (disabled by default for safety)
-  
-  // Always enabled (internal tools)
-  share_screen: true,
-  share_camera: true,
-  change_theme: true
+// One logger per scope, so e.g. LOG_SCOPES=email=debug traces only email (see logger.js)
+const log = {
+  tools: createLogger('tools'),
+  email: createLogger('email'),
+  clipboard: createLogger('clipboard'),
+  memory: createLogger('memory')
 };
 
-// Tool metadata for UI display (with async behavior support)
-const TOOL_METADATA = {
-  googleSearch: { name: 'Google Search', description: 'Real-time web search', async: false },
-  send_email_to_shubharthak: { name: 'Send Email', description: 'Send messages with file attachments', async: true },
-  take_screenshot: { name: 'Take Screenshot', description: 'Capture screen', async: true },
-  copy_to_clipboard: { name: 'Copy to Clipboard', description: 'Copy text', async: true },
-  get_clipboard_text: { name: 'Get Clipboard', description: 'Read clipboard text', async: false },
-  paste_from_clipboard: { name: 'Paste Clipboard', description: 'Paste clipboard content', async: true },
-  store_memory: { name: 'Store Memory', description: 'Save information', async: true },
-  retrieve_memories: { name: 'Retrieve Memories', description: 'Recall stored info', async: false },
-  clear_memories: { name: 'Clear Memories', description: 'Delete stored info', async: true },
-  read_file: { name: 'Read File', description: 'Read local files (text or base64)', async: false },
-  browse_files: { name: 'Browse Files', description: 'List files and directories', async: false },
-  create_file: { name: 'Create File', description: 'Create new files with content', async: true },
-  edit_file: { name: 'Edit File', description: 'Edit existing files', async: true },
-  move_file: { name: 'Move File', description: 'Move files to new location', async: true },
-  rename_file: { name: 'Rename File', description: 'Rename files', async: true },
-  delete_file: { name: 'Delete File', description: 'Delete files', async: true },
-  open_url: { name: 'Open URL', description: 'Open websites in browser', async: true },
-  generate_image: { name: 'Generate Image', description: 'AI image generation (Nano Banana)', async: true },
-  computer_use: { name: 'Computer Use', description: 'Control mouse & keyboard (POWERFUL)', async: true },
-  
-  // Always enabled (internal tools)
-  share_screen: { name: 'Share Screen', description: 'Share screen with Apsara', async: true },
-  share_camera: { name: 'Share Camera', description: 'Share camera with Apsara', async: true },
-  change_theme: { name: 'Change Theme', description: 'Change UI theme', async: true }
-};
-
-// Tool order and async settings (can be customized by user)
-let toolOrder = Object.keys(ENABLED_TOOLS);
-let toolAsyncSettings = {};
-// Initialize async settings from metadata
-Object.keys(TOOL_METADATA).forEach(key => {
-  toolAsyncSettings[key] = TOOL_METADATA[key].async;
-});
-
-// Image generation model preference (flash or pro)
-let imageGenerationModel = 'flash'; // default to fast model
-
-/**
- * Get current enabled tools configuration
- * @returns {Object} Current ENABLED_TOOLS configuration
- */
-function getEnabledTools() {
-  return { ...ENABLED_TOOLS };
-}
-
-/**
- * Get all available tools with metadata
- * @returns {Array} Array of tool objects with metadata (sorted by toolOrder)
- */
-function getAllTools() {
-  // Sort tools by custom order
-  const orderedKeys = toolOrder.filter(key => key in ENABLED_TOOLS);
-  const unorderedKeys = Object.keys(ENABLED_TOOLS).filter(key => !toolOrder.includes(key));
-  const allKeys = [...orderedKeys, ...unorderedKeys];
-  
-  return allKeys.map((key, index) => {
-    const tool = {
-      id: key,
-      name: TOOL_METADATA[key]?.name || key,
-      description: TOOL_METADATA[key]?.description || '',
-      enabled: ENABLED_TOOLS[key],
-      async: toolAsyncSettings[key] !== undefined ? toolAsyncSettings[key] : false,
-      order: index
-    };
-    
-    // Add model info for generate_image tool
-    if (key === 'generate_image') {
-      tool.model = imageGenerationModel;
-    }
-    
-    return tool;
-  });
-}
-
-/**
- * Update tool order
- * @param {Array} newOrder - New order of tool IDs
- * @returns {Object} Updated tools
- */
-function setToolOrder(newOrder) {
-  // Validate that all keys exist
-  for (const key of newOrder) {
-    if (!(key in ENABLED_TOOLS)) {
-      throw new Error(`Unknown tool: ${key}`);
-    }
-  }
-  
-  toolOrder = newOrder;
-  debugLog('tools', '🔧 Updated tool order:', toolOrder);
-  
-  return getAllTools();
-}
-
-/**
- * Update tool async settings
- * @param {Object} asyncSettings - Object mapping tool IDs to async boolean
- * @returns {Object} Updated tools
- */
-function setToolAsyncSettings(asyncSettings) {
-  // Validate that all keys exist
-  for (const key in asyncSettings) {
-    if (!(key in ENABLED_TOOLS)) {
-      throw new Error(`Unknown tool: ${key}`);
-    }
-  }
-  
-  toolAsyncSettings = { ...toolAsyncSettings, ...asyncSettings };
-  debugLog('tools', '🔧 Updated tool async settings:', toolAsyncSettings);
-  
-  return getAllTools();
-}
-
-/**
- * Get current image generation model
- * @returns {string} Current model ('flash' or 'pro')
- */
-function getImageGenerationModel() {
-  return imageGenerationModel;
-}
-
-/**
- * Set image generation model
- * @param {string} model - Model to use ('flash' or 'pro')
- * @returns {string} Updated model
- */
-function setImageGenerationModel(model) {
-  if (model !== 'flash' && model !== 'pro') {
-    throw new Error('Invalid model. Must be "flash" or "pro"');
-  }
-  
-  imageGenerationModel = model;
-  debugLog('tools', `🎨 Image generation model set to: ${model}`);
-  
-  return imageGenerationModel;
-}
-
 /**
- * Update enabled tools configuration
- * @param {Object} newConfig - New enabled tools configuration
- * @returns {Object} Updated configuration
+ * Run a shell command, killing it if the current tool call is aborted
+ * @param {string} command - Command line
+ * @param {string} input - Text written to the command's stdin (keeps it out of the command line and its errors)
+ * @returns {Promise<Object>} { stdout, stderr }
  */
-function setEnabledTools(newConfig) {
-  // Validate that all keys exist
-  for (const key in newConfig) {
-    if (!(key in ENABLED_TOOLS)) {
-      throw new Error(`Unknown tool: ${key}`);
-    }
+function runCommand(command, input) {
+  const signal = toolCallContext.getStore()?.signal;
+  const running = execAsync(command, signal ? { signal } : {});
+  if (input !== undefined) {
+    running.child.stdin.on('error', () => {}); // A missing binary closes stdin early - the command's error reports it
+    running.child.stdin.end(input);
   }
-  
-  // Update configuration
-  ENABLED_TOOLS = { ...ENABLED_TOOLS, ...newConfig };
-  debugLog('tools', '🔧 Updated ENABLED_TOOLS:', ENABLED_TOOLS);
-  
-  return { ...ENABLED_TOOLS };
+  return running;
 }
 
 // Email configuration
 let emailTransporter = null;
 
 // Memory storage - persistent to JSON file
-const MEMORY_FILE = path.join(__dirname, 'apsara-memory.json');
+const MEMORY_FILE = path.join(DATA_DIR, 'apsara-memory.json');
+const GENERATED_IMAGES_DIR = path.join(__dirname, 'generated_images');
 let memoryStore = [];
 
 // Load memories from file on startup
@@ -246,12 +77,12 @@ function loadMemories() {
     if (fs.existsSync(MEMORY_FILE)) {
       const data = fs.readFileSync(MEMORY_FILE, 'utf8');
       memoryStore = JSON.parse(data);
-      console.log(`💾 Loaded ${memoryStore.length} memories from persistent storage`);
+      log.memory.info(`💾 Loaded ${memoryStore.length} memories from persistent storage`);
     } else {
-      console.log('💾 No existing memory file found, starting fresh');
+      log.memory.info('💾 No existing memory file found, starting fresh');
     }
   } catch (error) {
-    console.error('❌ Error loading memories:', error);
+    log.memory.error('❌ Error loading memories:', error);
     memoryStore = [];
   }
 }
@@ -260,9 +91,9 @@ function loadMemories() {
 function saveMemories() {
   try {
     fs.writeFileSync(MEMORY_FILE, JSON.stringify(memoryStore, null, 2), 'utf8');
-    debugLog('memory', `💾 Saved ${memoryStore.length} memories to persistent storage`);
+    log.memory.debug(`💾 Saved ${memoryStore.length} memories to persistent storage`);
   } catch (error) {
-    console.error('❌ Error saving memories:', error);
+    log.memory.error('❌ Error saving memories:', error);
   }
 }
 
@@ -286,7 +117,7 @@ function initEmailTransporter() {
         pass: process.env.EMAIL_APP_PASSWORD
       }
     });
-    debugLog('email', 'Email transporter initialized');
+    log.email.debug('Email transporter initialized');
   }
 
   return emailTransporter;
@@ -295,26 +126,26 @@ function initEmailTransporter() {
 /**
  * Send email with optional file attachment
  * @param {string} message - The message content
- * @param {string} recipientEmail - Email address to send to (defaults to Shubharthak)
+ * @param {string} recipientEmail - Email address to send to (defaults to email.defaultRecipient in apsara.config.json)
  * @param {string} senderInfo - Optional sender information
  * @param {string} fileBase64 - Optional base64 encoded file (or 'use_last_screenshot')
  * @param {string} filename - Optional filename for the attachment
  * @param {string} mimeType - Optional MIME type (e.g., 'image/png', 'application/pdf')
  * @returns {Promise<Object>} Result object with success status
  */
-async function sendEmailToShubharthak(message, recipientEmail = 'shubharthaksangharsha@gmail.com', senderInfo = '', fileBase64 = null, filename = 'attachment.dat', mimeType = null) {
+async function sendEmailToShubharthak(message, recipientEmail = getConfig().email.defaultRecipient, senderInfo = '', fileBase64 = null, filename = 'attachment.dat', mimeType = null) {
   try {
     const transporter = initEmailTransporter();
     
     // If fileBase64 is placeholder or 'use_last_screenshot', use the stored screenshot
     if (fileBase64 === 'base64_encoded_screenshot_data' || fileBase64 === 'use_last_screenshot' || (!fileBase64 && lastScreenshotData)) {
       if (lastScreenshotData) {
-        console.log('📎 Using last screenshot for email attachment');
+        log.email.info('📎 Using last screenshot for email attachment');
         fileBase64 = lastScreenshotData.image;
         filename = lastScreenshotData.filename;
         mimeType = lastScreenshotData.mimeType;
       } else {
-        console.warn('⚠️ No screenshot available, sending without attachment');
+        log.email.warn('⚠️ No screenshot available, sending without attachment');
         fileBase64 = null;
       }
     }
@@ -345,22 +176,22 @@ async function sendEmailToShubharthak(message, recipientEmail = 'shubharthaksang
       }
       
       mailOptions.attachments = [attachment];
-      console.log(`📎 Attaching file: ${filename} (${mimeType || 'unknown type'})`);
+      log.email.info(`📎 Attaching file: ${filename} (${mimeType || 'unknown type'})`);
     }
 
-    console.log(`📧 Sending email to: ${recipientEmail}`);
+    log.email.info(`📧 Sending email to: ${recipientEmail}`);
     const info = await transporter.sendMail(mailOptions);
-    debugLog('email', '✅ Email sent:', info.messageId);
+    log.email.debug('✅ Email sent:', info.messageId);
     
     // Clear last screenshot after successful email
     if (lastScreenshotData) {
       lastScreenshotData = null;
-      console.log('🗑️ Cleared screenshot cache');
+      log.email.info('🗑️ Cleared screenshot cache');
     }
     
     return { success: true, messageId: info.messageId, sentTo: recipientEmail };
   } catch (error) {
-    console.error('❌ Email error:', error);
+    log.email.error('❌ Email error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -402,7 +233,7 @@ async function takeScreenshot(returnImage = false) {
       return { success: false, error: 'Unsupported platform' };
     }
 
-    await execAsync(command);
+    await runCommand(command);
     
     // Read the screenshot file
     if (fs.existsSync(screenshotPath)) {
@@ -412,7 +243,7 @@ async function takeScreenshot(returnImage = false) {
       // Clean up temp file
       fs.unlinkSync(screenshotPath);
       
-      debugLog('tools', '✅ Screenshot captured successfully');
+      log.tools.debug('✅ Screenshot captured successfully');
       
       // Store image temporarily for potential email use
       const filename = `screenshot_${new Date().toISOString().replace(/:/g, '-')}.png`;
@@ -439,11 +270,19 @@ async function takeScreenshot(returnImage = false) {
       return { success: false, error: 'Screenshot file not created' };
     }
   } catch (error) {
-    console.error('❌ Screenshot error:', error);
+    log.tools.error('❌ Screenshot error:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Screenshot kept from the last take_screenshot call (the tool result only carries metadata)
+ * @returns {Object|null} { image (base64), filename, mimeType }
+ */
+function getLastScreenshot() {
+  return lastScreenshotData;
+}
+
 /**
  * Copy text to system clipboard
  * @param {string} text - The text to copy
@@ -453,25 +292,26 @@ async function copyToClipboard(text) {
   try {
     const platform = process.platform;
     
+    // The text goes through stdin, so it never appears in the command line or its error messages
     let command;
     if (platform === 'linux') {
       // Use xclip or xsel on Linux
-      command = `echo "${text.replace(/"/g, '\\"')}" | xclip -selection clipboard 2>/dev/null || echo "${text.replace(/"/g, '\\"')}" | xsel --clipboard`;
+      command = 'xclip -selection clipboard 2>/dev/null || xsel --clipboard --input';
     } else if (platform === 'darwin') {
       // macOS
-      command = `echo "${text.replace(/"/g, '\\"')}" | pbcopy`;
+      command = 'pbcopy';
     } else if (platform === 'win32') {
       // Windows
-      command = `powershell -command "Set-Clipboard -Value '${text.replace(/'/g, "''")}'"`; 
+      command = 'powershell -NoProfile -Command "[Console]::In.ReadToEnd() | Set-Clipboard"';
     } else {
       return { success: false, error: 'Unsupported platform' };
     }
 
-    await execAsync(command);
-  debugLog('clipboard', '✅ Text copied to clipboard');
+    await runCommand(command, text);
+  log.clipboard.debug('✅ Text copied to clipboard');
     return { success: true, message: 'Text copied to clipboard successfully' };
   } catch (error) {
-    console.error('❌ Clipboard error:', error);
+    log.clipboard.error('❌ Clipboard error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -495,11 +335,11 @@ async function getClipboardText() {
       return { success: false, error: 'Unsupported platform' };
     }
 
-    const { stdout } = await execAsync(command);
-  debugLog('clipboard', '✅ Retrieved clipboard text');
+    const { stdout } = await runCommand(command);
+  log.clipboard.debug('✅ Retrieved clipboard text');
     return { success: true, text: stdout.trim() };
   } catch (error) {
-    console.error('❌ Clipboard retrieval error:', error);
+    log.clipboard.error('❌ Clipboard retrieval error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -526,11 +366,11 @@ async function pasteFromClipboard() {
       return { success: false, error: 'Unsupported platform' };
     }
 
-    await execAsync(command);
-  debugLog('clipboard', '✅ Paste command executed');
+    await runCommand(command);
+  log.clipboard.debug('✅ Paste command executed');
     return { success: true, message: 'Paste command executed successfully' };
   } catch (error) {
-    console.error('❌ Paste error:', error);
+    log.clipboard.error('❌ Paste error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -553,7 +393,7 @@ async function storeMemory(content, category = 'general') {
     
     memoryStore.push(memory);
     saveMemories(); // Persist to file
-    debugLog('memory', `💾 Memory stored: [${category}] ${content.substring(0, 50)}...`);
+    log.memory.debug(`💾 Memory stored: [${category}] ${content.length} chars`);
     
     return { 
       success: true, 
@@ -562,7 +402,7 @@ async function storeMemory(content, category = 'general') {
       totalMemories: memoryStore.length
     };
   } catch (error) {
-    console.error('❌ Memory storage error:', error);
+    log.memory.error('❌ Memory storage error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -588,7 +428,7 @@ async function retrieveMemories(query = '') {
       );
     }
     
-  debugLog('memory', `🔍 Memory search for "${query}": ${results.length} results`);
+  log.memory.debug(`🔍 Memory search for "${query}": ${results.length} results`);
     
     return {
       success: true,
@@ -600,7 +440,7 @@ async function retrieveMemories(query = '') {
       }))
     };
   } catch (error) {
-    console.error('❌ Memory retrieval error:', error);
+    log.memory.error('❌ Memory retrieval error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -616,10 +456,10 @@ async function clearMemories(category = null) {
     
     if (category) {
       memoryStore = memoryStore.filter(m => m.category.toLowerCase() !== category.toLowerCase());
-      debugLog('memory', `🗑️ Cleared memories in category: ${category}`);
+      log.memory.debug(`🗑️ Cleared memories in category: ${category}`);
     } else {
       memoryStore = [];
-      debugLog('memory', '🗑️ Cleared all memories');
+      log.memory.debug('🗑️ Cleared all memories');
     }
     
     saveMemories(); // Persist to file
@@ -631,7 +471,7 @@ async function clearMemories(category = null) {
       remainingMemories: memoryStore.length
     };
   } catch (error) {
-    console.error('❌ Memory clear error:', error);
+    log.memory.error('❌ Memory clear error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -694,7 +534,7 @@ async function readFile(filePath, asBase64 = false) {
       };
     }
   } catch (error) {
-    console.error('❌ File read error:', error);
+    log.tools.error('❌ File read error:', error);
     return { 
       success: false, 
       error: error.message 
@@ -779,7 +619,7 @@ async function browseFiles(dirPath = require('os').homedir(), includeHidden = fa
       message: `Found ${itemDetails.length} items in ${absolutePath}`
     };
   } catch (error) {
-    console.error('❌ File browse error:', error);
+    log.tools.error('❌ File browse error:', error);
     return { 
       success: false, 
       error: error.message 
@@ -825,7 +665,7 @@ async function createFile(filePath, content, overwrite = false) {
       message: `File created successfully: ${path.basename(absolutePath)} (${Math.round(stats.size / 1024)}KB)`
     };
   } catch (error) {
-    console.error('❌ File create error:', error);
+    log.tools.error('❌ File create error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -874,7 +714,7 @@ async function editFile(filePath, content, mode = 'write') {
       message: `File ${mode === 'append' ? 'appended' : 'updated'} successfully: ${path.basename(absolutePath)} (${Math.round(newStats.size / 1024)}KB)`
     };
   } catch (error) {
-    console.error('❌ File edit error:', error);
+    log.tools.error('❌ File edit error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -924,7 +764,7 @@ async function moveFile(sourcePath, destinationPath, overwrite = false) {
       message: `File moved successfully: ${path.basename(absoluteSource)} → ${path.basename(absoluteDestination)}`
     };
   } catch (error) {
-    console.error('❌ File move error:', error);
+    log.tools.error('❌ File move error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -971,7 +811,7 @@ async function renameFile(filePath, newName) {
       message: `File renamed successfully: ${path.basename(absolutePath)} → ${newName}`
     };
   } catch (error) {
-    console.error('❌ File rename error:', error);
+    log.tools.error('❌ File rename error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1023,7 +863,7 @@ async function deleteFile(filePath, confirm = false) {
       message: `File deleted successfully: ${filename} (${size}KB)`
     };
   } catch (error) {
-    console.error('❌ File delete error:', error);
+    log.tools.error('❌ File delete error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1053,7 +893,7 @@ async function openUrl(url) {
       return { success: false, error: 'Unsupported platform' };
     }
     
-    await execAsync(command);
+    await runCommand(command);
     
     return {
       success: true,
@@ -1061,7 +901,7 @@ async function openUrl(url) {
       message: `Opened URL in browser: ${url}`
     };
   } catch (error) {
-    console.error('❌ URL open error:', error);
+    log.tools.error('❌ URL open error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1098,7 +938,7 @@ async function shareScreen(resolution = null) {
       note: 'Screen sharing will be initiated in the UI'
     };
   } catch (error) {
-    console.error('❌ Screen share error:', error);
+    log.tools.error('❌ Screen share error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1135,7 +975,7 @@ async function shareCamera(resolution = null) {
       note: 'Camera sharing will be initiated in the UI'
     };
   } catch (error) {
-    console.error('❌ Camera share error:', error);
+    log.tools.error('❌ Camera share error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1312,8 +1152,8 @@ async function computerUse(action, x = null, y = null, text = null, key = null,
     }
     
     // Execute the command
-    debugLog('computer-use', `🖱️ Executing ${action} on ${platform}:`, command);
-    result = await execAsync(command);
+    log.tools.debug(`🖱️ Executing ${action} on ${platform}:`, command);
+    result = await runCommand(command);
     
     // Build response message
     let message = '';
@@ -1354,7 +1194,7 @@ async function computerUse(action, x = null, y = null, text = null, key = null,
       message: message
     };
   } catch (error) {
-    console.error('❌ Computer use error:', error);
+    log.tools.error('❌ Computer use error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1368,9 +1208,7 @@ async function changeTheme(theme) {
   try {
     // This tool sends a message to the frontend to change the theme
     
-    const availableThemes = [
-      'light', 'dark', 'nightly', 'dracula', 'monokai', 'nord', 'solarized-light', 'solarized-dark'
-    ];
+    const availableThemes = getConfig().themes;
     
     if (!theme) {
       return { 
@@ -1398,7 +1236,7 @@ async function changeTheme(theme) {
       note: 'Theme will be changed in the UI'
     };
   } catch (error) {
-    console.error('❌ Theme change error:', error);
+    log.tools.error('❌ Theme change error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -1417,9 +1255,9 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
       return { success: false, error: 'Prompt is required for image generation' };
     }
     
-    // Use configured model if not specified
+    // Use the fast model if not specified
     if (!model) {
-      model = imageGenerationModel;
+      model = 'flash';
     }
     
     // Validate model
@@ -1428,7 +1266,7 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
       'pro': 'gemini-3-pro-image-preview'
     };
     
-    const selectedModel = modelMap[model] || modelMap[imageGenerationModel];
+    const selectedModel = modelMap[model] || modelMap.flash;
     
     // Initialize Google GenAI with IMAGE_API_KEY (falls back to GEMINI_API_KEY, then GOOGLE_API_KEY)
     const apiKey = process.env.IMAGE_API_KEY || process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
@@ -1436,7 +1274,7 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
       return { success: false, error: 'IMAGE_API_KEY, GEMINI_API_KEY, or GOOGLE_API_KEY not found in environment' };
     }
     
-    // Always log which API key is being used (not just debug mode)
+    // Log which API key variable is used (never the key itself)
     let keySource = 'UNKNOWN';
     if (process.env.IMAGE_API_KEY) {
       keySource = 'IMAGE_API_KEY';
@@ -1446,10 +1284,7 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
       keySource = 'GOOGLE_API_KEY (fallback)';
     }
     
-    const keyPreview = apiKey ? `${apiKey.substring(0, 8)}...` : 'none';
-    console.log(`🔑 Image Generation API Key Source: ${keySource}`);
-    console.log(`🔑 API Key Preview: ${keyPreview}`);
-    console.log(`🎨 Generating image with model: ${selectedModel}`);
+    log.tools.info(`🎨 Generating image with model: ${selectedModel} (key from ${keySource})`);
     
     // Temporarily unset other env vars to prevent library confusion
     const originalGoogleKey = process.env.GOOGLE_API_KEY;
@@ -1480,8 +1315,8 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
       };
     }
     
-    debugLog('tools', `🎨 Generating image with ${selectedModel}...`);
-    debugLog('tools', `📝 Prompt: ${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}`);
+    log.tools.debug(`🎨 Generating image with ${selectedModel}...`);
+    log.tools.debug(`📝 Prompt: ${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}`);
     
     // Generate the image
     const response = await ai.models.generateContent({
@@ -1513,7 +1348,7 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `apsara-generated-${timestamp}.png`;
-    const filepath = path.join(__dirname, 'generated_images', filename);
+    const filepath = path.join(GENERATED_IMAGES_DIR, filename);
     
     // Ensure directory exists
     const dir = path.dirname(filepath);
@@ -1525,7 +1360,7 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
     const buffer = Buffer.from(imageData, 'base64');
     fs.writeFileSync(filepath, buffer);
     
-    debugLog('tools', `✅ Image generated and saved: ${filename}`);
+    log.tools.debug(`✅ Image generated and saved: ${filename}`);
     
     return {
       success: true,
@@ -1541,7 +1376,7 @@ async function generateImage(prompt, model, aspectRatio = '1:1', imageSize = '1K
       textResponse: textResponse || undefined
     };
   } catch (error) {
-    console.error('❌ Image generation error:', error);
+    log.tools.error('❌ Image generation error:', error);
     return { 
       success: false, 
       error: error.message,
@@ -1580,505 +1415,6 @@ function getMimeType(filename) {
   return mimeTypes[ext] || 'application/octet-stream';
 }
 
-/**
- * Helper to add behavior to function declaration
- */
-function addBehavior(declaration, toolId) {
-  if (toolAsyncSettings[toolId]) {
-    declaration.behavior = 'NON_BLOCKING';
-  }
-  return declaration;
-}
-
-/**
- * Generate tool function declarations for Gemini API (filtered by ENABLED_TOOLS)
- * This must be called dynamically to reflect current enabled tools
- */
-function getToolDeclarations() {
-  const declarations = [];
-  
-  // Google Search - add if enabled
-  if (ENABLED_TOOLS.googleSearch) {
-    declarations.push({ googleSearch: {} });
-  }
-
-  // Custom tools - build function declarations array
-  const functionDeclarations = [];
-
-  if (ENABLED_TOOLS.send_email_to_shubharthak) {
-    functionDeclarations.push(addBehavior({
-      name: 'send_email_to_shubharthak',
-      description: 'Send an email to any recipient with optional file attachment. WORKFLOWS: (1) Screenshot: call take_screenshot, then this with fileBase64="use_last_screenshot". (2) Any file: call read_file with asBase64=true, then this with fileBase64=result.base64Content, filename=result.filename, mimeType=result.mimeType.',
-      parameters: {
-        type: 'object',
-        properties: {
-          message: { type: 'string', description: 'Email message content' },
-          recipientEmail: { type: 'string', description: 'Email address to send to (defaults to shubharthaksangharsha@gmail.com)' },
-          senderInfo: { type: 'string', description: 'Optional context or sender information' },
-          fileBase64: { type: 'string', description: 'Base64 encoded file content OR "use_last_screenshot". Get this from read_file result.base64Content or take_screenshot.' },
-          filename: { type: 'string', description: 'Filename for attachment (e.g., start.sh, document.pdf). Get from read_file result.filename.' },
-          mimeType: { type: 'string', description: 'MIME type (e.g., text/plain, application/pdf). Get from read_file result.mimeType.' }
-        },
-        required: ['message']
-      }
-    }, 'send_email_to_shubharthak'));
-  }
-
-  if (ENABLED_TOOLS.take_screenshot) {
-    functionDeclarations.push(addBehavior({
-      name: 'take_screenshot',
-      description: 'Take a screenshot of the current screen.',
-      parameters: { type: 'object', properties: {} }
-    }, 'take_screenshot'));
-  }
-
-  if (ENABLED_TOOLS.copy_to_clipboard) {
-    functionDeclarations.push(addBehavior({
-      name: 'copy_to_clipboard',
-      description: 'Copy text to the system clipboard.',
-      parameters: {
-        type: 'object',
-        properties: { text: { type: 'string' } },
-        required: ['text']
-      }
-    }, 'copy_to_clipboard'));
-  }
-
-  if (ENABLED_TOOLS.get_clipboard_text) {
-    functionDeclarations.push(addBehavior({
-      name: 'get_clipboard_text',
-      description: 'Get the current text from system clipboard.',
-      parameters: { type: 'object', properties: {} }
-    }, 'get_clipboard_text'));
-  }
-
-  if (ENABLED_TOOLS.paste_from_clipboard) {
-    functionDeclarations.push(addBehavior({
-      name: 'paste_from_clipboard',
-      description: 'Simulate keyboard paste (Ctrl+V/Cmd+V).',
-      parameters: { type: 'object', properties: {} }
-    }, 'paste_from_clipboard'));
-  }
-
-  if (ENABLED_TOOLS.store_memory) {
-    functionDeclarations.push(addBehavior({
-      name: 'store_memory',
-      description: 'Store a memory/note for later retrieval.',
-      parameters: {
-        type: 'object',
-        properties: { content: { type: 'string' }, category: { type: 'string' } },
-        required: ['content']
-      }
-    }, 'store_memory'));
-  }
-
-  if (ENABLED_TOOLS.retrieve_memories) {
-    functionDeclarations.push(addBehavior({
-      name: 'retrieve_memories',
-      description: 'Retrieve stored memories/notes.',
-      parameters: { type: 'object', properties: { query: { type: 'string' } } }
-    }, 'retrieve_memories'));
-  }
-
-  if (ENABLED_TOOLS.clear_memories) {
-    functionDeclarations.push(addBehavior({
-      name: 'clear_memories',
-      description: 'Clear memories (all or by category).',
-      parameters: { type: 'object', properties: { category: { type: 'string' } } }
-    }, 'clear_memories'));
-  }
-
-  if (ENABLED_TOOLS.read_file) {
-    functionDeclarations.push(addBehavior({
-      name: 'read_file',
-      description: 'Read a file from the local filesystem. Returns file content as text OR base64. TO EMAIL A FILE: Use asBase64=true, then pass result.base64Content to send_email_to_shubharthak with result.filename and result.mimeType.',
-      parameters: {
-        type: 'object',
-        properties: {
-          filePath: { type: 'string', description: 'Absolute or relative path to the file (e.g., /home/user/start.sh or ./backend/start.sh)' },
-          asBase64: { type: 'boolean', description: 'REQUIRED for email: true = returns base64Content (for attachments), false = returns text content (for reading). Set to true when emailing files.' }
-        },
-        required: ['filePath']
-      }
-    }, 'read_file'));
-  }
-
-  if (ENABLED_TOOLS.browse_files) {
-    functionDeclarations.push(addBehavior({
-      name: 'browse_files',
-      description: 'Browse and list files and directories in a given path. Shows directories and files with details.',
-      parameters: {
-        type: 'object',
-        properties: {
-          dirPath: { type: 'string', description: 'Directory path to browse (defaults to user home directory)' },
-          includeHidden: { type: 'boolean', description: 'Include hidden files/folders (default: false)' }
-        }
-      }
-    }, 'browse_files'));
-  }
-
-  if (ENABLED_TOOLS.create_file) {
-    functionDeclarations.push(addBehavior({
-      name: 'create_file',
-      description: 'Create a new file with content. Automatically creates parent directories if needed.',
-      parameters: {
-        type: 'object',
-        properties: {
-          filePath: { type: 'string', description: 'Path where to create the file (e.g., /home/user/notes.txt)' },
-          content: { type: 'string', description: 'Content to write to the file' },
-          overwrite: { type: 'boolean', description: 'Overwrite if file exists (default: false)' }
-        },
-        required: ['filePath', 'content']
-      }
-    }, 'create_file'));
-  }
-
-  if (ENABLED_TOOLS.edit_file) {
-    functionDeclarations.push(addBehavior({
-      name: 'edit_file',
-      description: 'Edit an existing file. Can replace entire content or append to the end.',
-      parameters: {
-        type: 'object',
-        properties: {
-          filePath: { type: 'string', description: 'Path to the file to edit' },
-          content: { type: 'string', description: 'New content or content to append' },
-          mode: { type: 'string', description: 'Edit mode: "write" (replace all) or "append" (add to end). Default: "write"' }
-        },
-        required: ['filePath', 'content']
-      }
-    }, 'edit_file'));
-  }
-
-  if (ENABLED_TOOLS.move_file) {
-    functionDeclarations.push(addBehavior({
-      name: 'move_file',
-      description: 'Move a file to a new location. Can also be used to move files between directories.',
-      parameters: {
-        type: 'object',
-        properties: {
-          sourcePath: { type: 'string', description: 'Current file path' },
-          destinationPath: { type: 'string', description: 'New file path (full path with filename)' },
-          overwrite: { type: 'boolean', description: 'Overwrite if destination exists (default: false)' }
-        },
-        required: ['sourcePath', 'destinationPath']
-      }
-    }, 'move_file'));
-  }
-
-  if (ENABLED_TOOLS.rename_file) {
-    functionDeclarations.push(addBehavior({
-      name: 'rename_file',
-      description: 'Rename a file (stays in same directory). For moving to different directory, use move_file.',
-      parameters: {
-        type: 'object',
-        properties: {
-          filePath: { type: 'string', description: 'Current file path' },
-          newName: { type: 'string', description: 'New filename (just the name, not full path)' }
-        },
-        required: ['filePath', 'newName']
-      }
-    }, 'rename_file'));
-  }
-
-  if (ENABLED_TOOLS.delete_file) {
-    functionDeclarations.push(addBehavior({
-      name: 'delete_file',
-      description: 'Delete a file (PERMANENT). Requires confirmation=true for safety. Ask user before calling.',
-      parameters: {
-        type: 'object',
-        properties: {
-          filePath: { type: 'string', description: 'Path to file to delete' },
-          confirm: { type: 'boolean', description: 'Safety confirmation - MUST be true to delete. Always ask user first!' }
-        },
-        required: ['filePath', 'confirm']
-      }
-    }, 'delete_file'));
-  }
-
-  if (ENABLED_TOOLS.open_url) {
-    functionDeclarations.push(addBehavior({
-      name: 'open_url',
-      description: 'Open a URL in the default web browser. Automatically adds https:// if missing.',
-      parameters: {
-        type: 'object',
-        properties: {
-          url: { type: 'string', description: 'URL to open (e.g., google.com or https://github.com)' }
-        },
-        required: ['url']
-      }
-    }, 'open_url'));
-  }
-
-  if (ENABLED_TOOLS.generate_image) {
-    functionDeclarations.push(addBehavior({
-      name: 'generate_image',
-      description: 'Generate AI images using Nano Banana (Gemini Image Generation). Creates high-quality images from text descriptions. Use "flash" model for speed, "pro" for best quality with text rendering and 4K resolution.',
-      parameters: {
-        type: 'object',
-        properties: {
-          prompt: { 
-            type: 'string', 
-            description: 'Detailed text description of the image to generate. Be specific about style, colors, composition, and details.' 
-          },
-          model: { 
-            type: 'string', 
-            enum: ['flash', 'pro'],
-            description: 'Model to use: "flash" (gemini-2.5-flash-image, fast) or "pro" (gemini-3-pro-image-preview, best quality). Default: flash' 
-          },
-          aspectRatio: { 
-            type: 'string',
-            enum: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
-            description: 'Aspect ratio of generated image. Default: 1:1' 
-          },
-          imageSize: { 
-            type: 'string',
-            enum: ['1K', '2K', '4K'],
-            description: 'Image resolution (pro model only): 1K, 2K, or 4K. Default: 1K' 
-          }
-        },
-        required: ['prompt']
-      }
-    }, 'generate_image'));
-  }
-
-  if (ENABLED_TOOLS.computer_use) {
-    functionDeclarations.push(addBehavior({
-      name: 'computer_use',
-      description: `COMPUTER USE - Control mouse and keyboard using screen coordinates. REQUIRES SCREEN SHARING TO BE ACTIVE.
-
-**CRITICAL: Coordinate System**
-- Origin (0, 0) is TOP-LEFT corner of screen
-- X increases rightward (0 = left edge, max = right edge)
-- Y increases downward (0 = top edge, max = bottom edge)
-- You MUST see the screen via screen sharing to know where to click
-- ALWAYS look at the current screen content before acting
-- Calculate coordinates based on visual position of UI elements
-
-**Available Actions:**
-- click: Left-click at (x, y)
-- double_click: Double left-click at (x, y)
-- right_click: Right-click at (x, y)
-- move: Move mouse to (x, y) without clicking
-- type: Type text (uses currently focused input)
-- key: Press special key (Return, Tab, Escape, Up, Down, Left, Right)
-- scroll: Scroll up/down by amount
-
-**Example Workflow:**
-1. User: "Go to chatgpt.com and ask what is life"
-2. You: open_url("chatgpt.com") → wait 2-3 seconds
-3. You: Look at screen via screen sharing
-4. You: Identify "New Chat" button position (e.g., x=1200, y=150)
-5. You: computer_use("click", x=1200, y=150)
-6. You: Identify text input field (e.g., x=800, y=500)
-7. You: computer_use("click", x=800, y=500)
-8. You: computer_use("type", text="what is life?")
-9. You: computer_use("key", key="Return")
-
-**SAFETY:**
-- ONLY use when screen sharing is active
-- ALWAYS look at screen before clicking
-- NEVER click blindly - calculate coordinates from visual position
-- Start with approximate coordinates, adjust if needed
-- Wait 1-2 seconds between actions for UI to update`,
-      parameters: {
-        type: 'object',
-        properties: {
-          action: { 
-            type: 'string',
-            enum: ['click', 'double_click', 'right_click', 'move', 'type', 'key', 'scroll'],
-            description: 'Action to perform'
-          },
-          x: { 
-            type: 'number', 
-            description: 'X coordinate in pixels (horizontal, 0 = left edge). Required for click/double_click/right_click/move.' 
-          },
-          y: { 
-            type: 'number', 
-            description: 'Y coordinate in pixels (vertical, 0 = top edge). Required for click/double_click/right_click/move.' 
-          },
-          text: { 
-            type: 'string', 
-            description: 'Text to type. Required for "type" action. Will be typed in the currently focused input field.' 
-          },
-          key: { 
-            type: 'string',
-            enum: ['Return', 'Tab', 'Escape', 'Delete', 'Up', 'Down', 'Left', 'Right'],
-            description: 'Special key to press. Required for "key" action. Return = Enter key.'
-          },
-          direction: { 
-            type: 'string',
-            enum: ['up', 'down'],
-            description: 'Scroll direction. Required for "scroll" action.'
-          },
-          amount: { 
-            type: 'number', 
-            description: 'Scroll amount in pixels. Optional, defaults to 100. For "scroll" action.' 
-          }
-        },
-        required: ['action']
-      }
-    }, 'computer_use'));
-  }
-
-  // Always enabled tools (internal, not in UI)
-  if (ENABLED_TOOLS.share_screen) {
-    functionDeclarations.push(addBehavior({
-      name: 'share_screen',
-      description: 'Share screen with Apsara. You can see what the user is doing on their screen. Optional resolution parameter (e.g., "1920x1080", "3072x1920"). If not specified, uses current UI selection.',
-      parameters: {
-        type: 'object',
-        properties: {
-          resolution: { 
-            type: 'string',
-            enum: ['1280x720', '1920x1080', '2560x1440', '3072x1920', '3840x2160'],
-            description: 'Screen capture resolution. Default: uses current UI selection' 
-          }
-        },
-        required: []
-      }
-    }, 'share_screen'));
-  }
-
-  if (ENABLED_TOOLS.share_camera) {
-    functionDeclarations.push(addBehavior({
-      name: 'share_camera',
-      description: 'Share camera with Apsara. You can see the user through their camera. Optional resolution parameter (e.g., "640x480", "1280x720"). If not specified, uses current UI selection.',
-      parameters: {
-        type: 'object',
-        properties: {
-          resolution: { 
-            type: 'string',
-            enum: ['640x480', '1280x720', '1920x1080'],
-            description: 'Camera capture resolution. Default: uses current UI selection' 
-          }
-        },
-        required: []
-      }
-    }, 'share_camera'));
-  }
-
-  if (ENABLED_TOOLS.change_theme) {
-    functionDeclarations.push(addBehavior({
-      name: 'change_theme',
-      description: 'Change the UI theme/appearance. Use when user asks to change theme, switch themes, or make UI darker/lighter. Available themes: light (white/clean), dark (dark gray), nightly (navy blue), dracula (purple/pink), monokai (yellow/green on dark), nord (blue/teal arctic), solarized-light (warm beige), solarized-dark (dark blue).',
-      parameters: {
-        type: 'object',
-        properties: {
-          theme: { 
-            type: 'string',
-            enum: ['light', 'dark', 'nightly', 'dracula', 'monokai', 'nord', 'solarized-light', 'solarized-dark'],
-            description: 'Theme name to switch to. Examples: "dark" for dark mode, "dracula" for purple theme, "nightly" for navy blue, "nord" for arctic blue.' 
-          }
-        },
-        required: ['theme']
-      }
-    }, 'change_theme'));
-  }
-
-  // Add custom function declarations if any exist
-  if (functionDeclarations.length > 0) {
-    declarations.push({ functionDeclarations });
-  }
-
-  return declarations;
-}
-
-/**
- * Execute a tool function
- * @param {string} functionName - Name of the function to execute
- * @param {Object} args - Function arguments
- * @returns {Promise<Object>} Function result
- */
-async function executeTool(functionName, args) {
-  // Block execution of disabled tools as a safety net
-  if (!ENABLED_TOOLS[functionName]) {
-    console.warn(`🚫 Tool blocked by config: ${functionName}`);
-    return { success: false, error: 'Tool disabled by configuration' };
-  }
-
-  debugLog('tools', `🔧 Executing tool: ${functionName}`, args);
-
-  try {
-    switch (functionName) {
-      case 'send_email_to_shubharthak':
-        return await sendEmailToShubharthak(
-          args.message,
-          args.recipientEmail,
-          args.senderInfo,
-          args.fileBase64,
-          args.filename,
-          args.mimeType
-        );
-      
-      case 'take_screenshot':
-        return await takeScreenshot();
-      
-      case 'copy_to_clipboard':
-        return await copyToClipboard(args.text);
-      
-      case 'get_clipboard_text':
-        return await getClipboardText();
-      
-      case 'paste_from_clipboard':
-        return await pasteFromClipboard();
-      
-      case 'store_memory':
-        return await storeMemory(args.content, args.category);
-      
-      case 'retrieve_memories':
-        return await retrieveMemories(args.query);
-      
-      case 'clear_memories':
-        return await clearMemories(args.category);
-      
-      case 'read_file':
-        return await readFile(args.filePath, args.asBase64);
-      
-      case 'browse_files':
-        return await browseFiles(args.dirPath, args.includeHidden);
-      
-      case 'create_file':
-        return await createFile(args.filePath, args.content, args.overwrite);
-      
-      case 'edit_file':
-        return await editFile(args.filePath, args.content, args.mode);
-      
-      case 'move_file':
-        return await moveFile(args.sourcePath, args.destinationPath, args.overwrite);
-      
-      case 'rename_file':
-        return await renameFile(args.filePath, args.newName);
-      
-      case 'delete_file':
-        return await deleteFile(args.filePath, args.confirm);
-      
-      case 'open_url':
-        return await openUrl(args.url);
-      
-      case 'generate_image':
-        return await generateImage(args.prompt, args.model, args.aspectRatio, args.imageSize);
-      
-      case 'computer_use':
-        return await computerUse(args.action, args.x, args.y, args.text, args.key, args.direction, args.amount);
-      
-      case 'share_screen':
-        return await shareScreen(args.resolution);
-      
-      case 'share_camera':
-        return await shareCamera(args.resolution);
-      
-      case 'change_theme':
-        return await changeTheme(args.theme);
-      
-      default:
-        return { success: false, error: `Unknown function: ${functionName}` };
-    }
-  } catch (error) {
-    console.error(`❌ Error executing ${functionName}:`, error);
-    return { success: false, error: error.message };
-  }
-}
-
 /**
  * Take screenshot and email it to Shubharthak in one operation
  * @param {string} message - Email message
@@ -2087,7 +1423,7 @@ async function executeTool(functionName, args) {
  */
 async function screenshotAndEmail(message = 'Screenshot attached', senderInfo = '') {
   try {
-  debugLog('tools', '📸 Taking screenshot for email...');
+  log.tools.debug('📸 Taking screenshot for email...');
     
     // Step 1: Take screenshot (with returnImage=true for internal use)
     const screenshotResult = await takeScreenshot(true);
@@ -2096,7 +1432,7 @@ async function screenshotAndEmail(message = 'Screenshot attached', senderInfo =
       return { success: false, error: `Screenshot failed: ${screenshotResult.error}` };
     }
     
-  debugLog('tools', '✅ Screenshot captured, now sending email...');
+  log.tools.debug('✅ Screenshot captured, now sending email...');
     
     // Step 2: Send email with screenshot
     const emailResult = await sendEmailToShubharthak(
@@ -2111,7 +1447,7 @@ async function screenshotAndEmail(message = 'Screenshot attached', senderInfo =
       return { success: false, error: `Email failed: ${emailResult.error}` };
     }
     
-  debugLog('email', '✅ Screenshot emailed successfully');
+  log.email.debug('✅ Screenshot emailed successfully');
     return {
       success: true,
       message: 'Screenshot captured and emailed successfully',
@@ -2119,16 +1455,15 @@ async function screenshotAndEmail(message = 'Screenshot attached', senderInfo =
       filename: screenshotResult.filename
     };
   } catch (error) {
-    console.error('❌ Screenshot+Email error:', error);
+    log.email.error('❌ Screenshot+Email error:', error);
     return { success: false, error: error.message };
   }
 }
 
 module.exports = {
-  getToolDeclarations,
-  executeTool,
   sendEmailToShubharthak,
   takeScreenshot,
+  getLastScreenshot,
   screenshotAndEmail,
   copyToClipboard,
   getClipboardText,
@@ -2144,12 +1479,14 @@ module.exports = {
   renameFile,
   deleteFile,
   openUrl,
-  getEnabledTools,
-  getAllTools,
-  setEnabledTools,
-  setToolOrder,
-  setToolAsyncSettings,
-  getImageGenerationModel,
-  setImageGenerationModel,
-  TOOL_METADATA
+  shareScreen,
+  shareCamera,
+  computerUse,
+  changeTheme,
+  generateImage,
+  runCommand,
+  initEmailTransporter,
+  toolCallContext,
+  MEMORY_FILE,
+  GENERATED_IMAGES_DIR
 };
@@ -0,0 +1,76 @@
+/**
+ * Apsara Live - Conversation transcripts
+ * Collects live input/output transcription chunks per session and appends
+ * finished utterances to a per-session transcript file (backend/transcripts/).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { DATA_DIR } = require('./config');
+
+const logger = createLogger('transcripts');
+
+const TRANSCRIPTS_DIR = path.join(DATA_DIR, 'transcripts');
+
+const SPEAKER_LABELS = {
+  user: 'User',
+  assistant: 'Apsara'
+};
+
+/**
+ * Create a transcript recorder for one client session
+ * @param {string} sessionId - Session identifier (used in the file name)
+ * @returns {Object} Recorder with append(), finalize() and filepath
+ */
+function createTranscriptRecorder(sessionId) {
+  const startedAt = new Date();
+  const filename = `${startedAt.toISOString().slice(0, 10)}_${sessionId}.txt`;
+  const filepath = path.join(TRANSCRIPTS_DIR, filename);
+  const pending = { user: '', assistant: '' };
+  let headerWritten = false;
+
+  const writeLine = (line) => {
+    try {
+      if (!headerWritten) {
+        if (!fs.existsSync(TRANSCRIPTS_DIR)) {
+          fs.mkdirSync(TRANSCRIPTS_DIR, { recursive: true });
+        }
+        fs.appendFileSync(filepath, `# Apsara transcript - session ${sessionId} - started ${startedAt.toISOString()}\n`, 'utf8');
+        headerWritten = true;
+      }
+      fs.appendFileSync(filepath, `${line}\n`, 'utf8');
+    } catch (error) {
+      logger.error('❌ Error writing transcript:', error);
+    }
+  };
+
+  return {
+    filepath,
+
+    /**
+     * Add a transcription chunk for a speaker
+     * @param {string} speaker - 'user' or 'assistant'
+     * @param {string} text - Transcription chunk
+     */
+    append(speaker, text) {
+      pending[speaker] += text;
+    },
+
+    /**
+     * Close the current utterance of a speaker and persist it
+     * @param {string} speaker - 'user' or 'assistant'
+     * @returns {string|null} Full utterance text, or null if nothing was pending
+     */
+    finalize(speaker) {
+      const text = pending[speaker].trim();
+      pending[speaker] = '';
+      if (!text) return null;
+
+      writeLine(`[${new Date().toISOString()}] ${SPEAKER_LABELS[speaker]}: ${text}`);
+      return text;
+    }
+  };
+}
+
+module.exports = { createTranscriptRecorder, TRANSCRIPTS_DIR };
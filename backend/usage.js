@@ -0,0 +1,211 @@
+/**
+ * Apsara Live - Usage metering
+ * Collects the token counts Gemini Live reports in usageMetadata (prompt, response,
+ * audio, thinking, per modality) per session and per turn, plus image generation calls.
+ * Daily and all-time totals are kept in backend/apsara-usage.json so the bill can be
+ * traced back to habits like 4K screen sharing or the pro image model.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { DATA_DIR } = require('./config');
+
+const logger = createLogger('usage');
+
+const USAGE_FILE = path.join(DATA_DIR, 'apsara-usage.json');
+
+// Per-turn details kept in memory for each session
+const MAX_TURNS_PER_SESSION = 100;
+
+const TOKEN_FIELDS = ['promptTokens', 'responseTokens', 'thinkingTokens', 'toolUsePromptTokens', 'cachedTokens', 'audioTokens', 'totalTokens'];
+
+/**
+ * Create an empty usage counter
+ * @returns {Object} Counter
+ */
+function createCounter() {
+  return {
+    promptTokens: 0,
+    responseTokens: 0,
+    thinkingTokens: 0,
+    toolUsePromptTokens: 0,
+    cachedTokens: 0,
+    audioTokens: 0,
+    totalTokens: 0,
+    byModality: {}, // e.g. { AUDIO: 1200, TEXT: 300, IMAGE: 2580 }
+    turns: 0,
+    imageGenerations: 0,
+    imagesByModel: {} // e.g. { 'gemini-2.5-flash-image': 2 }
+  };
+}
+
+/**
+ * Add the token counts of a turn to a counter
+ * @param {Object} target - Counter to update
+ * @param {Object} tokens - Token counts of a turn
+ * @param {number} sign - 1 to add, -1 to subtract
+ */
+function addTokens(target, tokens, sign = 1) {
+  for (const key of TOKEN_FIELDS) {
+    target[key] += sign * (tokens[key] || 0);
+  }
+  for (const [modality, count] of Object.entries(tokens.byModality || {})) {
+    target.byModality[modality] = (target.byModality[modality] || 0) + sign * count;
+  }
+}
+
+/**
+ * Load persisted usage (daily and all-time totals)
+ * @returns {Object} { totals, days }
+ */
+function loadUsage() {
+  try {
+    if (fs.existsSync(USAGE_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+      return {
+        totals: { ...createCounter(), ...saved.totals },
+        days: saved.days || {}
+      };
+    }
+  } catch (error) {
+    logger.error('❌ Error loading usage:', error);
+  }
+  return { totals: createCounter(), days: {} };
+}
+
+const usage = loadUsage();
+
+/**
+ * Persist daily and all-time totals to disk
+ */
+function saveUsage() {
+  try {
+    fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2), 'utf8');
+  } catch (error) {
+    logger.error('❌ Error saving usage:', error);
+  }
+}
+
+/**
+ * Local date key (YYYY-MM-DD) for daily totals
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Counter for today (created on first use)
+ * @returns {Object} Counter
+ */
+function getToday() {
+  const key = dayKey();
+  if (!usage.days[key]) {
+    usage.days[key] = createCounter();
+  }
+  return usage.days[key];
+}
+
+/**
+ * Create the usage state of a new session
+ * @returns {Object} Session usage { totals, turns }
+ */
+function createSessionUsage() {
+  return { totals: createCounter(), turns: [] };
+}
+
+/**
+ * Token counts from a Live usageMetadata object
+ * @param {Object} metadata - usageMetadata from a Live server message
+ * @returns {Object} Token counts
+ */
+function parseUsageMetadata(metadata) {
+  const byModality = {};
+  let audioTokens = 0;
+  for (const detail of [...(metadata.promptTokensDetails || []), ...(metadata.responseTokensDetails || [])]) {
+    if (!detail.modality || !detail.tokenCount) continue;
+    byModality[detail.modality] = (byModality[detail.modality] || 0) + detail.tokenCount;
+    if (detail.modality === 'AUDIO') audioTokens += detail.tokenCount;
+  }
+
+  return {
+    promptTokens: metadata.promptTokenCount || 0,
+    responseTokens: metadata.responseTokenCount || 0,
+    thinkingTokens: metadata.thoughtsTokenCount || 0,
+    toolUsePromptTokens: metadata.toolUsePromptTokenCount || 0,
+    cachedTokens: metadata.cachedContentTokenCount || 0,
+    audioTokens,
+    totalTokens: metadata.totalTokenCount || 0,
+    byModality
+  };
+}
+
+/**
+ * Record a usageMetadata report for a turn.
+ * A turn may report usage more than once - the latest report replaces the earlier one.
+ * @param {Object} sessionUsage - Session usage state
+ * @param {string} turnId - Turn the report belongs to
+ * @param {Object} metadata - usageMetadata from a Live server message
+ * @param {string} model - Live model that produced the turn
+ * @returns {Object} Session totals
+ */
+function recordTokenUsage(sessionUsage, turnId, metadata, model) {
+  const tokens = parseUsageMetadata(metadata);
+  const counters = [sessionUsage.totals, getToday(), usage.totals];
+  const turn = sessionUsage.turns.find(t => t.turnId === turnId);
+
+  if (turn) {
+    // Remove the previous report of this turn before adding the new one
+    counters.forEach(counter => addTokens(counter, turn, -1));
+    Object.assign(turn, tokens, { at: new Date().toISOString() });
+  } else {
+    sessionUsage.turns.push({ turnId, model, at: new Date().toISOString(), ...tokens });
+    if (sessionUsage.turns.length > MAX_TURNS_PER_SESSION) {
+      sessionUsage.turns.shift();
+    }
+    counters.forEach(counter => { counter.turns += 1; });
+  }
+
+  counters.forEach(counter => addTokens(counter, tokens));
+  saveUsage();
+  return sessionUsage.totals;
+}
+
+/**
+ * Record an image generation call
+ * @param {Object} sessionUsage - Session usage state
+ * @param {string} model - Image model used
+ * @returns {Object} Session totals
+ */
+function recordImageGeneration(sessionUsage, model) {
+  [sessionUsage.totals, getToday(), usage.totals].forEach(counter => {
+    counter.imageGenerations += 1;
+    counter.imagesByModel[model] = (counter.imagesByModel[model] || 0) + 1;
+  });
+  saveUsage();
+  return sessionUsage.totals;
+}
+
+/**
+ * Usage summary for the API
+ * @param {Object|null} sessionUsage - Session usage state, or null for no session
+ * @returns {Object} { session, today, totals }
+ */
+function getUsageSummary(sessionUsage) {
+  return {
+    session: sessionUsage ? { totals: sessionUsage.totals, turns: sessionUsage.turns } : null,
+    today: { date: dayKey(), ...getToday() },
+    totals: usage.totals
+  };
+}
+
+module.exports = {
+  createSessionUsage,
+  recordTokenUsage,
+  recordImageGeneration,
+  getUsageSummary,
+  USAGE_FILE
+};